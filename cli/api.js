@@ -0,0 +1,112 @@
+// A small client for the Lets Copy API, built on the global fetch (Node 18+)
+
+class ApiError extends Error {
+  constructor(status, message, data = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+  }
+}
+
+// Turn an error response into one readable line, including validation errors
+const describeError = (status, data) => {
+  if (data && typeof data === 'object') {
+    const details = (data.errors || []).map(error => error.msg);
+    const missing = data.missing ? [`missing: ${data.missing.join(', ')}`] : [];
+    const message = data.message || `Request failed with status ${status}`;
+    return [message, ...details, ...missing].join('\n  ');
+  }
+  return `Request failed with status ${status}`;
+};
+
+// credentials holds { apiKey } or { token, refreshToken }. Expired access
+// tokens are renewed once per request, and onTokens(token, refreshToken)
+// is called so the new pair can be saved.
+const createClient = ({ server, credentials = {}, onTokens = () => {} }) => {
+  const send = async (method, path, { query = {}, body, token } = {}) => {
+    const url = new URL(path, server);
+    Object.entries(query)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      // Arrays become repeated parameters
+      .forEach(([name, value]) => [].concat(value).forEach(item => url.searchParams.append(name, item)));
+
+    const headers = { Accept: 'application/json' };
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+    } catch (error) {
+      throw new ApiError(0, `Could not reach ${server} (${error.cause?.message || error.message})`);
+    }
+
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (error) {
+      data = text;
+    }
+
+    if (!response.ok) {
+      throw new ApiError(response.status, describeError(response.status, data), data);
+    }
+
+    return { data, headers: response.headers };
+  };
+
+  const refresh = async () => {
+    const { data } = await send('POST', '/api/auth/refresh', {
+      body: { refreshToken: credentials.refreshToken }
+    });
+    credentials.token = data.token;
+    credentials.refreshToken = data.refreshToken;
+    onTokens(data.token, data.refreshToken);
+  };
+
+  // Send an authenticated request
+  const request = async (method, path, options = {}) => {
+    const token = credentials.apiKey || credentials.token;
+    if (!token) {
+      throw new ApiError(401, 'Not logged in. Run "letscopy login" first.');
+    }
+
+    try {
+      return await send(method, path, { ...options, token });
+    } catch (error) {
+      if (error.status !== 401 || credentials.apiKey || !credentials.refreshToken) {
+        throw error;
+      }
+    }
+
+    try {
+      await refresh();
+    } catch (error) {
+      if (error.status === 401) {
+        throw new ApiError(401, 'Your session has ended. Run "letscopy login" again.');
+      }
+      throw error;
+    }
+    return send(method, path, { ...options, token: credentials.token });
+  };
+
+  return {
+    send,
+    request
+  };
+};
+
+module.exports = {
+  ApiError,
+  createClient
+};
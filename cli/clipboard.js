@@ -0,0 +1,35 @@
+const { spawnSync } = require('child_process');
+
+// Clipboard commands to try, in order, for each platform
+const CLIPBOARD_COMMANDS = {
+  darwin: [['pbcopy', []]],
+  win32: [['clip', []]],
+  linux: [
+    ['wl-copy', []],
+    ['xclip', ['-selection', 'clipboard']],
+    ['xsel', ['--clipboard', '--input']],
+    // Windows clipboard from WSL
+    ['clip.exe', []]
+  ]
+};
+
+// Copy text to the system clipboard. Resolves to the command that worked.
+const copyToClipboard = (text) => {
+  const commands = CLIPBOARD_COMMANDS[process.platform] || CLIPBOARD_COMMANDS.linux;
+
+  for (const [command, args] of commands) {
+    const result = spawnSync(command, args, { input: text, stdio: ['pipe', 'ignore', 'ignore'] });
+    if (!result.error && result.status === 0) {
+      return command;
+    }
+  }
+
+  throw new Error(
+    `No clipboard command worked (tried ${commands.map(([command]) => command).join(', ')}). ` +
+    'Use "letscopy get --raw <id>" and pipe the output instead.'
+  );
+};
+
+module.exports = {
+  copyToClipboard
+};
@@ -0,0 +1,281 @@
+const { createClient } = require('./api');
+const { copyToClipboard } = require('./clipboard');
+const { ask, readStdin, editText } = require('./prompt');
+
+// Results go to stdout and status messages to stderr, so output can be piped
+const print = (text = '') => process.stdout.write(`${text}\n`);
+const printJson = (data) => print(JSON.stringify(data, null, 2));
+const info = (text) => process.stderr.write(`${text}\n`);
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+const formatPost = (post) => {
+  const tags = (post.tags || []).map(tag => `#${tag}`).join(' ');
+  return [post._id, truncate(post.title, 40).padEnd(40), post.category, tags]
+    .filter(Boolean)
+    .join('  ')
+    .trimEnd();
+};
+
+const printPosts = (posts, total) => {
+  posts.forEach(post => print(formatPost(post)));
+  if (total > posts.length) {
+    info(`Showing ${posts.length} of ${total}. Use --limit or --all to see more.`);
+  }
+};
+
+const requireId = (positionals, command) => {
+  const [id] = positionals;
+  if (!id) {
+    throw new Error(`Usage: letscopy ${command} <id>`);
+  }
+  return encodeURIComponent(id);
+};
+
+// Parse repeated --var name=value options into { name: value }
+const parseVars = (vars = []) => {
+  return Object.fromEntries(vars.map((pair) => {
+    const index = pair.indexOf('=');
+    if (index < 1) {
+      throw new Error(`Expected --var name=value, got "${pair}"`);
+    }
+    return [pair.slice(0, index), pair.slice(index + 1)];
+  }));
+};
+
+// Post content from stdin when it is piped, otherwise from $EDITOR
+const readContent = async (initial = '') => {
+  const content = process.stdin.isTTY ? editText(initial) : await readStdin();
+  return content.trim();
+};
+
+// Use the first line of the content as a title, without Markdown heading marks
+const titleFromContent = (content) => {
+  const firstLine = content.split('\n').find(line => line.trim()) || '';
+  return truncate(firstLine.replace(/^#+\s*/, '').trim(), 100);
+};
+
+// Copy a post to the clipboard, filling in {{variables}} with --var values,
+// and record the copy like the web app does
+const copyPost = async (client, post, vars) => {
+  let { content } = post;
+
+  if (content.includes('{{')) {
+    const { data } = await client.request('POST', `/api/posts/${post._id}/render`, {
+      body: { values: vars }
+    });
+    content = data.content;
+  }
+
+  const command = copyToClipboard(content);
+
+  try {
+    await client.request('POST', `/api/posts/${post._id}/copy`, { body: { format: 'markdown' } });
+  } catch (error) {
+    // Usage stats should never get in the way of the copy itself
+  }
+
+  info(`Copied "${post.title}" to the clipboard (${command})`);
+};
+
+const login = async ({ options, server, saveCredentials }) => {
+  const client = createClient({ server });
+
+  // Keys are read from a prompt or $LETSCOPY_API_KEY so they stay out of shell history
+  if (options['api-key']) {
+    const apiKey = process.env.LETSCOPY_API_KEY || await ask('API key: ', { hidden: true });
+    await client.send('GET', '/api/posts', { query: { limit: 1 }, token: apiKey });
+    saveCredentials({ apiKey });
+    info(`Saved API key for ${server}`);
+    return;
+  }
+
+  const email = options.email || await ask('Email: ');
+  const password = await ask('Password: ', { hidden: true });
+
+  let { data } = await client.send('POST', '/api/auth/login', { body: { email, password } });
+
+  if (data.twoFactorRequired) {
+    const code = await ask('Authentication code: ');
+    ({ data } = await client.send('POST', '/api/auth/login/2fa', {
+      body: { challengeToken: data.challengeToken, code }
+    }));
+  }
+
+  saveCredentials({
+    email: data.user.email,
+    token: data.token,
+    refreshToken: data.refreshToken
+  });
+  info(`Logged in to ${server} as ${data.user.username}`);
+};
+
+const logout = async ({ client, config, saveCredentials }) => {
+  if (config.refreshToken) {
+    try {
+      await client.send('POST', '/api/auth/logout', { body: { refreshToken: config.refreshToken } });
+    } catch (error) {
+      // Forget the credentials even when the server cannot be reached
+    }
+  }
+
+  saveCredentials({});
+  info('Logged out');
+};
+
+const list = async ({ client, options }) => {
+  const query = {
+    category: options.category,
+    tag: options.tag,
+    collection: options.collection,
+    sort: options.sort,
+    limit: options.limit
+  };
+
+  let posts = [];
+  let total = 0;
+  let cursor = null;
+
+  do {
+    const { data, headers } = await client.request('GET', '/api/posts', { query: { ...query, cursor } });
+    posts = posts.concat(data);
+    total = parseInt(headers.get('x-total-count'), 10) || posts.length;
+    cursor = options.all ? headers.get('x-next-cursor') : null;
+  } while (cursor);
+
+  if (options.json) {
+    printJson(posts);
+  } else if (posts.length === 0) {
+    info('No posts found');
+  } else {
+    printPosts(posts, total);
+  }
+};
+
+const search = async ({ client, options, positionals }) => {
+  const q = positionals.join(' ');
+  if (!q) {
+    throw new Error('Usage: letscopy search <query>');
+  }
+
+  const { data, headers } = await client.request('GET', '/api/posts/search', {
+    query: { q, limit: options.limit, collection: options.collection }
+  });
+
+  if (options.copy) {
+    if (data.length === 0) {
+      throw new Error('No posts found');
+    }
+    await copyPost(client, data[0], parseVars(options.var));
+  } else if (options.json) {
+    printJson(data);
+  } else if (data.length === 0) {
+    info('No posts found');
+  } else {
+    printPosts(data, parseInt(headers.get('x-total-count'), 10) || data.length);
+  }
+};
+
+const get = async ({ client, options, positionals }) => {
+  const { data: post } = await client.request('GET', `/api/posts/${requireId(positionals, 'get')}`);
+
+  if (options.copy) {
+    await copyPost(client, post, parseVars(options.var));
+  } else if (options.json) {
+    printJson(post);
+  } else if (options.raw) {
+    print(post.content);
+  } else {
+    print(post.title);
+    print([post.category, ...(post.tags || []).map(tag => `#${tag}`)].join('  '));
+    print();
+    print(post.content);
+  }
+};
+
+const copy = async ({ client, options, positionals }) => {
+  const { data: post } = await client.request('GET', `/api/posts/${requireId(positionals, 'cp')}`);
+  await copyPost(client, post, parseVars(options.var));
+};
+
+const create = async ({ client, options }) => {
+  const content = await readContent();
+  if (!content) {
+    throw new Error('Aborted: the post is empty');
+  }
+
+  const { data: post } = await client.request('POST', '/api/posts', {
+    body: {
+      title: options.title || titleFromContent(content),
+      content,
+      category: options.category,
+      tags: options.tag,
+      collectionId: options.collection
+    }
+  });
+
+  if (options.json) {
+    printJson(post);
+  } else {
+    print(post._id);
+    info(`Created "${post.title}"`);
+  }
+};
+
+const edit = async ({ client, options, positionals }) => {
+  const id = requireId(positionals, 'edit');
+  const { data: existing } = await client.request('GET', `/api/posts/${id}`);
+
+  const content = await readContent(existing.content);
+  if (!content) {
+    throw new Error('Aborted: the post is empty');
+  }
+
+  const changes = {
+    title: options.title || existing.title,
+    content,
+    category: options.category || existing.category,
+    tags: options.tag || existing.tags
+  };
+
+  const unchanged = changes.title === existing.title &&
+    changes.content === existing.content.trim() &&
+    changes.category === existing.category &&
+    changes.tags.join('\n') === existing.tags.join('\n') &&
+    !options.collection;
+
+  if (unchanged) {
+    info('No changes');
+    return;
+  }
+
+  const { data: post } = await client.request('PUT', `/api/posts/${id}`, {
+    body: {
+      ...changes,
+      ...(options.collection && { collectionId: options.collection })
+    }
+  });
+
+  if (options.json) {
+    printJson(post);
+  } else {
+    info(`Updated "${post.title}"`);
+  }
+};
+
+const remove = async ({ client, positionals }) => {
+  const { data } = await client.request('DELETE', `/api/posts/${requireId(positionals, 'rm')}`);
+  info(`Moved "${data.post.title}" to the trash`);
+};
+
+module.exports = {
+  login,
+  logout,
+  ls: list,
+  search,
+  get,
+  cp: copy,
+  new: create,
+  edit,
+  rm: remove
+};
@@ -0,0 +1,39 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_SERVER = 'http://localhost:5000';
+
+// $LETSCOPY_CONFIG, or config.json under $XDG_CONFIG_HOME/letscopy (~/.config by default)
+const configPath = () => {
+  if (process.env.LETSCOPY_CONFIG) {
+    return process.env.LETSCOPY_CONFIG;
+  }
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'letscopy', 'config.json');
+};
+
+const loadConfig = () => {
+  try {
+    return JSON.parse(fs.readFileSync(configPath(), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw new Error(`Could not read ${configPath()}: ${error.message}`);
+  }
+};
+
+// The file holds credentials, so only its owner may read it
+const saveConfig = (config) => {
+  const file = configPath();
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(file, `${JSON.stringify(config, null, 2)}\n`, { mode: 0o600 });
+  // The mode above only applies when the file is created
+  fs.chmodSync(file, 0o600);
+};
+
+module.exports = {
+  DEFAULT_SERVER,
+  configPath,
+  loadConfig,
+  saveConfig
+};
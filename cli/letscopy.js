@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+// letscopy: list, search and copy your posts from the terminal.
+// Run "letscopy --help" for usage.
+
+// Global fetch and util.parseArgs need Node.js 18.3; check before using them
+const [nodeMajor, nodeMinor] = process.versions.node.split('.').map(Number);
+if (nodeMajor < 18 || (nodeMajor === 18 && nodeMinor < 3)) {
+  console.error(`letscopy: Node.js 18.3 or later is required, but this is ${process.version}`);
+  process.exit(1);
+}
+
+const { parseArgs } = require('util');
+const { version } = require('../package.json');
+const { DEFAULT_SERVER, configPath, loadConfig, saveConfig } = require('./config');
+const { createClient } = require('./api');
+const commands = require('./commands');
+
+const USAGE = `Usage: letscopy <command> [options]
+
+Commands:
+  login                 Sign in with your email and password (or --api-key)
+  logout                Sign out and forget the saved credentials
+  ls                    List posts (--category, --tag, --collection, --sort, --limit, --all)
+  search <query>        Search posts, e.g. letscopy search 'deploy tag:ops'
+  get <id>              Show a post (--raw for the content only)
+  cp <id>               Copy a post to the clipboard (--var name=value fills in {{name}})
+  new                   Create a post from stdin or $EDITOR (--title, --category, --tag)
+  edit <id>             Edit a post in $EDITOR, or replace its content from stdin
+  rm <id>               Move a post to the trash
+
+Options:
+  --json                Print raw JSON
+  -c, --copy            With get or search: copy the post (the top result) to the clipboard
+  --server <url>        API server (default: $LETSCOPY_SERVER, the saved server or ${DEFAULT_SERVER})
+  --api-key             With login: sign in with an API key instead of a password
+  -h, --help            Show this help
+  -v, --version         Show the version
+
+Credentials are saved in ${configPath()}.
+Set LETSCOPY_API_KEY to use an API key without saving it.`;
+
+const OPTIONS = {
+  help: { type: 'boolean', short: 'h' },
+  version: { type: 'boolean', short: 'v' },
+  json: { type: 'boolean' },
+  copy: { type: 'boolean', short: 'c' },
+  raw: { type: 'boolean' },
+  all: { type: 'boolean' },
+  server: { type: 'string' },
+  'api-key': { type: 'boolean' },
+  email: { type: 'string' },
+  title: { type: 'string' },
+  category: { type: 'string' },
+  tag: { type: 'string', multiple: true },
+  collection: { type: 'string' },
+  sort: { type: 'string' },
+  limit: { type: 'string' },
+  var: { type: 'string', multiple: true }
+};
+
+const main = async () => {
+  const { values: options, positionals } = parseArgs({
+    options: OPTIONS,
+    allowPositionals: true
+  });
+  const [command, ...args] = positionals;
+
+  if (options.version) {
+    console.log(version);
+    return;
+  }
+
+  if (options.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+
+  const run = Object.hasOwn(commands, command) && commands[command];
+  if (!run) {
+    throw new Error(`Unknown command "${command}". Run "letscopy --help" for usage.`);
+  }
+
+  const config = loadConfig();
+  const server = (options.server || process.env.LETSCOPY_SERVER || config.server || DEFAULT_SERVER)
+    .replace(/\/+$/, '');
+
+  // Saved credentials only belong to the server they were saved for
+  const saved = !config.server || config.server === server ? config : {};
+  const credentials = process.env.LETSCOPY_API_KEY
+    ? { apiKey: process.env.LETSCOPY_API_KEY }
+    : { apiKey: saved.apiKey, token: saved.token, refreshToken: saved.refreshToken };
+
+  const client = createClient({
+    server,
+    credentials,
+    onTokens: (token, refreshToken) => saveConfig({ ...saved, server, token, refreshToken })
+  });
+
+  await run({
+    client,
+    config: saved,
+    server,
+    options,
+    positionals: args,
+    saveCredentials: (nextCredentials) => saveConfig({ server, ...nextCredentials })
+  });
+};
+
+main().catch((error) => {
+  console.error(`letscopy: ${error.message}`);
+  process.exit(1);
+});
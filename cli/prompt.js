@@ -0,0 +1,61 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { spawnSync } = require('child_process');
+
+// Ask a question on the terminal. Hidden answers (passwords) are not echoed.
+const ask = (question, { hidden = false } = {}) => new Promise((resolve) => {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stderr,
+    terminal: Boolean(process.stdin.isTTY)
+  });
+
+  let muted = false;
+  const writeToOutput = rl._writeToOutput.bind(rl);
+  rl._writeToOutput = (text) => {
+    if (!muted) writeToOutput(text);
+  };
+
+  rl.question(question, (answer) => {
+    if (hidden) process.stderr.write('\n');
+    rl.close();
+    resolve(answer.trim());
+  });
+  muted = hidden;
+});
+
+// Read all of stdin, e.g. for "letscopy new < notes.md"
+const readStdin = async () => {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+// Open $VISUAL or $EDITOR on a temporary file and return what was saved
+const editText = (initial = '') => {
+  const editor = process.env.VISUAL || process.env.EDITOR || (process.platform === 'win32' ? 'notepad' : 'vi');
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'letscopy-'));
+  const file = path.join(directory, 'post.md');
+
+  try {
+    fs.writeFileSync(file, initial);
+    // Through the shell, so editors with arguments like "code --wait" work
+    const result = spawnSync(`${editor} "${file}"`, { stdio: 'inherit', shell: true });
+    if (result.error || result.status !== 0) {
+      throw new Error(`Editor "${editor}" exited without saving`);
+    }
+    return fs.readFileSync(file, 'utf8');
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+};
+
+module.exports = {
+  ask,
+  readStdin,
+  editText
+};
@@ -1,16 +1,30 @@
 import React, { Suspense, lazy } from 'react';
 import { Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
+import { WorkspaceProvider, useWorkspace } from './contexts/WorkspaceContext';
 import Navbar from './components/Navbar';
+import CommandPalette from './components/CommandPalette';
 import LoadingSpinner from './components/LoadingSpinner';
 import './App.css';
 
 // Lazy load components for code splitting
 const Login = lazy(() => import('./components/Login'));
 const Register = lazy(() => import('./components/Register'));
+const ForgotPassword = lazy(() => import('./components/ForgotPassword'));
+const ResetPassword = lazy(() => import('./components/ResetPassword'));
+const VerifyEmail = lazy(() => import('./components/VerifyEmail'));
 const Dashboard = lazy(() => import('./components/Dashboard'));
 const CreatePost = lazy(() => import('./components/CreatePost'));
 const EditPost = lazy(() => import('./components/EditPost'));
+const SharedPost = lazy(() => import('./components/SharedPost'));
+const PostView = lazy(() => import('./components/PostView'));
+const Trash = lazy(() => import('./components/Trash'));
+const Tags = lazy(() => import('./components/Tags'));
+const Categories = lazy(() => import('./components/Categories'));
+const Account = lazy(() => import('./components/Account'));
+const AccountSecurity = lazy(() => import('./components/AccountSecurity'));
+const ApiKeys = lazy(() => import('./components/ApiKeys'));
+const Workspaces = lazy(() => import('./components/Workspaces'));
 
 // Protected Route Component
 const ProtectedRoute = ({ children }) => {
@@ -30,11 +44,15 @@ const ProtectedRoute = ({ children }) => {
 // Main App Component
 const AppContent = () => {
   const { user } = useAuth();
+  // Pages load their data once, so they start over in another workspace
+  const { currentId } = useWorkspace();
+  const spaceKey = currentId || 'personal';
 
   return (
     <div className="min-h-screen bg-gray-50">
       <Navbar />
-      <main className="container py-8">
+      {user && <CommandPalette key={spaceKey} />}
+      <main className="container py-8" key={spaceKey}>
         <Suspense fallback={<LoadingSpinner text="Loading page..." />}>
           <Routes>
             <Route path="/" element={
@@ -46,6 +64,11 @@ const AppContent = () => {
             <Route path="/register" element={
               user ? <Navigate to="/dashboard" /> : <Register />
             } />
+            <Route path="/forgot-password" element={
+              user ? <Navigate to="/dashboard" /> : <ForgotPassword />
+            } />
+            <Route path="/reset-password" element={<ResetPassword />} />
+            <Route path="/verify-email" element={<VerifyEmail />} />
             <Route path="/dashboard" element={
               <ProtectedRoute>
                 <Dashboard />
@@ -61,6 +84,47 @@ const AppContent = () => {
                 <EditPost />
               </ProtectedRoute>
             } />
+            <Route path="/posts/:id" element={
+              <ProtectedRoute>
+                <PostView />
+              </ProtectedRoute>
+            } />
+            <Route path="/trash" element={
+              <ProtectedRoute>
+                <Trash />
+              </ProtectedRoute>
+            } />
+            <Route path="/tags" element={
+              <ProtectedRoute>
+                <Tags />
+              </ProtectedRoute>
+            } />
+            <Route path="/categories" element={
+              <ProtectedRoute>
+                <Categories />
+              </ProtectedRoute>
+            } />
+            <Route path="/account" element={
+              <ProtectedRoute>
+                <Account />
+              </ProtectedRoute>
+            } />
+            <Route path="/account/security" element={
+              <ProtectedRoute>
+                <AccountSecurity />
+              </ProtectedRoute>
+            } />
+            <Route path="/account/api-keys" element={
+              <ProtectedRoute>
+                <ApiKeys />
+              </ProtectedRoute>
+            } />
+            <Route path="/workspaces" element={
+              <ProtectedRoute>
+                <Workspaces />
+              </ProtectedRoute>
+            } />
+            <Route path="/s/:token" element={<SharedPost />} />
           </Routes>
         </Suspense>
       </main>
@@ -68,11 +132,13 @@ const AppContent = () => {
   );
 };
 
-// App with Auth Provider
+// App with Auth and Workspace Providers
 const App = () => {
   return (
     <AuthProvider>
-      <AppContent />
+      <WorkspaceProvider>
+        <AppContent />
+      </WorkspaceProvider>
     </AuthProvider>
   );
 };
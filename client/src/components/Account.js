@@ -0,0 +1,53 @@
+import React from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { ArrowLeft, KeyRound, ShieldCheck } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+
+const Account = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="flex items-center gap-4 mb-8">
+        <button
+          onClick={() => navigate('/dashboard')}
+          className="btn btn-outline flex items-center gap-2"
+        >
+          <ArrowLeft size={16} />
+          Back to Dashboard
+        </button>
+      </div>
+
+      <div className="mb-6">
+        <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-2">Account</h1>
+        <p className="text-gray-600 text-sm sm:text-base">
+          Signed in as {user.username} ({user.email})
+        </p>
+      </div>
+
+      <Link to="/account/security" className="card mb-6 flex justify-between items-center gap-3">
+        <div className="flex items-center gap-3">
+          <ShieldCheck size={20} className="text-gray-500" />
+          <div>
+            <p className="font-semibold text-gray-900">Security</p>
+            <p className="text-sm text-gray-600">Two-factor authentication and signed-in devices</p>
+          </div>
+        </div>
+        <span className={`badge ${user.twoFactorEnabled ? 'badge-category' : 'badge-tag'}`}>
+          2FA {user.twoFactorEnabled ? 'on' : 'off'}
+        </span>
+      </Link>
+
+      <Link to="/account/api-keys" className="card mb-6 flex items-center gap-3">
+        <KeyRound size={20} className="text-gray-500" />
+        <div>
+          <p className="font-semibold text-gray-900">API Keys</p>
+          <p className="text-sm text-gray-600">Access your posts from scripts and editor plugins</p>
+        </div>
+      </Link>
+    </div>
+  );
+};
+
+export default Account;
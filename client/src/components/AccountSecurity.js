@@ -0,0 +1,35 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ArrowLeft } from 'lucide-react';
+import TwoFactorSettings from './TwoFactorSettings';
+import SessionList from './SessionList';
+
+const AccountSecurity = () => {
+  const navigate = useNavigate();
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="flex items-center gap-4 mb-8">
+        <button
+          onClick={() => navigate('/account')}
+          className="btn btn-outline flex items-center gap-2"
+        >
+          <ArrowLeft size={16} />
+          Back to Account
+        </button>
+      </div>
+
+      <div className="mb-6">
+        <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-2">Security</h1>
+        <p className="text-gray-600 text-sm sm:text-base">
+          Protect your sign-in and manage the devices signed in to your account
+        </p>
+      </div>
+
+      <TwoFactorSettings />
+      <SessionList />
+    </div>
+  );
+};
+
+export default AccountSecurity;
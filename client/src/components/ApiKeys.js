@@ -0,0 +1,341 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { ArrowLeft, Copy, KeyRound, Trash2 } from 'lucide-react';
+import { API_CONFIG } from '../config/api';
+import { buildTree, flattenTree } from '../utils/collections';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+
+const EXPIRY_OPTIONS = [
+  { label: 'Never', days: null },
+  { label: '30 days', days: 30 },
+  { label: '90 days', days: 90 },
+  { label: '1 year', days: 365 }
+];
+
+const ACCESS_LABELS = {
+  read: 'Read-only',
+  write: 'Read & write'
+};
+
+const EMPTY_FORM = {
+  name: '',
+  access: 'read',
+  expiresInDays: '',
+  collections: []
+};
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+const ApiKeys = () => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [collections, setCollections] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [creating, setCreating] = useState(false);
+  // The key just created; it is only shown this once
+  const [newKey, setNewKey] = useState(null);
+
+  const navigate = useNavigate();
+  const { workspaces, current, currentId } = useWorkspace();
+  const spaceName = current ? current.name : 'your personal space';
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [keysResponse, collectionsResponse] = await Promise.all([
+          axios.get('/api/api-keys'),
+          // New keys are created for the current space and its collections
+          axios.get('/api/collections')
+        ]);
+        setApiKeys(keysResponse.data);
+        setCollections(collectionsResponse.data || []);
+      } catch (error) {
+        console.error('Error fetching API keys:', error);
+        toast.error('Failed to load API keys');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, []);
+
+  const collectionOptions = useMemo(() => flattenTree(buildTree(collections)), [collections]);
+
+  const collectionNames = useMemo(() => {
+    return new Map(collections.map(collection => [collection._id, collection.name]));
+  }, [collections]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prevForm => ({ ...prevForm, [name]: value }));
+  };
+
+  const toggleCollection = (collectionId) => {
+    setForm(prevForm => ({
+      ...prevForm,
+      collections: prevForm.collections.includes(collectionId)
+        ? prevForm.collections.filter(id => id !== collectionId)
+        : [...prevForm.collections, collectionId]
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    if (!form.name.trim()) {
+      toast.error('Give the key a name');
+      return;
+    }
+
+    setCreating(true);
+    try {
+      const response = await axios.post('/api/api-keys', {
+        name: form.name.trim(),
+        access: form.access,
+        collections: form.collections,
+        expiresInDays: form.expiresInDays ? Number(form.expiresInDays) : null
+      });
+      const { key, ...apiKey } = response.data;
+      setApiKeys(prevKeys => [apiKey, ...prevKeys]);
+      setNewKey(key);
+      setForm(EMPTY_FORM);
+      toast.success('API key created');
+    } catch (error) {
+      console.error('Error creating API key:', error);
+      toast.error(error.response?.data?.message || 'Failed to create API key');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleDelete = async (apiKey) => {
+    if (!window.confirm(`Delete "${apiKey.name}"? Anything using it will stop working.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/api-keys/${apiKey.id}`);
+      setApiKeys(prevKeys => prevKeys.filter(item => item.id !== apiKey.id));
+      toast.success('API key deleted');
+    } catch (error) {
+      console.error('Error deleting API key:', error);
+      toast.error('Failed to delete API key');
+    }
+  };
+
+  const handleCopyKey = async () => {
+    try {
+      await navigator.clipboard.writeText(newKey);
+      toast.success('API key copied');
+    } catch (error) {
+      console.error('Failed to copy:', error);
+      toast.error('Failed to copy to clipboard');
+    }
+  };
+
+  const describeSpace = (apiKey) => {
+    if (!apiKey.workspace) {
+      return 'Personal';
+    }
+    const workspace = workspaces.find(item => item._id === apiKey.workspace);
+    return workspace ? workspace.name : 'Workspace you left';
+  };
+
+  const describeScope = (apiKey) => {
+    if (apiKey.collections.length === 0) {
+      return 'All posts';
+    }
+    // Collection names are only loaded for the current space
+    if ((apiKey.workspace || null) !== (currentId || null)) {
+      return `${apiKey.collections.length} collection${apiKey.collections.length === 1 ? '' : 's'}`;
+    }
+    return apiKey.collections
+      .map(id => collectionNames.get(id) || 'Deleted collection')
+      .join(', ');
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="flex items-center gap-4 mb-8">
+        <button
+          onClick={() => navigate('/account')}
+          className="btn btn-outline flex items-center gap-2"
+        >
+          <ArrowLeft size={16} />
+          Back to Account
+        </button>
+      </div>
+
+      <div className="mb-6">
+        <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-2">API Keys</h1>
+        <p className="text-gray-600 text-sm sm:text-base">
+          Let scripts and editor plugins read or update your posts without your password
+        </p>
+      </div>
+
+      {newKey && (
+        <div className="card mb-6 animate-fade-in">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Your new API key</h2>
+          <p className="text-sm text-gray-600 mb-3">
+            Copy it now. For your security it will not be shown again.
+          </p>
+          <div className="flex gap-2 mb-3">
+            <input type="text" value={newKey} readOnly className="form-input font-mono" />
+            <button
+              type="button"
+              onClick={handleCopyKey}
+              className="btn btn-primary flex items-center gap-2 flex-shrink-0"
+            >
+              <Copy size={16} />
+              Copy
+            </button>
+          </div>
+          <p className="text-xs text-gray-500 font-mono break-all">
+            curl -H "Authorization: Bearer {newKey}" {API_CONFIG.baseURL}/api/posts
+          </p>
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="card mb-6 space-y-4">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+          <KeyRound size={18} />
+          New API Key
+        </h2>
+        <p className="text-sm text-gray-600">
+          The key will only work in {spaceName}. Switch workspace to create a key for another one.
+        </p>
+
+        <div className="form-group">
+          <label htmlFor="name" className="form-label">Name</label>
+          <input
+            type="text"
+            id="name"
+            name="name"
+            value={form.name}
+            onChange={handleChange}
+            className="form-input"
+            placeholder="e.g. VS Code on my laptop"
+            maxLength={50}
+          />
+        </div>
+
+        <div className="flex flex-col sm:flex-row gap-4">
+          <div className="form-group flex-1">
+            <label htmlFor="access" className="form-label">Access</label>
+            <select
+              id="access"
+              name="access"
+              value={form.access}
+              onChange={handleChange}
+              className="form-input"
+            >
+              <option value="read">Read-only</option>
+              <option value="write">Read &amp; write</option>
+            </select>
+          </div>
+
+          <div className="form-group flex-1">
+            <label htmlFor="expiresInDays" className="form-label">Expires</label>
+            <select
+              id="expiresInDays"
+              name="expiresInDays"
+              value={form.expiresInDays}
+              onChange={handleChange}
+              className="form-input"
+            >
+              {EXPIRY_OPTIONS.map(option => (
+                <option key={option.label} value={option.days || ''}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {collectionOptions.length > 0 && (
+          <div className="form-group">
+            <span className="form-label">Collections</span>
+            <p className="text-xs text-gray-500 mb-2">
+              Leave all unticked to allow every post in {spaceName}. Nested collections are included.
+            </p>
+            <div className="space-y-1">
+              {collectionOptions.map(collection => (
+                <label
+                  key={collection._id}
+                  className="flex items-center gap-2 text-sm text-gray-700"
+                  style={{ paddingLeft: `${collection.depth * 1.25}rem` }}
+                >
+                  <input
+                    type="checkbox"
+                    checked={form.collections.includes(collection._id)}
+                    onChange={() => toggleCollection(collection._id)}
+                  />
+                  {collection.name}
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <button type="submit" disabled={creating} className="btn btn-primary">
+          {creating ? 'Creating...' : 'Create Key'}
+        </button>
+      </form>
+
+      <div className="card mb-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">Your Keys</h2>
+        {apiKeys.length === 0 ? (
+          <p className="text-gray-600 text-sm">You have no API keys yet</p>
+        ) : (
+          <ul className="space-y-3">
+            {apiKeys.map(apiKey => (
+              <li key={apiKey.id} className="flex justify-between items-center gap-3 p-3 border rounded-lg">
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-900">
+                    {apiKey.name}
+                    <span className="badge badge-tag ml-2">{ACCESS_LABELS[apiKey.access]}</span>
+                    {apiKey.expired && <span className="badge badge-category ml-2">Expired</span>}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    <span className="font-mono">{apiKey.prefix}…</span> · {describeSpace(apiKey)} · {describeScope(apiKey)}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    Created {formatDate(apiKey.createdAt)}
+                    {' · '}
+                    {apiKey.lastUsedAt ? `last used ${formatDate(apiKey.lastUsedAt)}` : 'never used'}
+                    {apiKey.expiresAt && !apiKey.expired && ` · expires ${formatDate(apiKey.expiresAt)}`}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(apiKey)}
+                  className="p-1 text-gray-500 hover:text-red-600 transition-colors flex-shrink-0"
+                  title="Delete key"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ApiKeys;
@@ -0,0 +1,243 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { CheckSquare, Download, Folder, Tag, Trash2, X } from 'lucide-react';
+import { EXPORT_FORMATS, saveDownload } from '../utils/download';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+
+// The most posts one bulk request accepts
+export const MAX_BULK_POSTS = 500;
+
+// Actions that need a value before they can be applied
+const VALUE_ACTIONS = {
+  'set-category': { label: 'Move to category', placeholder: 'Category', listId: 'bulk-categories' },
+  'add-tags': { label: 'Add tags', placeholder: 'Tags, separated by commas', listId: 'bulk-tags' },
+  'remove-tags': { label: 'Remove tags', placeholder: 'Tags, separated by commas', listId: 'bulk-tags' }
+};
+
+const pluralize = (count) => `${count} cop${count === 1 ? 'y' : 'ies'}`;
+
+// Shown at the bottom of the dashboard while posts are selected
+const BulkActionBar = ({ selectedIds, totalCount, categories, tags, onSelectAll, onClear, onComplete }) => {
+  // The action whose value is being entered, or 'export' while picking a format
+  const [mode, setMode] = useState(null);
+  const [value, setValue] = useState('');
+  const [working, setWorking] = useState(false);
+  const [selectingAll, setSelectingAll] = useState(false);
+  // Workspace viewers can only export
+  const { canEdit } = useWorkspace();
+
+  const count = selectedIds.length;
+
+  const openMode = (nextMode) => {
+    setMode(mode === nextMode ? null : nextMode);
+    setValue('');
+  };
+
+  const runAction = async (action, data = {}) => {
+    setWorking(true);
+    try {
+      const response = await axios.post('/api/posts/bulk', { ids: selectedIds, action, ...data });
+      const { changed, failed } = response.data;
+
+      if (action === 'delete') {
+        toast.success(`Moved ${pluralize(changed)} to trash`);
+      } else {
+        toast.success(changed === 0 ? 'Nothing needed changing' : `Updated ${pluralize(changed)}`);
+      }
+      if (failed > 0) {
+        toast.error(`${pluralize(failed)} could not be changed. They may have been deleted.`);
+      }
+
+      setMode(null);
+      setValue('');
+      onComplete(action, response.data);
+    } catch (error) {
+      console.error('Error applying bulk action:', error);
+      const message = error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to update copies';
+      toast.error(message);
+      // Some posts may have been changed before the failure
+      if (error.response?.data?.results) {
+        onComplete(action, error.response.data);
+      }
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleApply = (e) => {
+    e.preventDefault();
+
+    if (mode === 'set-category') {
+      if (value.trim()) {
+        runAction(mode, { category: value.trim() });
+      }
+      return;
+    }
+
+    const tagList = [...new Set(value.split(',').map(tag => tag.trim()).filter(Boolean))];
+    if (tagList.length > 0) {
+      runAction(mode, { tags: tagList });
+    }
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Move ${pluralize(count)} to the trash?`)) {
+      return;
+    }
+
+    runAction('delete');
+  };
+
+  const handleExport = async (format) => {
+    setWorking(true);
+    try {
+      const response = await axios.post(`/api/library/export/${format}`, { ids: selectedIds }, {
+        responseType: 'blob',
+        timeout: 0
+      });
+      saveDownload(response, `letscopy-export.${format}`);
+      setMode(null);
+    } catch (error) {
+      console.error('Error exporting copies:', error);
+      toast.error('Failed to export copies');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleSelectAll = async () => {
+    setSelectingAll(true);
+    try {
+      await onSelectAll();
+    } finally {
+      setSelectingAll(false);
+    }
+  };
+
+  const valueAction = VALUE_ACTIONS[mode];
+
+  return (
+    <div className="bulk-bar animate-slide-in">
+      <div className="flex items-center gap-3 flex-wrap">
+        <span className="font-semibold text-gray-900">{count} selected</span>
+        {count < Math.min(totalCount, MAX_BULK_POSTS) && (
+          <button
+            type="button"
+            onClick={handleSelectAll}
+            disabled={selectingAll}
+            className="btn btn-outline text-sm flex items-center gap-2"
+          >
+            <CheckSquare size={14} />
+            {selectingAll ? 'Selecting...' : `Select all ${Math.min(totalCount, MAX_BULK_POSTS)}`}
+          </button>
+        )}
+
+        <div className="flex items-center gap-2 flex-wrap ml-auto">
+          {canEdit && (
+            <>
+              <button
+                type="button"
+                onClick={() => openMode('set-category')}
+                disabled={working}
+                className="btn btn-outline text-sm flex items-center gap-2"
+              >
+                <Folder size={14} />
+                Category
+              </button>
+              <button
+                type="button"
+                onClick={() => openMode('add-tags')}
+                disabled={working}
+                className="btn btn-outline text-sm flex items-center gap-2"
+              >
+                <Tag size={14} />
+                Add tags
+              </button>
+              <button
+                type="button"
+                onClick={() => openMode('remove-tags')}
+                disabled={working}
+                className="btn btn-outline text-sm flex items-center gap-2"
+              >
+                <Tag size={14} />
+                Remove tags
+              </button>
+            </>
+          )}
+          <button
+            type="button"
+            onClick={() => openMode('export')}
+            disabled={working}
+            className="btn btn-outline text-sm flex items-center gap-2"
+          >
+            <Download size={14} />
+            Export
+          </button>
+          {canEdit && (
+            <button
+              type="button"
+              onClick={handleDelete}
+              disabled={working}
+              className="btn btn-outline text-sm flex items-center gap-2"
+            >
+              <Trash2 size={14} />
+              Delete
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={onClear}
+            className="p-1 text-gray-500 hover:text-gray-700 transition-colors"
+            title="Clear selection"
+          >
+            <X size={18} />
+          </button>
+        </div>
+      </div>
+
+      {valueAction && (
+        <form onSubmit={handleApply} className="flex items-center gap-2 mt-3">
+          <input
+            type="text"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            className="form-input flex-1"
+            placeholder={valueAction.placeholder}
+            list={valueAction.listId}
+            maxLength={mode === 'set-category' ? 50 : undefined}
+            autoFocus
+          />
+          <datalist id="bulk-categories">
+            {categories.map(category => <option key={category} value={category} />)}
+          </datalist>
+          <datalist id="bulk-tags">
+            {tags.map(tag => <option key={tag} value={tag} />)}
+          </datalist>
+          <button type="submit" disabled={working || !value.trim()} className="btn btn-primary text-sm">
+            {working ? 'Applying...' : valueAction.label}
+          </button>
+        </form>
+      )}
+
+      {mode === 'export' && (
+        <div className="flex items-center gap-2 mt-3 flex-wrap">
+          <span className="text-sm text-gray-600">Export {pluralize(count)} as</span>
+          {EXPORT_FORMATS.map(({ format, label }) => (
+            <button
+              key={format}
+              type="button"
+              onClick={() => handleExport(format)}
+              disabled={working}
+              className="btn btn-outline text-sm"
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkActionBar;
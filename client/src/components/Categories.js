@@ -0,0 +1,321 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { ArrowLeft, ChevronDown, ChevronUp, Pencil, Plus, Trash2 } from 'lucide-react';
+import { CATEGORY_COLORS, CATEGORY_ICONS, categoryBadgeStyle } from '../utils/categories';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+
+const emptyForm = { name: '', color: CATEGORY_COLORS[0], icon: 'folder' };
+
+const CategoryForm = ({ initial, onSubmit, onCancel }) => {
+  const [form, setForm] = useState(initial);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) return;
+    onSubmit({ ...form, name: form.name.trim() });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="p-2">
+      <input
+        type="text"
+        value={form.name}
+        onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+        className="form-input mb-2"
+        placeholder="Category name"
+        maxLength={50}
+        autoFocus
+      />
+      <div className="flex items-center gap-2 mb-2 flex-wrap">
+        {CATEGORY_COLORS.map(color => (
+          <button
+            key={color}
+            type="button"
+            onClick={() => setForm(prev => ({ ...prev, color }))}
+            className={`color-swatch ${form.color === color ? 'color-swatch-active' : ''}`}
+            style={{ background: color }}
+            title={color}
+          />
+        ))}
+      </div>
+      <div className="flex items-center gap-2 mb-2 flex-wrap">
+        {Object.entries(CATEGORY_ICONS).map(([name, Icon]) => (
+          <button
+            key={name}
+            type="button"
+            onClick={() => setForm(prev => ({ ...prev, icon: name }))}
+            className={`icon-option ${form.icon === name ? 'icon-option-active' : ''}`}
+            title={name}
+          >
+            <Icon size={14} />
+          </button>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <button type="submit" className="btn btn-primary text-sm">Save</button>
+        <button type="button" onClick={onCancel} className="btn btn-outline text-sm">Cancel</button>
+      </div>
+    </form>
+  );
+};
+
+const Categories = () => {
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // { mode: 'create' } or { mode: 'edit', category }
+  const [editing, setEditing] = useState(null);
+  // { category, moveTo } while choosing where a deleted category's copies go
+  const [deleting, setDeleting] = useState(null);
+
+  // Workspace viewers can see the categories but not change them
+  const { canEdit } = useWorkspace();
+
+  const navigate = useNavigate();
+
+  const fetchCategories = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/categories');
+      setCategories(response.data);
+    } catch (error) {
+      console.error('Error fetching categories:', error);
+      toast.error('Failed to load categories');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCategories();
+  }, [fetchCategories]);
+
+  const handleSave = async (form) => {
+    try {
+      if (editing.mode === 'create') {
+        await axios.post('/api/categories', form);
+        toast.success('Category created');
+      } else {
+        await axios.put(`/api/categories/${editing.category._id}`, form);
+        toast.success('Category updated');
+      }
+      setEditing(null);
+      fetchCategories();
+    } catch (error) {
+      console.error('Error saving category:', error);
+      const message = error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to save category';
+      toast.error(message);
+    }
+  };
+
+  const handleDelete = async (category, moveTo) => {
+    try {
+      const response = await axios.delete(`/api/categories/${category._id}`, { params: { moveTo } });
+      toast.success(response.data.message);
+      setDeleting(null);
+      fetchCategories();
+    } catch (error) {
+      console.error('Error deleting category:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete category');
+    }
+  };
+
+  const startDelete = (category) => {
+    const fallback = categories.find(item => item._id !== category._id);
+    if (!fallback) {
+      toast.error('You need at least one category');
+      return;
+    }
+
+    if (category.postCount === 0) {
+      if (window.confirm(`Delete "${category.name}"?`)) {
+        handleDelete(category, fallback._id);
+      }
+      return;
+    }
+
+    setEditing(null);
+    setDeleting({ category, moveTo: fallback._id });
+  };
+
+  // Swap a category's position with its neighbour
+  const handleMove = async (index, direction) => {
+    const target = categories[index + direction];
+    if (!target) return;
+
+    const current = categories[index];
+    try {
+      await Promise.all([
+        axios.put(`/api/categories/${current._id}`, { order: index + direction }),
+        axios.put(`/api/categories/${target._id}`, { order: index })
+      ]);
+      fetchCategories();
+    } catch (error) {
+      console.error('Error reordering categories:', error);
+      toast.error('Failed to reorder categories');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="flex items-center gap-4 mb-8">
+        <button
+          onClick={() => navigate('/dashboard')}
+          className="btn btn-outline flex items-center gap-2"
+        >
+          <ArrowLeft size={16} />
+          Back to Dashboard
+        </button>
+      </div>
+
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-2">Categories</h1>
+          <p className="text-gray-600 text-sm sm:text-base">
+            Renaming a category renames it on all of its copies
+          </p>
+        </div>
+        {canEdit && (
+          <button
+            onClick={() => {
+              setDeleting(null);
+              setEditing({ mode: 'create' });
+            }}
+            className="btn btn-primary flex items-center gap-2"
+          >
+            <Plus size={16} />
+            New Category
+          </button>
+        )}
+      </div>
+
+      {editing?.mode === 'create' && (
+        <div className="card mb-4">
+          <CategoryForm
+            initial={emptyForm}
+            onSubmit={handleSave}
+            onCancel={() => setEditing(null)}
+          />
+        </div>
+      )}
+
+      <ul className="card space-y-2">
+        {categories.map((category, index) => {
+          const Icon = CATEGORY_ICONS[category.icon] || CATEGORY_ICONS.folder;
+
+          if (editing?.mode === 'edit' && editing.category._id === category._id) {
+            return (
+              <li key={category._id} className="border rounded-lg">
+                <CategoryForm
+                  initial={{ name: category.name, color: category.color, icon: category.icon }}
+                  onSubmit={handleSave}
+                  onCancel={() => setEditing(null)}
+                />
+              </li>
+            );
+          }
+
+          return (
+            <li key={category._id} className="p-2 border rounded-lg">
+              <div className="flex items-center justify-between gap-3">
+                <div className="flex items-center gap-3 min-w-0">
+                  <span className="badge badge-category truncate" style={categoryBadgeStyle(category)}>
+                    <Icon size={12} className="mr-1" />
+                    {category.name}
+                  </span>
+                  <span className="text-sm text-gray-500 flex-shrink-0">
+                    {category.postCount} cop{category.postCount === 1 ? 'y' : 'ies'}
+                  </span>
+                </div>
+                {canEdit && (
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    <button
+                      type="button"
+                      onClick={() => handleMove(index, -1)}
+                      disabled={index === 0}
+                      className="p-1 text-gray-500 hover:text-gray-700 transition-colors"
+                      title="Move up"
+                    >
+                      <ChevronUp size={16} />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleMove(index, 1)}
+                      disabled={index === categories.length - 1}
+                      className="p-1 text-gray-500 hover:text-gray-700 transition-colors"
+                      title="Move down"
+                    >
+                      <ChevronDown size={16} />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setDeleting(null);
+                        setEditing({ mode: 'edit', category });
+                      }}
+                      className="p-1 text-gray-500 hover:text-green-600 transition-colors"
+                      title="Edit category"
+                    >
+                      <Pencil size={16} />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => startDelete(category)}
+                      className="p-1 text-gray-500 hover:text-red-600 transition-colors"
+                      title="Delete category"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              {deleting?.category._id === category._id && (
+                <div className="flex items-center gap-2 mt-3 flex-wrap">
+                  <span className="text-sm text-gray-600">
+                    Move its {category.postCount} cop{category.postCount === 1 ? 'y' : 'ies'} to
+                  </span>
+                  <select
+                    value={deleting.moveTo}
+                    onChange={(e) => setDeleting(prev => ({ ...prev, moveTo: e.target.value }))}
+                    className="form-input flex-1"
+                  >
+                    {categories
+                      .filter(item => item._id !== category._id)
+                      .map(item => (
+                        <option key={item._id} value={item._id}>{item.name}</option>
+                      ))}
+                  </select>
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(category, deleting.moveTo)}
+                    className="btn btn-primary text-sm"
+                  >
+                    Delete
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setDeleting(null)}
+                    className="btn btn-outline text-sm"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default Categories;
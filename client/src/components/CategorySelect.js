@@ -0,0 +1,63 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Folder } from 'lucide-react';
+import { CATEGORY_ICONS, undefinedCategory } from '../utils/categories';
+import { getCachedCategories } from '../offline/posts';
+import { isNetworkError } from '../offline/sync';
+
+// Picks one of the user's categories. With no value it selects the first one.
+const CategorySelect = ({ value, onChange }) => {
+  const [categories, setCategories] = useState([]);
+
+  useEffect(() => {
+    const fetchCategories = async () => {
+      try {
+        const response = await axios.get('/api/categories');
+        setCategories(response.data || []);
+      } catch (error) {
+        console.error('Error fetching categories:', error);
+        setCategories(isNetworkError(error) ? await getCachedCategories() : []);
+      }
+    };
+
+    fetchCategories();
+  }, []);
+
+  useEffect(() => {
+    if (!value && categories.length > 0) {
+      onChange(categories[0].name);
+    }
+  }, [value, categories, onChange]);
+
+  // Keep a post's category selectable even if it has no definition
+  const options = value && !categories.some(category => category.name === value)
+    ? [...categories, undefinedCategory(value)]
+    : categories;
+  const current = options.find(category => category.name === value);
+  const Icon = (current && CATEGORY_ICONS[current.icon]) || Folder;
+
+  return (
+    <div className="form-group">
+      <label htmlFor="category" className="form-label flex items-center gap-2">
+        <Icon size={16} style={current && { color: current.color }} />
+        Category
+      </label>
+      <select
+        id="category"
+        name="category"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="form-input"
+      >
+        {options.length === 0 && <option value={value}>{value || 'Loading...'}</option>}
+        {options.map(category => (
+          <option key={category.name} value={category.name}>
+            {category.name}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default CategorySelect;
@@ -0,0 +1,30 @@
+import React, { useMemo } from 'react';
+import 'highlight.js/styles/github.css';
+import { highlightCode } from '../utils/code';
+
+// Syntax-highlighted code, optionally with line numbers
+const CodeBlock = ({ code, language, lineNumbers = false, className = '' }) => {
+  const html = useMemo(() => highlightCode(code, language), [code, language]);
+  const lineCount = lineNumbers ? code.split('\n').length : 0;
+
+  return (
+    <div className={`code-block ${className}`}>
+      {lineNumbers && (
+        <div className="code-gutter" aria-hidden="true">
+          {Array.from({ length: lineCount }, (_, index) => (
+            <div key={index}>{index + 1}</div>
+          ))}
+        </div>
+      )}
+      <pre>
+        <code
+          className={`hljs language-${language}`}
+          // Escaped by highlight.js in highlightCode
+          dangerouslySetInnerHTML={{ __html: html }}
+        />
+      </pre>
+    </div>
+  );
+};
+
+export default CodeBlock;
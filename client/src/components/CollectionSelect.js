@@ -0,0 +1,49 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import axios from 'axios';
+import { FolderTree } from 'lucide-react';
+import { buildTree, flattenTree } from '../utils/collections';
+
+const CollectionSelect = ({ value, onChange }) => {
+  const [collections, setCollections] = useState([]);
+
+  useEffect(() => {
+    const fetchCollections = async () => {
+      try {
+        const response = await axios.get('/api/collections');
+        setCollections(response.data || []);
+      } catch (error) {
+        console.error('Error fetching collections:', error);
+        setCollections([]);
+      }
+    };
+
+    fetchCollections();
+  }, []);
+
+  const options = useMemo(() => flattenTree(buildTree(collections)), [collections]);
+
+  return (
+    <div className="form-group">
+      <label htmlFor="collectionId" className="form-label flex items-center gap-2">
+        <FolderTree size={16} />
+        Collection
+      </label>
+      <select
+        id="collectionId"
+        name="collectionId"
+        value={value || ''}
+        onChange={(e) => onChange(e.target.value || null)}
+        className="form-input"
+      >
+        <option value="">No collection</option>
+        {options.map((collection) => (
+          <option key={collection._id} value={collection._id}>
+            {`${'  '.repeat(collection.depth)}${collection.name}`}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default CollectionSelect;
@@ -0,0 +1,262 @@
+import React, { useState, useMemo } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { ChevronDown, ChevronRight, ChevronUp, FolderPlus, Inbox, Layers, Pencil, Trash2 } from 'lucide-react';
+import { buildTree, COLLECTION_ICONS, COLLECTION_COLORS } from '../utils/collections';
+
+const emptyForm = { name: '', color: COLLECTION_COLORS[0], icon: 'folder' };
+
+const CollectionForm = ({ initial, onSubmit, onCancel }) => {
+  const [form, setForm] = useState(initial);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) return;
+    onSubmit({ ...form, name: form.name.trim() });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="collection-form">
+      <input
+        type="text"
+        value={form.name}
+        onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+        className="form-input mb-2"
+        placeholder="Collection name"
+        maxLength={50}
+        autoFocus
+      />
+      <div className="flex items-center gap-2 mb-2 flex-wrap">
+        {COLLECTION_COLORS.map(color => (
+          <button
+            key={color}
+            type="button"
+            onClick={() => setForm(prev => ({ ...prev, color }))}
+            className={`color-swatch ${form.color === color ? 'color-swatch-active' : ''}`}
+            style={{ background: color }}
+            title={color}
+          />
+        ))}
+      </div>
+      <div className="flex items-center gap-2 mb-2 flex-wrap">
+        {Object.entries(COLLECTION_ICONS).map(([name, Icon]) => (
+          <button
+            key={name}
+            type="button"
+            onClick={() => setForm(prev => ({ ...prev, icon: name }))}
+            className={`icon-option ${form.icon === name ? 'icon-option-active' : ''}`}
+            title={name}
+          >
+            <Icon size={14} />
+          </button>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <button type="submit" className="btn btn-primary text-sm">Save</button>
+        <button type="button" onClick={onCancel} className="btn btn-outline text-sm">Cancel</button>
+      </div>
+    </form>
+  );
+};
+
+// canEdit is false for workspace viewers, who can browse but not organise
+const CollectionSidebar = ({ collections, selected, onSelect, onChange, canEdit = true }) => {
+  const [expanded, setExpanded] = useState({});
+  // { mode: 'create' | 'edit', parent?, collection? }
+  const [editing, setEditing] = useState(null);
+
+  const tree = useMemo(() => buildTree(collections), [collections]);
+
+  const handleSave = async (form) => {
+    try {
+      if (editing.mode === 'create') {
+        await axios.post('/api/collections', { ...form, parent: editing.parent });
+        if (editing.parent) {
+          setExpanded(prev => ({ ...prev, [editing.parent]: true }));
+        }
+        toast.success('Collection created');
+      } else {
+        await axios.put(`/api/collections/${editing.collection._id}`, form);
+        toast.success('Collection updated');
+      }
+      setEditing(null);
+      onChange();
+    } catch (error) {
+      console.error('Error saving collection:', error);
+      const message = error.response?.data?.message || 'Failed to save collection';
+      toast.error(message);
+    }
+  };
+
+  const handleDelete = async (collection) => {
+    if (!window.confirm(`Delete "${collection.name}"? Its copies and sub-collections move to the parent collection.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/collections/${collection._id}`);
+      if (selected === collection._id) {
+        onSelect(null);
+      }
+      toast.success('Collection deleted');
+      onChange();
+    } catch (error) {
+      console.error('Error deleting collection:', error);
+      toast.error('Failed to delete collection');
+    }
+  };
+
+  // Swap a collection's position with its neighbour among its siblings
+  const handleMove = async (siblings, index, direction) => {
+    const target = siblings[index + direction];
+    if (!target) return;
+
+    const current = siblings[index];
+    try {
+      await Promise.all([
+        axios.put(`/api/collections/${current._id}`, { order: index + direction }),
+        axios.put(`/api/collections/${target._id}`, { order: index })
+      ]);
+      onChange();
+    } catch (error) {
+      console.error('Error reordering collections:', error);
+      toast.error('Failed to reorder collections');
+    }
+  };
+
+  const handleMigrate = async () => {
+    try {
+      const response = await axios.post('/api/collections/migrate');
+      toast.success(response.data.message);
+      onChange();
+    } catch (error) {
+      console.error('Error migrating categories:', error);
+      toast.error('Failed to create collections from categories');
+    }
+  };
+
+  const renderNodes = (nodes, depth = 0) => nodes.map((node, index) => {
+    const Icon = COLLECTION_ICONS[node.icon] || COLLECTION_ICONS.folder;
+    const isExpanded = expanded[node._id];
+
+    return (
+      <li key={node._id}>
+        <div
+          className={`collection-item ${selected === node._id ? 'collection-item-active' : ''}`}
+          style={{ paddingLeft: `${0.5 + depth * 1}rem` }}
+        >
+          <button
+            type="button"
+            onClick={() => setExpanded(prev => ({ ...prev, [node._id]: !isExpanded }))}
+            className={`collection-toggle ${node.children.length === 0 ? 'invisible' : ''}`}
+            title={isExpanded ? 'Collapse' : 'Expand'}
+          >
+            {isExpanded ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+          </button>
+          <button
+            type="button"
+            onClick={() => onSelect(node._id)}
+            className="collection-name"
+          >
+            <Icon size={14} style={{ color: node.color }} />
+            <span>{node.name}</span>
+            <span className="text-xs text-gray-500">{node.postCount}</span>
+          </button>
+          {canEdit && (
+            <div className="collection-actions">
+              <button type="button" onClick={() => handleMove(nodes, index, -1)} title="Move up" disabled={index === 0}>
+                <ChevronUp size={12} />
+              </button>
+              <button type="button" onClick={() => handleMove(nodes, index, 1)} title="Move down" disabled={index === nodes.length - 1}>
+                <ChevronDown size={12} />
+              </button>
+              <button type="button" onClick={() => setEditing({ mode: 'create', parent: node._id })} title="Add sub-collection">
+                <FolderPlus size={12} />
+              </button>
+              <button type="button" onClick={() => setEditing({ mode: 'edit', collection: node })} title="Edit collection">
+                <Pencil size={12} />
+              </button>
+              <button type="button" onClick={() => handleDelete(node)} title="Delete collection">
+                <Trash2 size={12} />
+              </button>
+            </div>
+          )}
+        </div>
+        {editing?.mode === 'edit' && editing.collection._id === node._id && (
+          <CollectionForm
+            initial={{ name: node.name, color: node.color, icon: node.icon }}
+            onSubmit={handleSave}
+            onCancel={() => setEditing(null)}
+          />
+        )}
+        {editing?.mode === 'create' && editing.parent === node._id && (
+          <CollectionForm
+            initial={emptyForm}
+            onSubmit={handleSave}
+            onCancel={() => setEditing(null)}
+          />
+        )}
+        {isExpanded && node.children.length > 0 && (
+          <ul>{renderNodes(node.children, depth + 1)}</ul>
+        )}
+      </li>
+    );
+  });
+
+  return (
+    <aside className="collection-sidebar bg-white p-4 rounded-lg shadow border">
+      <div className="flex justify-between items-center mb-3">
+        <h2 className="form-label mb-0">Collections</h2>
+        {canEdit && (
+          <button
+            type="button"
+            onClick={() => setEditing({ mode: 'create', parent: null })}
+            className="p-1 text-gray-500 hover:text-blue-600 transition-colors"
+            title="New collection"
+          >
+            <FolderPlus size={16} />
+          </button>
+        )}
+      </div>
+
+      <ul>
+        <li>
+          <div className={`collection-item ${selected === null ? 'collection-item-active' : ''}`}>
+            <button type="button" onClick={() => onSelect(null)} className="collection-name">
+              <Layers size={14} />
+              <span>All copies</span>
+            </button>
+          </div>
+        </li>
+        <li>
+          <div className={`collection-item ${selected === 'none' ? 'collection-item-active' : ''}`}>
+            <button type="button" onClick={() => onSelect('none')} className="collection-name">
+              <Inbox size={14} />
+              <span>Unsorted</span>
+            </button>
+          </div>
+        </li>
+        {renderNodes(tree)}
+      </ul>
+
+      {editing?.mode === 'create' && editing.parent === null && (
+        <CollectionForm
+          initial={emptyForm}
+          onSubmit={handleSave}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      {collections.length === 0 && !editing && canEdit && (
+        <div className="mt-4">
+          <p className="text-gray-600 text-sm mb-2">Organise your copies into nested collections.</p>
+          <button type="button" onClick={handleMigrate} className="btn btn-outline text-sm w-full">
+            Create from categories
+          </button>
+        </div>
+      )}
+    </aside>
+  );
+};
+
+export default CollectionSidebar;
@@ -0,0 +1,424 @@
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import {
+  Plus, LayoutDashboard, Trash2, Tag, Folder, User, Users, ShieldCheck, KeyRound, Keyboard, LogOut, FileText, Search
+} from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import Highlight from './Highlight';
+import TemplateFillDialog from './TemplateFillDialog';
+import { copyContent, getCopyFormat, trackCopy } from '../utils/clipboard';
+import { hasVariables } from '../utils/template';
+import { fuzzySearch, highlightSegments } from '../utils/fuzzy';
+import {
+  GLOBAL_SHORTCUTS, PALETTE_SHORTCUTS, keyLabel, hasModKey, isTypingTarget
+} from '../utils/shortcuts';
+import { deletePost } from '../offline/posts';
+import { canWorkOffline, getCachedPosts, isNetworkError, confirmDiscardUnsynced } from '../offline/sync';
+import { announceLocalChange } from '../live/events';
+
+const PAGE_SIZE = 100;
+// Posts fetched from the server when there is no offline copy to search
+const MAX_POSTS = 1000;
+const MAX_RESULTS = 50;
+
+// Title matches count the most, then tags and category, then the content
+const POST_FIELDS = [
+  [post => post.title, 3],
+  [post => post.tags.join(' '), 2],
+  [post => post.category || '', 2],
+  [post => post.content.slice(0, 2000), 1]
+];
+
+const COMMAND_FIELDS = [[command => command.label, 3], [command => command.keywords || '', 1]];
+
+const byLastUse = (a, b) => (
+  new Date(b.lastCopiedAt || b.createdAt).getTime() - new Date(a.lastCopiedAt || a.createdAt).getTime()
+);
+
+// Search the offline copy when there is one, since it has every post
+const loadPosts = async () => {
+  const cached = canWorkOffline() ? await getCachedPosts() : [];
+  if (cached.length > 0) return cached;
+
+  let posts = [];
+  let cursor = null;
+  try {
+    do {
+      const response = await axios.get('/api/posts', {
+        params: { limit: PAGE_SIZE, cursor: cursor || undefined }
+      });
+      posts = posts.concat(response.data);
+      cursor = response.headers['x-next-cursor'] || null;
+    } while (cursor && posts.length < MAX_POSTS);
+  } catch (error) {
+    console.error('Error loading posts for the command palette:', error);
+    if (!isNetworkError(error)) {
+      toast.error('Failed to load copies');
+    }
+  }
+  return posts;
+};
+
+const Keys = ({ keys }) => (
+  <span className="flex items-center gap-1 flex-shrink-0">
+    {keys.map(key => <kbd key={key} className="kbd">{keyLabel(key)}</kbd>)}
+  </span>
+);
+
+const ShortcutList = ({ title, shortcuts }) => (
+  <div className="mb-4">
+    <h3 className="command-section">{title}</h3>
+    <ul className="space-y-2">
+      {shortcuts.map(({ keys, description }) => (
+        <li key={description} className="flex justify-between items-center gap-3 text-sm text-gray-700">
+          {description}
+          <Keys keys={keys} />
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+// Global Cmd/Ctrl+K palette for finding and copying posts without the mouse,
+// plus navigation commands and the app's other keyboard shortcuts
+const CommandPalette = () => {
+  // null when closed, otherwise 'search' or 'help'
+  const [mode, setMode] = useState(null);
+  const [query, setQuery] = useState('');
+  const [posts, setPosts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [templatePost, setTemplatePost] = useState(null);
+
+  const { logout } = useAuth();
+  // Workspace viewers cannot create, edit or delete posts
+  const { canEdit } = useWorkspace();
+  const navigate = useNavigate();
+  const listRef = useRef(null);
+
+  const open = useCallback((nextMode = 'search') => {
+    setQuery('');
+    setActiveIndex(0);
+    setMode(nextMode);
+  }, []);
+
+  const close = useCallback(() => setMode(null), []);
+
+  const commands = useMemo(() => [
+    canEdit && { id: 'new', label: 'New Copy', icon: Plus, keys: ['N'], run: () => navigate('/create') },
+    { id: 'dashboard', label: 'Go to Dashboard', icon: LayoutDashboard, keywords: 'home', run: () => navigate('/dashboard') },
+    canEdit && { id: 'trash', label: 'Go to Trash', icon: Trash2, keywords: 'deleted restore', run: () => navigate('/trash') },
+    { id: 'tags', label: 'Manage Tags', icon: Tag, run: () => navigate('/tags') },
+    { id: 'categories', label: 'Manage Categories', icon: Folder, run: () => navigate('/categories') },
+    { id: 'workspaces', label: 'Workspaces', icon: Users, keywords: 'team members invites switch', run: () => navigate('/workspaces') },
+    { id: 'account', label: 'Account', icon: User, keywords: 'profile settings', run: () => navigate('/account') },
+    { id: 'security', label: 'Security', icon: ShieldCheck, keywords: '2fa two-factor sessions devices', run: () => navigate('/account/security') },
+    { id: 'api-keys', label: 'API Keys', icon: KeyRound, keywords: 'tokens', run: () => navigate('/account/api-keys') },
+    { id: 'shortcuts', label: 'Keyboard Shortcuts', icon: Keyboard, keys: ['?'], keywords: 'help keys', run: () => open('help') },
+    {
+      id: 'logout',
+      label: 'Logout',
+      icon: LogOut,
+      keywords: 'sign out',
+      run: () => {
+        if (!confirmDiscardUnsynced()) return;
+        logout();
+        navigate('/login');
+      }
+    }
+  ].filter(Boolean), [canEdit, navigate, logout, open]);
+
+  // Global shortcuts
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (hasModKey(e) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        if (mode) {
+          close();
+        } else {
+          open();
+        }
+        return;
+      }
+
+      if (mode || e.metaKey || e.ctrlKey || e.altKey || isTypingTarget(e.target)) return;
+      // Leave other dialogs alone
+      if (document.querySelector('.modal-overlay')) return;
+
+      if (e.key === '/') {
+        e.preventDefault();
+        open();
+      } else if (e.key === '?') {
+        e.preventDefault();
+        open('help');
+      } else if ((e.key === 'n' || e.key === 'N') && canEdit) {
+        e.preventDefault();
+        navigate('/create');
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [mode, open, close, navigate, canEdit]);
+
+  // Load posts each time the palette opens, so it reflects recent changes
+  useEffect(() => {
+    if (mode !== 'search') return;
+
+    let cancelled = false;
+    setLoading(true);
+    loadPosts().then((loaded) => {
+      if (!cancelled) {
+        setPosts([...loaded].sort(byLastUse));
+        setLoading(false);
+      }
+    });
+    return () => { cancelled = true; };
+  }, [mode]);
+
+  const commandsOnly = query.startsWith('>');
+  const search = commandsOnly ? query.slice(1) : query;
+
+  const results = useMemo(() => {
+    const commandResults = fuzzySearch(commands, search, COMMAND_FIELDS, commands.length)
+      .map(result => ({ ...result, type: 'command' }));
+    if (commandsOnly) return commandResults;
+    // Without a query, show the most recently used posts first and commands after
+    if (!search.trim()) {
+      return [
+        ...fuzzySearch(posts, '', POST_FIELDS, MAX_RESULTS).map(result => ({ ...result, type: 'post' })),
+        ...commandResults
+      ];
+    }
+    return [
+      ...commandResults.slice(0, 3),
+      ...fuzzySearch(posts, search, POST_FIELDS, MAX_RESULTS).map(result => ({ ...result, type: 'post' }))
+    ];
+  }, [commands, posts, search, commandsOnly]);
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [query]);
+
+  // Keep the active result in view
+  useEffect(() => {
+    const active = listRef.current?.querySelector('[aria-selected="true"]');
+    active?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const copyPost = async (post, content) => {
+    try {
+      await copyContent(content, getCopyFormat(), post.language);
+      toast.success('Copied to clipboard!');
+    } catch (error) {
+      console.error('Failed to copy:', error);
+      toast.error('Failed to copy to clipboard');
+      return;
+    }
+
+    const usage = await trackCopy(post._id);
+    if (usage) {
+      announceLocalChange({ type: 'post.updated', post: { ...post, ...usage } });
+    }
+  };
+
+  const restorePost = async (postId) => {
+    try {
+      await axios.post(`/api/trash/${postId}/restore`);
+      toast.success('Post restored');
+      announceLocalChange({ type: 'posts.changed' });
+    } catch (error) {
+      console.error('Error restoring post:', error);
+      toast.error('Failed to restore post');
+    }
+  };
+
+  const trashPost = async (post) => {
+    try {
+      const { queued } = await deletePost(post._id);
+      announceLocalChange({ type: 'post.deleted', postId: post._id });
+
+      if (queued) {
+        toast.success('Moved to trash. It will sync when you are back online.');
+        return;
+      }
+
+      toast.success((t) => (
+        <span className="flex items-center gap-3">
+          Moved to trash
+          <button
+            type="button"
+            onClick={() => {
+              toast.dismiss(t.id);
+              restorePost(post._id);
+            }}
+            className="toast-action"
+          >
+            Undo
+          </button>
+        </span>
+      ), { duration: 6000 });
+    } catch (error) {
+      console.error('Error deleting post:', error);
+      toast.error('Failed to delete post');
+    }
+  };
+
+  const runResult = (result, e = {}) => {
+    if (result.type === 'command') {
+      close();
+      result.item.run();
+      return;
+    }
+
+    const post = result.item;
+    close();
+
+    if (hasModKey(e) && e.key === 'Backspace') {
+      if (canEdit) {
+        trashPost(post);
+      }
+    } else if (hasModKey(e) || (e.shiftKey && !canEdit)) {
+      navigate(`/posts/${post._id}`);
+    } else if (e.shiftKey) {
+      navigate(`/edit/${post._id}`);
+    } else if (hasVariables(post.content)) {
+      // Posts with {{placeholders}} are filled in before copying
+      setTemplatePost(post);
+    } else {
+      copyPost(post, post.content);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      close();
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(index => Math.min(index + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(index => Math.max(index - 1, 0));
+    } else if (e.key === 'Enter' && results[activeIndex]) {
+      e.preventDefault();
+      runResult(results[activeIndex], e);
+    } else if (e.key === 'Backspace' && hasModKey(e) && results[activeIndex]?.type === 'post') {
+      e.preventDefault();
+      runResult(results[activeIndex], e);
+    }
+  };
+
+  const renderResult = (result, index) => {
+    const active = index === activeIndex;
+    const itemProps = {
+      role: 'option',
+      'aria-selected': active,
+      className: `command-item ${active ? 'command-item-active' : ''}`,
+      onMouseMove: () => setActiveIndex(index),
+      onClick: (e) => runResult(result, { shiftKey: e.shiftKey, metaKey: e.metaKey, ctrlKey: e.ctrlKey })
+    };
+
+    if (result.type === 'command') {
+      const { icon: Icon, label, keys } = result.item;
+      return (
+        <li key={`command-${result.item.id}`} {...itemProps}>
+          <Icon size={16} className="text-gray-500 flex-shrink-0" />
+          <span className="flex-1 truncate">
+            <Highlight segments={highlightSegments(label, result.field === 0 ? result.indices : [])} />
+          </span>
+          {keys && <Keys keys={keys} />}
+        </li>
+      );
+    }
+
+    const post = result.item;
+    return (
+      <li key={`post-${post._id}`} {...itemProps}>
+        <FileText size={16} className="text-gray-500 flex-shrink-0" />
+        <span className="flex-1 min-w-0">
+          <span className="block truncate font-medium text-gray-900">
+            <Highlight segments={highlightSegments(post.title, result.field === 0 ? result.indices : [])} />
+          </span>
+          <span className="block truncate text-xs text-gray-500">
+            {[post.category, ...post.tags.map(tag => `#${tag}`)].filter(Boolean).join(' · ')}
+          </span>
+        </span>
+        {active && <span className="text-xs text-gray-500 flex-shrink-0">Enter to copy</span>}
+      </li>
+    );
+  };
+
+  return (
+    <>
+      {mode && (
+        <div className="modal-overlay command-palette-overlay" onClick={close}>
+          <div
+            className="command-palette card animate-fade-in"
+            role="dialog"
+            aria-label={mode === 'help' ? 'Keyboard shortcuts' : 'Command palette'}
+            onClick={(e) => e.stopPropagation()}
+          >
+            {mode === 'help' ? (
+              <div onKeyDown={(e) => e.key === 'Escape' && close()}>
+                <div className="flex justify-between items-center mb-4">
+                  <h2 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+                    <Keyboard size={20} />
+                    Keyboard Shortcuts
+                  </h2>
+                  <button type="button" onClick={close} className="btn btn-outline text-sm" autoFocus>
+                    Close
+                  </button>
+                </div>
+                <ShortcutList title="Anywhere" shortcuts={GLOBAL_SHORTCUTS} />
+                <ShortcutList title="In the command palette" shortcuts={PALETTE_SHORTCUTS} />
+              </div>
+            ) : (
+              <>
+                <div className="relative">
+                  <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
+                  <input
+                    type="text"
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    onKeyDown={handleKeyDown}
+                    className="form-input pl-10 w-full"
+                    placeholder="Search copies, or type > for commands"
+                    role="combobox"
+                    aria-expanded="true"
+                    aria-controls="command-results"
+                    autoFocus
+                  />
+                </div>
+                <ul id="command-results" role="listbox" ref={listRef} className="command-list">
+                  {results.map(renderResult)}
+                  {loading && <li className="text-sm text-gray-500 p-3">Loading copies...</li>}
+                  {!loading && results.length === 0 && <li className="text-sm text-gray-500 p-3">No matches</li>}
+                </ul>
+                <div className="command-footer">
+                  {canEdit && <span className="flex items-center gap-1"><Keys keys={['Shift', 'Enter']} /> edit</span>}
+                  <span className="flex items-center gap-1"><Keys keys={['Mod', 'Enter']} /> open</span>
+                  {canEdit && <span className="flex items-center gap-1"><Keys keys={['Mod', 'Backspace']} /> delete</span>}
+                  <span className="flex items-center gap-1"><Keys keys={['>']} /> commands</span>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {templatePost && (
+        <TemplateFillDialog
+          post={templatePost}
+          onCopy={(content) => copyPost(templatePost, content)}
+          onClose={() => setTemplatePost(null)}
+        />
+      )}
+    </>
+  );
+};
+
+export default CommandPalette;
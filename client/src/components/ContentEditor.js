@@ -0,0 +1,178 @@
+import React, { useState, useRef, useEffect, useLayoutEffect } from 'react';
+import axios from 'axios';
+import { Eye, EyeOff } from 'lucide-react';
+import MarkdownPreview from './MarkdownPreview';
+import CodeBlock from './CodeBlock';
+import { LANGUAGES, languageLabel, indentText } from '../utils/code';
+import { isNetworkError } from '../offline/sync';
+
+// Content textarea with an optional live preview pane. language is 'auto',
+// '' for Markdown text or a language name; detectedLanguage is what the
+// server last detected for the post. Code snippets get a code editor with
+// line numbers and Tab indentation.
+const ContentEditor = ({ value, onChange, error, language = 'auto', detectedLanguage: savedLanguage = null, onLanguageChange }) => {
+  const [showPreview, setShowPreview] = useState(false);
+  // The server detects the language again as the content changes, so new
+  // posts get the code editor before their first save
+  const [detectedLanguage, setDetectedLanguage] = useState(savedLanguage);
+  const textareaRef = useRef(null);
+  const gutterRef = useRef(null);
+  // Selection to restore once an indent has re-rendered the textarea
+  const pendingSelection = useRef(null);
+  // Tab indents in the code editor; Esc then Tab moves focus on instead
+  const escapePressed = useRef(false);
+
+  const codeLanguage = language === 'auto' ? detectedLanguage : language || null;
+
+  // Detect again once typing pauses. Offline, the last detection is kept.
+  useEffect(() => {
+    if (!value.trim()) {
+      setDetectedLanguage(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await axios.post('/api/posts/detect-language', { content: value });
+        if (!cancelled) {
+          setDetectedLanguage(response.data.language);
+        }
+      } catch (error) {
+        if (!isNetworkError(error)) {
+          console.error('Error detecting language:', error);
+        }
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [value]);
+
+  useLayoutEffect(() => {
+    if (pendingSelection.current && textareaRef.current) {
+      const { start, end } = pendingSelection.current;
+      textareaRef.current.setSelectionRange(start, end);
+      pendingSelection.current = null;
+    }
+  }, [value]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      escapePressed.current = true;
+      return;
+    }
+    if (e.key !== 'Tab' || escapePressed.current) {
+      escapePressed.current = false;
+      return;
+    }
+
+    e.preventDefault();
+    const { selectionStart, selectionEnd } = e.target;
+    const result = indentText(value, selectionStart, selectionEnd, e.shiftKey);
+    pendingSelection.current = result;
+    onChange({ target: { name: 'content', value: result.text } });
+  };
+
+  const handleScroll = (e) => {
+    if (gutterRef.current) {
+      gutterRef.current.scrollTop = e.target.scrollTop;
+    }
+  };
+
+  const lineCount = value.split('\n').length;
+
+  return (
+    <div className="form-group">
+      <div className="flex justify-between items-center gap-2">
+        <label htmlFor="content" className="form-label">
+          Content
+        </label>
+        <div className="flex items-center gap-3 mb-3">
+          {onLanguageChange && (
+            <select
+              value={language}
+              onChange={(e) => onLanguageChange(e.target.value)}
+              className="editor-language text-sm"
+              aria-label="Content format"
+            >
+              <option value="auto">
+                {detectedLanguage ? `Auto-detect (${languageLabel(detectedLanguage)})` : 'Auto-detect'}
+              </option>
+              <option value="">Markdown text</option>
+              {LANGUAGES.map(item => (
+                <option key={item.value} value={item.value}>{item.label}</option>
+              ))}
+            </select>
+          )}
+          <button
+            type="button"
+            onClick={() => setShowPreview(!showPreview)}
+            className="flex items-center gap-1 text-sm text-gray-600 hover:text-blue-600 editor-toggle"
+          >
+            {showPreview ? <EyeOff size={14} /> : <Eye size={14} />}
+            {showPreview ? 'Hide preview' : 'Preview'}
+          </button>
+        </div>
+      </div>
+      <div className={showPreview ? 'editor-split' : ''}>
+        {codeLanguage ? (
+          <div className={`code-editor ${error ? 'border-red-500' : ''}`}>
+            <div className="code-gutter" ref={gutterRef} aria-hidden="true">
+              {Array.from({ length: lineCount }, (_, index) => (
+                <div key={index}>{index + 1}</div>
+              ))}
+            </div>
+            <textarea
+              ref={textareaRef}
+              id="content"
+              name="content"
+              value={value}
+              onChange={onChange}
+              onKeyDown={handleKeyDown}
+              onScroll={handleScroll}
+              className="code-textarea"
+              placeholder="Paste or write your code here..."
+              rows={12}
+              maxLength={10000}
+              wrap="off"
+              spellCheck={false}
+              autoCapitalize="off"
+              autoComplete="off"
+            />
+          </div>
+        ) : (
+          <textarea
+            id="content"
+            name="content"
+            value={value}
+            onChange={onChange}
+            className={`form-textarea ${error ? 'border-red-500' : ''}`}
+            placeholder="Write your post content here... Markdown is supported."
+            rows={12}
+            maxLength={10000}
+          />
+        )}
+        {showPreview && (
+          <div className="editor-preview">
+            {!value.trim() && <p className="text-gray-500 text-sm">Nothing to preview yet</p>}
+            {value.trim() && (codeLanguage
+              ? <CodeBlock code={value} language={codeLanguage} />
+              : <MarkdownPreview content={value} />)}
+          </div>
+        )}
+      </div>
+      {error && (
+        <p className="text-red-500 text-sm mt-1">{error}</p>
+      )}
+      <p className="text-gray-500 text-sm mt-1">
+        {value.length}/10000 characters
+        {codeLanguage && ' · Tab indents, Shift+Tab outdents, Esc then Tab leaves the editor'}
+      </p>
+    </div>
+  );
+};
+
+export default ContentEditor;
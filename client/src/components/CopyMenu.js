@@ -0,0 +1,70 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Copy, ChevronDown } from 'lucide-react';
+import { COPY_FORMATS, getCopyFormat, setCopyFormat } from '../utils/clipboard';
+
+// Copy button with a dropdown to pick Markdown, plain text or rich text.
+// The last format picked becomes the default for one-click copies.
+const CopyMenu = ({ onCopy, size = 16, label = null, className = '' }) => {
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  const handleSelect = (format) => {
+    setCopyFormat(format);
+    setOpen(false);
+    onCopy(format);
+  };
+
+  const currentFormat = COPY_FORMATS.find(({ value }) => value === getCopyFormat());
+
+  return (
+    <div className={`copy-menu ${className}`} ref={menuRef}>
+      <button
+        type="button"
+        onClick={() => onCopy(getCopyFormat())}
+        className={label ? 'btn btn-primary flex items-center gap-2' : 'p-1 text-gray-500 hover:text-blue-600 transition-colors'}
+        title={`Copy as ${currentFormat.label.toLowerCase()}`}
+      >
+        <Copy size={size} />
+        {label}
+      </button>
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="copy-menu-toggle text-gray-500 hover:text-blue-600"
+        title="Choose copy format"
+      >
+        <ChevronDown size={12} />
+      </button>
+      {open && (
+        <ul className="copy-menu-list">
+          {COPY_FORMATS.map(({ value, label: formatLabel }) => (
+            <li key={value}>
+              <button
+                type="button"
+                onClick={() => handleSelect(value)}
+                className={value === currentFormat.value ? 'font-semibold' : ''}
+              >
+                Copy as {formatLabel.toLowerCase()}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default CopyMenu;
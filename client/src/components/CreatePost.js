@@ -1,22 +1,31 @@
-import React, { useState } from 'react';
+import React, { useState, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
-import axios from 'axios';
 import toast from 'react-hot-toast';
-import { ArrowLeft, Save, Tag, Folder } from 'lucide-react';
+import { ArrowLeft, Save } from 'lucide-react';
+import CategorySelect from './CategorySelect';
+import CollectionSelect from './CollectionSelect';
+import ContentEditor from './ContentEditor';
+import TagInput from './TagInput';
+import { createPost } from '../offline/posts';
 
 const CreatePost = () => {
   const [formData, setFormData] = useState({
     title: '',
     content: '',
-    category: 'General',
-    tags: []
+    category: '',
+    tags: [],
+    collectionId: null,
+    language: 'auto'
   });
-  const [tagInput, setTagInput] = useState('');
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
 
   const navigate = useNavigate();
 
+  const handleCategoryChange = useCallback((category) => {
+    setFormData(prev => ({ ...prev, category }));
+  }, []);
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -32,30 +41,6 @@ const CreatePost = () => {
     }
   };
 
-  const handleAddTag = () => {
-    if (tagInput.trim() && !formData.tags.includes(tagInput.trim())) {
-      setFormData(prev => ({
-        ...prev,
-        tags: [...prev.tags, tagInput.trim()]
-      }));
-      setTagInput('');
-    }
-  };
-
-  const handleRemoveTag = (tagToRemove) => {
-    setFormData(prev => ({
-      ...prev,
-      tags: prev.tags.filter(tag => tag !== tagToRemove)
-    }));
-  };
-
-  const handleKeyPress = (e) => {
-    if (e.key === 'Enter') {
-      e.preventDefault();
-      handleAddTag();
-    }
-  };
-
   const validateForm = () => {
     const newErrors = {};
 
@@ -82,8 +67,8 @@ const CreatePost = () => {
 
     setLoading(true);
     try {
-      await axios.post('/api/posts', formData);
-      toast.success('Post created successfully!');
+      const { queued } = await createPost(formData);
+      toast.success(queued ? 'Saved offline. It will sync when you are back online.' : 'Post created successfully!');
       navigate('/dashboard');
     } catch (error) {
       console.error('Error creating post:', error);
@@ -145,95 +130,28 @@ const CreatePost = () => {
             </p>
           </div>
 
-          <div className="form-group">
-            <label htmlFor="category" className="form-label flex items-center gap-2">
-              <Folder size={16} />
-              Category
-            </label>
-            <select
-              id="category"
-              name="category"
-              value={formData.category}
-              onChange={handleChange}
-              className="form-input"
-            >
-              <option value="General">General</option>
-              <option value="Work">Work</option>
-              <option value="Personal">Personal</option>
-              <option value="Ideas">Ideas</option>
-              <option value="Notes">Notes</option>
-              <option value="Projects">Projects</option>
-              <option value="Learning">Learning</option>
-              <option value="Other">Other</option>
-            </select>
-          </div>
-
-          <div className="form-group">
-            <label htmlFor="tags" className="form-label flex items-center gap-2">
-              <Tag size={16} />
-              Tags
-            </label>
-            <div className="flex gap-2 mb-2">
-              <input
-                type="text"
-                value={tagInput}
-                onChange={(e) => setTagInput(e.target.value)}
-                onKeyPress={handleKeyPress}
-                className="form-input flex-1"
-                placeholder="Add a tag and press Enter"
-                maxLength={30}
-              />
-              <button
-                type="button"
-                onClick={handleAddTag}
-                className="btn btn-outline"
-                disabled={!tagInput.trim()}
-              >
-                Add
-              </button>
-            </div>
-            {formData.tags.length > 0 && (
-              <div className="flex flex-wrap gap-2">
-                {formData.tags.map((tag, index) => (
-                  <span
-                    key={index}
-                    className="badge badge-tag flex items-center gap-1"
-                  >
-                    {tag}
-                    <button
-                      type="button"
-                      onClick={() => handleRemoveTag(tag)}
-                      className="text-blue-700 hover:text-blue-900 font-bold"
-                    >
-                      ×
-                    </button>
-                  </span>
-                ))}
-              </div>
-            )}
-          </div>
-
-          <div className="form-group">
-            <label htmlFor="content" className="form-label">
-              Content
-            </label>
-            <textarea
-              id="content"
-              name="content"
-              value={formData.content}
-              onChange={handleChange}
-              className={`form-textarea ${errors.content ? 'border-red-500' : ''}`}
-              placeholder="Write your post content here..."
-              rows={12}
-              maxLength={10000}
-            />
-            {errors.content && (
-              <p className="text-red-500 text-sm mt-1">{errors.content}</p>
-            )}
-            <p className="text-gray-500 text-sm mt-1">
-              {formData.content.length}/10000 characters
-            </p>
-          </div>
+          <CategorySelect
+            value={formData.category}
+            onChange={handleCategoryChange}
+          />
+
+          <CollectionSelect
+            value={formData.collectionId}
+            onChange={(collectionId) => setFormData(prev => ({ ...prev, collectionId }))}
+          />
+
+          <TagInput
+            value={formData.tags}
+            onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
+          />
+
+          <ContentEditor
+            value={formData.content}
+            onChange={handleChange}
+            error={errors.content}
+            language={formData.language}
+            onLanguageChange={(language) => setFormData(prev => ({ ...prev, language }))}
+          />
 
           <div className="flex flex-col sm:flex-row items-stretch sm:items-center gap-3 sm:gap-4 pt-4">
             <button
@@ -1,10 +1,44 @@
-import React, { useState, useEffect, useMemo, useCallback, memo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef, memo } from 'react';
 import { Link } from 'react-router-dom';
 import axios from 'axios';
 import toast from 'react-hot-toast';
-import { Plus, Copy, Edit, Trash2, Calendar, Search, Filter, Tag, Folder } from 'lucide-react';
+import { Plus, Edit, Trash2, Calendar, Search, Filter, Tag, Folder, Share2, Link2, ArrowUpDown, Copy, Clock, CloudOff, WifiOff, Code } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { useWorkspace } from '../contexts/WorkspaceContext';
 import API_CONFIG from '../config/api';
+import TemplateFillDialog from './TemplateFillDialog';
+import ShareDialog from './ShareDialog';
+import ShareLinksPanel from './ShareLinksPanel';
+import CollectionSidebar from './CollectionSidebar';
+import Highlight from './Highlight';
+import CodeBlock from './CodeBlock';
+import ImportExportDialog from './ImportExportDialog';
+import CopyMenu from './CopyMenu';
+import BulkActionBar, { MAX_BULK_POSTS } from './BulkActionBar';
+import { hasVariables } from '../utils/template';
+import { copyContent, trackCopy } from '../utils/clipboard';
+import { markdownToPlainText } from '../utils/markdown';
+import { LANGUAGES, languageLabel } from '../utils/code';
+import { CATEGORY_ICONS, categoryBadgeStyle } from '../utils/categories';
+import { deletePost, queryCachedPosts, getCachedCategories, getCachedTags, getCachedCollections } from '../offline/posts';
+import { isNetworkError, useSyncStatus } from '../offline/sync';
+import { useLiveEvents } from '../live/events';
+
+const PAGE_SIZE = 20;
+const RECENT_COPIES = 8;
+// Lines of a code snippet shown on its card
+const CODE_PREVIEW_LINES = 6;
+
+const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest' },
+  { value: 'most-copied', label: 'Most copied' },
+  { value: 'recently-copied', label: 'Recently copied' }
+];
+
+const CategoryIcon = ({ category }) => {
+  const Icon = CATEGORY_ICONS[category?.icon];
+  return Icon ? <Icon size={12} className="mr-1" /> : null;
+};
 
 const Dashboard = () => {
   const [posts, setPosts] = useState([]);
@@ -14,61 +48,219 @@ const Dashboard = () => {
   const [tags, setTags] = useState([]);
   const [selectedCategory, setSelectedCategory] = useState('All');
   const [selectedTag, setSelectedTag] = useState('');
+  // A language name, 'none' for Markdown text or '' for everything
+  const [selectedLanguage, setSelectedLanguage] = useState('');
   const [showFilters, setShowFilters] = useState(false);
+  // { post, format } while the template fill-in dialog is open
+  const [templateCopy, setTemplateCopy] = useState(null);
+  const [sharePost, setSharePost] = useState(null);
+  const [showShareLinks, setShowShareLinks] = useState(false);
+  const [collections, setCollections] = useState([]);
+  const [selectedCollection, setSelectedCollection] = useState(null);
+  const [showImportExport, setShowImportExport] = useState(false);
+  const [sortOrder, setSortOrder] = useState('newest');
+  const [recentPosts, setRecentPosts] = useState([]);
+  // True while the list comes from the offline copy
+  const [showingCached, setShowingCached] = useState(false);
   const { user, token } = useAuth();
+  // Workspace viewers can read and copy posts but not change them
+  const { current: workspace, canEdit } = useWorkspace();
+  // Changes when queued offline edits reach the server
+  const { revision: syncRevision } = useSyncStatus();
+
+  const [totalCount, setTotalCount] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const requestId = useRef(0);
+  const sentinelRef = useRef(null);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  // Index of the last post clicked, where shift-click ranges start
+  const lastSelectedIndex = useRef(null);
+
+  const hasFilters = Boolean(
+    debouncedSearch || selectedTag || selectedLanguage || selectedCollection || selectedCategory !== 'All'
+  );
+
+  const categoryByName = useMemo(
+    () => new Map(categories.map(category => [category.name, category])),
+    [categories]
+  );
+  const categoryNames = useMemo(() => categories.map(category => category.name), [categories]);
+
+  // Wait for the user to stop typing before searching on the server
+  useEffect(() => {
+    const timeout = setTimeout(() => setDebouncedSearch(searchTerm.trim()), 300);
+    return () => clearTimeout(timeout);
+  }, [searchTerm]);
 
   useEffect(() => {
     if (user) {
-      fetchPosts();
       fetchCategories();
       fetchTags();
+      fetchCollections();
     }
   }, [user]);
 
-  // Memoized filtered posts calculation
-  const filteredPosts = useMemo(() => {
-    let filtered = posts;
-
-    // Filter by search term
-    if (searchTerm) {
-      filtered = filtered.filter(post =>
-        post.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        post.content.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        post.tags.some(tag => tag.toLowerCase().includes(searchTerm.toLowerCase()))
-      );
+  // Request a page of posts matching the current search and filters
+  const requestPosts = useCallback((cursor, limit) => {
+    // Ensure the baseURL and auth header are set correctly
+    axios.defaults.baseURL = API_CONFIG.baseURL;
+    if (token) {
+      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
     }
 
-    // Filter by category
-    if (selectedCategory && selectedCategory !== 'All') {
-      filtered = filtered.filter(post => post.category === selectedCategory);
-    }
+    const category = selectedCategory !== 'All' ? selectedCategory : '';
 
-    // Filter by tag
-    if (selectedTag) {
-      filtered = filtered.filter(post => post.tags.includes(selectedTag));
-    }
+    // Searches go through the ranked search endpoint, with the selected
+    // filters folded into its query syntax
+    return debouncedSearch
+      ? axios.get('/api/posts/search', {
+        params: {
+          q: [
+            debouncedSearch,
+            category && `category:"${category}"`,
+            selectedTag && `tag:"${selectedTag}"`,
+            selectedLanguage && `lang:${selectedLanguage}`
+          ].filter(Boolean).join(' '),
+          limit,
+          cursor: cursor || undefined,
+          collection: selectedCollection || undefined
+        }
+      })
+      : axios.get('/api/posts', {
+        params: {
+          limit,
+          cursor: cursor || undefined,
+          category: category || undefined,
+          tag: selectedTag || undefined,
+          language: selectedLanguage || undefined,
+          collection: selectedCollection || undefined,
+          sort: sortOrder
+        }
+      });
+  }, [token, debouncedSearch, selectedCategory, selectedTag, selectedLanguage, selectedCollection, sortOrder]);
 
-    return filtered;
-  }, [searchTerm, posts, selectedCategory, selectedTag]);
+  // Fetch a page of posts. Without a cursor the list starts over from the first page.
+  const fetchPosts = useCallback(async (cursor = null) => {
+    const currentRequest = ++requestId.current;
+    if (cursor) {
+      setLoadingMore(true);
+    }
 
-  const fetchPosts = async () => {
     try {
-      // Ensure the baseURL and auth header are set correctly
-      axios.defaults.baseURL = API_CONFIG.baseURL;
-      if (token) {
-        axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-      }
-      
-      const response = await axios.get('/api/posts');
-      setPosts(response.data);
+      const response = await requestPosts(cursor, PAGE_SIZE);
+
+      // Ignore responses for filters that have since changed
+      if (currentRequest !== requestId.current) return;
+
+      setPosts(prevPosts => cursor ? [...prevPosts, ...response.data] : response.data);
+      setTotalCount(parseInt(response.headers['x-total-count'], 10) || 0);
+      setNextCursor(response.headers['x-next-cursor'] || null);
+      setShowingCached(false);
     } catch (error) {
       console.error('Error fetching posts:', error);
       // Don't show error toast for any case - just log it
       // The empty state will be handled by the UI
+
+      // Without a connection, show the copy kept for offline use
+      if (isNetworkError(error) && !cursor) {
+        const cached = await queryCachedPosts({
+          search: debouncedSearch,
+          category: selectedCategory !== 'All' ? selectedCategory : '',
+          tag: selectedTag,
+          language: selectedLanguage,
+          collection: selectedCollection,
+          sort: sortOrder
+        });
+        if (currentRequest !== requestId.current) return;
+
+        setPosts(cached);
+        setTotalCount(cached.length);
+        setNextCursor(null);
+        setShowingCached(true);
+      }
     } finally {
-      setLoading(false);
+      if (currentRequest === requestId.current) {
+        setLoading(false);
+        setLoadingMore(false);
+      }
     }
-  };
+  }, [requestPosts, debouncedSearch, selectedCategory, selectedTag, selectedLanguage, selectedCollection, sortOrder]);
+
+  // The strip of recently copied posts shown above the list
+  const fetchRecentPosts = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/posts', {
+        params: { sort: 'recently-copied', limit: RECENT_COPIES }
+      });
+      setRecentPosts(response.data.filter(post => post.lastCopiedAt));
+    } catch (error) {
+      console.error('Error fetching recent copies:', error);
+      const cached = isNetworkError(error)
+        ? await queryCachedPosts({ sort: 'recently-copied' })
+        : [];
+      setRecentPosts(cached.filter(post => post.lastCopiedAt).slice(0, RECENT_COPIES));
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) {
+      fetchPosts();
+    }
+  }, [user, fetchPosts, syncRevision]);
+
+  useEffect(() => {
+    if (user) {
+      fetchRecentPosts();
+    }
+  }, [user, fetchRecentPosts, syncRevision]);
+
+  // Apply changes made in other tabs, on other devices and from the command palette as they happen
+  useLiveEvents((event) => {
+    if (event.type === 'post.updated') {
+      const replace = prevPosts => prevPosts.map(post => (post._id === event.post._id ? event.post : post));
+      setPosts(replace);
+      setRecentPosts(replace);
+    } else if (event.type === 'post.deleted') {
+      if (posts.some(post => post._id === event.postId)) {
+        setTotalCount(prevCount => Math.max(prevCount - 1, 0));
+      }
+      const without = prevPosts => prevPosts.filter(post => post._id !== event.postId);
+      setPosts(without);
+      setRecentPosts(without);
+    } else if (event.type === 'post.created' && !hasFilters && sortOrder === 'newest') {
+      // New posts go first in the unfiltered list; elsewhere they may not match
+      if (!posts.some(post => post._id === event.post._id)) {
+        setPosts(prevPosts => [event.post, ...prevPosts]);
+        setTotalCount(prevCount => prevCount + 1);
+      }
+    } else {
+      fetchPosts();
+      fetchRecentPosts();
+    }
+
+    fetchCategories();
+    fetchTags();
+    if (event.type === 'posts.changed' || event.type === 'resync') {
+      fetchCollections();
+    }
+  });
+
+  // Load the next page when the end of the list scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor || loadingMore) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        fetchPosts(nextCursor);
+      }
+    }, { rootMargin: '200px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loadingMore, fetchPosts]);
 
   const fetchCategories = async () => {
     try {
@@ -78,11 +270,11 @@ const Dashboard = () => {
         axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
       }
       
-      const response = await axios.get('/api/posts/categories');
+      const response = await axios.get('/api/categories');
       setCategories(response.data || []);
     } catch (error) {
       console.error('Error fetching categories:', error);
-      setCategories([]); // Set empty array on error
+      setCategories(isNetworkError(error) ? await getCachedCategories() : []);
     }
   };
 
@@ -98,34 +290,163 @@ const Dashboard = () => {
       setTags(response.data || []);
     } catch (error) {
       console.error('Error fetching tags:', error);
-      setTags([]); // Set empty array on error
+      setTags(isNetworkError(error) ? await getCachedTags() : []);
+    }
+  };
+
+  const fetchCollections = async () => {
+    try {
+      const response = await axios.get('/api/collections');
+      setCollections(response.data || []);
+    } catch (error) {
+      console.error('Error fetching collections:', error);
+      setCollections(isNetworkError(error) ? await getCachedCollections() : []);
     }
   };
 
-  const handleCopy = useCallback(async (content) => {
+  const copyText = useCallback(async (post, content, format) => {
     try {
-      await navigator.clipboard.writeText(content);
+      await copyContent(content, format, post.language);
       toast.success('Copied to clipboard!');
     } catch (error) {
       console.error('Failed to copy:', error);
       toast.error('Failed to copy to clipboard');
+      return;
     }
-  }, []);
 
-  const handleDelete = useCallback(async (postId) => {
-    if (!window.confirm('Are you sure you want to delete this post?')) {
+    const usage = await trackCopy(post._id, format);
+    if (usage) {
+      setPosts(prevPosts => prevPosts.map(item => (
+        item._id === post._id ? { ...item, ...usage } : item
+      )));
+      fetchRecentPosts();
+    }
+  }, [fetchRecentPosts]);
+
+  const handleCopy = useCallback(async (post, format) => {
+    // Posts with {{placeholders}} are filled in before copying
+    if (hasVariables(post.content)) {
+      setTemplateCopy({ post, format });
       return;
     }
 
+    await copyText(post, post.content, format);
+  }, [copyText]);
+
+  const handleUndoDelete = useCallback(async (postId) => {
     try {
-      await axios.delete(`/api/posts/${postId}`);
+      await axios.post(`/api/trash/${postId}/restore`);
+      toast.success('Post restored');
+      fetchPosts();
+      fetchRecentPosts();
+    } catch (error) {
+      console.error('Error restoring post:', error);
+      toast.error('Failed to restore post');
+    }
+  }, [fetchPosts, fetchRecentPosts]);
+
+  // Deleted posts go to the trash, so there is no confirmation; the toast offers an undo instead
+  const handleDelete = useCallback(async (postId) => {
+    try {
+      const { queued } = await deletePost(postId);
       setPosts(prevPosts => prevPosts.filter(post => post._id !== postId));
-      toast.success('Post deleted successfully');
+      setTotalCount(prevCount => Math.max(prevCount - 1, 0));
+      setRecentPosts(prevPosts => prevPosts.filter(post => post._id !== postId));
+
+      // Undo needs the server, so offline deletes only say they will sync
+      if (queued) {
+        toast.success('Moved to trash. It will sync when you are back online.');
+        return;
+      }
+
+      toast.success((t) => (
+        <span className="flex items-center gap-3">
+          Moved to trash
+          <button
+            type="button"
+            onClick={() => {
+              toast.dismiss(t.id);
+              handleUndoDelete(postId);
+            }}
+            className="toast-action"
+          >
+            Undo
+          </button>
+        </span>
+      ), { duration: 6000 });
     } catch (error) {
       console.error('Error deleting post:', error);
       toast.error('Failed to delete post');
     }
-  }, []);
+  }, [handleUndoDelete]);
+
+  // Selections only make sense for the list they were made in
+  useEffect(() => {
+    setSelectedIds(new Set());
+    lastSelectedIndex.current = null;
+  }, [debouncedSearch, selectedCategory, selectedTag, selectedLanguage, selectedCollection, sortOrder]);
+
+  // Toggle a post. Shift-click applies the same change to every post between
+  // the last one clicked and this one.
+  const handleSelect = useCallback((post, index, extendRange) => {
+    setSelectedIds(prevIds => {
+      const nextIds = new Set(prevIds);
+      const select = !prevIds.has(post._id);
+      const start = extendRange && lastSelectedIndex.current !== null
+        ? Math.min(lastSelectedIndex.current, index)
+        : index;
+      const end = extendRange && lastSelectedIndex.current !== null
+        ? Math.max(lastSelectedIndex.current, index)
+        : index;
+
+      posts.slice(start, end + 1).forEach(item => {
+        if (select) {
+          nextIds.add(item._id);
+        } else {
+          nextIds.delete(item._id);
+        }
+      });
+      return nextIds;
+    });
+    lastSelectedIndex.current = index;
+  }, [posts]);
+
+  // Select every post matching the filters, including pages not loaded yet
+  const handleSelectAll = async () => {
+    if (showingCached || !nextCursor) {
+      setSelectedIds(new Set(posts.slice(0, MAX_BULK_POSTS).map(post => post._id)));
+    } else {
+      try {
+        const ids = [];
+        let cursor = null;
+        do {
+          const response = await requestPosts(cursor, 100);
+          ids.push(...response.data.map(post => post._id));
+          cursor = response.headers['x-next-cursor'] || null;
+        } while (cursor && ids.length < MAX_BULK_POSTS);
+        setSelectedIds(new Set(ids.slice(0, MAX_BULK_POSTS)));
+      } catch (error) {
+        console.error('Error selecting posts:', error);
+        toast.error('Failed to select all copies');
+        return;
+      }
+    }
+
+    if (totalCount > MAX_BULK_POSTS) {
+      toast(`Selected the first ${MAX_BULK_POSTS}. Bulk actions work on up to ${MAX_BULK_POSTS} copies at a time.`);
+    }
+  };
+
+  const handleBulkComplete = (action) => {
+    if (action === 'delete') {
+      setSelectedIds(new Set());
+      lastSelectedIndex.current = null;
+    }
+    fetchPosts();
+    fetchRecentPosts();
+    fetchCategories();
+    fetchTags();
+  };
 
   const formatDate = useCallback((dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
@@ -138,46 +459,79 @@ const Dashboard = () => {
   }, []);
 
   // Memoized PostCard component
-  const PostCard = memo(({ post, onCopy, onDelete, formatDate }) => (
-    <div className="card animate-fade-in">
+  const PostCard = memo(({ post, category, index, selected, canEdit, onSelect, onCopy, onShare, onDelete, formatDate }) => (
+    <div className={`card animate-fade-in ${selected ? 'card-selected' : ''}`}>
       <div className="flex justify-between items-start mb-4">
-        <h3 className="text-lg font-semibold text-gray-900 line-clamp-2">
-          {post.title}
+        <input
+          type="checkbox"
+          checked={selected}
+          onChange={(e) => onSelect(post, index, e.nativeEvent.shiftKey)}
+          className="post-select mr-2"
+          title="Select (shift-click to select a range)"
+          aria-label={`Select ${post.title}`}
+        />
+        <h3 className="text-lg font-semibold text-gray-900 line-clamp-2 flex-1">
+          <Link to={`/posts/${post._id}`} className="post-title-link">
+            {post.highlights ? <Highlight segments={post.highlights.title} /> : post.title}
+          </Link>
         </h3>
         <div className="flex items-center gap-2">
-          <button
-            onClick={() => onCopy(post.content)}
-            className="p-1 text-gray-500 hover:text-blue-600 transition-colors"
-            title="Copy content"
-          >
-            <Copy size={16} />
-          </button>
-          <Link
-            to={`/edit/${post._id}`}
-            className="p-1 text-gray-500 hover:text-green-600 transition-colors"
-            title="Edit post"
-          >
-            <Edit size={16} />
-          </Link>
-          <button
-            onClick={() => onDelete(post._id)}
-            className="p-1 text-gray-500 hover:text-red-600 transition-colors"
-            title="Delete post"
-          >
-            <Trash2 size={16} />
-          </button>
+          <CopyMenu onCopy={(format) => onCopy(post, format)} />
+          {canEdit && (
+            <>
+              <button
+                onClick={() => onShare(post)}
+                className="p-1 text-gray-500 hover:text-purple-600 transition-colors"
+                title="Share link"
+              >
+                <Share2 size={16} />
+              </button>
+              <Link
+                to={`/edit/${post._id}`}
+                className="p-1 text-gray-500 hover:text-green-600 transition-colors"
+                title="Edit post"
+              >
+                <Edit size={16} />
+              </Link>
+              <button
+                onClick={() => onDelete(post._id)}
+                className="p-1 text-gray-500 hover:text-red-600 transition-colors"
+                title="Move to trash"
+              >
+                <Trash2 size={16} />
+              </button>
+            </>
+          )}
         </div>
       </div>
       
-      <p className="text-gray-600 text-sm mb-4 line-clamp-3">
-        {post.content}
-      </p>
+      {post.language && !post.highlights ? (
+        <CodeBlock
+          code={post.content.split('\n').slice(0, CODE_PREVIEW_LINES).join('\n')}
+          language={post.language}
+          className="code-block-preview mb-4"
+        />
+      ) : (
+        <p className="text-gray-600 text-sm mb-4 line-clamp-3">
+          {post.highlights ? (
+            <Highlight
+              segments={post.highlights.snippet}
+              leading={post.highlights.snippetStart}
+              trailing={post.highlights.snippetEnd}
+            />
+          ) : markdownToPlainText(post.content)}
+        </p>
+      )}
       
       <div className="space-y-3">
         <div className="flex items-center gap-2 flex-wrap w-full">
-          <span className="badge badge-category flex-shrink-0">
+          <span className="badge badge-category flex-shrink-0" style={categoryBadgeStyle(category)}>
+            <CategoryIcon category={category} />
             {post.category}
           </span>
+          {post.language && (
+            <span className="badge badge-language flex-shrink-0">{languageLabel(post.language)}</span>
+          )}
           {post.tags.map((tag, index) => (
             <span
               key={index}
@@ -190,6 +544,14 @@ const Dashboard = () => {
         <div className="flex items-center text-xs text-gray-500">
           <Calendar size={14} className="mr-1" />
           {formatDate(post.createdAt)}
+          <Copy size={14} className="ml-3 mr-1" />
+          <span title="Times copied">{post.copyCount || 0}</span>
+          {post.pendingSync && (
+            <span className="flex items-center ml-3" title="Changed offline, waiting to sync">
+              <CloudOff size={14} className="mr-1" />
+              Not synced
+            </span>
+          )}
         </div>
       </div>
     </div>
@@ -207,132 +569,303 @@ const Dashboard = () => {
     <div>
               <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 sm:gap-0 mb-6 sm:mb-8">
           <div>
-            <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-2">My Copies</h1>
+            <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-2">{workspace ? workspace.name : 'My Copies'}</h1>
             <p className="text-gray-600 text-sm sm:text-base">
-              {posts.length === 0 ? 'No copies yet' : `${posts.length} cop${posts.length === 1 ? 'y' : 'ies'}`}
+              {totalCount === 0 && !hasFilters
+                ? 'No copies yet'
+                : `${totalCount} cop${totalCount === 1 ? 'y' : 'ies'}${hasFilters ? ' found' : ''}`}
             </p>
           </div>
-          <Link to="/create" className="btn btn-primary flex items-center gap-2 w-full sm:w-auto justify-center">
-            <Plus size={16} />
-            New Copy
-          </Link>
-        </div>
-
-      {posts.length > 0 && (
-        <div className="mb-6 space-y-4">
-          <div className="flex flex-col sm:flex-row items-stretch sm:items-center gap-3 sm:gap-4">
-            <div className="relative flex-1">
-              <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
-              <input
-                type="text"
-                placeholder="Search copies..."
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
-                className="form-input pl-10 w-full"
-              />
-            </div>
+          <div className="flex flex-col sm:flex-row items-stretch sm:items-center gap-3 w-full sm:w-auto">
             <button
-              onClick={() => setShowFilters(!showFilters)}
+              onClick={() => setShowImportExport(true)}
               className="btn btn-outline flex items-center gap-2 justify-center"
             >
-              <Filter size={16} />
-              <span className="hidden sm:inline">Filters</span>
-              <span className="sm:hidden">Filter</span>
+              <ArrowUpDown size={16} />
+              Import / Export
             </button>
+            {canEdit && (
+              <Link to="/trash" className="btn btn-outline flex items-center gap-2 justify-center">
+                <Trash2 size={16} />
+                Trash
+              </Link>
+            )}
+            <Link to="/tags" className="btn btn-outline flex items-center gap-2 justify-center">
+              <Tag size={16} />
+              Tags
+            </Link>
+            <button
+              onClick={() => setShowShareLinks(!showShareLinks)}
+              className="btn btn-outline flex items-center gap-2 justify-center"
+            >
+              <Link2 size={16} />
+              Shared Links
+            </button>
+            {canEdit && (
+              <Link to="/create" className="btn btn-primary flex items-center gap-2 w-full sm:w-auto justify-center">
+                <Plus size={16} />
+                New Copy
+              </Link>
+            )}
           </div>
+        </div>
 
-          {showFilters && (
-            <div className="bg-white p-4 rounded-lg shadow border">
-              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-                <div>
-                  <label className="form-label flex items-center gap-2">
-                    <Folder size={16} />
-                    Category
-                  </label>
-                  <select
-                    value={selectedCategory}
-                    onChange={(e) => setSelectedCategory(e.target.value)}
-                    className="form-input"
-                  >
-                    <option value="All">All Categories</option>
-                    {categories.map((category, index) => (
-                      <option key={index} value={category}>
-                        {category}
-                      </option>
-                    ))}
-                  </select>
-                </div>
-                <div>
-                  <label className="form-label flex items-center gap-2">
-                    <Tag size={16} />
-                    Tag
-                  </label>
-                  <select
-                    value={selectedTag}
-                    onChange={(e) => setSelectedTag(e.target.value)}
-                    className="form-input"
-                  >
-                    <option value="">All Tags</option>
-                    {tags.map((tag, index) => (
-                      <option key={index} value={tag}>
-                        {tag}
-                      </option>
-                    ))}
-                  </select>
+      {showingCached && (
+        <div className="offline-notice mb-6">
+          <WifiOff size={16} className="flex-shrink-0" />
+          You're offline. Showing the copies saved on this device.
+        </div>
+      )}
+
+      {showShareLinks && (
+        <ShareLinksPanel
+          onClose={() => setShowShareLinks(false)}
+          formatDate={formatDate}
+        />
+      )}
+
+      <div className="dashboard-layout">
+        {(posts.length > 0 || hasFilters) && (
+          <CollectionSidebar
+            collections={collections}
+            selected={selectedCollection}
+            onSelect={setSelectedCollection}
+            onChange={fetchCollections}
+            canEdit={canEdit}
+          />
+        )}
+
+        <div className="dashboard-main">
+          {(posts.length > 0 || hasFilters) && (
+            <div className="mb-6 space-y-4">
+              <div className="flex flex-col sm:flex-row items-stretch sm:items-center gap-3 sm:gap-4">
+                <div className="relative flex-1">
+                  <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
+                  <input
+                    type="text"
+                    placeholder='Search copies... (tag:foo category:Work "exact phrase" -excluded)'
+                    value={searchTerm}
+                    onChange={(e) => setSearchTerm(e.target.value)}
+                    className="form-input pl-10 w-full"
+                  />
                 </div>
+                <select
+                  value={sortOrder}
+                  onChange={(e) => setSortOrder(e.target.value)}
+                  disabled={Boolean(debouncedSearch)}
+                  className="form-input sm:w-auto"
+                  title={debouncedSearch ? 'Search results are sorted by relevance' : 'Sort copies'}
+                >
+                  {SORT_OPTIONS.map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => setShowFilters(!showFilters)}
+                  className="btn btn-outline flex items-center gap-2 justify-center"
+                >
+                  <Filter size={16} />
+                  <span className="hidden sm:inline">Filters</span>
+                  <span className="sm:hidden">Filter</span>
+                </button>
               </div>
-              {(selectedCategory !== 'All' || selectedTag) && (
-                <div className="mt-4 flex items-center gap-2">
+
+              {showFilters && (
+                <div className="bg-white p-4 rounded-lg shadow border">
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                    <div>
+                      <label className="form-label flex items-center gap-2">
+                        <Folder size={16} />
+                        Category
+                        <Link to="/categories" className="ml-auto text-sm text-gray-500 hover:text-gray-700">
+                          Manage
+                        </Link>
+                      </label>
+                      <select
+                        value={selectedCategory}
+                        onChange={(e) => setSelectedCategory(e.target.value)}
+                        className="form-input"
+                      >
+                        <option value="All">All Categories</option>
+                        {categories.map(category => (
+                          <option key={category.name} value={category.name}>
+                            {category.name}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="form-label flex items-center gap-2">
+                        <Tag size={16} />
+                        Tag
+                      </label>
+                      <select
+                        value={selectedTag}
+                        onChange={(e) => setSelectedTag(e.target.value)}
+                        className="form-input"
+                      >
+                        <option value="">All Tags</option>
+                        {tags.map((tag, index) => (
+                          <option key={index} value={tag}>
+                            {tag}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="form-label flex items-center gap-2">
+                        <Code size={16} />
+                        Language
+                      </label>
+                      <select
+                        value={selectedLanguage}
+                        onChange={(e) => setSelectedLanguage(e.target.value)}
+                        className="form-input"
+                      >
+                        <option value="">All Languages</option>
+                        <option value="none">Markdown text</option>
+                        {LANGUAGES.map(language => (
+                          <option key={language.value} value={language.value}>
+                            {language.label}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                  {(selectedCategory !== 'All' || selectedTag || selectedLanguage) && (
+                    <div className="mt-4 flex items-center gap-2">
+                      <button
+                        onClick={() => {
+                          setSelectedCategory('All');
+                          setSelectedTag('');
+                          setSelectedLanguage('');
+                        }}
+                        className="btn btn-outline text-sm"
+                      >
+                        Clear Filters
+                      </button>
+                      <span className="text-sm text-gray-600">
+                        {totalCount} matching cop{totalCount === 1 ? 'y' : 'ies'}
+                      </span>
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          {recentPosts.length > 0 && !hasFilters && (
+            <div className="mb-6">
+              <h2 className="form-label flex items-center gap-2">
+                <Clock size={16} />
+                Recently copied
+              </h2>
+              <div className="recent-copies">
+                {recentPosts.map(post => (
                   <button
-                    onClick={() => {
-                      setSelectedCategory('All');
-                      setSelectedTag('');
-                    }}
-                    className="btn btn-outline text-sm"
+                    key={post._id}
+                    type="button"
+                    onClick={() => handleCopy(post)}
+                    className="recent-copy"
+                    title={`Copy "${post.title}"`}
                   >
-                    Clear Filters
+                    <Copy size={14} className="flex-shrink-0" />
+                    <span className="truncate">{post.title}</span>
                   </button>
-                  <span className="text-sm text-gray-600">
-                    {filteredPosts.length} of {posts.length} posts
-                  </span>
-                </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {posts.length === 0 && !hasFilters ? (
+            <div className="empty-state animate-fade-in">
+              <div className="empty-state-icon">
+                <Plus size={32} />
+              </div>
+              <h3 className="text-xl font-semibold text-gray-900 mb-2">No copies yet</h3>
+              {canEdit ? (
+                <>
+                  <p className="text-gray-600 mb-6">Create your first copy to get started</p>
+                  <Link to="/create" className="btn btn-primary">
+                    Create Your First Copy
+                  </Link>
+                </>
+              ) : (
+                <p className="text-gray-600 mb-6">Nothing has been added to this workspace yet</p>
               )}
             </div>
+          ) : posts.length === 0 ? (
+            <div className="empty-state animate-fade-in">
+              <div className="empty-state-icon">
+                <Search size={32} />
+              </div>
+              <h3 className="text-xl font-semibold text-gray-900 mb-2">No copies found</h3>
+              <p className="text-gray-600">Try adjusting your search terms or filters</p>
+            </div>
+          ) : (
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 sm:gap-6">
+              {posts.map((post, index) => (
+                <PostCard
+                  key={post._id}
+                  post={post}
+                  category={categoryByName.get(post.category)}
+                  index={index}
+                  selected={selectedIds.has(post._id)}
+                  canEdit={canEdit}
+                  onSelect={handleSelect}
+                  onCopy={handleCopy}
+                  onShare={setSharePost}
+                  onDelete={handleDelete}
+                  formatDate={formatDate}
+                />
+              ))}
+            </div>
           )}
-        </div>
-      )}
 
-      {posts.length === 0 ? (
-        <div className="empty-state animate-fade-in">
-          <div className="empty-state-icon">
-            <Plus size={32} />
+          <div ref={sentinelRef} className="flex justify-center p-4">
+            {loadingMore && <div className="spinner"></div>}
           </div>
-          <h3 className="text-xl font-semibold text-gray-900 mb-2">No copies yet</h3>
-          <p className="text-gray-600 mb-6">Create your first copy to get started</p>
-          <Link to="/create" className="btn btn-primary">
-            Create Your First Copy
-          </Link>
-        </div>
-      ) : filteredPosts.length === 0 ? (
-        <div className="empty-state animate-fade-in">
-          <div className="empty-state-icon">
-            <Search size={32} />
-          </div>
-          <h3 className="text-xl font-semibold text-gray-900 mb-2">No copies found</h3>
-          <p className="text-gray-600">Try adjusting your search terms or filters</p>
-        </div>
-      ) : (
-        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4 sm:gap-6">
-          {filteredPosts.map((post, index) => (
-            <PostCard
-              key={post._id}
-              post={post}
-              onCopy={handleCopy}
-              onDelete={handleDelete}
-              formatDate={formatDate}
+
+          {selectedIds.size > 0 && (
+            <BulkActionBar
+              selectedIds={[...selectedIds]}
+              totalCount={totalCount}
+              categories={categoryNames}
+              tags={tags}
+              onSelectAll={handleSelectAll}
+              onClear={() => setSelectedIds(new Set())}
+              onComplete={handleBulkComplete}
             />
-          ))}
+          )}
         </div>
+      </div>
+
+      {templateCopy && (
+        <TemplateFillDialog
+          post={templateCopy.post}
+          onCopy={(content) => copyText(templateCopy.post, content, templateCopy.format)}
+          onClose={() => setTemplateCopy(null)}
+        />
+      )}
+
+      {showImportExport && (
+        <ImportExportDialog
+          onClose={() => setShowImportExport(false)}
+          canImport={canEdit}
+          onImported={() => {
+            fetchPosts();
+            fetchRecentPosts();
+            fetchCategories();
+            fetchTags();
+          }}
+        />
+      )}
+
+      {sharePost && (
+        <ShareDialog
+          post={sharePost}
+          onClose={() => setSharePost(null)}
+        />
       )}
     </div>
   );
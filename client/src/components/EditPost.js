@@ -1,20 +1,46 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
-import axios from 'axios';
 import toast from 'react-hot-toast';
-import { ArrowLeft, Save, Tag, Folder } from 'lucide-react';
+import { AlertTriangle, ArrowLeft, Save, History } from 'lucide-react';
+import CategorySelect from './CategorySelect';
+import CollectionSelect from './CollectionSelect';
+import ContentEditor from './ContentEditor';
+import TagInput from './TagInput';
+import RevisionHistory from './RevisionHistory';
+import { fetchPost as loadPost, updatePost } from '../offline/posts';
+import { isLocalId } from '../offline/sync';
+import { useLiveEvents } from '../live/events';
+
+// Form fields for a post. A detected language stays 'auto' so it is detected
+// again when the content changes; '' means Markdown text.
+const formFromPost = ({ title, content, category, tags, collectionId, language, languageSource }) => ({
+  title,
+  content,
+  category: category || 'General',
+  tags: tags || [],
+  collectionId: collectionId || null,
+  language: languageSource === 'manual' ? language || '' : 'auto'
+});
 
 const EditPost = () => {
   const [formData, setFormData] = useState({
     title: '',
     content: '',
     category: 'General',
-    tags: []
+    tags: [],
+    collectionId: null,
+    language: 'auto'
   });
-  const [tagInput, setTagInput] = useState('');
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [errors, setErrors] = useState({});
+  const [showHistory, setShowHistory] = useState(false);
+  // The version being edited, so saving cannot silently overwrite newer changes
+  const [baseUpdatedAt, setBaseUpdatedAt] = useState(null);
+  // { type: 'updated', post } or { type: 'deleted' } when the post changes elsewhere
+  const [remoteChange, setRemoteChange] = useState(null);
+  // The language the server last detected, shown next to the Auto-detect option
+  const [detectedLanguage, setDetectedLanguage] = useState(null);
 
   const navigate = useNavigate();
   const { id } = useParams();
@@ -25,9 +51,13 @@ const EditPost = () => {
 
   const fetchPost = async () => {
     try {
-      const response = await axios.get(`/api/posts/${id}`);
-      const { title, content, category, tags } = response.data;
-      setFormData({ title, content, category: category || 'General', tags: tags || [] });
+      const post = await loadPost(id);
+      if (!post) {
+        throw new Error('Post not found');
+      }
+      setFormData(formFromPost(post));
+      setDetectedLanguage(post.languageSource === 'manual' ? null : post.language);
+      setBaseUpdatedAt(post.updatedAt);
     } catch (error) {
       console.error('Error fetching post:', error);
       toast.error('Failed to load post');
@@ -37,6 +67,32 @@ const EditPost = () => {
     }
   };
 
+  useLiveEvents((event) => {
+    if (event.type === 'post.updated' && event.post._id === id && event.post.updatedAt !== baseUpdatedAt) {
+      setRemoteChange({ type: 'updated', post: event.post });
+    } else if (event.type === 'post.deleted' && event.postId === id) {
+      setRemoteChange({ type: 'deleted' });
+    }
+  });
+
+  // Replace the form with the version saved elsewhere
+  const handleLoadLatest = () => {
+    if (!window.confirm('Discard your unsaved changes and load the latest version?')) {
+      return;
+    }
+
+    const { post } = remoteChange;
+    setFormData(formFromPost(post));
+    setDetectedLanguage(post.languageSource === 'manual' ? null : post.language);
+    setBaseUpdatedAt(post.updatedAt);
+    setErrors({});
+    setRemoteChange(null);
+  };
+
+  const handleCategoryChange = useCallback((category) => {
+    setFormData(prev => ({ ...prev, category }));
+  }, []);
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -52,30 +108,6 @@ const EditPost = () => {
     }
   };
 
-  const handleAddTag = () => {
-    if (tagInput.trim() && !formData.tags.includes(tagInput.trim())) {
-      setFormData(prev => ({
-        ...prev,
-        tags: [...prev.tags, tagInput.trim()]
-      }));
-      setTagInput('');
-    }
-  };
-
-  const handleRemoveTag = (tagToRemove) => {
-    setFormData(prev => ({
-      ...prev,
-      tags: prev.tags.filter(tag => tag !== tagToRemove)
-    }));
-  };
-
-  const handleKeyPress = (e) => {
-    if (e.key === 'Enter') {
-      e.preventDefault();
-      handleAddTag();
-    }
-  };
-
   const validateForm = () => {
     const newErrors = {};
 
@@ -95,17 +127,23 @@ const EditPost = () => {
     return Object.keys(newErrors).length === 0;
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    
-    if (!validateForm()) return;
-
+  const save = async (version) => {
     setSaving(true);
     try {
-      await axios.put(`/api/posts/${id}`, formData);
-      toast.success('Post updated successfully!');
+      const { queued } = await updatePost(id, formData, version);
+      toast.success(queued ? 'Saved offline. It will sync when you are back online.' : 'Post updated successfully!');
       navigate('/dashboard');
     } catch (error) {
+      // Saved from another device or tab since this one loaded it
+      if (error.response?.status === 412) {
+        const latest = error.response.data.post;
+        if (window.confirm('This post was changed somewhere else since you opened it. Overwrite those changes?')) {
+          setBaseUpdatedAt(latest.updatedAt);
+          await save(latest.updatedAt);
+        }
+        return;
+      }
+
       console.error('Error updating post:', error);
       const message = error.response?.data?.message || 'Failed to update post';
       toast.error(message);
@@ -114,10 +152,35 @@ const EditPost = () => {
     }
   };
 
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!validateForm()) return;
+
+    save(baseUpdatedAt);
+  };
+
   const handleCancel = () => {
     navigate('/dashboard');
   };
 
+  const handleRestore = (post) => {
+    setFormData(formFromPost(post));
+    setDetectedLanguage(post.languageSource === 'manual' ? null : post.language);
+    setErrors({});
+    setShowHistory(false);
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
   if (loading) {
     return (
       <div className="flex justify-center items-center h-64">
@@ -136,8 +199,42 @@ const EditPost = () => {
           <ArrowLeft size={16} />
           Back to Dashboard
         </button>
+        {!isLocalId(id) && (
+          <button
+            onClick={() => setShowHistory(!showHistory)}
+            className="btn btn-outline flex items-center gap-2"
+          >
+            <History size={16} />
+            History
+          </button>
+        )}
       </div>
 
+      {showHistory && (
+        <RevisionHistory
+          postId={id}
+          onRestore={handleRestore}
+          onClose={() => setShowHistory(false)}
+          formatDate={formatDate}
+        />
+      )}
+
+      {remoteChange && (
+        <div className="change-notice mb-6">
+          <AlertTriangle size={16} className="flex-shrink-0" />
+          <span className="flex-1">
+            {remoteChange.type === 'deleted'
+              ? 'This post was moved to the trash somewhere else. Restore it from the trash before saving.'
+              : 'This post was changed somewhere else since you opened it.'}
+          </span>
+          {remoteChange.type === 'updated' && (
+            <button type="button" onClick={handleLoadLatest} className="verify-banner-action">
+              Load latest
+            </button>
+          )}
+        </div>
+      )}
+
       <div className="card animate-fade-in">
         <div className="mb-6 sm:mb-8">
           <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-2">Edit Copy</h1>
@@ -167,95 +264,29 @@ const EditPost = () => {
             </p>
           </div>
 
-          <div className="form-group">
-            <label htmlFor="category" className="form-label flex items-center gap-2">
-              <Folder size={16} />
-              Category
-            </label>
-            <select
-              id="category"
-              name="category"
-              value={formData.category}
-              onChange={handleChange}
-              className="form-input"
-            >
-              <option value="General">General</option>
-              <option value="Work">Work</option>
-              <option value="Personal">Personal</option>
-              <option value="Ideas">Ideas</option>
-              <option value="Notes">Notes</option>
-              <option value="Projects">Projects</option>
-              <option value="Learning">Learning</option>
-              <option value="Other">Other</option>
-            </select>
-          </div>
+          <CategorySelect
+            value={formData.category}
+            onChange={handleCategoryChange}
+          />
 
-          <div className="form-group">
-            <label htmlFor="tags" className="form-label flex items-center gap-2">
-              <Tag size={16} />
-              Tags
-            </label>
-            <div className="flex gap-2 mb-2">
-              <input
-                type="text"
-                value={tagInput}
-                onChange={(e) => setTagInput(e.target.value)}
-                onKeyPress={handleKeyPress}
-                className="form-input flex-1"
-                placeholder="Add a tag and press Enter"
-                maxLength={30}
-              />
-              <button
-                type="button"
-                onClick={handleAddTag}
-                className="btn btn-outline"
-                disabled={!tagInput.trim()}
-              >
-                Add
-              </button>
-            </div>
-            {formData.tags.length > 0 && (
-              <div className="flex flex-wrap gap-2">
-                {formData.tags.map((tag, index) => (
-                  <span
-                    key={index}
-                    className="badge badge-tag flex items-center gap-1"
-                  >
-                    {tag}
-                    <button
-                      type="button"
-                      onClick={() => handleRemoveTag(tag)}
-                      className="text-blue-700 hover:text-blue-900 font-bold"
-                    >
-                      ×
-                    </button>
-                  </span>
-                ))}
-              </div>
-            )}
-          </div>
+          <CollectionSelect
+            value={formData.collectionId}
+            onChange={(collectionId) => setFormData(prev => ({ ...prev, collectionId }))}
+          />
 
-          <div className="form-group">
-            <label htmlFor="content" className="form-label">
-              Content
-            </label>
-            <textarea
-              id="content"
-              name="content"
-              value={formData.content}
-              onChange={handleChange}
-              className={`form-textarea ${errors.content ? 'border-red-500' : ''}`}
-              placeholder="Write your post content here..."
-              rows={12}
-              maxLength={10000}
-            />
-            {errors.content && (
-              <p className="text-red-500 text-sm mt-1">{errors.content}</p>
-            )}
-            <p className="text-gray-500 text-sm mt-1">
-              {formData.content.length}/10000 characters
-            </p>
-          </div>
+          <TagInput
+            value={formData.tags}
+            onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
+          />
+
+          <ContentEditor
+            value={formData.content}
+            onChange={handleChange}
+            error={errors.content}
+            language={formData.language}
+            detectedLanguage={detectedLanguage}
+            onLanguageChange={(language) => setFormData(prev => ({ ...prev, language }))}
+          />
 
           <div className="flex flex-col sm:flex-row items-stretch sm:items-center gap-3 sm:gap-4 pt-4">
             <button
@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Mail } from 'lucide-react';
+import API_CONFIG from '../config/api';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!/\S+@\S+\.\S+/.test(email)) {
+      setError('Email is invalid');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      // Ensure the baseURL is set correctly before making the request
+      axios.defaults.baseURL = API_CONFIG.baseURL;
+      await axios.post('/api/auth/forgot-password', { email });
+      setSent(true);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to send reset link';
+      toast.error(message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="flex justify-center items-center min-h-[80vh]">
+      <div className="card w-full max-w-md animate-fade-in">
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Forgot Password</h1>
+          <p className="text-gray-600">We'll email you a link to choose a new one</p>
+        </div>
+
+        {sent ? (
+          <p className="text-gray-700 text-center">
+            If an account exists for <strong>{email}</strong>, a reset link is on its way.
+            Check your inbox; the link expires soon and works once.
+          </p>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <div className="form-group">
+              <label htmlFor="email" className="form-label flex items-center gap-2">
+                <Mail size={16} />
+                Email Address
+              </label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                value={email}
+                onChange={(e) => {
+                  setEmail(e.target.value);
+                  setError('');
+                }}
+                className={`form-input ${error ? 'border-red-500' : ''}`}
+                placeholder="Enter your email"
+                autoFocus
+              />
+              {error && (
+                <p className="text-red-500 text-sm mt-1">{error}</p>
+              )}
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="btn btn-primary w-full"
+            >
+              {loading ? (
+                <div className="flex items-center gap-2">
+                  <div className="spinner"></div>
+                  Sending...
+                </div>
+              ) : (
+                'Send Reset Link'
+              )}
+            </button>
+          </form>
+        )}
+
+        <div className="text-center mt-6">
+          <p className="text-gray-600">
+            Remembered it?{' '}
+            <Link to="/login" className="text-blue-600 hover:text-blue-700 font-medium">
+              Sign in
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
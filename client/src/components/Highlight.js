@@ -0,0 +1,16 @@
+import React from 'react';
+
+// Render search highlight segments returned by /api/posts/search
+const Highlight = ({ segments, leading = false, trailing = false }) => (
+  <>
+    {leading && '… '}
+    {segments.map((segment, index) => (
+      segment.match
+        ? <mark key={index} className="search-highlight">{segment.text}</mark>
+        : <React.Fragment key={index}>{segment.text}</React.Fragment>
+    ))}
+    {trailing && ' …'}
+  </>
+);
+
+export default Highlight;
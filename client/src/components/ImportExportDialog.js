@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Download, Upload, X } from 'lucide-react';
+import { EXPORT_FORMATS, saveDownload } from '../utils/download';
+
+// Work out the import format from the file extension
+const detectFormat = (fileName) => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'json') return 'json';
+  if (extension === 'csv') return 'csv';
+  if (extension === 'zip') return 'markdown';
+  return null;
+};
+
+// canImport is false for workspace viewers, who can only export
+const ImportExportDialog = ({ onClose, onImported, canImport = true }) => {
+  const [exporting, setExporting] = useState(null);
+  const [file, setFile] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [report, setReport] = useState(null);
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    try {
+      const response = await axios.get(`/api/library/export/${format}`, {
+        responseType: 'blob',
+        timeout: 0
+      });
+
+      saveDownload(response, `letscopy-export.${format}`);
+    } catch (error) {
+      console.error('Error exporting library:', error);
+      toast.error('Failed to export copies');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null);
+    setReport(null);
+  };
+
+  const handleImport = async (dryRun) => {
+    const format = detectFormat(file.name);
+    if (!format) {
+      toast.error('Choose a .json, .csv or .zip file');
+      return;
+    }
+
+    setImporting(true);
+    try {
+      const response = await axios.post(`/api/library/import/${format}`, file, {
+        params: { dryRun },
+        headers: { 'Content-Type': 'application/octet-stream' },
+        timeout: 0
+      });
+      setReport(response.data);
+
+      if (!dryRun) {
+        toast.success(`Imported ${response.data.imported} cop${response.data.imported === 1 ? 'y' : 'ies'}`);
+        onImported();
+      }
+    } catch (error) {
+      console.error('Error importing library:', error);
+      const message = error.response?.data?.message || 'Failed to import copies';
+      toast.error(message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal card animate-fade-in" onClick={(e) => e.stopPropagation()}>
+        <div className="flex justify-between items-start mb-6">
+          <h2 className="text-xl font-bold text-gray-900">Import / Export</h2>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-1 text-gray-500 hover:text-gray-700 transition-colors"
+            title="Close"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label flex items-center gap-2">
+            <Download size={16} />
+            Export all copies
+          </label>
+          <div className="flex flex-wrap gap-2">
+            {EXPORT_FORMATS.map(({ format, label }) => (
+              <button
+                key={format}
+                type="button"
+                onClick={() => handleExport(format)}
+                disabled={exporting !== null}
+                className="btn btn-outline text-sm"
+              >
+                {exporting === format ? 'Exporting...' : label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {canImport && (
+          <>
+            <div className="form-group">
+              <label htmlFor="import-file" className="form-label flex items-center gap-2">
+                <Upload size={16} />
+                Import copies
+              </label>
+              <input
+                type="file"
+                id="import-file"
+                accept=".json,.csv,.zip"
+                onChange={handleFileChange}
+                className="form-input"
+              />
+              <p className="text-gray-500 text-sm mt-1">
+                JSON or CSV exports, or a zip of Markdown files with YAML front-matter.
+              </p>
+            </div>
+
+            {report && (
+              <div className="bg-gray-50 p-4 rounded-lg border mb-4 text-sm">
+                <p className="font-medium text-gray-900 mb-2">
+                  {report.dryRun ? 'Dry run: ' : ''}
+                  {report.valid} of {report.total} valid
+                  {!report.dryRun && `, ${report.imported} imported`}
+                </p>
+                {report.errors.length > 0 && (
+                  <ul className="import-errors">
+                    {report.errors.map(({ row, title, errors }) => (
+                      <li key={row} className="text-red-500">
+                        Row {row}{title ? ` (${title})` : ''}: {errors.join('; ')}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+
+            <div className="flex flex-col sm:flex-row items-stretch sm:items-center gap-3 sm:gap-4">
+              <button
+                type="button"
+                onClick={() => handleImport(true)}
+                disabled={!file || importing}
+                className="btn btn-outline justify-center"
+              >
+                Dry Run
+              </button>
+              <button
+                type="button"
+                onClick={() => handleImport(false)}
+                disabled={!file || importing}
+                className="btn btn-primary flex items-center gap-2 justify-center"
+              >
+                <Upload size={16} />
+                {importing ? 'Importing...' : 'Import'}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportExportDialog;
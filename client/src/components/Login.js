@@ -1,7 +1,13 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { Mail, Lock, Eye, EyeOff } from 'lucide-react';
+import { Mail, Lock, Eye, EyeOff, ShieldCheck, Clock } from 'lucide-react';
+
+// Seconds as m:ss
+const formatCountdown = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+};
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -11,10 +17,39 @@ const Login = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
+  // Set once the password is accepted for an account with two-factor authentication
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  // When sign-in attempts are rate limited or the account is locked, the
+  // time the user may try again
+  const [lockedUntil, setLockedUntil] = useState(null);
+  const [now, setNow] = useState(Date.now());
 
-  const { login } = useAuth();
+  const { login, completeTwoFactorLogin } = useAuth();
   const navigate = useNavigate();
 
+  useEffect(() => {
+    if (!lockedUntil) return undefined;
+
+    const timer = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+      if (current >= lockedUntil) {
+        setLockedUntil(null);
+      }
+    }, 1000);
+
+    return () => clearInterval(timer);
+  }, [lockedUntil]);
+
+  const secondsLeft = lockedUntil ? Math.max(Math.ceil((lockedUntil - now) / 1000), 0) : 0;
+
+  const startLockout = (retryAfter) => {
+    const current = Date.now();
+    setNow(current);
+    setLockedUntil(current + retryAfter * 1000);
+  };
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -58,9 +93,116 @@ const Login = () => {
 
     if (result.success) {
       navigate('/dashboard');
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+    } else if (result.retryAfter) {
+      startLockout(result.retryAfter);
     }
   };
 
+  const handleBackToPassword = () => {
+    setChallengeToken(null);
+    setCode('');
+    setErrors({});
+  };
+
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!code.trim()) {
+      setErrors({ code: 'Enter a code from your authenticator app or a recovery code' });
+      return;
+    }
+
+    setLoading(true);
+    const result = await completeTwoFactorLogin(challengeToken, code.trim());
+    setLoading(false);
+
+    if (result.success) {
+      navigate('/dashboard');
+    } else if (result.expired) {
+      // The challenge ran out; start again from the password
+      handleBackToPassword();
+    } else {
+      setCode('');
+      if (result.retryAfter) {
+        startLockout(result.retryAfter);
+      }
+    }
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="flex justify-center items-center min-h-[80vh]">
+        <div className="card w-full max-w-md animate-fade-in">
+          <div className="text-center mb-8">
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Two-Factor Authentication</h1>
+            <p className="text-gray-600">
+              Enter the 6-digit code from your authenticator app, or one of your recovery codes
+            </p>
+          </div>
+
+          <form onSubmit={handleCodeSubmit} className="space-y-6">
+            {secondsLeft > 0 && (
+              <div className="lockout-notice">
+                <Clock size={16} />
+                Too many sign-in attempts. You can try again in {formatCountdown(secondsLeft)}.
+              </div>
+            )}
+            <div className="form-group">
+              <label htmlFor="code" className="form-label flex items-center gap-2">
+                <ShieldCheck size={16} />
+                Authentication Code
+              </label>
+              <input
+                type="text"
+                id="code"
+                name="code"
+                value={code}
+                onChange={(e) => {
+                  setCode(e.target.value);
+                  setErrors({});
+                }}
+                className={`form-input ${errors.code ? 'border-red-500' : ''}`}
+                placeholder="123456"
+                autoComplete="one-time-code"
+                autoFocus
+              />
+              {errors.code && (
+                <p className="text-red-500 text-sm mt-1">{errors.code}</p>
+              )}
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading || secondsLeft > 0}
+              className="btn btn-primary w-full"
+            >
+              {loading ? (
+                <div className="flex items-center gap-2">
+                  <div className="spinner"></div>
+                  Verifying...
+                </div>
+              ) : (
+                'Verify'
+              )}
+            </button>
+          </form>
+
+          <div className="text-center mt-6">
+            <button
+              type="button"
+              onClick={handleBackToPassword}
+              className="text-blue-600 hover:text-blue-700 font-medium"
+            >
+              Back to sign in
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="flex justify-center items-center min-h-[80vh]">
       <div className="card w-full max-w-md animate-fade-in">
@@ -70,6 +212,12 @@ const Login = () => {
         </div>
 
         <form onSubmit={handleSubmit} className="space-y-6">
+          {secondsLeft > 0 && (
+            <div className="lockout-notice">
+              <Clock size={16} />
+              Too many sign-in attempts. You can try again in {formatCountdown(secondsLeft)}.
+            </div>
+          )}
           <div className="form-group">
             <label htmlFor="email" className="form-label flex items-center gap-2">
               <Mail size={16} />
@@ -115,11 +263,16 @@ const Login = () => {
             {errors.password && (
               <p className="text-red-500 text-sm mt-1">{errors.password}</p>
             )}
+            <div className="text-right mt-1">
+              <Link to="/forgot-password" className="text-blue-600 hover:text-blue-700 text-sm font-medium">
+                Forgot password?
+              </Link>
+            </div>
           </div>
 
           <button
             type="submit"
-            disabled={loading}
+            disabled={loading || secondsLeft > 0}
             className="btn btn-primary w-full"
           >
             {loading ? (
@@ -0,0 +1,16 @@
+import React, { useMemo } from 'react';
+import { renderMarkdown } from '../utils/markdown';
+
+const MarkdownPreview = ({ content, className = '' }) => {
+  const html = useMemo(() => renderMarkdown(content), [content]);
+
+  return (
+    <div
+      className={`markdown-body ${className}`}
+      // Sanitised by DOMPurify in renderMarkdown
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+};
+
+export default MarkdownPreview;
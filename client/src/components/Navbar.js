@@ -1,13 +1,166 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
 import { useAuth } from '../contexts/AuthContext';
-import { LogOut, Plus, User } from 'lucide-react';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import { AlertTriangle, Check, CloudOff, LogOut, MailWarning, Plus, RefreshCw, User, Users } from 'lucide-react';
+import { useSyncStatus, syncNow, keepMine, discardMine, confirmDiscardUnsynced } from '../offline/sync';
+
+// Shown until the signed-in user confirms their email address
+const VerifyEmailBanner = ({ email }) => {
+  const [sending, setSending] = useState(false);
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      const response = await axios.post('/api/auth/resend-verification');
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error('Error resending verification email:', error);
+      const message = error.response?.data?.message || 'Failed to send verification email';
+      toast.error(message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="verify-banner">
+      <div className="container flex items-center justify-center gap-3 flex-wrap">
+        <MailWarning size={16} />
+        <span>Please confirm your email address. We sent a link to {email}.</span>
+        <button
+          type="button"
+          onClick={handleResend}
+          disabled={sending}
+          className="verify-banner-action"
+        >
+          {sending ? 'Sending...' : 'Resend email'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Whether offline changes have reached the server. Clicking syncs right away.
+const SyncStatus = ({ status }) => {
+  const { online, syncing, pending, conflicts, lastSyncedAt } = status;
+
+  let icon = <Check size={14} />;
+  let label = 'Synced';
+  let variant = 'synced';
+  if (!online) {
+    icon = <CloudOff size={14} />;
+    label = pending > 0 ? `Offline · ${pending} pending` : 'Offline';
+    variant = 'offline';
+  } else if (syncing) {
+    icon = <RefreshCw size={14} />;
+    label = 'Syncing';
+    variant = 'syncing';
+  } else if (conflicts.length > 0) {
+    icon = <AlertTriangle size={14} />;
+    label = `${conflicts.length} conflict${conflicts.length === 1 ? '' : 's'}`;
+    variant = 'conflict';
+  } else if (pending > 0) {
+    icon = <RefreshCw size={14} />;
+    label = `${pending} pending`;
+    variant = 'offline';
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={() => syncNow()}
+      disabled={!online || syncing}
+      className={`sync-status sync-status-${variant}`}
+      title={lastSyncedAt ? `Last synced ${new Date(lastSyncedAt).toLocaleString()}` : 'Not synced yet'}
+    >
+      {icon}
+      <span className="hidden sm:inline">{label}</span>
+    </button>
+  );
+};
+
+// Offline changes the server refused, with a choice of how to resolve each
+const SyncConflictsBanner = ({ conflicts }) => (
+  <div className="verify-banner">
+    <div className="container">
+      {conflicts.map(entry => (
+        <div key={entry.id} className="flex items-center justify-center gap-3 flex-wrap">
+          <AlertTriangle size={16} />
+          <span>
+            Your offline {entry.type === 'delete' ? 'delete of' : 'change to'}{' '}
+            "{entry.conflict.serverPost?.title || entry.data?.title || 'a copy'}" was not saved: {entry.conflict.message}.
+          </span>
+          {entry.conflict.reason !== 'rejected' && (
+            <button type="button" onClick={() => keepMine(entry.id)} className="verify-banner-action">
+              Keep mine
+            </button>
+          )}
+          <button type="button" onClick={() => discardMine(entry.id)} className="verify-banner-action">
+            Discard
+          </button>
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+// Pick the space to work in: the personal space or a shared workspace
+const WorkspaceSwitcher = () => {
+  const { workspaces, invites, currentId, switchWorkspace } = useWorkspace();
+  const navigate = useNavigate();
+
+  const handleChange = async (e) => {
+    const { value } = e.target;
+    if (await switchWorkspace(value === 'personal' ? null : value)) {
+      navigate('/dashboard');
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-1">
+      <select
+        value={currentId || 'personal'}
+        onChange={handleChange}
+        className="workspace-switcher"
+        aria-label="Workspace"
+      >
+        <option value="personal">Personal</option>
+        {workspaces.map(workspace => (
+          <option key={workspace._id} value={workspace._id}>
+            {workspace.name}{workspace.role === 'viewer' ? ' (view only)' : ''}
+          </option>
+        ))}
+        {/* Shown until the list loads so the stored workspace is not lost */}
+        {currentId && !workspaces.some(workspace => workspace._id === currentId) && (
+          <option value={currentId}>Workspace</option>
+        )}
+      </select>
+      <Link
+        to="/workspaces"
+        className="workspace-manage"
+        title={invites.length > 0 ? `Workspaces · ${invites.length} pending invite${invites.length === 1 ? '' : 's'}` : 'Manage workspaces'}
+      >
+        <Users size={16} />
+        {invites.length > 0 && <span className="workspace-invite-count">{invites.length}</span>}
+      </Link>
+    </div>
+  );
+};
 
 const Navbar = () => {
   const { user, logout } = useAuth();
+  const { canEdit } = useWorkspace();
+  const syncStatus = useSyncStatus();
   const navigate = useNavigate();
 
   const handleLogout = () => {
+    if (!confirmDiscardUnsynced()) {
+      return;
+    }
+
     logout();
     navigate('/login');
   };
@@ -25,20 +178,30 @@ const Navbar = () => {
           <div className="flex items-center gap-3 sm:gap-4">
             {user ? (
               <>
-                <Link
-                  to="/create"
-                  className="btn btn-primary flex items-center gap-1 sm:gap-2 text-sm sm:text-base mx-1"
-                >
-                  <Plus size={14} className="sm:w-4 sm:h-4" />
-                  <span className="hidden sm:inline">New Copy</span>
-                  <span className="sm:hidden">New</span>
-                </Link>
+                <WorkspaceSwitcher />
+
+                {canEdit && (
+                  <Link
+                    to="/create"
+                    className="btn btn-primary flex items-center gap-1 sm:gap-2 text-sm sm:text-base mx-1"
+                  >
+                    <Plus size={14} className="sm:w-4 sm:h-4" />
+                    <span className="hidden sm:inline">New Copy</span>
+                    <span className="sm:hidden">New</span>
+                  </Link>
+                )}
                 
                 <div className="flex items-center gap-3 sm:gap-4">
-                  <div className="hidden sm:flex items-center gap-2 text-white font-medium">
+                  <SyncStatus status={syncStatus} />
+
+                  <Link
+                    to="/account"
+                    className="hidden sm:flex items-center gap-2 text-white font-medium"
+                    title="Account and security"
+                  >
                     <User size={16} />
                     <span>{user.username}</span>
-                  </div>
+                  </Link>
                   
                   <button
                     onClick={handleLogout}
@@ -63,6 +226,8 @@ const Navbar = () => {
           </div>
         </div>
       </div>
+      {user && !user.emailVerified && <VerifyEmailBanner email={user.email} />}
+      {user && syncStatus.conflicts.length > 0 && <SyncConflictsBanner conflicts={syncStatus.conflicts} />}
     </nav>
   );
 };
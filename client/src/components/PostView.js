@@ -0,0 +1,140 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { ArrowLeft, Edit, Calendar, Copy } from 'lucide-react';
+import MarkdownPreview from './MarkdownPreview';
+import CodeBlock from './CodeBlock';
+import CopyMenu from './CopyMenu';
+import TemplateFillDialog from './TemplateFillDialog';
+import { languageLabel } from '../utils/code';
+import { copyContent, trackCopy } from '../utils/clipboard';
+import { hasVariables } from '../utils/template';
+import { fetchPost } from '../offline/posts';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+
+const PostView = () => {
+  const [post, setPost] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [templateFormat, setTemplateFormat] = useState(null);
+  const { canEdit } = useWorkspace();
+
+  const navigate = useNavigate();
+  const { id } = useParams();
+
+  useEffect(() => {
+    const loadPost = async () => {
+      try {
+        setPost(await fetchPost(id));
+      } catch (error) {
+        console.error('Error fetching post:', error);
+        toast.error('Failed to load post');
+        navigate('/dashboard');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadPost();
+  }, [id, navigate]);
+
+  const copyText = async (content, format) => {
+    try {
+      await copyContent(content, format, post.language);
+      toast.success('Copied to clipboard!');
+    } catch (error) {
+      console.error('Failed to copy:', error);
+      toast.error('Failed to copy to clipboard');
+      return;
+    }
+
+    const usage = await trackCopy(post._id, format);
+    if (usage) {
+      setPost(prevPost => ({ ...prevPost, ...usage }));
+    }
+  };
+
+  const handleCopy = (format) => {
+    // Posts with {{placeholders}} are filled in before copying
+    if (hasVariables(post.content)) {
+      setTemplateFormat(format);
+      return;
+    }
+
+    copyText(post.content, format);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="flex items-center gap-4 mb-8">
+        <button
+          onClick={() => navigate('/dashboard')}
+          className="btn btn-outline flex items-center gap-2"
+        >
+          <ArrowLeft size={16} />
+          Back to Dashboard
+        </button>
+        {canEdit && (
+          <Link
+            to={`/edit/${post._id}`}
+            className="btn btn-outline flex items-center gap-2"
+          >
+            <Edit size={16} />
+            Edit
+          </Link>
+        )}
+      </div>
+
+      <div className="card animate-fade-in">
+        <div className="flex justify-between items-start gap-4 mb-6">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-2">{post.title}</h1>
+            <div className="flex items-center gap-2 flex-wrap mb-2">
+              <span className="badge badge-category">{post.category}</span>
+              {post.language && (
+                <span className="badge badge-language">{languageLabel(post.language)}</span>
+              )}
+              {post.tags.map((tag, index) => (
+                <span key={index} className="badge badge-tag">{tag}</span>
+              ))}
+            </div>
+            <div className="flex items-center text-xs text-gray-500">
+              <Calendar size={14} className="mr-1" />
+              {new Date(post.updatedAt).toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit'
+              })}
+              <Copy size={14} className="ml-3 mr-1" />
+              Copied {post.copyCount || 0} time{post.copyCount === 1 ? '' : 's'}
+            </div>
+          </div>
+          <CopyMenu onCopy={handleCopy} label="Copy" className="flex-shrink-0" />
+        </div>
+
+        {post.language
+          ? <CodeBlock code={post.content} language={post.language} lineNumbers />
+          : <MarkdownPreview content={post.content} />}
+      </div>
+
+      {templateFormat && (
+        <TemplateFillDialog
+          post={post}
+          onCopy={(content) => copyText(content, templateFormat)}
+          onClose={() => setTemplateFormat(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default PostView;
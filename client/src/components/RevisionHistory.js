@@ -0,0 +1,201 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { History, RotateCcw, X } from 'lucide-react';
+
+// Pair up runs of deleted and inserted lines so they sit side by side
+const toSideBySide = (ops) => {
+  const rows = [];
+  let deleted = [];
+  let inserted = [];
+
+  const flush = () => {
+    const length = Math.max(deleted.length, inserted.length);
+    for (let i = 0; i < length; i++) {
+      rows.push({
+        left: deleted[i] ?? null,
+        right: inserted[i] ?? null,
+        type: 'changed'
+      });
+    }
+    deleted = [];
+    inserted = [];
+  };
+
+  ops.forEach(({ type, value }) => {
+    if (type === 'delete') {
+      deleted.push(value);
+    } else if (type === 'insert') {
+      inserted.push(value);
+    } else {
+      flush();
+      rows.push({ left: value, right: value, type: 'equal' });
+    }
+  });
+  flush();
+
+  return rows;
+};
+
+const RevisionHistory = ({ postId, onRestore, onClose, formatDate }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+
+  const fetchRevisions = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/posts/${postId}/revisions`);
+      setRevisions(response.data);
+      if (response.data.length > 0) {
+        setSelectedId(response.data[0]._id);
+      }
+    } catch (error) {
+      console.error('Error fetching revisions:', error);
+      toast.error('Failed to load history');
+    } finally {
+      setLoading(false);
+    }
+  }, [postId]);
+
+  useEffect(() => {
+    fetchRevisions();
+  }, [fetchRevisions]);
+
+  useEffect(() => {
+    if (!selectedId) return;
+
+    const fetchDiff = async () => {
+      try {
+        const response = await axios.get(`/api/posts/${postId}/revisions/diff`, {
+          params: { from: selectedId, to: 'current' }
+        });
+        setDiff(response.data);
+      } catch (error) {
+        console.error('Error fetching diff:', error);
+        toast.error('Failed to load diff');
+      }
+    };
+
+    fetchDiff();
+  }, [postId, selectedId]);
+
+  const handleRestore = async () => {
+    if (!window.confirm('Restore this revision? The current version will be kept in history.')) {
+      return;
+    }
+
+    setRestoring(true);
+    try {
+      const response = await axios.post(`/api/posts/${postId}/revisions/${selectedId}/restore`);
+      toast.success('Revision restored');
+      onRestore(response.data);
+    } catch (error) {
+      console.error('Error restoring revision:', error);
+      const message = error.response?.data?.message || 'Failed to restore revision';
+      toast.error(message);
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  return (
+    <div className="card animate-fade-in mb-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+          <History size={20} />
+          History
+        </h2>
+        <button
+          type="button"
+          onClick={onClose}
+          className="p-1 text-gray-500 hover:text-gray-700 transition-colors"
+          title="Close history"
+        >
+          <X size={20} />
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center p-4">
+          <div className="spinner"></div>
+        </div>
+      ) : revisions.length === 0 ? (
+        <p className="text-gray-600 text-sm">No previous versions yet. Revisions are saved each time you update this copy.</p>
+      ) : (
+        <div className="revision-layout">
+          <ul className="revision-list">
+            {revisions.map((revision) => (
+              <li key={revision._id}>
+                <button
+                  type="button"
+                  onClick={() => setSelectedId(revision._id)}
+                  className={`revision-item ${revision._id === selectedId ? 'revision-item-active' : ''}`}
+                >
+                  <span className="font-medium text-gray-900">{revision.title}</span>
+                  <span className="text-xs text-gray-500">{formatDate(revision.createdAt)}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <div className="flex-1">
+            {diff && (
+              <>
+                <div className="flex justify-between items-center mb-3 gap-2">
+                  <div className="text-sm text-gray-600">
+                    {formatDate(diff.from.createdAt)} → Current
+                  </div>
+                  <button
+                    type="button"
+                    onClick={handleRestore}
+                    disabled={restoring}
+                    className="btn btn-outline flex items-center gap-2 text-sm"
+                  >
+                    <RotateCcw size={14} />
+                    {restoring ? 'Restoring...' : 'Restore'}
+                  </button>
+                </div>
+
+                {(diff.title.changed || diff.category.changed || diff.tags.added.length > 0 || diff.tags.removed.length > 0) && (
+                  <div className="text-sm text-gray-700 mb-3 space-y-1">
+                    {diff.title.changed && (
+                      <p>Title: <del className="diff-removed">{diff.title.from}</del> → <ins className="diff-added">{diff.title.to}</ins></p>
+                    )}
+                    {diff.category.changed && (
+                      <p>Category: <del className="diff-removed">{diff.category.from}</del> → <ins className="diff-added">{diff.category.to}</ins></p>
+                    )}
+                    {diff.tags.removed.length > 0 && (
+                      <p>Tags removed: <del className="diff-removed">{diff.tags.removed.join(', ')}</del></p>
+                    )}
+                    {diff.tags.added.length > 0 && (
+                      <p>Tags added: <ins className="diff-added">{diff.tags.added.join(', ')}</ins></p>
+                    )}
+                  </div>
+                )}
+
+                <div className="diff-table">
+                  <div className="diff-header">Revision</div>
+                  <div className="diff-header">Current</div>
+                  {toSideBySide(diff.content).map((row, index) => (
+                    <React.Fragment key={index}>
+                      <pre className={`diff-cell ${row.type === 'changed' && row.left !== null ? 'diff-removed' : ''}`}>
+                        {row.left ?? ''}
+                      </pre>
+                      <pre className={`diff-cell ${row.type === 'changed' && row.right !== null ? 'diff-added' : ''}`}>
+                        {row.right ?? ''}
+                      </pre>
+                    </React.Fragment>
+                  ))}
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RevisionHistory;
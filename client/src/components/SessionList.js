@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { LogOut, Monitor } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+const SessionList = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const { logout, logoutEverywhere } = useAuth();
+
+  useEffect(() => {
+    const fetchSessions = async () => {
+      try {
+        const response = await axios.get('/api/auth/sessions');
+        setSessions(response.data);
+      } catch (error) {
+        console.error('Error fetching sessions:', error);
+        toast.error('Failed to load sessions');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSessions();
+  }, []);
+
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      logout();
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/auth/sessions/${session.id}`);
+      setSessions(prevSessions => prevSessions.filter(item => item.id !== session.id));
+      toast.success('Session signed out');
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      toast.error('Failed to sign out session');
+    }
+  };
+
+  const handleRevokeAll = () => {
+    if (!window.confirm('Sign out of every device, including this one?')) {
+      return;
+    }
+
+    logoutEverywhere();
+  };
+
+  return (
+    <div className="card mb-6">
+      <div className="flex justify-between items-center mb-4 gap-2">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+          <Monitor size={18} />
+          Signed-in Devices
+        </h2>
+        {sessions.length > 0 && (
+          <button
+            type="button"
+            onClick={handleRevokeAll}
+            className="btn btn-outline text-sm flex items-center gap-2"
+          >
+            <LogOut size={14} />
+            Sign Out Everywhere
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center p-4">
+          <div className="spinner"></div>
+        </div>
+      ) : (
+        <ul className="space-y-3">
+          {sessions.map(session => (
+            <li key={session.id} className="flex justify-between items-center gap-3 p-3 border rounded-lg">
+              <div className="min-w-0">
+                <p className="font-medium text-gray-900">
+                  {session.device}
+                  {session.current && <span className="badge badge-tag ml-2">This device</span>}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {session.ip || 'Unknown IP'} · last seen {formatDate(session.lastSeenAt)}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleRevoke(session)}
+                className="btn btn-outline text-sm flex-shrink-0"
+              >
+                Sign Out
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SessionList;
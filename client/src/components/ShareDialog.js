@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Copy, Share2, X } from 'lucide-react';
+
+const EXPIRY_OPTIONS = [
+  { label: 'Never', hours: null },
+  { label: '1 hour', hours: 1 },
+  { label: '1 day', hours: 24 },
+  { label: '7 days', hours: 24 * 7 },
+  { label: '30 days', hours: 24 * 30 }
+];
+
+export const getShareUrl = (token) => `${window.location.origin}/s/${token}`;
+
+const ShareDialog = ({ post, onClose }) => {
+  const [expiryHours, setExpiryHours] = useState('');
+  const [maxViews, setMaxViews] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [link, setLink] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    setCreating(true);
+    try {
+      const expiresAt = expiryHours
+        ? new Date(Date.now() + Number(expiryHours) * 60 * 60 * 1000).toISOString()
+        : null;
+
+      const response = await axios.post('/api/shares', {
+        postId: post._id,
+        expiresAt,
+        maxViews: maxViews ? Number(maxViews) : null
+      });
+      setLink(response.data);
+      toast.success('Share link created');
+    } catch (error) {
+      console.error('Error creating share link:', error);
+      const message = error.response?.data?.message || 'Failed to create share link';
+      toast.error(message);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(getShareUrl(link.token));
+      toast.success('Link copied to clipboard!');
+    } catch (error) {
+      console.error('Failed to copy:', error);
+      toast.error('Failed to copy to clipboard');
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal card animate-fade-in" onClick={(e) => e.stopPropagation()}>
+        <div className="flex justify-between items-start mb-6">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900 mb-1">Share read-only link</h2>
+            <p className="text-gray-600 text-sm">{post.title}</p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-1 text-gray-500 hover:text-gray-700 transition-colors"
+            title="Close"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        {link ? (
+          <div>
+            <div className="form-group">
+              <label className="form-label">Share link</label>
+              <input
+                type="text"
+                readOnly
+                value={getShareUrl(link.token)}
+                className="form-input"
+                onFocus={(e) => e.target.select()}
+              />
+              <p className="text-gray-500 text-sm mt-1">
+                Anyone with this link can view and copy this post. You can revoke it from Shared Links.
+              </p>
+            </div>
+            <div className="flex flex-col sm:flex-row items-stretch sm:items-center gap-3 sm:gap-4">
+              <button
+                type="button"
+                onClick={handleCopyLink}
+                className="btn btn-primary flex items-center gap-2 justify-center"
+              >
+                <Copy size={16} />
+                Copy Link
+              </button>
+              <button
+                type="button"
+                onClick={onClose}
+                className="btn btn-outline justify-center"
+              >
+                Done
+              </button>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label htmlFor="share-expiry" className="form-label">Expires after</label>
+              <select
+                id="share-expiry"
+                value={expiryHours}
+                onChange={(e) => setExpiryHours(e.target.value)}
+                className="form-input"
+              >
+                {EXPIRY_OPTIONS.map(({ label, hours }) => (
+                  <option key={label} value={hours || ''}>{label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="share-max-views" className="form-label">View limit</label>
+              <input
+                type="number"
+                id="share-max-views"
+                min={1}
+                value={maxViews}
+                onChange={(e) => setMaxViews(e.target.value)}
+                className="form-input"
+                placeholder="Unlimited"
+              />
+            </div>
+
+            <div className="flex flex-col sm:flex-row items-stretch sm:items-center gap-3 sm:gap-4">
+              <button
+                type="submit"
+                disabled={creating}
+                className="btn btn-primary flex items-center gap-2 justify-center"
+              >
+                <Share2 size={16} />
+                {creating ? 'Creating...' : 'Create Link'}
+              </button>
+              <button
+                type="button"
+                onClick={onClose}
+                className="btn btn-outline justify-center"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ShareDialog;
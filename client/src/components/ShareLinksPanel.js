@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Copy, Link2, X } from 'lucide-react';
+import { getShareUrl } from './ShareDialog';
+
+const ShareLinksPanel = ({ onClose, formatDate }) => {
+  const [links, setLinks] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchLinks = async () => {
+      try {
+        const response = await axios.get('/api/shares');
+        setLinks(response.data);
+      } catch (error) {
+        console.error('Error fetching share links:', error);
+        toast.error('Failed to load shared links');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchLinks();
+  }, []);
+
+  const handleCopyLink = async (token) => {
+    try {
+      await navigator.clipboard.writeText(getShareUrl(token));
+      toast.success('Link copied to clipboard!');
+    } catch (error) {
+      console.error('Failed to copy:', error);
+      toast.error('Failed to copy to clipboard');
+    }
+  };
+
+  const handleRevoke = async (linkId) => {
+    if (!window.confirm('Revoke this link? Anyone using it will lose access.')) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/shares/${linkId}`);
+      setLinks(prevLinks => prevLinks.filter(link => link.id !== linkId));
+      toast.success('Share link revoked');
+    } catch (error) {
+      console.error('Error revoking share link:', error);
+      toast.error('Failed to revoke link');
+    }
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow border mb-6 animate-fade-in">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+          <Link2 size={18} />
+          Shared Links
+        </h2>
+        <button
+          type="button"
+          onClick={onClose}
+          className="p-1 text-gray-500 hover:text-gray-700 transition-colors"
+          title="Close"
+        >
+          <X size={18} />
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center p-4">
+          <div className="spinner"></div>
+        </div>
+      ) : links.length === 0 ? (
+        <p className="text-gray-600 text-sm">No active share links.</p>
+      ) : (
+        <ul className="space-y-3">
+          {links.map((link) => (
+            <li key={link.id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 border-b pb-3">
+              <div>
+                <p className="font-medium text-gray-900">{link.post.title}</p>
+                <p className="text-xs text-gray-500">
+                  {link.views}{link.maxViews ? `/${link.maxViews}` : ''} views
+                  {' · '}
+                  {link.expiresAt ? `Expires ${formatDate(link.expiresAt)}` : 'Never expires'}
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => handleCopyLink(link.token)}
+                  className="btn btn-outline flex items-center gap-2 text-sm"
+                >
+                  <Copy size={14} />
+                  Copy
+                </button>
+                <button
+                  onClick={() => handleRevoke(link.id)}
+                  className="btn btn-danger text-sm"
+                >
+                  Revoke
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ShareLinksPanel;
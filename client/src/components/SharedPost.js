@@ -0,0 +1,94 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Link2Off } from 'lucide-react';
+import API_CONFIG from '../config/api';
+import MarkdownPreview from './MarkdownPreview';
+import CodeBlock from './CodeBlock';
+import CopyMenu from './CopyMenu';
+import { languageLabel } from '../utils/code';
+import { copyContent } from '../utils/clipboard';
+
+const SharedPost = () => {
+  const [post, setPost] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const { token } = useParams();
+
+  useEffect(() => {
+    const fetchSharedPost = async () => {
+      try {
+        const response = await axios.get(`/api/shares/public/${token}`, {
+          baseURL: API_CONFIG.baseURL
+        });
+        setPost(response.data);
+      } catch (error) {
+        console.error('Error fetching shared post:', error);
+        setError(error.response?.data?.message || 'Failed to load shared copy');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSharedPost();
+  }, [token]);
+
+  const handleCopy = async (format) => {
+    try {
+      await copyContent(post.content, format, post.language);
+      toast.success('Copied to clipboard!');
+    } catch (error) {
+      console.error('Failed to copy:', error);
+      toast.error('Failed to copy to clipboard');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="empty-state animate-fade-in">
+        <div className="empty-state-icon">
+          <Link2Off size={32} />
+        </div>
+        <h3 className="text-xl font-semibold text-gray-900 mb-2">Link unavailable</h3>
+        <p className="text-gray-600">{error}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="card animate-fade-in">
+        <div className="flex justify-between items-start gap-4 mb-6">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-2">{post.title}</h1>
+            <div className="flex items-center gap-2 flex-wrap">
+              <span className="badge badge-category">{post.category}</span>
+              {post.language && (
+                <span className="badge badge-language">{languageLabel(post.language)}</span>
+              )}
+              {post.tags.map((tag, index) => (
+                <span key={index} className="badge badge-tag">{tag}</span>
+              ))}
+            </div>
+          </div>
+          <CopyMenu onCopy={handleCopy} label="Copy" className="flex-shrink-0" />
+        </div>
+
+        {post.language
+          ? <CodeBlock code={post.content} language={post.language} lineNumbers />
+          : <MarkdownPreview content={post.content} />}
+      </div>
+    </div>
+  );
+};
+
+export default SharedPost;
@@ -0,0 +1,150 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import axios from 'axios';
+import { Tag } from 'lucide-react';
+import { normalizeTag, MAX_TAG_LENGTH } from '../utils/tags';
+import { isNetworkError } from '../offline/sync';
+import { getCachedTags } from '../offline/posts';
+
+const MAX_SUGGESTIONS = 8;
+
+// Tag editor for post forms, suggesting the user's existing tags as they type.
+// Most used tags are suggested first.
+const TagInput = ({ value, onChange }) => {
+  const [input, setInput] = useState('');
+  const [knownTags, setKnownTags] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+
+  useEffect(() => {
+    const fetchTags = async () => {
+      try {
+        const response = await axios.get('/api/tags');
+        setKnownTags(response.data.map(({ name }) => name));
+      } catch (error) {
+        console.error('Error fetching tags:', error);
+        setKnownTags(isNetworkError(error) ? await getCachedTags() : []);
+      }
+    };
+
+    fetchTags();
+  }, []);
+
+  const suggestions = useMemo(() => {
+    const query = normalizeTag(input);
+    if (!query) return [];
+
+    const available = knownTags.filter(tag => !value.includes(tag) && tag.includes(query));
+    // Tags starting with what was typed come before ones that only contain it
+    return [
+      ...available.filter(tag => tag.startsWith(query)),
+      ...available.filter(tag => !tag.startsWith(query))
+    ].slice(0, MAX_SUGGESTIONS);
+  }, [input, knownTags, value]);
+
+  const addTag = (tag) => {
+    const normalized = normalizeTag(tag);
+    if (normalized && !value.includes(normalized)) {
+      onChange([...value, normalized]);
+    }
+    setInput('');
+    setOpen(false);
+    setHighlighted(0);
+  };
+
+  const handleKeyDown = (e) => {
+    const showing = open && suggestions.length > 0;
+
+    if (e.key === 'ArrowDown' && showing) {
+      e.preventDefault();
+      setHighlighted((highlighted + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp' && showing) {
+      e.preventDefault();
+      setHighlighted((highlighted - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTag(showing ? suggestions[highlighted] : input);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    } else if (e.key === 'Backspace' && !input && value.length > 0) {
+      onChange(value.slice(0, -1));
+    }
+  };
+
+  return (
+    <div className="form-group">
+      <label htmlFor="tags" className="form-label flex items-center gap-2">
+        <Tag size={16} />
+        Tags
+      </label>
+      <div className="flex gap-2 mb-2">
+        <div className="tag-input flex-1">
+          <input
+            type="text"
+            id="tags"
+            value={input}
+            onChange={(e) => {
+              setInput(e.target.value);
+              setOpen(true);
+              setHighlighted(0);
+            }}
+            onKeyDown={handleKeyDown}
+            onBlur={() => setOpen(false)}
+            className="form-input"
+            placeholder="Add a tag and press Enter"
+            maxLength={MAX_TAG_LENGTH}
+            autoComplete="off"
+            role="combobox"
+            aria-expanded={open && suggestions.length > 0}
+            aria-controls="tag-suggestions"
+          />
+          {open && suggestions.length > 0 && (
+            <ul id="tag-suggestions" className="tag-suggestions" role="listbox">
+              {suggestions.map((tag, index) => (
+                <li key={tag} role="option" aria-selected={index === highlighted}>
+                  <button
+                    type="button"
+                    // Keep focus in the input so the blur does not close the list first
+                    onMouseDown={(e) => e.preventDefault()}
+                    onClick={() => addTag(tag)}
+                    className={index === highlighted ? 'active' : ''}
+                  >
+                    {tag}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+        <button
+          type="button"
+          onClick={() => addTag(input)}
+          className="btn btn-outline"
+          disabled={!input.trim()}
+        >
+          Add
+        </button>
+      </div>
+      {value.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {value.map((tag) => (
+            <span
+              key={tag}
+              className="badge badge-tag flex items-center gap-1"
+            >
+              {tag}
+              <button
+                type="button"
+                onClick={() => onChange(value.filter(item => item !== tag))}
+                className="text-blue-700 hover:text-blue-900 font-bold"
+              >
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
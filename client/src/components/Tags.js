@@ -0,0 +1,284 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { ArrowLeft, Check, Merge, Pencil, Search, Tag, Trash2, X } from 'lucide-react';
+import { normalizeTag, MAX_TAG_LENGTH } from '../utils/tags';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+
+const Tags = () => {
+  const [tags, setTags] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [mergeInto, setMergeInto] = useState('');
+  // { name, value } while a tag is being renamed
+  const [renaming, setRenaming] = useState(null);
+  const [working, setWorking] = useState(false);
+  // Workspace viewers can see the tags but not change them
+  const { canEdit } = useWorkspace();
+
+  const navigate = useNavigate();
+
+  const fetchTags = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/tags');
+      setTags(response.data);
+    } catch (error) {
+      console.error('Error fetching tags:', error);
+      toast.error('Failed to load tags');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTags();
+  }, [fetchTags]);
+
+  const visibleTags = useMemo(() => {
+    const query = normalizeTag(filter);
+    return query ? tags.filter(({ name }) => name.includes(query)) : tags;
+  }, [tags, filter]);
+
+  // Run a change, then reload the counts since tags may have merged
+  const applyChange = async (request, errorMessage) => {
+    setWorking(true);
+    try {
+      const response = await request();
+      toast.success(response.data.message);
+      await fetchTags();
+      return true;
+    } catch (error) {
+      console.error(`${errorMessage}:`, error);
+      const message = error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || errorMessage;
+      toast.error(message);
+      return false;
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const toggleSelected = (name) => {
+    setSelected(prevSelected => {
+      const nextSelected = prevSelected.includes(name)
+        ? prevSelected.filter(item => item !== name)
+        : [...prevSelected, name];
+
+      // Suggest the most used of the selected tags as the one to keep
+      const mostUsed = tags.find(tag => nextSelected.includes(tag.name));
+      setMergeInto(mostUsed ? mostUsed.name : '');
+      return nextSelected;
+    });
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+
+    const name = normalizeTag(renaming.value);
+    if (!name || name === renaming.name) {
+      setRenaming(null);
+      return;
+    }
+
+    if (tags.some(tag => tag.name === name) &&
+      !window.confirm(`"${name}" already exists. Merge "${renaming.name}" into it?`)) {
+      return;
+    }
+
+    const renamed = await applyChange(
+      () => axios.put(`/api/tags/${encodeURIComponent(renaming.name)}`, { name }),
+      'Failed to rename tag'
+    );
+    if (renamed) {
+      setRenaming(null);
+      setSelected(prevSelected => prevSelected.filter(item => item !== renaming.name));
+    }
+  };
+
+  const handleMerge = async (e) => {
+    e.preventDefault();
+
+    const into = normalizeTag(mergeInto);
+    if (!into) return;
+
+    const merged = await applyChange(
+      () => axios.post('/api/tags/merge', { tags: selected, into }),
+      'Failed to merge tags'
+    );
+    if (merged) {
+      setSelected([]);
+      setMergeInto('');
+    }
+  };
+
+  const handleDelete = async ({ name, count }) => {
+    if (!window.confirm(`Remove "${name}" from ${count} cop${count === 1 ? 'y' : 'ies'}? The copies themselves are kept.`)) {
+      return;
+    }
+
+    const deleted = await applyChange(
+      () => axios.delete(`/api/tags/${encodeURIComponent(name)}`),
+      'Failed to delete tag'
+    );
+    if (deleted) {
+      setSelected(prevSelected => prevSelected.filter(item => item !== name));
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="flex items-center gap-4 mb-8">
+        <button
+          onClick={() => navigate('/dashboard')}
+          className="btn btn-outline flex items-center gap-2"
+        >
+          <ArrowLeft size={16} />
+          Back to Dashboard
+        </button>
+      </div>
+
+      <div className="mb-6">
+        <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-2">Tags</h1>
+        <p className="text-gray-600 text-sm sm:text-base">
+          {tags.length === 0
+            ? 'No tags yet'
+            : `${tags.length} tag${tags.length === 1 ? '' : 's'}${canEdit ? '. Select several to merge them into one.' : ''}`}
+        </p>
+      </div>
+
+      {tags.length === 0 ? (
+        <div className="empty-state animate-fade-in">
+          <div className="empty-state-icon">
+            <Tag size={32} />
+          </div>
+          <h3 className="text-xl font-semibold text-gray-900 mb-2">No tags yet</h3>
+          <p className="text-gray-600">Tags you add to your copies appear here</p>
+        </div>
+      ) : (
+        <>
+          <div className="relative mb-4">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
+            <input
+              type="text"
+              placeholder="Filter tags..."
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+              className="form-input pl-10 w-full"
+            />
+          </div>
+
+          {selected.length > 1 && (
+            <form onSubmit={handleMerge} className="card mb-4 flex flex-col sm:flex-row sm:items-center gap-3">
+              <span className="text-sm text-gray-700 flex items-center gap-2">
+                <Merge size={16} />
+                Merge {selected.length} tags into
+              </span>
+              <input
+                type="text"
+                value={mergeInto}
+                onChange={(e) => setMergeInto(e.target.value)}
+                className="form-input flex-1"
+                list="merge-targets"
+                maxLength={MAX_TAG_LENGTH}
+              />
+              <datalist id="merge-targets">
+                {selected.map(name => <option key={name} value={name} />)}
+              </datalist>
+              <button type="submit" disabled={working || !mergeInto.trim()} className="btn btn-primary">
+                {working ? 'Merging...' : 'Merge'}
+              </button>
+            </form>
+          )}
+
+          <ul className="card space-y-2">
+            {visibleTags.map(tag => (
+              <li key={tag.name} className="flex items-center justify-between gap-3 p-2 border rounded-lg">
+                {renaming?.name === tag.name ? (
+                  <form onSubmit={handleRename} className="flex items-center gap-2 flex-1">
+                    <input
+                      type="text"
+                      value={renaming.value}
+                      onChange={(e) => setRenaming({ ...renaming, value: e.target.value })}
+                      onKeyDown={(e) => e.key === 'Escape' && setRenaming(null)}
+                      className="form-input flex-1"
+                      maxLength={MAX_TAG_LENGTH}
+                      autoFocus
+                    />
+                    <button
+                      type="submit"
+                      disabled={working}
+                      className="p-1 text-gray-500 hover:text-green-600 transition-colors"
+                      title="Save"
+                    >
+                      <Check size={16} />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setRenaming(null)}
+                      className="p-1 text-gray-500 hover:text-gray-700 transition-colors"
+                      title="Cancel"
+                    >
+                      <X size={16} />
+                    </button>
+                  </form>
+                ) : (
+                  <>
+                    <label className="flex items-center gap-3 min-w-0 flex-1">
+                      {canEdit && (
+                        <input
+                          type="checkbox"
+                          checked={selected.includes(tag.name)}
+                          onChange={() => toggleSelected(tag.name)}
+                          className="post-select"
+                        />
+                      )}
+                      <span className="badge badge-tag truncate">{tag.name}</span>
+                      <span className="text-sm text-gray-500 flex-shrink-0">
+                        {tag.count} cop{tag.count === 1 ? 'y' : 'ies'}
+                      </span>
+                    </label>
+                    {canEdit && (
+                      <div className="flex items-center gap-2 flex-shrink-0">
+                        <button
+                          type="button"
+                          onClick={() => setRenaming({ name: tag.name, value: tag.name })}
+                          className="p-1 text-gray-500 hover:text-green-600 transition-colors"
+                          title="Rename"
+                        >
+                          <Pencil size={16} />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleDelete(tag)}
+                          disabled={working}
+                          className="p-1 text-gray-500 hover:text-red-600 transition-colors"
+                          title="Remove from all copies"
+                        >
+                          <Trash2 size={16} />
+                        </button>
+                      </div>
+                    )}
+                  </>
+                )}
+              </li>
+            ))}
+            {visibleTags.length === 0 && (
+              <li className="text-sm text-gray-500 p-2">No tags match "{filter}"</li>
+            )}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Tags;
@@ -0,0 +1,120 @@
+import React, { useState, useMemo } from 'react';
+import { Copy, X } from 'lucide-react';
+import {
+  extractVariables,
+  renderTemplate,
+  getRecentValues,
+  saveRecentValues
+} from '../utils/template';
+
+const TemplateFillDialog = ({ post, onCopy, onClose }) => {
+  const variables = useMemo(() => extractVariables(post.content), [post.content]);
+  const recentValues = useMemo(() => getRecentValues(), []);
+
+  // Prefill each variable with its most recently used value
+  const [values, setValues] = useState(() => {
+    const initial = {};
+    variables.forEach(({ name }) => {
+      initial[name] = recentValues.get(name)?.[0] || '';
+    });
+    return initial;
+  });
+
+  const preview = useMemo(() => renderTemplate(post.content, values), [post.content, values]);
+
+  const missing = variables.filter(
+    ({ name, defaultValue }) => !values[name] && defaultValue === null
+  );
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setValues(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (missing.length > 0) return;
+
+    saveRecentValues(values);
+    await onCopy(preview);
+    onClose();
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal card animate-fade-in" onClick={(e) => e.stopPropagation()}>
+        <div className="flex justify-between items-start mb-6">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900 mb-1">Fill in template</h2>
+            <p className="text-gray-600 text-sm">{post.title}</p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-1 text-gray-500 hover:text-gray-700 transition-colors"
+            title="Close"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit}>
+          {variables.map(({ name, defaultValue }, index) => (
+            <div className="form-group" key={name}>
+              <label htmlFor={`template-${name}`} className="form-label">
+                {name}
+              </label>
+              <input
+                type="text"
+                id={`template-${name}`}
+                name={name}
+                value={values[name]}
+                onChange={handleChange}
+                className="form-input"
+                placeholder={defaultValue !== null ? `Default: ${defaultValue}` : `Enter ${name}`}
+                list={`template-${name}-recent`}
+                autoFocus={index === 0}
+              />
+              {recentValues.get(name)?.length > 0 && (
+                <datalist id={`template-${name}-recent`}>
+                  {recentValues.get(name).map((value) => (
+                    <option key={value} value={value} />
+                  ))}
+                </datalist>
+              )}
+            </div>
+          ))}
+
+          <div className="form-group">
+            <label className="form-label">Preview</label>
+            <pre className="template-preview">{preview}</pre>
+          </div>
+
+          <div className="flex flex-col sm:flex-row items-stretch sm:items-center gap-3 sm:gap-4">
+            <button
+              type="submit"
+              disabled={missing.length > 0}
+              className="btn btn-primary flex items-center gap-2 justify-center"
+            >
+              <Copy size={16} />
+              Copy Filled Text
+            </button>
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn btn-outline justify-center"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default TemplateFillDialog;
@@ -0,0 +1,201 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { ArrowLeft, Calendar, RotateCcw, Trash2 } from 'lucide-react';
+import { markdownToPlainText } from '../utils/markdown';
+
+const PAGE_SIZE = 20;
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+const Trash = () => {
+  const [posts, setPosts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [totalCount, setTotalCount] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  const navigate = useNavigate();
+
+  const fetchTrash = useCallback(async (cursor = null) => {
+    if (cursor) {
+      setLoadingMore(true);
+    }
+
+    try {
+      const response = await axios.get('/api/trash', {
+        params: { limit: PAGE_SIZE, cursor: cursor || undefined }
+      });
+      setPosts(prevPosts => cursor ? [...prevPosts, ...response.data] : response.data);
+      setTotalCount(parseInt(response.headers['x-total-count'], 10) || 0);
+      setNextCursor(response.headers['x-next-cursor'] || null);
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+      toast.error('Failed to load trash');
+    } finally {
+      setLoading(false);
+      setLoadingMore(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const removeFromList = (postId) => {
+    setPosts(prevPosts => prevPosts.filter(post => post._id !== postId));
+    setTotalCount(prevCount => Math.max(prevCount - 1, 0));
+  };
+
+  const handleRestore = async (postId) => {
+    try {
+      await axios.post(`/api/trash/${postId}/restore`);
+      removeFromList(postId);
+      toast.success('Post restored');
+    } catch (error) {
+      console.error('Error restoring post:', error);
+      toast.error('Failed to restore post');
+    }
+  };
+
+  const handleDelete = async (post) => {
+    if (!window.confirm(`Delete "${post.title}" permanently? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/trash/${post._id}`);
+      removeFromList(post._id);
+      toast.success('Post deleted permanently');
+    } catch (error) {
+      console.error('Error deleting post:', error);
+      toast.error('Failed to delete post');
+    }
+  };
+
+  const handleEmpty = async () => {
+    if (!window.confirm('Permanently delete everything in the trash? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      const response = await axios.delete('/api/trash');
+      setPosts([]);
+      setTotalCount(0);
+      setNextCursor(null);
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+      toast.error('Failed to empty trash');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="flex items-center gap-4 mb-8">
+        <button
+          onClick={() => navigate('/dashboard')}
+          className="btn btn-outline flex items-center gap-2"
+        >
+          <ArrowLeft size={16} />
+          Back to Dashboard
+        </button>
+      </div>
+
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-6">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-2">Trash</h1>
+          <p className="text-gray-600 text-sm sm:text-base">
+            {totalCount === 0
+              ? 'The trash is empty'
+              : `${totalCount} cop${totalCount === 1 ? 'y' : 'ies'} in the trash`}
+          </p>
+        </div>
+        {totalCount > 0 && (
+          <button
+            onClick={handleEmpty}
+            className="btn btn-outline flex items-center gap-2 justify-center"
+          >
+            <Trash2 size={16} />
+            Empty Trash
+          </button>
+        )}
+      </div>
+
+      {posts.length === 0 ? (
+        <div className="empty-state animate-fade-in">
+          <div className="empty-state-icon">
+            <Trash2 size={32} />
+          </div>
+          <h3 className="text-xl font-semibold text-gray-900 mb-2">Nothing in the trash</h3>
+          <p className="text-gray-600">Deleted copies appear here until they are purged</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {posts.map(post => (
+            <div key={post._id} className="card animate-fade-in">
+              <div className="flex justify-between items-start gap-4 mb-2">
+                <h3 className="text-lg font-semibold text-gray-900 line-clamp-2">{post.title}</h3>
+                <div className="flex items-center gap-2 flex-shrink-0">
+                  <button
+                    onClick={() => handleRestore(post._id)}
+                    className="p-1 text-gray-500 hover:text-green-600 transition-colors"
+                    title="Restore"
+                  >
+                    <RotateCcw size={16} />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(post)}
+                    className="p-1 text-gray-500 hover:text-red-600 transition-colors"
+                    title="Delete permanently"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              </div>
+              <p className="text-gray-600 text-sm mb-3 line-clamp-2">
+                {markdownToPlainText(post.content)}
+              </p>
+              <div className="flex items-center text-xs text-gray-500 flex-wrap gap-1">
+                <Calendar size={14} className="mr-1" />
+                Deleted {formatDate(post.deletedAt)}
+                {post.purgeAt && ` · removed permanently ${formatDate(post.purgeAt)}`}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {nextCursor && (
+        <div className="flex justify-center p-4">
+          <button
+            onClick={() => fetchTrash(nextCursor)}
+            disabled={loadingMore}
+            className="btn btn-outline"
+          >
+            {loadingMore ? 'Loading...' : 'Load More'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Trash;
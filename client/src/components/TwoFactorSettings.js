@@ -0,0 +1,272 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { ShieldCheck, KeyRound, Copy } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [disabling, setDisabling] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const { updateUser } = useAuth();
+
+  useEffect(() => {
+    const fetchStatus = async () => {
+      try {
+        const response = await axios.get('/api/auth/2fa');
+        setStatus(response.data);
+      } catch (error) {
+        console.error('Error fetching two-factor status:', error);
+        toast.error('Failed to load two-factor settings');
+      }
+    };
+
+    fetchStatus();
+  }, []);
+
+  const resetForm = () => {
+    setCode('');
+    setPassword('');
+  };
+
+  const handleStartSetup = async () => {
+    setSubmitting(true);
+    try {
+      const response = await axios.post('/api/auth/2fa/setup');
+      setSetup(response.data);
+      setRecoveryCodes(null);
+    } catch (error) {
+      console.error('Error starting two-factor setup:', error);
+      toast.error(error.response?.data?.message || 'Failed to start two-factor setup');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const response = await axios.post('/api/auth/2fa/enable', { code: code.trim() });
+      setSetup(null);
+      setRecoveryCodes(response.data.recoveryCodes);
+      setStatus({ enabled: true, enabledAt: new Date().toISOString(), recoveryCodesRemaining: response.data.recoveryCodes.length });
+      updateUser({ twoFactorEnabled: true });
+      resetForm();
+      toast.success('Two-factor authentication enabled');
+    } catch (error) {
+      console.error('Error enabling two-factor:', error);
+      toast.error(error.response?.data?.message || 'Failed to enable two-factor authentication');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      await axios.post('/api/auth/2fa/disable', { password, code: code.trim() });
+      setStatus({ enabled: false, enabledAt: null, recoveryCodesRemaining: 0 });
+      setRecoveryCodes(null);
+      setDisabling(false);
+      updateUser({ twoFactorEnabled: false });
+      resetForm();
+      toast.success('Two-factor authentication disabled');
+    } catch (error) {
+      console.error('Error disabling two-factor:', error);
+      toast.error(error.response?.data?.message || 'Failed to disable two-factor authentication');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRegenerate = async () => {
+    const currentCode = window.prompt('Enter a code from your authenticator app to generate new recovery codes');
+    if (!currentCode) {
+      return;
+    }
+
+    try {
+      const response = await axios.post('/api/auth/2fa/recovery-codes', { code: currentCode.trim() });
+      setRecoveryCodes(response.data.recoveryCodes);
+      setStatus(prevStatus => ({ ...prevStatus, recoveryCodesRemaining: response.data.recoveryCodes.length }));
+      toast.success('New recovery codes generated');
+    } catch (error) {
+      console.error('Error regenerating recovery codes:', error);
+      toast.error(error.response?.data?.message || 'Failed to generate recovery codes');
+    }
+  };
+
+  const handleCopyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+      toast.success('Recovery codes copied');
+    } catch (error) {
+      console.error('Error copying recovery codes:', error);
+      toast.error('Failed to copy recovery codes');
+    }
+  };
+
+  const codeInput = (
+    <div className="form-group">
+      <label htmlFor="two-factor-code" className="form-label">Authentication Code</label>
+      <input
+        type="text"
+        id="two-factor-code"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        className="form-input"
+        placeholder="123456"
+        autoComplete="one-time-code"
+        required
+      />
+    </div>
+  );
+
+  return (
+    <div className="card mb-6">
+      <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2 mb-2">
+        <ShieldCheck size={18} />
+        Two-Factor Authentication
+      </h2>
+
+      {!status ? (
+        <div className="flex justify-center p-4">
+          <div className="spinner"></div>
+        </div>
+      ) : (
+        <>
+          <p className="text-gray-600 text-sm mb-4">
+            {status.enabled
+              ? `On. Signing in needs a code from your authenticator app. ${status.recoveryCodesRemaining} recovery code${status.recoveryCodesRemaining === 1 ? '' : 's'} left.`
+              : 'Off. Add a code from an authenticator app to your sign-in for extra protection.'}
+          </p>
+
+          {recoveryCodes && (
+            <div className="p-4 border rounded-lg mb-4">
+              <p className="font-medium text-gray-900 mb-1 flex items-center gap-2">
+                <KeyRound size={16} />
+                Recovery codes
+              </p>
+              <p className="text-xs text-gray-500 mb-3">
+                Save these somewhere safe. Each one signs you in once if you lose your
+                authenticator, and they will not be shown again.
+              </p>
+              <ul className="grid grid-cols-2 gap-2 font-mono text-sm mb-3">
+                {recoveryCodes.map(recoveryCode => (
+                  <li key={recoveryCode}>{recoveryCode}</li>
+                ))}
+              </ul>
+              <button
+                type="button"
+                onClick={handleCopyCodes}
+                className="btn btn-outline text-sm flex items-center gap-2"
+              >
+                <Copy size={14} />
+                Copy Codes
+              </button>
+            </div>
+          )}
+
+          {!status.enabled && !setup && (
+            <button
+              type="button"
+              onClick={handleStartSetup}
+              disabled={submitting}
+              className="btn btn-primary text-sm"
+            >
+              Set Up Two-Factor Authentication
+            </button>
+          )}
+
+          {setup && (
+            <form onSubmit={handleEnable} className="space-y-4">
+              <p className="text-sm text-gray-600">
+                Scan this QR code with your authenticator app, then enter the code it shows.
+              </p>
+              <img src={setup.qrCode} alt="Two-factor QR code" width={200} height={200} />
+              <p className="text-xs text-gray-500">
+                Can't scan it? Enter this key instead: <span className="font-mono break-all">{setup.secret}</span>
+              </p>
+              {codeInput}
+              <div className="flex gap-2">
+                <button type="submit" disabled={submitting} className="btn btn-primary text-sm">
+                  {submitting ? 'Verifying...' : 'Verify and Enable'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setSetup(null);
+                    resetForm();
+                  }}
+                  className="btn btn-outline text-sm"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+
+          {status.enabled && !disabling && (
+            <div className="flex flex-wrap gap-2">
+              <button
+                type="button"
+                onClick={handleRegenerate}
+                className="btn btn-outline text-sm"
+              >
+                New Recovery Codes
+              </button>
+              <button
+                type="button"
+                onClick={() => setDisabling(true)}
+                className="btn btn-outline text-sm"
+              >
+                Turn Off
+              </button>
+            </div>
+          )}
+
+          {status.enabled && disabling && (
+            <form onSubmit={handleDisable} className="space-y-4">
+              <div className="form-group">
+                <label htmlFor="two-factor-password" className="form-label">Password</label>
+                <input
+                  type="password"
+                  id="two-factor-password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="form-input"
+                  autoComplete="current-password"
+                  required
+                />
+              </div>
+              {codeInput}
+              <div className="flex gap-2">
+                <button type="submit" disabled={submitting} className="btn btn-primary text-sm">
+                  {submitting ? 'Turning off...' : 'Turn Off Two-Factor'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setDisabling(false);
+                    resetForm();
+                  }}
+                  className="btn btn-outline text-sm"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
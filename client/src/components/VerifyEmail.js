@@ -0,0 +1,74 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import { CheckCircle, XCircle } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import API_CONFIG from '../config/api';
+
+const VerifyEmail = () => {
+  // 'verifying' | 'verified' | 'failed'
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { user, updateUser } = useAuth();
+  // Tokens work once, so don't send it twice when effects run twice in development
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (requested.current) return;
+    requested.current = true;
+
+    const verify = async () => {
+      if (!token) {
+        setStatus('failed');
+        setMessage('This verification link is incomplete.');
+        return;
+      }
+
+      try {
+        // Ensure the baseURL is set correctly before making the request
+        axios.defaults.baseURL = API_CONFIG.baseURL;
+        const response = await axios.post('/api/auth/verify-email', { token });
+        setStatus('verified');
+        setMessage(response.data.message);
+        updateUser({ emailVerified: true });
+      } catch (error) {
+        setStatus('failed');
+        setMessage(error.response?.data?.message || 'Failed to verify email address');
+      }
+    };
+
+    verify();
+  }, [token, updateUser]);
+
+  return (
+    <div className="flex justify-center items-center min-h-[80vh]">
+      <div className="card w-full max-w-md animate-fade-in text-center">
+        {status === 'verifying' ? (
+          <div className="flex justify-center p-4">
+            <div className="spinner"></div>
+          </div>
+        ) : (
+          <>
+            <div className="flex justify-center mb-4">
+              {status === 'verified'
+                ? <CheckCircle size={40} className="text-green-600" />
+                : <XCircle size={40} className="text-red-500" />}
+            </div>
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">
+              {status === 'verified' ? 'Email verified' : 'Verification failed'}
+            </h1>
+            <p className="text-gray-600 mb-6">{message}</p>
+            <Link to={user ? '/dashboard' : '/login'} className="btn btn-primary">
+              {user ? 'Go to Dashboard' : 'Sign In'}
+            </Link>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
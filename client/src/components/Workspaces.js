@@ -0,0 +1,511 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Check, LogOut, Mail, Pencil, Plus, Trash2, Users, X } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+
+const ROLES = ['viewer', 'editor', 'owner'];
+
+const ROLE_DESCRIPTIONS = {
+  viewer: 'Can read and copy posts',
+  editor: 'Can also create, edit and delete posts',
+  owner: 'Can also manage members and the workspace'
+};
+
+const EMPTY_INVITE = {
+  recipient: '',
+  role: 'editor'
+};
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+const roleLabel = (role) => role.charAt(0).toUpperCase() + role.slice(1);
+
+// Members, invites and settings of one workspace
+const WorkspaceDetails = ({ workspaceId, onChanged }) => {
+  const { user } = useAuth();
+  const [workspace, setWorkspace] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [invite, setInvite] = useState(EMPTY_INVITE);
+  const [inviting, setInviting] = useState(false);
+  const [renaming, setRenaming] = useState(false);
+  const [name, setName] = useState('');
+
+  const fetchWorkspace = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/workspaces/${workspaceId}`);
+      setWorkspace(response.data);
+    } catch (error) {
+      console.error('Error fetching workspace:', error);
+      toast.error('Failed to load workspace');
+    } finally {
+      setLoading(false);
+    }
+  }, [workspaceId]);
+
+  useEffect(() => {
+    fetchWorkspace();
+  }, [fetchWorkspace]);
+
+  if (loading) {
+    return (
+      <div className="card flex justify-center items-center h-64">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  if (!workspace) {
+    return null;
+  }
+
+  const isOwner = workspace.role === 'owner';
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      toast.error('Give the workspace a name');
+      return;
+    }
+
+    try {
+      await axios.put(`/api/workspaces/${workspaceId}`, { name: name.trim() });
+      setWorkspace(prevWorkspace => ({ ...prevWorkspace, name: name.trim() }));
+      setRenaming(false);
+      onChanged();
+      toast.success('Workspace renamed');
+    } catch (error) {
+      console.error('Error renaming workspace:', error);
+      toast.error(error.response?.data?.message || 'Failed to rename workspace');
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    const recipient = invite.recipient.trim();
+    if (!recipient) {
+      toast.error('Enter an email address or username');
+      return;
+    }
+
+    setInviting(true);
+    try {
+      await axios.post(`/api/workspaces/${workspaceId}/invites`, {
+        ...(recipient.includes('@') ? { email: recipient } : { username: recipient }),
+        role: invite.role
+      });
+      setInvite(EMPTY_INVITE);
+      toast.success(`Invited ${recipient}`);
+      fetchWorkspace();
+    } catch (error) {
+      console.error('Error inviting to workspace:', error);
+      const errors = error.response?.data?.errors;
+      toast.error(errors?.[0]?.msg || error.response?.data?.message || 'Failed to send invite');
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  const handleCancelInvite = async (pendingInvite) => {
+    try {
+      await axios.delete(`/api/workspaces/${workspaceId}/invites/${pendingInvite._id}`);
+      setWorkspace(prevWorkspace => ({
+        ...prevWorkspace,
+        invites: prevWorkspace.invites.filter(item => item._id !== pendingInvite._id)
+      }));
+      toast.success('Invite cancelled');
+    } catch (error) {
+      console.error('Error cancelling invite:', error);
+      toast.error('Failed to cancel invite');
+    }
+  };
+
+  const handleRoleChange = async (member, role) => {
+    try {
+      await axios.put(`/api/workspaces/${workspaceId}/members/${member.user._id}`, { role });
+      setWorkspace(prevWorkspace => ({
+        ...prevWorkspace,
+        members: prevWorkspace.members.map(item => (
+          item.user._id === member.user._id ? { ...item, role } : item
+        ))
+      }));
+      toast.success(`${member.user.username} is now ${role === 'viewer' ? 'a' : 'an'} ${role}`);
+    } catch (error) {
+      console.error('Error changing member role:', error);
+      toast.error(error.response?.data?.message || 'Failed to change role');
+    }
+  };
+
+  const handleRemove = async (member) => {
+    const leaving = member.user._id === user.id;
+    const message = leaving
+      ? `Leave "${workspace.name}"? You will need a new invite to join again.`
+      : `Remove ${member.user.username} from "${workspace.name}"?`;
+    if (!window.confirm(message)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/workspaces/${workspaceId}/members/${member.user._id}`);
+      toast.success(leaving ? `You left ${workspace.name}` : `${member.user.username} removed`);
+      if (leaving) {
+        onChanged();
+      } else {
+        setWorkspace(prevWorkspace => ({
+          ...prevWorkspace,
+          members: prevWorkspace.members.filter(item => item.user._id !== member.user._id)
+        }));
+      }
+    } catch (error) {
+      console.error('Error removing member:', error);
+      toast.error(error.response?.data?.message || 'Failed to remove member');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${workspace.name}" and all of its posts for everyone? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/workspaces/${workspaceId}`);
+      toast.success('Workspace deleted');
+      onChanged();
+    } catch (error) {
+      console.error('Error deleting workspace:', error);
+      toast.error('Failed to delete workspace');
+    }
+  };
+
+  const me = workspace.members.find(member => member.user._id === user.id);
+
+  return (
+    <div className="card mb-6 space-y-6">
+      <div className="flex justify-between items-center gap-3">
+        {renaming ? (
+          <form onSubmit={handleRename} className="flex items-center gap-2 flex-1">
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="form-input"
+              maxLength={50}
+              autoFocus
+            />
+            <button type="submit" className="p-1 text-gray-500 hover:text-green-600 transition-colors" title="Save name">
+              <Check size={16} />
+            </button>
+            <button type="button" onClick={() => setRenaming(false)} className="p-1 text-gray-500 hover:text-red-600 transition-colors" title="Cancel">
+              <X size={16} />
+            </button>
+          </form>
+        ) : (
+          <h2 className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+            {workspace.name}
+            <span className="badge badge-tag">{roleLabel(workspace.role)}</span>
+            {isOwner && (
+              <button
+                type="button"
+                onClick={() => { setName(workspace.name); setRenaming(true); }}
+                className="p-1 text-gray-500 hover:text-blue-600 transition-colors"
+                title="Rename workspace"
+              >
+                <Pencil size={14} />
+              </button>
+            )}
+          </h2>
+        )}
+      </div>
+
+      <div>
+        <h3 className="font-semibold text-gray-900 mb-3">Members</h3>
+        <ul className="space-y-3">
+          {workspace.members.map(member => (
+            <li key={member.user._id} className="flex justify-between items-center gap-3 p-3 border rounded-lg">
+              <div className="min-w-0">
+                <p className="font-medium text-gray-900">
+                  {member.user.username}
+                  {member.user._id === user.id && <span className="text-gray-500 font-normal"> (you)</span>}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {member.user.email && `${member.user.email} · `}joined {formatDate(member.joinedAt)}
+                </p>
+              </div>
+              <div className="flex items-center gap-2 flex-shrink-0">
+                {isOwner ? (
+                  <select
+                    value={member.role}
+                    onChange={(e) => handleRoleChange(member, e.target.value)}
+                    className="editor-language text-sm"
+                    aria-label={`Role of ${member.user.username}`}
+                  >
+                    {ROLES.map(role => (
+                      <option key={role} value={role}>{roleLabel(role)}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <span className="text-sm text-gray-600">{roleLabel(member.role)}</span>
+                )}
+                {(isOwner || member === me) && (
+                  <button
+                    type="button"
+                    onClick={() => handleRemove(member)}
+                    className="p-1 text-gray-500 hover:text-red-600 transition-colors"
+                    title={member === me ? 'Leave workspace' : 'Remove member'}
+                  >
+                    {member === me ? <LogOut size={16} /> : <Trash2 size={16} />}
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {isOwner && (
+        <form onSubmit={handleInvite} className="space-y-3">
+          <h3 className="font-semibold text-gray-900 flex items-center gap-2">
+            <Mail size={16} />
+            Invite someone
+          </h3>
+          <div className="flex flex-col sm:flex-row gap-2">
+            <input
+              type="text"
+              value={invite.recipient}
+              onChange={(e) => setInvite(prevInvite => ({ ...prevInvite, recipient: e.target.value }))}
+              className="form-input flex-1"
+              placeholder="Email address or username"
+              aria-label="Email address or username"
+            />
+            <select
+              value={invite.role}
+              onChange={(e) => setInvite(prevInvite => ({ ...prevInvite, role: e.target.value }))}
+              className="form-input sm:w-auto"
+              aria-label="Role"
+            >
+              {ROLES.map(role => (
+                <option key={role} value={role}>{roleLabel(role)}</option>
+              ))}
+            </select>
+            <button type="submit" disabled={inviting} className="btn btn-primary flex-shrink-0">
+              {inviting ? 'Inviting...' : 'Invite'}
+            </button>
+          </div>
+          <p className="text-xs text-gray-500">{ROLE_DESCRIPTIONS[invite.role]}</p>
+
+          {workspace.invites.length > 0 && (
+            <ul className="space-y-2">
+              {workspace.invites.map(pendingInvite => (
+                <li key={pendingInvite._id} className="flex justify-between items-center gap-3 text-sm">
+                  <span className="text-gray-700 min-w-0 break-all">
+                    {pendingInvite.email} · {roleLabel(pendingInvite.role)}
+                    <span className="text-gray-500"> · expires {formatDate(pendingInvite.expiresAt)}</span>
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => handleCancelInvite(pendingInvite)}
+                    className="p-1 text-gray-500 hover:text-red-600 transition-colors flex-shrink-0"
+                    title="Cancel invite"
+                  >
+                    <X size={16} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </form>
+      )}
+
+      {isOwner && (
+        <div>
+          <button type="button" onClick={handleDelete} className="btn btn-danger flex items-center gap-2">
+            <Trash2 size={16} />
+            Delete workspace
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const Workspaces = () => {
+  const { workspaces, invites, currentId, switchWorkspace, refreshWorkspaces } = useWorkspace();
+  const [selectedId, setSelectedId] = useState(currentId);
+  const [name, setName] = useState('');
+  const [creating, setCreating] = useState(false);
+
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    refreshWorkspaces();
+  }, [refreshWorkspaces]);
+
+  // Fall back to the first workspace when the selected one is gone
+  const selected = workspaces.find(workspace => workspace._id === selectedId) || workspaces[0];
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      toast.error('Give the workspace a name');
+      return;
+    }
+
+    setCreating(true);
+    try {
+      const response = await axios.post('/api/workspaces', { name: name.trim() });
+      setName('');
+      setSelectedId(response.data._id);
+      await refreshWorkspaces();
+      toast.success('Workspace created');
+    } catch (error) {
+      console.error('Error creating workspace:', error);
+      toast.error(error.response?.data?.message || 'Failed to create workspace');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleAccept = async (invite) => {
+    try {
+      const response = await axios.post(`/api/workspaces/invites/${invite._id}/accept`);
+      setSelectedId(response.data._id);
+      await refreshWorkspaces();
+      toast.success(`You joined ${invite.workspace.name}`);
+    } catch (error) {
+      console.error('Error accepting invite:', error);
+      toast.error(error.response?.data?.message || 'Failed to accept invite');
+    }
+  };
+
+  const handleDecline = async (invite) => {
+    try {
+      await axios.delete(`/api/workspaces/invites/${invite._id}`);
+      await refreshWorkspaces();
+      toast.success('Invite declined');
+    } catch (error) {
+      console.error('Error declining invite:', error);
+      toast.error('Failed to decline invite');
+    }
+  };
+
+  const handleOpen = async (workspaceId) => {
+    if (await switchWorkspace(workspaceId)) {
+      navigate('/dashboard');
+    }
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="mb-6">
+        <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-2">Workspaces</h1>
+        <p className="text-gray-600 text-sm sm:text-base">
+          Share a library of posts with your team. Your personal posts stay private.
+        </p>
+      </div>
+
+      {invites.length > 0 && (
+        <div className="card mb-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Invites</h2>
+          <ul className="space-y-3">
+            {invites.map(invite => (
+              <li key={invite._id} className="flex justify-between items-center gap-3 p-3 border rounded-lg">
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-900">{invite.workspace.name}</p>
+                  <p className="text-xs text-gray-500">
+                    {invite.invitedBy ? `${invite.invitedBy.username} invited you` : 'Invited'} as {invite.role === 'viewer' ? 'a' : 'an'} {invite.role}
+                    {' · '}expires {formatDate(invite.expiresAt)}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2 flex-shrink-0">
+                  <button type="button" onClick={() => handleAccept(invite)} className="btn btn-primary text-sm">
+                    Accept
+                  </button>
+                  <button type="button" onClick={() => handleDecline(invite)} className="btn btn-outline text-sm">
+                    Decline
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="card mb-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center gap-2">
+          <Plus size={18} />
+          New Workspace
+        </h2>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="form-input"
+            placeholder="e.g. Platform team"
+            maxLength={50}
+            aria-label="Workspace name"
+          />
+          <button type="submit" disabled={creating} className="btn btn-primary flex-shrink-0">
+            {creating ? 'Creating...' : 'Create'}
+          </button>
+        </div>
+      </form>
+
+      <div className="card mb-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center gap-2">
+          <Users size={18} />
+          Your Workspaces
+        </h2>
+        {workspaces.length === 0 ? (
+          <p className="text-gray-600 text-sm">You are not in any workspaces yet</p>
+        ) : (
+          <ul className="space-y-3">
+            {workspaces.map(workspace => (
+              <li
+                key={workspace._id}
+                className={`flex justify-between items-center gap-3 p-3 border rounded-lg ${selected?._id === workspace._id ? 'workspace-selected' : ''}`}
+              >
+                <button
+                  type="button"
+                  onClick={() => setSelectedId(workspace._id)}
+                  className="min-w-0 text-left flex-1"
+                >
+                  <p className="font-medium text-gray-900">
+                    {workspace.name}
+                    {workspace._id === currentId && <span className="badge badge-category ml-2">Current</span>}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {roleLabel(workspace.role)} · {workspace.memberCount} member{workspace.memberCount === 1 ? '' : 's'}
+                  </p>
+                </button>
+                {workspace._id !== currentId && (
+                  <button
+                    type="button"
+                    onClick={() => handleOpen(workspace._id)}
+                    className="btn btn-outline text-sm flex-shrink-0"
+                  >
+                    Open
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {selected && (
+        <WorkspaceDetails key={selected._id} workspaceId={selected._id} onChanged={refreshWorkspaces} />
+      )}
+    </div>
+  );
+};
+
+export default Workspaces;
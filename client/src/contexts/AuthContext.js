@@ -1,10 +1,59 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 import API_CONFIG from '../config/api';
+import { isNetworkError, startSync, stopSync, clearOfflineData } from '../offline/sync';
+import { connectLiveEvents, disconnectLiveEvents } from '../live/events';
 
 const AuthContext = createContext();
 
+const TOKEN_KEY = 'token';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+// The signed-in user, kept so the app can start without a connection
+const USER_KEY = 'user';
+
+// Requests whose 401 responses mean bad credentials rather than an expired access token
+const AUTH_ENDPOINTS = ['/api/auth/login', '/api/auth/login/2fa', '/api/auth/register', '/api/auth/refresh', '/api/auth/logout'];
+
+let refreshPromise = null;
+
+// Swap the stored refresh token for a new token pair. Each refresh token only
+// works once, so concurrent callers share one request, and tabs take turns
+// through a Web Lock where the browser supports it.
+const refreshTokens = (staleToken) => {
+  if (!refreshPromise) {
+    const refresh = async () => {
+      // Another tab may have refreshed while this one waited for the lock
+      const storedToken = localStorage.getItem(TOKEN_KEY);
+      if (storedToken && storedToken !== staleToken) {
+        return storedToken;
+      }
+
+      const response = await axios.post('/api/auth/refresh', {
+        refreshToken: localStorage.getItem(REFRESH_TOKEN_KEY)
+      });
+      localStorage.setItem(TOKEN_KEY, response.data.token);
+      localStorage.setItem(REFRESH_TOKEN_KEY, response.data.refreshToken);
+      return response.data.token;
+    };
+
+    refreshPromise = (navigator.locks ? navigator.locks.request('letscopy-token-refresh', refresh) : refresh())
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+// Seconds to wait after a 429 from the rate limiter or an account lockout
+const getRetryAfter = (error) => {
+  if (error.response?.status !== 429) {
+    return undefined;
+  }
+  return error.response.data?.retryAfter || parseInt(error.response.headers['retry-after'], 10) || 60;
+};
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -16,7 +65,65 @@ export const useAuth = () => {
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [token, setToken] = useState(localStorage.getItem('token'));
+  const [token, setToken] = useState(localStorage.getItem(TOKEN_KEY));
+
+  // Changes made offline stay queued in case the same user signs in again
+  const clearSession = useCallback(() => {
+    stopSync();
+    disconnectLiveEvents();
+    setUser(null);
+    setToken(null);
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+    localStorage.removeItem(USER_KEY);
+    delete axios.defaults.headers.common['Authorization'];
+  }, []);
+
+  // Send the latest access token with every request and refresh it silently
+  // when the server says it has expired
+  useEffect(() => {
+    const requestInterceptor = axios.interceptors.request.use((config) => {
+      const storedToken = localStorage.getItem(TOKEN_KEY);
+      if (storedToken) {
+        config.headers.Authorization = `Bearer ${storedToken}`;
+      }
+      return config;
+    });
+
+    const responseInterceptor = axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const { config, response } = error;
+        const isAuthEndpoint = AUTH_ENDPOINTS.some(path => config?.url?.endsWith(path));
+
+        if (response?.status !== 401 || !config || config.retried || isAuthEndpoint ||
+          !localStorage.getItem(REFRESH_TOKEN_KEY)) {
+          throw error;
+        }
+
+        let newToken;
+        try {
+          const sentToken = config.headers.Authorization?.replace('Bearer ', '');
+          newToken = await refreshTokens(sentToken);
+        } catch (refreshError) {
+          if (refreshError.response?.status === 401) {
+            clearSession();
+            toast.error('Your session has expired. Please sign in again.', { id: 'session-expired' });
+          }
+          throw error;
+        }
+
+        config.retried = true;
+        config.headers.Authorization = `Bearer ${newToken}`;
+        return axios(config);
+      }
+    );
+
+    return () => {
+      axios.interceptors.request.eject(requestInterceptor);
+      axios.interceptors.response.eject(responseInterceptor);
+    };
+  }, [clearSession]);
 
   // Set up axios defaults
   useEffect(() => {
@@ -41,14 +148,30 @@ export const AuthProvider = ({ children }) => {
           setUser(response.data.user);
         } catch (error) {
           console.error('Auth check failed:', error);
-          logout();
+          // Offline: carry on as the last signed-in user
+          const storedUser = localStorage.getItem(USER_KEY);
+          if (isNetworkError(error) && storedUser) {
+            setUser(JSON.parse(storedUser));
+          } else {
+            clearSession();
+          }
         }
       }
       setLoading(false);
     };
 
     checkAuth();
-  }, [token]);
+  }, [token, clearSession]);
+
+  // Remember the user, keep their posts available offline and listen for
+  // changes made on other devices
+  useEffect(() => {
+    if (user) {
+      localStorage.setItem(USER_KEY, JSON.stringify(user));
+      startSync(user.id);
+      connectLiveEvents();
+    }
+  }, [user]);
 
   const login = async (email, password) => {
     try {
@@ -60,11 +183,21 @@ export const AuthProvider = ({ children }) => {
         password
       });
 
-      const { token: newToken, user: userData } = response.data;
+      // The password was right but the account also needs a second factor
+      if (response.data.twoFactorRequired) {
+        return {
+          success: false,
+          twoFactorRequired: true,
+          challengeToken: response.data.challengeToken
+        };
+      }
+
+      const { token: newToken, refreshToken, user: userData } = response.data;
       
       setToken(newToken);
       setUser(userData);
-      localStorage.setItem('token', newToken);
+      localStorage.setItem(TOKEN_KEY, newToken);
+      localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
       
       // Set authorization header after login
       axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
@@ -74,7 +207,42 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       const message = error.response?.data?.message || 'Login failed';
       toast.error(message);
-      return { success: false, error: message };
+      return { success: false, error: message, retryAfter: getRetryAfter(error) };
+    }
+  };
+
+  // Second login step for accounts with two-factor authentication
+  const completeTwoFactorLogin = async (challengeToken, code) => {
+    try {
+      const response = await axios.post('/api/auth/login/2fa', {
+        challengeToken,
+        code
+      });
+
+      const { token: newToken, refreshToken, user: userData, recoveryCodesRemaining } = response.data;
+
+      setToken(newToken);
+      setUser(userData);
+      localStorage.setItem(TOKEN_KEY, newToken);
+      localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+
+      // Set authorization header after login
+      axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
+
+      toast.success('Login successful!');
+      if (recoveryCodesRemaining !== undefined && recoveryCodesRemaining <= 3) {
+        toast(`Only ${recoveryCodesRemaining} recovery code${recoveryCodesRemaining === 1 ? '' : 's'} left. Generate new ones under Account security.`);
+      }
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Login failed';
+      toast.error(message);
+      return {
+        success: false,
+        error: message,
+        expired: error.response?.status === 401,
+        retryAfter: getRetryAfter(error)
+      };
     }
   };
 
@@ -89,11 +257,12 @@ export const AuthProvider = ({ children }) => {
         password
       });
 
-      const { token: newToken, user: userData } = response.data;
+      const { token: newToken, refreshToken, user: userData } = response.data;
       
       setToken(newToken);
       setUser(userData);
-      localStorage.setItem('token', newToken);
+      localStorage.setItem(TOKEN_KEY, newToken);
+      localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
       
       // Set authorization header after registration
       axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
@@ -108,11 +277,34 @@ export const AuthProvider = ({ children }) => {
   };
 
   const logout = () => {
-    setUser(null);
-    setToken(null);
-    localStorage.removeItem('token');
-    delete axios.defaults.headers.common['Authorization'];
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    clearOfflineData();
+    clearSession();
     toast.success('Logged out successfully');
+
+    // End the session on the server too; signing out locally does not wait for it
+    if (refreshToken) {
+      axios.post('/api/auth/logout', { refreshToken })
+        .catch(error => console.error('Logout error:', error));
+    }
+  };
+
+  // Merge changes to the signed-in user, e.g. after verifying their email
+  const updateUser = useCallback((changes) => {
+    setUser(prevUser => prevUser && { ...prevUser, ...changes });
+  }, []);
+
+  // Revoke every session, including this one
+  const logoutEverywhere = async () => {
+    try {
+      await axios.delete('/api/auth/sessions');
+      clearOfflineData();
+      clearSession();
+      toast.success('Signed out of all devices');
+    } catch (error) {
+      console.error('Error signing out everywhere:', error);
+      toast.error('Failed to sign out of all devices');
+    }
   };
 
   const value = {
@@ -120,8 +312,11 @@ export const AuthProvider = ({ children }) => {
     loading,
     token,
     login,
+    completeTwoFactorLogin,
     register,
-    logout
+    logout,
+    logoutEverywhere,
+    updateUser
   };
 
   return (
@@ -0,0 +1,124 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { useAuth } from './AuthContext';
+import { isNetworkError, startSync, clearOfflineData, confirmDiscardUnsynced } from '../offline/sync';
+import { connectLiveEvents, disconnectLiveEvents } from '../live/events';
+
+const WorkspaceContext = createContext();
+
+// The workspace the user is working in. Without one, requests go to their
+// personal space.
+const WORKSPACE_KEY = 'workspace';
+
+const applyWorkspace = (workspaceId) => {
+  if (workspaceId) {
+    localStorage.setItem(WORKSPACE_KEY, workspaceId);
+    axios.defaults.headers.common['X-Workspace'] = workspaceId;
+  } else {
+    localStorage.removeItem(WORKSPACE_KEY);
+    delete axios.defaults.headers.common['X-Workspace'];
+  }
+};
+
+// Send the stored workspace from the very first request
+applyWorkspace(localStorage.getItem(WORKSPACE_KEY));
+
+export const useWorkspace = () => {
+  const context = useContext(WorkspaceContext);
+  if (!context) {
+    throw new Error('useWorkspace must be used within a WorkspaceProvider');
+  }
+  return context;
+};
+
+export const WorkspaceProvider = ({ children }) => {
+  const { user, loading } = useAuth();
+  const [workspaces, setWorkspaces] = useState([]);
+  const [invites, setInvites] = useState([]);
+  const [currentId, setCurrentId] = useState(localStorage.getItem(WORKSPACE_KEY));
+
+  const userId = user?.id;
+
+  // Move to another space. The offline copy and the live updates stream only
+  // cover one space at a time, so both start over.
+  const enterSpace = useCallback(async (workspaceId) => {
+    await clearOfflineData();
+    disconnectLiveEvents();
+    applyWorkspace(workspaceId);
+    setCurrentId(workspaceId);
+    if (userId) {
+      startSync(userId);
+      connectLiveEvents();
+    }
+  }, [userId]);
+
+  const refreshWorkspaces = useCallback(async () => {
+    try {
+      const [workspacesResponse, invitesResponse] = await Promise.all([
+        axios.get('/api/workspaces'),
+        axios.get('/api/workspaces/invites')
+      ]);
+      setWorkspaces(workspacesResponse.data);
+      setInvites(invitesResponse.data);
+
+      // The workspace was deleted or the user was removed from it
+      const storedId = localStorage.getItem(WORKSPACE_KEY);
+      if (storedId && !workspacesResponse.data.some(workspace => workspace._id === storedId)) {
+        await enterSpace(null);
+        toast('You no longer have access to that workspace, so you are back in your personal space.');
+      }
+    } catch (error) {
+      if (!isNetworkError(error)) {
+        console.error('Error fetching workspaces:', error);
+      }
+    }
+  }, [enterSpace]);
+
+  useEffect(() => {
+    if (loading) return;
+
+    if (userId) {
+      refreshWorkspaces();
+      return;
+    }
+
+    // The next user to sign in starts in their personal space
+    setWorkspaces([]);
+    setInvites([]);
+    applyWorkspace(null);
+    setCurrentId(null);
+  }, [loading, userId, refreshWorkspaces]);
+
+  // Switch to a workspace, or to the personal space with null. Resolves to
+  // false if the user chose to keep unsynced offline changes instead.
+  const switchWorkspace = useCallback(async (workspaceId) => {
+    if ((workspaceId || null) === currentId) return true;
+    if (!confirmDiscardUnsynced('Switch workspace')) return false;
+
+    await enterSpace(workspaceId || null);
+    return true;
+  }, [currentId, enterSpace]);
+
+  const current = workspaces.find(workspace => workspace._id === currentId) || null;
+  // Everyone owns their personal space. Until the workspace list loads (or
+  // while offline) editing is allowed and the server has the final say.
+  const role = currentId ? (current ? current.role : null) : 'owner';
+
+  const value = {
+    workspaces,
+    invites,
+    currentId,
+    current,
+    role,
+    canEdit: role !== 'viewer',
+    switchWorkspace,
+    refreshWorkspaces
+  };
+
+  return (
+    <WorkspaceContext.Provider value={value}>
+      {children}
+    </WorkspaceContext.Provider>
+  );
+};
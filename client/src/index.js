@@ -4,6 +4,7 @@ import { BrowserRouter } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
 import './index.css';
 import App from './App';
+import { register } from './serviceWorkerRegistration';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -22,4 +23,7 @@ root.render(
       />
     </BrowserRouter>
   </React.StrictMode>
-); 
\ No newline at end of file
+);
+
+// Cache the app shell so it opens offline
+register(); 
\ No newline at end of file
@@ -0,0 +1,129 @@
+import { useEffect, useRef } from 'react';
+import axios from 'axios';
+import API_CONFIG from '../config/api';
+
+// Live updates from the server's /api/events stream. Listeners receive
+// post.created, post.updated, post.deleted and posts.changed events made in
+// other tabs and devices, plus a resync event after reconnecting, since
+// anything could have changed while the stream was down.
+
+const EVENT_TYPES = ['post.created', 'post.updated', 'post.deleted', 'posts.changed'];
+
+const MIN_RETRY_DELAY = 2 * 1000;
+const MAX_RETRY_DELAY = 60 * 1000;
+
+const newClientId = () => (
+  window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now().toString(36)}${Math.random().toString(36).slice(2)}`
+);
+
+// Sent with every request so this tab can skip events for its own changes
+const CLIENT_ID = newClientId();
+axios.defaults.headers.common['X-Client-Id'] = CLIENT_ID;
+
+const listeners = new Set();
+
+let source = null;
+let active = false;
+let connectedBefore = false;
+let retryTimer = null;
+let retryDelay = MIN_RETRY_DELAY;
+
+const dispatch = (event) => {
+  listeners.forEach(listener => listener(event));
+};
+
+const closeSource = () => {
+  if (source) {
+    source.close();
+    source = null;
+  }
+};
+
+const open = () => {
+  const token = localStorage.getItem('token');
+  if (!active || !token || typeof EventSource === 'undefined') return;
+
+  // Events come from the current workspace, or the personal space without one
+  const workspace = localStorage.getItem('workspace');
+  const query = `token=${encodeURIComponent(token)}${workspace ? `&workspace=${encodeURIComponent(workspace)}` : ''}`;
+  source = new EventSource(`${API_CONFIG.baseURL}/api/events?${query}`);
+
+  source.onopen = () => {
+    retryDelay = MIN_RETRY_DELAY;
+    if (connectedBefore) {
+      dispatch({ type: 'resync' });
+    }
+    connectedBefore = true;
+  };
+
+  EVENT_TYPES.forEach((type) => {
+    source.addEventListener(type, (message) => {
+      const event = JSON.parse(message.data);
+      if (event.source !== CLIENT_ID) {
+        dispatch(event);
+      }
+    });
+  });
+
+  // The browser retries dropped connections by itself. A closed stream means
+  // the server refused it, usually because the access token expired.
+  source.onerror = () => {
+    if (source.readyState === EventSource.CLOSED) {
+      closeSource();
+      scheduleReconnect();
+    }
+  };
+};
+
+const scheduleReconnect = () => {
+  clearTimeout(retryTimer);
+  retryTimer = setTimeout(async () => {
+    try {
+      // Any authenticated request refreshes an expired access token
+      await axios.get('/api/auth/me');
+    } catch (error) {
+      // Signed out for good; the auth context disconnects
+      if (error.response?.status === 401) return;
+    }
+    open();
+  }, retryDelay);
+  retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY);
+};
+
+export const connectLiveEvents = () => {
+  if (active) return;
+  active = true;
+  connectedBefore = false;
+  open();
+};
+
+export const disconnectLiveEvents = () => {
+  active = false;
+  clearTimeout(retryTimer);
+  closeSource();
+};
+
+// Tell this tab's listeners about a change it made itself, for changes made
+// outside the page that shows the posts (e.g. from the command palette)
+export const announceLocalChange = (event) => {
+  dispatch({ ...event, source: CLIENT_ID });
+};
+
+// Call listener with each live event. Returns a function that stops listening.
+export const subscribeToLiveEvents = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Subscribe for the lifetime of a component, always calling the latest handler
+export const useLiveEvents = (handler) => {
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => subscribeToLiveEvents(event => handlerRef.current(event)), []);
+};
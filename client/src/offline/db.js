@@ -0,0 +1,70 @@
+// A small promise wrapper around IndexedDB. Each user gets their own
+// database so signing in as someone else never shows another user's posts.
+//
+// Stores:
+//   posts  the user's posts, keyed by _id (offline-created posts use "local-" IDs)
+//   queue  changes made offline, replayed in order when back online
+//   meta   other cached data, e.g. collections and the last sync time
+
+const DB_VERSION = 1;
+
+const databaseName = (userId) => `letscopy-${userId}`;
+
+export const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export const isSupported = () => typeof window !== 'undefined' && 'indexedDB' in window;
+
+export const openDatabase = (userId) => {
+  const request = window.indexedDB.open(databaseName(userId), DB_VERSION);
+
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    db.createObjectStore('posts', { keyPath: '_id' });
+    db.createObjectStore('queue', { keyPath: 'id', autoIncrement: true });
+    db.createObjectStore('meta');
+  };
+
+  return promisify(request);
+};
+
+export const deleteDatabase = (userId) => promisify(window.indexedDB.deleteDatabase(databaseName(userId)));
+
+// Run fn(stores) in one transaction and resolve once it commits
+export const transact = (db, storeNames, mode, fn) => new Promise((resolve, reject) => {
+  const names = [].concat(storeNames);
+  const tx = db.transaction(names, mode);
+  const stores = Object.fromEntries(names.map(name => [name, tx.objectStore(name)]));
+  let result;
+
+  Promise.resolve(fn(stores))
+    .then((value) => { result = value; })
+    .catch((error) => {
+      tx.abort();
+      reject(error);
+    });
+
+  tx.oncomplete = () => resolve(result);
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+export const getAll = (db, storeName) => transact(db, storeName, 'readonly', stores => promisify(stores[storeName].getAll()));
+
+export const get = (db, storeName, key) => transact(db, storeName, 'readonly', stores => promisify(stores[storeName].get(key)));
+
+export const put = (db, storeName, value, key) => transact(db, storeName, 'readwrite', (stores) => {
+  stores[storeName].put(value, key);
+});
+
+export const remove = (db, storeName, key) => transact(db, storeName, 'readwrite', (stores) => {
+  stores[storeName].delete(key);
+});
+
+// Replace everything in a store with values
+export const replaceAll = (db, storeName, values) => transact(db, storeName, 'readwrite', (stores) => {
+  stores[storeName].clear();
+  values.forEach(value => stores[storeName].put(value));
+});
@@ -0,0 +1,177 @@
+import axios from 'axios';
+import {
+  isLocalId,
+  isNetworkError,
+  canWorkOffline,
+  queueChange,
+  cachePost,
+  uncachePost,
+  getCachedPost,
+  getCachedPosts,
+  getCachedCollections,
+  getCachedCategoryDefinitions
+} from './sync';
+import { undefinedCategory } from '../utils/categories';
+
+// Post reads and writes that fall back to the offline copy when the server
+// cannot be reached. Writes resolve to { post, queued }, where queued means
+// the change is waiting to sync.
+
+const SORT_FIELDS = {
+  newest: 'createdAt',
+  'most-copied': 'copyCount',
+  'recently-copied': 'lastCopiedAt'
+};
+
+const canQueue = (error) => isNetworkError(error) && canWorkOffline();
+
+export const fetchPost = async (id) => {
+  if (isLocalId(id)) {
+    return getCachedPost(id);
+  }
+
+  try {
+    const response = await axios.get(`/api/posts/${id}`);
+    cachePost(response.data);
+    return response.data;
+  } catch (error) {
+    const cached = isNetworkError(error) && await getCachedPost(id);
+    if (!cached) throw error;
+    return cached;
+  }
+};
+
+export const createPost = async (data) => {
+  try {
+    const response = await axios.post('/api/posts', data);
+    cachePost(response.data);
+    return { post: response.data, queued: false };
+  } catch (error) {
+    if (!canQueue(error)) throw error;
+    return { post: await queueChange({ type: 'create', data }), queued: true };
+  }
+};
+
+// baseUpdatedAt is the version the edit started from; the server refuses the
+// change with a 412 when the post has been saved elsewhere since
+export const updatePost = async (id, data, baseUpdatedAt) => {
+  if (isLocalId(id)) {
+    return { post: await queueChange({ type: 'update', postId: id, data }), queued: true };
+  }
+
+  try {
+    const headers = baseUpdatedAt ? { 'If-Match': `"${baseUpdatedAt}"` } : {};
+    const response = await axios.put(`/api/posts/${id}`, data, { headers });
+    cachePost(response.data);
+    return { post: response.data, queued: false };
+  } catch (error) {
+    if (!canQueue(error)) throw error;
+    return { post: await queueChange({ type: 'update', postId: id, data }), queued: true };
+  }
+};
+
+export const deletePost = async (id) => {
+  if (isLocalId(id)) {
+    await queueChange({ type: 'delete', postId: id });
+    return { queued: true };
+  }
+
+  try {
+    await axios.delete(`/api/posts/${id}`);
+    uncachePost(id);
+    return { queued: false };
+  } catch (error) {
+    if (!canQueue(error)) throw error;
+    await queueChange({ type: 'delete', postId: id });
+    return { queued: true };
+  }
+};
+
+// A collection and everything nested inside it
+const collectionIds = (collections, id) => {
+  const ids = new Set();
+  const pending = [id];
+  while (pending.length > 0) {
+    const current = pending.pop();
+    ids.add(current);
+    collections
+      .filter(collection => collection.parent === current && !ids.has(collection._id))
+      .forEach(collection => pending.push(collection._id));
+  }
+  return ids;
+};
+
+// A simpler take on the server's search syntax: tag:, category:, lang:, quoted
+// phrases and -excluded terms, matched against title, content and tags
+const matchesSearch = (post, search) => {
+  const tokens = search.match(/-?(?:\w+:)?(?:"[^"]*"|\S+)/g) || [];
+  const text = `${post.title} ${post.content} ${post.tags.join(' ')}`.toLowerCase();
+
+  return tokens.every((token) => {
+    const negated = token.startsWith('-');
+    const [, field, rawValue] = token.replace(/^-/, '').match(/^(?:(\w+):)?(.*)$/);
+    const value = rawValue.replace(/^"|"$/g, '').toLowerCase();
+    if (!value) return true;
+
+    let matches;
+    if (field === 'tag') {
+      matches = post.tags.some(tag => tag.toLowerCase() === value);
+    } else if (field === 'category') {
+      matches = post.category.toLowerCase() === value;
+    } else if (field === 'lang') {
+      matches = (post.language || 'none') === value;
+    } else {
+      matches = text.includes(value);
+    }
+    return negated ? !matches : matches;
+  });
+};
+
+// Filter and sort the offline copy like GET /api/posts
+export const queryCachedPosts = async ({ search, category, tag, language, collection, sort = 'newest' } = {}) => {
+  let posts = await getCachedPosts();
+
+  if (category) {
+    posts = posts.filter(post => post.category === category);
+  }
+  if (tag) {
+    posts = posts.filter(post => post.tags.includes(tag));
+  }
+  if (language) {
+    posts = posts.filter(post => (post.language || 'none') === language);
+  }
+  if (collection === 'none') {
+    posts = posts.filter(post => !post.collectionId);
+  } else if (collection) {
+    const ids = collectionIds(await getCachedCollections(), collection);
+    posts = posts.filter(post => ids.has(post.collectionId));
+  }
+  if (search) {
+    posts = posts.filter(post => matchesSearch(post, search));
+  }
+
+  const field = search ? 'createdAt' : SORT_FIELDS[sort] || 'createdAt';
+  const value = (post) => {
+    const raw = post[field];
+    return typeof raw === 'number' ? raw : new Date(raw || 0).getTime();
+  };
+  return posts.sort((a, b) => value(b) - value(a));
+};
+
+// Category definitions from the last sync, plus any category a post was given
+// offline that has not been defined on the server yet
+export const getCachedCategories = async () => {
+  const [categories, posts] = await Promise.all([getCachedCategoryDefinitions(), getCachedPosts()]);
+  const defined = new Set(categories.map(category => category.name));
+  const undefinedNames = [...new Set(posts.map(post => post.category))]
+    .filter(name => name && !defined.has(name))
+    .sort();
+  return [...categories, ...undefinedNames.map(undefinedCategory)];
+};
+
+export const getCachedTags = async () => {
+  const posts = await getCachedPosts();
+  return [...new Set(posts.flatMap(post => post.tags))].sort();
+};
+
+export { getCachedCollections };
@@ -0,0 +1,428 @@
+import { useSyncExternalStore } from 'react';
+import axios from 'axios';
+import {
+  isSupported,
+  openDatabase,
+  deleteDatabase,
+  promisify,
+  transact,
+  getAll,
+  get,
+  put,
+  remove,
+  replaceAll
+} from './db';
+import { subscribeToLiveEvents } from '../live/events';
+
+// Keeps an IndexedDB mirror of the posts in the signed-in user's current space
+// (their personal space or a workspace) for offline use and replays changes
+// made offline once the server can be reached again. Each post has at most one
+// queued change; later edits are merged into it.
+
+const LOCAL_ID_PREFIX = 'local-';
+const MIRROR_PAGE_SIZE = 100;
+// How often to retry pending changes while the browser reports being online
+const RETRY_INTERVAL = 30 * 1000;
+
+export const isLocalId = (id) => String(id).startsWith(LOCAL_ID_PREFIX);
+
+// Axios errors without a response mean the server could not be reached
+export const isNetworkError = (error) => Boolean(error && error.isAxiosError && !error.response);
+
+let db = null;
+let userId = null;
+let retryTimer = null;
+let unsubscribeLive = null;
+
+let state = {
+  online: typeof navigator === 'undefined' ? true : navigator.onLine,
+  syncing: false,
+  pending: 0,
+  conflicts: [],
+  lastSyncedAt: null,
+  // Bumped when queued changes reach the server, so views can refetch
+  revision: 0
+};
+
+const listeners = new Set();
+
+const setState = (changes) => {
+  state = { ...state, ...changes };
+  listeners.forEach(listener => listener());
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const getSyncStatus = () => state;
+
+export const useSyncStatus = () => useSyncExternalStore(subscribe, getSyncStatus);
+
+const refreshQueueState = async (changes = {}) => {
+  const queue = db ? await getAll(db, 'queue') : [];
+  setState({
+    ...changes,
+    pending: queue.filter(entry => !entry.conflict).length,
+    conflicts: queue.filter(entry => entry.conflict)
+  });
+};
+
+const describeConflict = (error) => {
+  const { status, data } = error.response;
+  if (status === 412) {
+    return { reason: 'changed', message: 'Changed on another device', serverPost: data.post };
+  }
+  if (status === 404) {
+    return { reason: 'deleted', message: 'Deleted on another device' };
+  }
+  return { reason: 'rejected', message: data?.message || 'Rejected by the server' };
+};
+
+// Send one queued change. Resolves to true when it reached the server; throws
+// when the server cannot be reached so the rest of the queue waits.
+const replayEntry = async (database, entry) => {
+  const headers = entry.baseUpdatedAt && !entry.force
+    ? { 'If-Match': `"${entry.baseUpdatedAt}"` }
+    : {};
+
+  try {
+    if (entry.type === 'delete') {
+      await axios.delete(`/api/posts/${entry.postId}`, { headers });
+      await remove(database, 'queue', entry.id);
+      return true;
+    }
+
+    const { data: post } = entry.type === 'create'
+      ? await axios.post('/api/posts', entry.data)
+      : await axios.put(`/api/posts/${entry.postId}`, entry.data, { headers });
+
+    await transact(database, ['queue', 'posts'], 'readwrite', ({ queue, posts }) => {
+      queue.delete(entry.id);
+      posts.delete(entry.postId);
+      posts.put(post);
+    });
+    return true;
+  } catch (error) {
+    if (isNetworkError(error) || error.response?.status === 401) {
+      throw error;
+    }
+
+    // Deleting something that is already gone is not a conflict
+    if (entry.type === 'delete' && error.response.status === 404) {
+      await remove(database, 'queue', entry.id);
+      return true;
+    }
+
+    await put(database, 'queue', { ...entry, conflict: describeConflict(error) });
+    return false;
+  }
+};
+
+const replayQueue = async (database) => {
+  const queue = await getAll(database, 'queue');
+  let replayed = 0;
+
+  for (const entry of queue.filter(item => !item.conflict)) {
+    if (await replayEntry(database, entry)) {
+      replayed += 1;
+    }
+  }
+
+  return replayed;
+};
+
+// Download every post, keeping offline changes that have not synced yet
+const mirrorPosts = async (database) => {
+  let posts = [];
+  let cursor = null;
+
+  do {
+    const response = await axios.get('/api/posts', {
+      params: { limit: MIRROR_PAGE_SIZE, cursor: cursor || undefined }
+    });
+    posts = posts.concat(response.data);
+    cursor = response.headers['x-next-cursor'] || null;
+  } while (cursor);
+
+  const [collectionsResponse, categoriesResponse] = await Promise.all([
+    axios.get('/api/collections'),
+    axios.get('/api/categories')
+  ]);
+
+  const [cached, queue] = await Promise.all([getAll(database, 'posts'), getAll(database, 'queue')]);
+  const cachedById = new Map(cached.map(post => [post._id, post]));
+  const postsById = new Map(posts.map(post => [post._id, post]));
+
+  queue.forEach((entry) => {
+    if (entry.type === 'delete') {
+      postsById.delete(entry.postId);
+    } else if (cachedById.has(entry.postId)) {
+      postsById.set(entry.postId, cachedById.get(entry.postId));
+    }
+  });
+
+  await replaceAll(database, 'posts', [...postsById.values()]);
+  await put(database, 'meta', collectionsResponse.data, 'collections');
+  await put(database, 'meta', categoriesResponse.data, 'categories');
+};
+
+// Replay queued changes and, unless mirror is false, refresh the local copy
+export const syncNow = async ({ mirror = true } = {}) => {
+  const database = db;
+  if (!database || state.syncing || !navigator.onLine) return;
+
+  setState({ syncing: true });
+  try {
+    const replayed = await replayQueue(database);
+    if (mirror || replayed > 0) {
+      await mirrorPosts(database);
+    }
+
+    const lastSyncedAt = new Date().toISOString();
+    await put(database, 'meta', lastSyncedAt, 'lastSyncedAt');
+    if (database === db) {
+      await refreshQueueState({
+        lastSyncedAt,
+        revision: replayed > 0 ? state.revision + 1 : state.revision
+      });
+    }
+  } catch (error) {
+    console.error('Sync error:', error);
+    if (database === db) {
+      await refreshQueueState();
+    }
+  } finally {
+    setState({ syncing: false });
+  }
+};
+
+// Open the signed-in user's offline store and start syncing it
+export const startSync = async (id) => {
+  if (!isSupported() || userId === id) return;
+
+  stopSync();
+  userId = id;
+
+  let database;
+  try {
+    database = await openDatabase(id);
+  } catch (error) {
+    console.error('Offline storage error:', error);
+    return;
+  }
+
+  // Another user signed in while the database was opening
+  if (userId !== id) {
+    database.close();
+    return;
+  }
+
+  db = database;
+  const lastSyncedAt = await get(db, 'meta', 'lastSyncedAt');
+  await refreshQueueState({ lastSyncedAt: lastSyncedAt || null });
+
+  unsubscribeLive = subscribeToLiveEvents(applyLiveEvent);
+
+  retryTimer = setInterval(() => {
+    if (state.pending > 0) {
+      syncNow({ mirror: false });
+    }
+  }, RETRY_INTERVAL);
+
+  syncNow();
+};
+
+export const stopSync = () => {
+  if (db) {
+    db.close();
+  }
+  clearInterval(retryTimer);
+  if (unsubscribeLive) {
+    unsubscribeLive();
+    unsubscribeLive = null;
+  }
+  db = null;
+  userId = null;
+  setState({ pending: 0, conflicts: [], lastSyncedAt: null });
+};
+
+// Stop syncing and delete everything stored for the current user
+export const clearOfflineData = async () => {
+  const id = userId;
+  stopSync();
+  if (id && isSupported()) {
+    try {
+      await deleteDatabase(id);
+    } catch (error) {
+      console.error('Error clearing offline data:', error);
+    }
+  }
+};
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', () => {
+    setState({ online: true });
+    syncNow();
+  });
+  window.addEventListener('offline', () => setState({ online: false }));
+}
+
+export const canWorkOffline = () => Boolean(db);
+
+// Signing out or switching workspace deletes the offline copy, including
+// unsynced changes, so ask first
+export const confirmDiscardUnsynced = (action = 'Log out') => {
+  const unsynced = state.pending + state.conflicts.length;
+  return unsynced === 0 || window.confirm(`${unsynced} offline change${unsynced === 1 ? ' has' : 's have'} not synced yet and will be lost. ${action} anyway?`);
+};
+
+export const getCachedPosts = () => (db ? getAll(db, 'posts') : Promise.resolve([]));
+
+export const getCachedPost = (id) => (db ? get(db, 'posts', id) : Promise.resolve(undefined));
+
+export const getCachedCollections = async () => (db && await get(db, 'meta', 'collections')) || [];
+
+export const getCachedCategoryDefinitions = async () => (db && await get(db, 'meta', 'categories')) || [];
+
+// Keep the mirror current with posts fetched or saved online, without
+// overwriting offline changes that are still queued
+export const cachePost = async (post) => {
+  if (!db) return;
+  await transact(db, ['queue', 'posts'], 'readwrite', async ({ queue, posts }) => {
+    const entries = await promisify(queue.getAll());
+    if (!entries.some(entry => entry.postId === post._id)) {
+      posts.put(post);
+    }
+  });
+};
+
+export const uncachePost = async (id) => {
+  if (db) {
+    await remove(db, 'posts', id);
+  }
+};
+
+// Keep the mirror current with changes made on other devices
+const applyLiveEvent = (event) => {
+  if (event.type === 'post.created' || event.type === 'post.updated') {
+    cachePost(event.post);
+  } else if (event.type === 'post.deleted') {
+    uncachePost(event.postId);
+  } else {
+    // posts.changed, or a resync after the stream reconnected
+    syncNow();
+  }
+};
+
+// 'auto' asks the server to detect a post's language and '' means Markdown
+// text. Until the change syncs, the offline copy keeps the language it had.
+const localChange = (data, existing = {}) => {
+  if (data.language === 'auto') {
+    return { ...data, language: existing.language || null, languageSource: 'auto' };
+  }
+  if (data.language !== undefined) {
+    return { ...data, language: data.language || null, languageSource: 'manual' };
+  }
+  return data;
+};
+
+// Apply a change locally and queue it for the server. Resolves to the
+// post as it now looks offline (undefined for deletes).
+export const queueChange = async ({ type, postId, data }) => {
+  if (!db) {
+    throw new Error('Offline storage is not available');
+  }
+
+  const now = new Date().toISOString();
+
+  const post = await transact(db, ['queue', 'posts'], 'readwrite', async ({ queue, posts }) => {
+    if (type === 'create') {
+      const id = `${LOCAL_ID_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+      const created = {
+        category: 'General',
+        tags: [],
+        collectionId: null,
+        language: null,
+        ...localChange(data),
+        _id: id,
+        copyCount: 0,
+        createdAt: now,
+        updatedAt: now,
+        pendingSync: true
+      };
+      posts.put(created);
+      queue.add({ type: 'create', postId: id, data, queuedAt: now });
+      return created;
+    }
+
+    const [entries, existing] = await Promise.all([
+      promisify(queue.getAll()),
+      promisify(posts.get(postId))
+    ]);
+    const pending = entries.find(entry => entry.postId === postId);
+
+    if (type === 'update') {
+      if (!existing) {
+        throw new Error('This post is not available offline');
+      }
+
+      // updatedAt stays at the server's version, which replays are checked against
+      const updated = { ...existing, ...localChange(data, existing), pendingSync: true };
+      posts.put(updated);
+
+      if (pending && pending.type !== 'delete') {
+        queue.put({ ...pending, data: { ...pending.data, ...data } });
+      } else {
+        queue.add({ type: 'update', postId, data, baseUpdatedAt: existing.updatedAt, queuedAt: now });
+      }
+      return updated;
+    }
+
+    posts.delete(postId);
+
+    if (pending && pending.type === 'create') {
+      // Never reached the server, so there is nothing to delete there
+      queue.delete(pending.id);
+    } else if (pending) {
+      queue.put({ id: pending.id, type: 'delete', postId, baseUpdatedAt: pending.baseUpdatedAt, queuedAt: now });
+    } else {
+      queue.add({ type: 'delete', postId, baseUpdatedAt: existing?.updatedAt, queuedAt: now });
+    }
+    return undefined;
+  });
+
+  await refreshQueueState();
+  return post;
+};
+
+// Resolve a conflict by sending the offline change anyway. Edits to posts
+// deleted elsewhere are recreated as new posts.
+export const keepMine = async (entryId) => {
+  const entry = db && await get(db, 'queue', entryId);
+  if (!entry) return;
+
+  const { conflict, ...rest } = entry;
+  const recreate = conflict.reason === 'deleted' && rest.type === 'update';
+  await put(db, 'queue', { ...rest, type: recreate ? 'create' : rest.type, force: true });
+  await refreshQueueState();
+  syncNow();
+};
+
+// Resolve a conflict by dropping the offline change
+export const discardMine = async (entryId) => {
+  const entry = db && await get(db, 'queue', entryId);
+  if (!entry) return;
+
+  await transact(db, ['queue', 'posts'], 'readwrite', ({ queue, posts }) => {
+    queue.delete(entry.id);
+    if (entry.conflict.serverPost) {
+      posts.put(entry.conflict.serverPost);
+    } else if (entry.type === 'create' || entry.conflict.reason === 'deleted') {
+      posts.delete(entry.postId);
+    }
+  });
+  await refreshQueueState();
+  syncNow();
+};
@@ -0,0 +1,43 @@
+/* eslint-disable no-restricted-globals */
+
+// Built by react-scripts into service-worker.js. Precaches the app shell so
+// Lets Copy opens without a connection; posts themselves are kept in
+// IndexedDB by src/offline, so API requests are never cached here.
+
+import { clientsClaim } from 'workbox-core';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve index.html for page navigations so client-side routes work offline
+const fileExtension = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => (
+    request.mode === 'navigate'
+    && !url.pathname.startsWith('/api/')
+    && !url.pathname.match(fileExtension)
+  ),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Other static files from public/, such as the manifest
+registerRoute(
+  ({ url, request }) => (
+    url.origin === self.location.origin
+    && !url.pathname.startsWith('/api/')
+    && request.method === 'GET'
+    && url.pathname.match(fileExtension)
+  ),
+  new StaleWhileRevalidate({ cacheName: 'static' })
+);
+
+// Sent by the page when the user accepts an update
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
@@ -0,0 +1,66 @@
+import toast from 'react-hot-toast';
+
+// Registers the service worker from src/service-worker.js in production builds.
+// New versions wait until the user chooses to reload, so an open editor is
+// never swapped out from under them.
+
+const promptToReload = (registration) => {
+  toast((t) => (
+    <span className="flex items-center gap-3">
+      A new version is available
+      <button
+        type="button"
+        onClick={() => {
+          toast.dismiss(t.id);
+          registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+        }}
+        className="toast-action"
+      >
+        Reload
+      </button>
+    </span>
+  ), { duration: Infinity });
+};
+
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  window.addEventListener('load', async () => {
+    try {
+      const registration = await navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`);
+
+      // Reload once the waiting worker has taken over
+      let reloading = false;
+      navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloading) return;
+        reloading = true;
+        window.location.reload();
+      });
+
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        promptToReload(registration);
+      }
+
+      registration.addEventListener('updatefound', () => {
+        const installing = registration.installing;
+        installing.addEventListener('statechange', () => {
+          // Without a controller this is the first install, not an update
+          if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+            promptToReload(registration);
+          }
+        });
+      });
+    } catch (error) {
+      console.error('Service worker registration failed:', error);
+    }
+  });
+};
+
+export const unregister = async () => {
+  if ('serviceWorker' in navigator) {
+    const registration = await navigator.serviceWorker.ready;
+    await registration.unregister();
+  }
+};
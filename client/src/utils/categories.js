@@ -0,0 +1,21 @@
+import { COLLECTION_ICONS, COLLECTION_COLORS } from './collections';
+
+// Categories share the collection icons, stored by the same names
+export const CATEGORY_ICONS = COLLECTION_ICONS;
+
+export const CATEGORY_COLORS = COLLECTION_COLORS;
+
+export const DEFAULT_CATEGORY_COLOR = '#6b7280';
+
+// A category named by a post but not defined (yet), e.g. while offline
+export const undefinedCategory = (name) => ({ name, color: DEFAULT_CATEGORY_COLOR, icon: 'folder' });
+
+// Tint a category badge with the category's colour
+export const categoryBadgeStyle = (category) => {
+  const color = category?.color || DEFAULT_CATEGORY_COLOR;
+  return {
+    background: `${color}1a`,
+    borderColor: `${color}66`,
+    color
+  };
+};
@@ -0,0 +1,63 @@
+import axios from 'axios';
+import { renderMarkdown, markdownToPlainText } from './markdown';
+import { highlightCode } from './code';
+
+export const COPY_FORMATS = [
+  { value: 'markdown', label: 'Markdown' },
+  { value: 'text', label: 'Plain text' },
+  { value: 'html', label: 'Rich text' }
+];
+
+const COPY_FORMAT_KEY = 'copyFormat';
+
+// The format used by one-click copy buttons, remembered between visits
+export const getCopyFormat = () => {
+  const stored = localStorage.getItem(COPY_FORMAT_KEY);
+  return COPY_FORMATS.some(({ value }) => value === stored) ? stored : 'markdown';
+};
+
+export const setCopyFormat = (format) => {
+  localStorage.setItem(COPY_FORMAT_KEY, format);
+};
+
+// Copy Markdown content to the clipboard as raw Markdown, plain text or rich HTML.
+// Code snippets (posts with a language) are always copied as they are written,
+// and as a preformatted block for rich text.
+export const copyContent = async (content, format = getCopyFormat(), language = null) => {
+  if (format === 'text' && !language) {
+    return navigator.clipboard.writeText(markdownToPlainText(content));
+  }
+
+  if (format === 'html') {
+    const html = language
+      ? `<pre><code>${highlightCode(content, language)}</code></pre>`
+      : renderMarkdown(content);
+    const text = language ? content : markdownToPlainText(content);
+
+    // Browsers without ClipboardItem only get the plain text version
+    if (typeof window.ClipboardItem === 'undefined') {
+      return navigator.clipboard.writeText(text);
+    }
+
+    return navigator.clipboard.write([
+      new window.ClipboardItem({
+        'text/html': new Blob([html], { type: 'text/html' }),
+        'text/plain': new Blob([text], { type: 'text/plain' })
+      })
+    ]);
+  }
+
+  return navigator.clipboard.writeText(content);
+};
+
+// Record a copy for usage stats. Failures are only logged so they never
+// get in the way of the copy itself.
+export const trackCopy = async (postId, format = getCopyFormat()) => {
+  try {
+    const response = await axios.post(`/api/posts/${postId}/copy`, { format });
+    return response.data;
+  } catch (error) {
+    console.error('Error recording copy:', error);
+    return null;
+  }
+};
@@ -0,0 +1,103 @@
+import hljs from 'highlight.js/lib/core';
+import bash from 'highlight.js/lib/languages/bash';
+import cpp from 'highlight.js/lib/languages/cpp';
+import csharp from 'highlight.js/lib/languages/csharp';
+import css from 'highlight.js/lib/languages/css';
+import diff from 'highlight.js/lib/languages/diff';
+import dockerfile from 'highlight.js/lib/languages/dockerfile';
+import go from 'highlight.js/lib/languages/go';
+import ini from 'highlight.js/lib/languages/ini';
+import java from 'highlight.js/lib/languages/java';
+import javascript from 'highlight.js/lib/languages/javascript';
+import json from 'highlight.js/lib/languages/json';
+import nginx from 'highlight.js/lib/languages/nginx';
+import php from 'highlight.js/lib/languages/php';
+import powershell from 'highlight.js/lib/languages/powershell';
+import python from 'highlight.js/lib/languages/python';
+import ruby from 'highlight.js/lib/languages/ruby';
+import rust from 'highlight.js/lib/languages/rust';
+import sql from 'highlight.js/lib/languages/sql';
+import typescript from 'highlight.js/lib/languages/typescript';
+import xml from 'highlight.js/lib/languages/xml';
+import yaml from 'highlight.js/lib/languages/yaml';
+
+// Languages a post can be marked as, matching the server's list. Posts
+// without a language are Markdown text.
+export const LANGUAGES = [
+  { value: 'bash', label: 'Shell', grammar: bash },
+  { value: 'powershell', label: 'PowerShell', grammar: powershell },
+  { value: 'sql', label: 'SQL', grammar: sql },
+  { value: 'javascript', label: 'JavaScript', grammar: javascript },
+  { value: 'typescript', label: 'TypeScript', grammar: typescript },
+  { value: 'python', label: 'Python', grammar: python },
+  { value: 'json', label: 'JSON', grammar: json },
+  { value: 'yaml', label: 'YAML', grammar: yaml },
+  { value: 'xml', label: 'HTML / XML', grammar: xml },
+  { value: 'css', label: 'CSS', grammar: css },
+  { value: 'go', label: 'Go', grammar: go },
+  { value: 'java', label: 'Java', grammar: java },
+  { value: 'ruby', label: 'Ruby', grammar: ruby },
+  { value: 'php', label: 'PHP', grammar: php },
+  { value: 'rust', label: 'Rust', grammar: rust },
+  { value: 'csharp', label: 'C#', grammar: csharp },
+  { value: 'cpp', label: 'C / C++', grammar: cpp },
+  { value: 'ini', label: 'INI / TOML', grammar: ini },
+  { value: 'dockerfile', label: 'Dockerfile', grammar: dockerfile },
+  { value: 'nginx', label: 'Nginx', grammar: nginx },
+  { value: 'diff', label: 'Diff', grammar: diff },
+  { value: 'plaintext', label: 'Plain text', grammar: null }
+];
+
+LANGUAGES.forEach(({ value, grammar }) => {
+  if (grammar) hljs.registerLanguage(value, grammar);
+});
+
+export const languageLabel = (value) => {
+  const language = LANGUAGES.find(item => item.value === value);
+  return language ? language.label : value;
+};
+
+// Highlighted HTML for some code. highlight.js escapes the code itself, so
+// the result is safe to inject; languages it does not know are only escaped.
+export const highlightCode = (code = '', language) => {
+  if (language && hljs.getLanguage(language)) {
+    return hljs.highlight(code, { language, ignoreIllegals: true }).value;
+  }
+  return code
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+};
+
+const INDENT = '  ';
+
+// Tab handling for the code editor. Returns the new text and selection after
+// indenting (or, with outdent, un-indenting) the selected lines. A Tab with no
+// line break selected just inserts an indent at the cursor.
+export const indentText = (text, start, end, outdent = false) => {
+  if (!outdent && !text.slice(start, end).includes('\n')) {
+    const cursor = start + INDENT.length;
+    return { text: text.slice(0, start) + INDENT + text.slice(end), start: cursor, end: cursor };
+  }
+
+  const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+  // A selection ending at the start of a line does not include that line
+  const lastLine = end > start && text[end - 1] === '\n' ? end - 1 : end;
+  const blockEnd = text.indexOf('\n', lastLine) === -1 ? text.length : text.indexOf('\n', lastLine);
+  const lines = text.slice(lineStart, blockEnd).split('\n');
+
+  let firstLineShift = 0;
+  const changed = lines.map((line, index) => {
+    const removed = outdent ? (line.match(/^( {1,2}|\t)/) || [''])[0].length : 0;
+    if (index === 0) firstLineShift = outdent ? -removed : INDENT.length;
+    return outdent ? line.slice(removed) : INDENT + line;
+  }).join('\n');
+
+  const nextStart = Math.max(lineStart, start + firstLineShift);
+  const nextEnd = end + changed.length - (blockEnd - lineStart);
+  return {
+    text: text.slice(0, lineStart) + changed + text.slice(blockEnd),
+    start: nextStart,
+    end: Math.max(nextStart, nextEnd)
+  };
+};
@@ -0,0 +1,48 @@
+import { Folder, Briefcase, User, Lightbulb, BookOpen, Code, Star, Heart } from 'lucide-react';
+
+// Icons a collection can use, keyed by the name stored on the server
+export const COLLECTION_ICONS = {
+  folder: Folder,
+  briefcase: Briefcase,
+  user: User,
+  lightbulb: Lightbulb,
+  book: BookOpen,
+  code: Code,
+  star: Star,
+  heart: Heart
+};
+
+export const COLLECTION_COLORS = ['#667eea', '#764ba2', '#ef4444', '#f59e0b', '#10b981', '#3b82f6', '#ec4899', '#6b7280'];
+
+const byOrder = (a, b) => a.order - b.order || a.name.localeCompare(b.name);
+
+// Build a nested tree from the flat list returned by the API
+export const buildTree = (collections) => {
+  const nodes = new Map(collections.map(collection => [collection._id, { ...collection, children: [] }]));
+  const roots = [];
+
+  nodes.forEach(node => {
+    const parent = node.parent && nodes.get(node.parent);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  const sortChildren = (list) => {
+    list.sort(byOrder);
+    list.forEach(node => sortChildren(node.children));
+    return list;
+  };
+
+  return sortChildren(roots);
+};
+
+// Flatten the tree depth-first, keeping each collection's depth for indentation
+export const flattenTree = (tree, depth = 0) => {
+  return tree.flatMap(node => [
+    { ...node, depth },
+    ...flattenTree(node.children, depth + 1)
+  ]);
+};
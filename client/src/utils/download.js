@@ -0,0 +1,20 @@
+// Formats offered by /api/library/export/:format
+export const EXPORT_FORMATS = [
+  { format: 'json', label: 'JSON' },
+  { format: 'csv', label: 'CSV' },
+  { format: 'markdown', label: 'Markdown (zip)' }
+];
+
+// Save a blob response from axios as a file, using the file name suggested
+// by the server's Content-Disposition header when there is one
+export const saveDownload = (response, fallbackName) => {
+  const disposition = response.headers['content-disposition'] || '';
+  const fileName = disposition.match(/filename="?([^"]+)"?/)?.[1] || fallbackName;
+
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,87 @@
+// Fuzzy matching for the command palette. Every character of the query has
+// to appear in the text in order; matches score higher when they are
+// consecutive, start words, or come early in the text.
+
+const isWordStart = (text, index) => index === 0 || /[\s\-_/.:]/.test(text[index - 1]);
+
+// Score how well query matches text, or return null when it does not match.
+// Returns { score, indices } where indices are the matched positions.
+export const fuzzyMatch = (query, text = '') => {
+  const needle = query.toLowerCase().replace(/\s+/g, '');
+  const haystack = text.toLowerCase();
+  if (!needle) return { score: 0, indices: [] };
+
+  // Prefer a plain substring match, which is what people usually type
+  const substringAt = haystack.indexOf(needle);
+  if (substringAt !== -1) {
+    const indices = Array.from(needle, (_, offset) => substringAt + offset);
+    const score = 100 + needle.length * 10 - substringAt + (isWordStart(text, substringAt) ? 20 : 0);
+    return { score, indices };
+  }
+
+  const indices = [];
+  let score = 0;
+  let position = 0;
+
+  for (const char of needle) {
+    const index = haystack.indexOf(char, position);
+    if (index === -1) return null;
+
+    if (indices.length > 0 && index === indices[indices.length - 1] + 1) {
+      score += 8;
+    } else if (isWordStart(text, index)) {
+      score += 6;
+    } else {
+      score += 1;
+    }
+
+    indices.push(index);
+    position = index + 1;
+  }
+
+  // Penalise matches spread across long stretches of text, and drop ones so
+  // scattered they are unlikely to be what was meant
+  score -= Math.floor((indices[indices.length - 1] - indices[0]) / 4);
+  return score > 0 ? { score, indices } : null;
+};
+
+// Split text into { text, match } segments for <Highlight>
+export const highlightSegments = (text, indices = []) => {
+  const matched = new Set(indices);
+  const segments = [];
+
+  text.split('').forEach((char, index) => {
+    const match = matched.has(index);
+    const last = segments[segments.length - 1];
+    if (last && last.match === match) {
+      last.text += char;
+    } else {
+      segments.push({ text: char, match });
+    }
+  });
+
+  return segments;
+};
+
+// Rank items against a query. fields lists [getText, weight] pairs; each item
+// scores by its best weighted field. Returns [{ item, score, field, indices }]
+// best first, where field is the index of the best matching field.
+export const fuzzySearch = (items, query, fields, limit = 50) => {
+  if (!query.trim()) {
+    return items.slice(0, limit).map(item => ({ item, score: 0, field: 0, indices: [] }));
+  }
+
+  const results = [];
+  items.forEach((item) => {
+    let best = null;
+    fields.forEach(([getText, weight], field) => {
+      const match = fuzzyMatch(query, getText(item));
+      if (match && (!best || match.score * weight > best.score)) {
+        best = { item, score: match.score * weight, field, indices: match.indices };
+      }
+    });
+    if (best) results.push(best);
+  });
+
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+};
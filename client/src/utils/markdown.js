@@ -0,0 +1,55 @@
+import { marked } from 'marked';
+import DOMPurify from 'dompurify';
+
+marked.setOptions({
+  gfm: true,
+  breaks: true
+});
+
+// Open rendered links in a new tab without giving the target page access to ours
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'A') {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer');
+  }
+});
+
+// Render Markdown to sanitised HTML that is safe to inject into the page
+export const renderMarkdown = (markdown = '') => {
+  return DOMPurify.sanitize(marked.parse(markdown));
+};
+
+const BLOCK_TAGS = new Set([
+  'P', 'DIV', 'PRE', 'BLOCKQUOTE', 'UL', 'OL', 'LI', 'TABLE', 'TR',
+  'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HR'
+]);
+
+// Walk the rendered HTML and collect its text, keeping block-level line breaks
+const collectText = (node) => {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return node.textContent;
+  }
+  if (node.nodeName === 'BR') {
+    return '\n';
+  }
+
+  let text = Array.from(node.childNodes).map(collectText).join('');
+
+  if (node.nodeName === 'LI') {
+    text = `- ${text.trim()}`;
+  } else if (node.nodeName === 'TD' || node.nodeName === 'TH') {
+    text = `${text.trim()}\t`;
+  }
+
+  return BLOCK_TAGS.has(node.nodeName) ? `\n${text.replace(/\t$/, '')}\n` : text;
+};
+
+// Strip Markdown formatting, leaving readable plain text
+export const markdownToPlainText = (markdown = '') => {
+  const container = document.createElement('div');
+  container.innerHTML = renderMarkdown(markdown);
+
+  return collectText(container)
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
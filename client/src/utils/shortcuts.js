@@ -0,0 +1,35 @@
+// Keyboard shortcuts. "Mod" is Cmd on Apple devices and Ctrl elsewhere.
+
+export const isApple = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+
+export const MOD_KEY = isApple ? '⌘' : 'Ctrl';
+
+// Shortcuts that work anywhere in the app while signed in
+export const GLOBAL_SHORTCUTS = [
+  { keys: ['Mod', 'K'], description: 'Open the command palette' },
+  { keys: ['/'], description: 'Search copies' },
+  { keys: ['N'], description: 'New copy' },
+  { keys: ['?'], description: 'Show keyboard shortcuts' }
+];
+
+// Shortcuts inside the command palette
+export const PALETTE_SHORTCUTS = [
+  { keys: ['↑', '↓'], description: 'Move between results' },
+  { keys: ['Enter'], description: 'Copy, or run a command' },
+  { keys: ['Shift', 'Enter'], description: 'Edit the copy' },
+  { keys: ['Mod', 'Enter'], description: 'Open the copy' },
+  { keys: ['Mod', 'Backspace'], description: 'Move the copy to the trash' },
+  { keys: ['>'], description: 'Start the search with > to only list commands' },
+  { keys: ['Esc'], description: 'Close' }
+];
+
+export const keyLabel = (key) => (key === 'Mod' ? MOD_KEY : key);
+
+// Cmd on Apple devices, Ctrl elsewhere
+export const hasModKey = (e) => (isApple ? e.metaKey : e.ctrlKey);
+
+// Single-key shortcuts must not fire while the user is typing
+export const isTypingTarget = (target) => Boolean(target && (
+  target.isContentEditable ||
+  ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)
+));
@@ -0,0 +1,4 @@
+// Tags are stored trimmed and lower-cased with single spaces, matching the server
+export const normalizeTag = (tag) => tag.trim().replace(/\s+/g, ' ').toLowerCase();
+
+export const MAX_TAG_LENGTH = 30;
@@ -0,0 +1,79 @@
+// Template placeholders look like {{name}} or {{name|default value}}
+const PLACEHOLDER_REGEX = /\{\{\s*([A-Za-z_][\w-]*)\s*(?:\|([^}]*))?\}\}/g;
+
+const RECENT_VALUES_KEY = 'templateRecentValues';
+const MAX_RECENT_VALUES = 5;
+
+// Variable names such as "constructor" must not resolve to Object.prototype members
+const ownValue = (object, name) => (
+  Object.prototype.hasOwnProperty.call(object, name) ? object[name] : undefined
+);
+
+// List the distinct variables used in a piece of content, in order of first use
+export const extractVariables = (content = '') => {
+  const variables = [];
+  const seen = new Set();
+
+  for (const match of content.matchAll(PLACEHOLDER_REGEX)) {
+    const name = match[1];
+    if (seen.has(name)) continue;
+    seen.add(name);
+    variables.push({
+      name,
+      defaultValue: match[2] !== undefined ? match[2].trim() : null
+    });
+  }
+
+  return variables;
+};
+
+export const hasVariables = (content = '') => extractVariables(content).length > 0;
+
+// Replace placeholders with the given values, falling back to their defaults
+export const renderTemplate = (content = '', values = {}) => {
+  return content.replace(PLACEHOLDER_REGEX, (placeholder, name, defaultValue) => {
+    const value = ownValue(values, name);
+    if (value !== undefined && value !== null && String(value) !== '') {
+      return String(value);
+    }
+    if (defaultValue !== undefined) {
+      return defaultValue.trim();
+    }
+    return placeholder;
+  });
+};
+
+// Recently used values are remembered per variable name in localStorage and
+// read back as a Map of name to values, most recent first. Stored entries that
+// are not lists are dropped.
+export const getRecentValues = () => {
+  const recent = new Map();
+
+  try {
+    const stored = JSON.parse(localStorage.getItem(RECENT_VALUES_KEY));
+    if (stored && typeof stored === 'object' && !Array.isArray(stored)) {
+      Object.keys(stored).forEach((name) => {
+        const list = stored[name];
+        if (Array.isArray(list)) {
+          recent.set(name, list.filter(item => typeof item === 'string'));
+        }
+      });
+    }
+  } catch (error) {
+    // Unreadable storage starts over with no recent values
+  }
+
+  return recent;
+};
+
+export const saveRecentValues = (values) => {
+  const recent = getRecentValues();
+
+  Object.entries(values).forEach(([name, value]) => {
+    if (!value) return;
+    const previous = (recent.get(name) || []).filter(item => item !== value);
+    recent.set(name, [value, ...previous].slice(0, MAX_RECENT_VALUES));
+  });
+
+  localStorage.setItem(RECENT_VALUES_KEY, JSON.stringify(Object.fromEntries(recent)));
+};
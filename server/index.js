@@ -10,26 +10,80 @@ dotenv.config();
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const apiKeyRoutes = require('./routes/apiKeys');
 const postRoutes = require('./routes/posts');
+const revisionRoutes = require('./routes/revisions');
+const shareRoutes = require('./routes/shares');
+const collectionRoutes = require('./routes/collections');
+const libraryRoutes = require('./routes/library');
+const trashRoutes = require('./routes/trash');
+const eventRoutes = require('./routes/events');
+const tagRoutes = require('./routes/tags');
+const categoryRoutes = require('./routes/categories');
+const workspaceRoutes = require('./routes/workspaces');
+const Post = require('./models/Post');
+
+// How often trashed posts past their retention period are purged
+const TRASH_PURGE_INTERVAL = 60 * 60 * 1000; // 1 hour
 
 const app = express();
 
+// In production the app runs behind a proxy; use X-Forwarded-For for client IPs
+if (process.env.NODE_ENV === 'production') {
+  app.set('trust proxy', 1);
+}
+
 // Middleware
-app.use(cors());
+app.use(cors({
+  // Let browsers read the pagination and rate limit headers on cross-origin requests
+  exposedHeaders: ['X-Total-Count', 'X-Next-Cursor', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
+}));
 app.use(compression()); // Enable gzip compression
-app.use(express.json());
+// Imports read their raw body themselves, with a larger size limit
+const jsonParser = express.json();
+app.use((req, res, next) => (
+  req.path.startsWith('/api/library/import/') ? next() : jsonParser(req, res, next)
+));
+
+// Permanently delete posts that have been in the trash too long
+const purgeTrash = async () => {
+  try {
+    const purged = await Post.purgeExpiredTrash();
+    if (purged > 0) {
+      console.log(`Purged ${purged} post${purged === 1 ? '' : 's'} from the trash`);
+    }
+  } catch (error) {
+    console.error('Trash purge error:', error);
+  }
+};
 
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/personal-posts-app', {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(() => {
+  console.log('Connected to MongoDB');
+  purgeTrash();
+  setInterval(purgeTrash, TRASH_PURGE_INTERVAL).unref();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
 app.use('/api/posts', postRoutes);
+app.use('/api/posts/:id/revisions', revisionRoutes);
+app.use('/api/shares', shareRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/library', libraryRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/workspaces', workspaceRoutes);
 
 // Serve static files from React build in production
 if (process.env.NODE_ENV === 'production') {
@@ -47,6 +101,14 @@ if (process.env.NODE_ENV === 'production') {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Bodies over a parser's size limit
+  if (err.type === 'entity.too.large') {
+    const limit = err.limit >= 1024 * 1024
+      ? `${Math.round(err.limit / 1024 / 1024)} MB`
+      : `${Math.round(err.limit / 1024)} KB`;
+    return res.status(413).json({ message: `Request body is too large. The limit is ${limit}.` });
+  }
+
   console.error(err.stack);
   res.status(500).json({ message: 'Something went wrong!' });
 });
@@ -0,0 +1,57 @@
+const path = require('path');
+const createConsoleTransport = require('./transports/console');
+const createFileTransport = require('./transports/file');
+const createSmtpTransport = require('./transports/smtp');
+
+// A transport is an object with a name and an async send({ from, to, subject, text, html }).
+// Pick one with MAIL_TRANSPORT; register others with registerTransport().
+const factories = {
+  console: () => createConsoleTransport(),
+  file: () => createFileTransport({
+    directory: process.env.MAIL_FILE_DIR || path.join(__dirname, '../../tmp/mail')
+  }),
+  smtp: () => createSmtpTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  })
+};
+
+let transport = null;
+
+const registerTransport = (name, factory) => {
+  factories[name] = factory;
+};
+
+// Replace the active transport, e.g. with an in-memory one in tests
+const setTransport = (nextTransport) => {
+  transport = nextTransport;
+};
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = factories[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport "${name}". Use one of: ${Object.keys(factories).join(', ')}`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+const sendMail = (message) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Lets Copy <no-reply@letscopy.app>',
+    ...message
+  });
+};
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  setTransport,
+  getTransport
+};
@@ -0,0 +1,69 @@
+// Link to a page of the React client
+const clientUrl = (pathname) => {
+  const base = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${base}${pathname}`;
+};
+
+const passwordResetEmail = ({ user, token, expiresInMinutes }) => {
+  const url = clientUrl(`/reset-password?token=${encodeURIComponent(token)}`);
+  return {
+    to: user.email,
+    subject: 'Reset your Lets Copy password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Someone asked to reset the password for your Lets Copy account.',
+      `Open this link to choose a new password. It expires in ${expiresInMinutes} minutes and can only be used once:`,
+      '',
+      url,
+      '',
+      'If this was not you, you can ignore this email; your password will not change.'
+    ].join('\n')
+  };
+};
+
+const verificationEmail = ({ user, token, expiresInHours }) => {
+  const url = clientUrl(`/verify-email?token=${encodeURIComponent(token)}`);
+  return {
+    to: user.email,
+    subject: 'Confirm your Lets Copy email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Thanks for signing up for Lets Copy. Please confirm your email address by opening this link.',
+      `It expires in ${expiresInHours} hours:`,
+      '',
+      url,
+      '',
+      'If you did not create an account, you can ignore this email.'
+    ].join('\n')
+  };
+};
+
+// user is set when the invite went to an existing account
+const workspaceInviteEmail = ({ email, user, workspace, invitedBy, role, expiresInDays }) => {
+  const url = clientUrl('/workspaces');
+  return {
+    to: email,
+    subject: `${invitedBy.username} invited you to ${workspace.name} on Lets Copy`,
+    text: [
+      user ? `Hi ${user.username},` : 'Hi,',
+      '',
+      `${invitedBy.username} invited you to join the workspace "${workspace.name}" on Lets Copy as ${role === 'viewer' ? 'a' : 'an'} ${role}.`,
+      user
+        ? `Open this link to accept. The invite expires in ${expiresInDays} days:`
+        : `Sign up with this email address and confirm it, then accept the invite from your workspaces. It expires in ${expiresInDays} days:`,
+      '',
+      url,
+      '',
+      'If you were not expecting this, you can ignore this email.'
+    ].join('\n')
+  };
+};
+
+module.exports = {
+  clientUrl,
+  passwordResetEmail,
+  verificationEmail,
+  workspaceInviteEmail
+};
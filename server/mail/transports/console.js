@@ -0,0 +1,17 @@
+// Prints messages to the server log instead of sending them. The default in development.
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log([
+      '--- Outgoing mail ---',
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      '',
+      message.text,
+      '---------------------'
+    ].join('\n'));
+  }
+});
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,20 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Writes each message to its own JSON file, so tests and local
+// development can read what would have been sent
+const createFileTransport = ({ directory }) => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.mkdir(directory, { recursive: true });
+
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    const filePath = path.join(directory, fileName);
+    await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+
+    return { filePath };
+  }
+});
+
+module.exports = createFileTransport;
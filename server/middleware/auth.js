@@ -1,7 +1,49 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
 
-const auth = async (req, res, next) => {
+// Only write a session's last-seen time (or an API key's last-used time)
+// once in this window
+const LAST_SEEN_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+// Personal API keys sent as the bearer token. They only work on routes that
+// accept them with auth.withApiKeys(access), and only with enough access.
+const authenticateApiKey = async (key, access, req, res, next) => {
+  if (!access) {
+    return res.status(403).json({ message: 'API keys cannot be used for this endpoint.' });
+  }
+
+  const apiKey = await ApiKey.authenticate(key);
+  if (!apiKey) {
+    return res.status(401).json({ message: 'Invalid or expired API key.' });
+  }
+
+  if (!apiKey.allows(access)) {
+    return res.status(403).json({
+      message: 'This API key is read-only.',
+      code: 'INSUFFICIENT_SCOPE'
+    });
+  }
+
+  const user = await User.findById(apiKey.user).select('-password');
+  if (!user) {
+    return res.status(401).json({ message: 'Invalid or expired API key.' });
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_SEEN_INTERVAL) {
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: req.ip || '' })
+      .catch(error => console.error('API key last used error:', error));
+  }
+
+  req.user = user;
+  req.apiKey = apiKey;
+  next();
+};
+
+// access is the API key access a route needs ("read" or "write"), or null
+// for routes that only accept signed-in sessions
+const authenticate = (access) => async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
@@ -9,18 +51,47 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'Access denied. No token provided.' });
     }
 
+    if (ApiKey.isApiKey(token)) {
+      return await authenticateApiKey(token, access, req, res, next);
+    }
+
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
+
+    // Tokens issued before sessions existed have no session to check
+    if (!decoded.sessionId) {
+      return res.status(401).json({ message: 'Invalid token.' });
+    }
+
+    const [user, session] = await Promise.all([
+      User.findById(decoded.userId).select('-password'),
+      Session.findOne({
+        _id: decoded.sessionId,
+        user: decoded.userId,
+        ...Session.activeConditions()
+      }).select('lastSeenAt')
+    ]);
     
-    if (!user) {
+    // Access tokens stop working as soon as their session is revoked
+    if (!user || !session) {
       return res.status(401).json({ message: 'Invalid token.' });
     }
 
+    if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL) {
+      Session.updateOne({ _id: session._id }, { lastSeenAt: new Date(), ip: req.ip || '' })
+        .catch(error => console.error('Session last seen error:', error));
+    }
+
     req.user = user;
+    req.sessionId = session._id;
     next();
   } catch (error) {
     res.status(401).json({ message: 'Invalid token.' });
   }
 };
 
+const auth = authenticate(null);
+
+// Like auth, but also accepts API keys with at least the given access
+auth.withApiKeys = authenticate;
+
 module.exports = auth; 
\ No newline at end of file
@@ -0,0 +1,72 @@
+// Simple in-memory cache for categories and tags
+const cache = {
+  categories: new Map(),
+  tags: new Map(),
+  posts: new Map(),
+  // spaceKey is req.space.key: the user's ID for their personal space
+  clearCache: function(spaceKey = null) {
+    if (spaceKey) {
+      // Clear only this space's cache
+      for (const [key, _] of this.posts) {
+        if (key.startsWith(`${spaceKey}:`)) {
+          this.posts.delete(key);
+        }
+      }
+      for (const [key, _] of this.categories) {
+        if (key === `categories:${spaceKey}`) {
+          this.categories.delete(key);
+        }
+      }
+      for (const [key, _] of this.tags) {
+        if (key === `tags:${spaceKey}`) {
+          this.tags.delete(key);
+        }
+      }
+    } else {
+      // Clear all cache
+      this.categories.clear();
+      this.tags.clear();
+      this.posts.clear();
+    }
+  }
+};
+
+// Cache middleware. Entries are shared by everyone in a space, so use it
+// after the space middleware.
+const cacheMiddleware = (duration = 300000) => { // 5 minutes default
+  return (req, res, next) => {
+    // API keys can be limited to some collections, so each key gets its own entries
+    const key = `${req.space.key}:${req.apiKey ? `key-${req.apiKey._id}:` : ''}${req.originalUrl}`;
+    const cached = cache.posts.get(key);
+    
+    if (cached && Date.now() - cached.timestamp < duration) {
+      res.set(cached.headers);
+      return res.json(cached.data);
+    }
+    
+    res.sendResponse = res.json;
+    res.json = (data) => {
+      // Only cache successful responses, along with any custom X- headers
+      if (res.statusCode < 400) {
+        const headers = {};
+        Object.entries(res.getHeaders())
+          .filter(([name]) => name.startsWith('x-'))
+          .forEach(([name, value]) => { headers[name] = value; });
+
+        cache.posts.set(key, {
+          data,
+          headers,
+          timestamp: Date.now()
+        });
+      }
+      res.sendResponse(data);
+    };
+    
+    next();
+  };
+};
+
+module.exports = {
+  cache,
+  cacheMiddleware
+};
@@ -0,0 +1,171 @@
+const { getStore } = require('../rateLimit');
+
+// Whole numbers from the environment; 0 is allowed and turns a limit off
+const envInt = (name, fallback) => {
+  const parsed = parseInt(process.env[name], 10);
+  return isNaN(parsed) ? fallback : Math.max(parsed, 0);
+};
+
+// Request limits for the auth endpoints, per fixed window
+const AUTH_WINDOW_MS = (envInt('AUTH_RATE_LIMIT_WINDOW_MINUTES', 15) || 15) * 60 * 1000;
+const LOGIN_LIMIT_PER_IP = envInt('LOGIN_RATE_LIMIT_PER_IP', 30);
+const LOGIN_LIMIT_PER_ACCOUNT = envInt('LOGIN_RATE_LIMIT_PER_ACCOUNT', 10);
+const REGISTER_LIMIT_PER_IP = envInt('REGISTER_RATE_LIMIT_PER_IP', 5);
+const RESET_LIMIT_PER_IP = envInt('PASSWORD_RESET_RATE_LIMIT_PER_IP', 10);
+const RESET_LIMIT_PER_ACCOUNT = envInt('PASSWORD_RESET_RATE_LIMIT_PER_ACCOUNT', 3);
+
+// Progressive lockout: after LOGIN_LOCKOUT_THRESHOLD failed logins an account
+// is locked for LOGIN_LOCKOUT_BASE_SECONDS, doubling with each further failure
+// up to LOGIN_LOCKOUT_MAX_MINUTES. Failures are forgotten after a successful
+// login or a day after the first one.
+const LOCKOUT_THRESHOLD = envInt('LOGIN_LOCKOUT_THRESHOLD', 5);
+const LOCKOUT_BASE_MS = envInt('LOGIN_LOCKOUT_BASE_SECONDS', 60) * 1000;
+const LOCKOUT_MAX_MS = envInt('LOGIN_LOCKOUT_MAX_MINUTES', 60) * 60 * 1000;
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const formatWait = (seconds) => {
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+const secondsUntil = (timestamp) => Math.max(Math.ceil((timestamp - Date.now()) / 1000), 1);
+
+const tooManyRequests = (res, retryAfter, message, code) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ message, code, retryAfter });
+};
+
+// Accounts are identified by email address, whether or not one exists, so
+// limits and lockouts do not reveal which addresses are registered
+const accountKey = (email) => String(email || '').trim().toLowerCase();
+
+const ipKey = (req) => req.ip;
+
+// Count requests per key (IP address, account, ...) in a fixed window and
+// answer with a 429 once there are more than max. key(req) returning nothing
+// skips the check, as does a max of 0.
+const rateLimit = ({ name, windowMs, max, key, message }) => async (req, res, next) => {
+  const id = key(req);
+  if (!id || max === 0) {
+    return next();
+  }
+
+  let result;
+  try {
+    result = await getStore().increment(`rate:${name}:${id}`, windowMs);
+  } catch (error) {
+    // A broken shared store should not lock everyone out
+    console.error('Rate limit store error:', error);
+    return next();
+  }
+
+  const resetIn = secondsUntil(result.resetAt);
+  res.set({
+    'RateLimit-Limit': String(max),
+    'RateLimit-Remaining': String(Math.max(max - result.count, 0)),
+    'RateLimit-Reset': String(resetIn)
+  });
+
+  if (result.count > max) {
+    return tooManyRequests(res, resetIn, `${message} Try again in ${formatWait(resetIn)}.`, 'RATE_LIMITED');
+  }
+  next();
+};
+
+const limitLoginByIp = rateLimit({
+  name: 'login-ip',
+  windowMs: AUTH_WINDOW_MS,
+  max: LOGIN_LIMIT_PER_IP,
+  key: ipKey,
+  message: 'Too many sign-in attempts from this network.'
+});
+
+const limitLoginByAccount = rateLimit({
+  name: 'login-account',
+  windowMs: AUTH_WINDOW_MS,
+  max: LOGIN_LIMIT_PER_ACCOUNT,
+  key: (req) => accountKey(req.body.email),
+  message: 'Too many sign-in attempts for this account.'
+});
+
+const limitRegistrationByIp = rateLimit({
+  name: 'register-ip',
+  windowMs: AUTH_WINDOW_MS,
+  max: REGISTER_LIMIT_PER_IP,
+  key: ipKey,
+  message: 'Too many accounts created from this network.'
+});
+
+const limitPasswordResetByIp = rateLimit({
+  name: 'reset-ip',
+  windowMs: AUTH_WINDOW_MS,
+  max: RESET_LIMIT_PER_IP,
+  key: ipKey,
+  message: 'Too many password reset requests from this network.'
+});
+
+const limitPasswordResetByAccount = rateLimit({
+  name: 'reset-account',
+  windowMs: AUTH_WINDOW_MS,
+  max: RESET_LIMIT_PER_ACCOUNT,
+  key: (req) => accountKey(req.body.email),
+  message: 'Too many password reset requests for this account.'
+});
+
+const lockKey = (email) => `lockout:${accountKey(email)}`;
+const failureKey = (email) => `login-failures:${accountKey(email)}`;
+
+// Seconds until a locked account may try again, or 0 when it is not locked
+const getLockout = async (email) => {
+  const lockedUntil = await getStore().get(lockKey(email));
+  return lockedUntil && lockedUntil > Date.now() ? secondsUntil(lockedUntil) : 0;
+};
+
+// Count a failed login. Resolves to the lockout it triggered in seconds, or 0.
+const recordLoginFailure = async (email) => {
+  if (LOCKOUT_THRESHOLD === 0) {
+    return 0;
+  }
+
+  const store = getStore();
+  const { count } = await store.increment(failureKey(email), FAILURE_WINDOW_MS);
+  if (count < LOCKOUT_THRESHOLD) {
+    return 0;
+  }
+
+  const lockMs = Math.min(LOCKOUT_BASE_MS * 2 ** (count - LOCKOUT_THRESHOLD), LOCKOUT_MAX_MS);
+  if (lockMs === 0) {
+    return 0;
+  }
+
+  await store.set(lockKey(email), Date.now() + lockMs, lockMs);
+  return Math.ceil(lockMs / 1000);
+};
+
+const clearLoginFailures = async (email) => {
+  const store = getStore();
+  await Promise.all([store.delete(failureKey(email)), store.delete(lockKey(email))]);
+};
+
+const accountLocked = (res, retryAfter) => tooManyRequests(
+  res,
+  retryAfter,
+  `Too many failed sign-in attempts. Try again in ${formatWait(retryAfter)}.`,
+  'ACCOUNT_LOCKED'
+);
+
+module.exports = {
+  rateLimit,
+  limitLoginByIp,
+  limitLoginByAccount,
+  limitRegistrationByIp,
+  limitPasswordResetByIp,
+  limitPasswordResetByAccount,
+  getLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+  accountLocked
+};
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const auth = require('./auth');
+const Workspace = require('../models/Workspace');
+
+// Every post, collection and category belongs to a space: a user's personal
+// space or a shared workspace. This is where requests are given a space and
+// where the user's role in it is checked; routes then scope their queries
+// with req.space.filter instead of the user's ID.
+//
+// req.space is:
+//   workspace - the workspace ID, or null for the personal space
+//   role      - the user's role there ('owner' in their personal space)
+//   filter    - query conditions matching the space's posts, collections and categories
+//   key       - a string naming the space, used for caches and live update channels
+
+const personalSpace = (user) => ({
+  workspace: null,
+  role: 'owner',
+  filter: { user: user._id, workspace: null },
+  key: String(user._id)
+});
+
+const workspaceSpace = (workspace, role) => ({
+  workspace: workspace._id,
+  role,
+  filter: { workspace: workspace._id },
+  key: `workspace:${workspace._id}`
+});
+
+// Clients pick a workspace with the X-Workspace header; without it, or with
+// "personal", requests work in the user's personal space
+const headerWorkspace = (req) => {
+  const workspaceId = req.get('X-Workspace');
+  return workspaceId === 'personal' ? null : workspaceId;
+};
+
+// Resolve req.space for the signed-in user. getWorkspaceId reads the
+// workspace ID from the request, or null for the personal space. Use after
+// the auth middleware.
+const resolveSpace = (getWorkspaceId = headerWorkspace) => async (req, res, next) => {
+  try {
+    let workspaceId = getWorkspaceId(req);
+
+    // API keys work in the space they were created for. Naming another one is
+    // refused; naming none picks the key's space.
+    if (req.apiKey) {
+      const keyWorkspaceId = req.apiKey.workspace ? String(req.apiKey.workspace) : null;
+      if (workspaceId !== undefined && (workspaceId || null) !== keyWorkspaceId) {
+        return res.status(403).json({
+          message: 'This API key belongs to another space',
+          code: 'API_KEY_SPACE'
+        });
+      }
+      workspaceId = keyWorkspaceId;
+    }
+
+    if (!workspaceId) {
+      req.space = personalSpace(req.user);
+      return next();
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(workspaceId)) {
+      return res.status(400).json({ message: 'Invalid workspace ID' });
+    }
+
+    const workspace = await Workspace.findOne({ _id: workspaceId, 'members.user': req.user._id });
+    if (!workspace) {
+      return res.status(404).json({ message: 'Workspace not found' });
+    }
+
+    req.space = workspaceSpace(workspace, workspace.roleOf(req.user._id));
+    req.workspace = workspace;
+    next();
+  } catch (error) {
+    console.error('Resolve space error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Allow the request only if the user has at least the given role in req.space
+const requireRole = (role) => (req, res, next) => {
+  if (Workspace.roleAllows(req.space.role, role)) {
+    return next();
+  }
+  res.status(403).json({
+    message: role === 'owner'
+      ? 'Only workspace owners can do this'
+      : `You need to be a workspace ${role} to do this`,
+    code: 'INSUFFICIENT_ROLE'
+  });
+};
+
+// Middleware for routes working in the space picked by X-Workspace.
+// "read" lets every member in; "write" needs an editor. Pass apiKeys to
+// also accept API keys with the same access.
+const spaceAccess = (access, { apiKeys = false } = {}) => [
+  apiKeys ? auth.withApiKeys(access) : auth,
+  resolveSpace(),
+  requireRole(access === 'write' ? 'editor' : 'viewer')
+];
+
+// Middleware for routes that name a workspace in the URL (/api/workspaces/:id)
+const workspaceAccess = (role) => [
+  auth,
+  resolveSpace(req => req.params.id),
+  requireRole(role)
+];
+
+module.exports = {
+  resolveSpace,
+  requireRole,
+  spaceAccess,
+  workspaceAccess
+};
@@ -0,0 +1,55 @@
+const Post = require('../models/Post');
+
+// What accounts with an unconfirmed email address may not do, as a
+// comma-separated list of actions: "share" (create share links) and
+// "import" (import posts). Set UNVERIFIED_RESTRICTIONS= to lift them all.
+const RESTRICTIONS = (process.env.UNVERIFIED_RESTRICTIONS ?? 'share,import')
+  .split(',')
+  .map(action => action.trim())
+  .filter(Boolean);
+
+// Most posts an unverified account may keep; 0 for no limit
+const parsedPostLimit = parseInt(process.env.UNVERIFIED_POST_LIMIT, 10);
+const UNVERIFIED_POST_LIMIT = isNaN(parsedPostLimit) ? 20 : Math.max(parsedPostLimit, 0);
+
+const notVerified = (res, message) => res.status(403).json({
+  message,
+  code: 'EMAIL_NOT_VERIFIED'
+});
+
+// Block an action for unverified accounts when the policy restricts it.
+// Use after the auth middleware.
+const requireVerifiedEmail = (action) => (req, res, next) => {
+  if (req.user.emailVerified || !RESTRICTIONS.includes(action)) {
+    return next();
+  }
+  notVerified(res, 'Please verify your email address to use this feature');
+};
+
+// Cap the number of posts an unverified account can create
+const limitUnverifiedPosts = async (req, res, next) => {
+  try {
+    if (req.user.emailVerified || UNVERIFIED_POST_LIMIT === 0) {
+      return next();
+    }
+
+    const count = await Post.countDocuments({ user: req.user._id, deletedAt: null });
+    if (count >= UNVERIFIED_POST_LIMIT) {
+      return notVerified(
+        res,
+        `Unverified accounts can keep up to ${UNVERIFIED_POST_LIMIT} posts. Please verify your email address to add more.`
+      );
+    }
+    next();
+  } catch (error) {
+    console.error('Verified email check error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  requireVerifiedEmail,
+  limitUnverifiedPosts,
+  RESTRICTIONS,
+  UNVERIFIED_POST_LIMIT
+};
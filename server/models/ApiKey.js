@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Keys look like "lc_<48 hex characters>" so they are easy to spot in
+// scripts and secret scanners. Only a hash of the full key is stored.
+const KEY_PREFIX = 'lc_';
+
+// "read" keys can list, search, view and copy posts; "write" keys can also
+// create, edit and delete them
+const ACCESS_LEVELS = ['read', 'write'];
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  // The start of the key, shown so users can tell their keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  access: {
+    type: String,
+    enum: ACCESS_LEVELS,
+    default: 'read'
+  },
+  // The space the key works in: a workspace, or null for the owner's
+  // personal space
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  },
+  // Limit the key to posts in these collections and their nested
+  // collections; empty means every post
+  collections: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection'
+  }],
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ user: 1, createdAt: -1 }); // Key list
+
+// Create a key. Resolves to { apiKey, key }; the raw key is only returned here.
+apiKeySchema.statics.issue = async function(userId, { name, access, workspace, collections, expiresAt }) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const apiKey = await this.create({
+    user: userId,
+    name,
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashKey(key),
+    access,
+    workspace: workspace || null,
+    collections: collections || [],
+    expiresAt: expiresAt || null
+  });
+  return { apiKey, key };
+};
+
+// Find the unexpired key matching a raw key, or null
+apiKeySchema.statics.authenticate = function(key) {
+  return this.findOne({
+    keyHash: hashKey(key),
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+};
+
+apiKeySchema.statics.isApiKey = function(token) {
+  return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+};
+
+apiKeySchema.methods.allows = function(access) {
+  return access === 'read' || this.access === 'write';
+};
+
+// IDs of the collections this key may use, including nested ones,
+// or null when the key is not limited to collections
+apiKeySchema.methods.allowedCollectionIds = async function() {
+  if (this.collections.length === 0) return null;
+
+  const spaceFilter = this.workspace
+    ? { workspace: this.workspace }
+    : { user: this.user, workspace: null };
+  const collections = await mongoose.model('Collection').find(spaceFilter).select('_id parent');
+  const ids = this.collections.map(String);
+
+  for (let i = 0; i < ids.length; i++) {
+    collections
+      .filter(collection => collection.parent && String(collection.parent) === ids[i])
+      .forEach(collection => {
+        if (!ids.includes(String(collection._id))) {
+          ids.push(String(collection._id));
+        }
+      });
+  }
+
+  return ids;
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+ApiKey.ACCESS_LEVELS = ACCESS_LEVELS;
+
+module.exports = ApiKey;
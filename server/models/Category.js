@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const Collection = require('./Collection');
+
+// Categories every new account starts with
+const DEFAULT_CATEGORIES = [
+  { name: 'General', color: '#6b7280', icon: 'folder' },
+  { name: 'Work', color: '#3b82f6', icon: 'briefcase' },
+  { name: 'Personal', color: '#ec4899', icon: 'user' },
+  { name: 'Ideas', color: '#f59e0b', icon: 'lightbulb' },
+  { name: 'Notes', color: '#667eea', icon: 'book' },
+  { name: 'Projects', color: '#10b981', icon: 'code' },
+  { name: 'Learning', color: '#764ba2', icon: 'star' },
+  { name: 'Other', color: '#ef4444', icon: 'heart' }
+];
+
+const DEFAULT_COLOR = '#6b7280';
+
+// A category posts can be filed under, defined per space: a user's personal
+// space or a workspace. Posts store the category by name, so renaming one also
+// renames it on the space's posts.
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  color: {
+    type: String,
+    trim: true,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #667eea'],
+    default: DEFAULT_COLOR
+  },
+  icon: {
+    type: String,
+    enum: Collection.ICONS,
+    default: 'folder'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    required: function() { return !this.workspace; }
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.index({ user: 1, workspace: 1, name: 1 }, { unique: true }); // One definition per name
+categorySchema.index({ user: 1, workspace: 1, order: 1 }); // Listing
+
+// Upsert category definitions, so two requests adding the same names do not
+// collide. definitions are { name, color, icon, order }.
+const upsertDefinitions = (model, spaceFilter, definitions) => model.bulkWrite(
+  definitions.map(({ name, color = DEFAULT_COLOR, icon = 'folder', order }) => ({
+    updateOne: {
+      filter: { ...spaceFilter, name },
+      update: { $setOnInsert: { color, icon, order } },
+      upsert: true
+    }
+  }))
+);
+
+// Start a new space off with the default categories.
+// spaceFilter is the space's filter, as in req.space.filter.
+categorySchema.statics.seedDefaults = function(spaceFilter) {
+  return upsertDefinitions(this, spaceFilter, DEFAULT_CATEGORIES.map((category, index) => ({
+    ...category,
+    order: index
+  })));
+};
+
+// Define any of the given category names the space does not have yet, at the
+// end of its list. Posts created, edited or imported can name categories that
+// were never defined.
+categorySchema.statics.define = async function(spaceFilter, names) {
+  const wanted = [...new Set(names.filter(Boolean))];
+  if (wanted.length === 0) return;
+
+  const existing = await this.find({ ...spaceFilter, name: { $in: wanted } }).select('name');
+  const known = new Set(existing.map(category => category.name));
+  const missing = wanted.filter(name => !known.has(name)).sort();
+  if (missing.length === 0) return;
+
+  const last = await this.findOne(spaceFilter).sort({ order: -1 }).select('order');
+  let order = last ? last.order + 1 : 0;
+  await upsertDefinitions(this, spaceFilter, missing.map(name => ({ name, order: order++ })));
+};
+
+// Bring a space created before categories were defined up to date: the
+// defaults if it has no categories, plus every category its posts use
+categorySchema.statics.backfill = async function(spaceFilter) {
+  if (!(await this.exists(spaceFilter))) {
+    await this.seedDefaults(spaceFilter);
+  }
+  await this.define(spaceFilter, await mongoose.model('Post').distinct('category', spaceFilter));
+};
+
+const Category = mongoose.model('Category', categorySchema);
+Category.DEFAULTS = DEFAULT_CATEGORIES;
+
+module.exports = Category;
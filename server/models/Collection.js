@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// Icons the client knows how to render
+const COLLECTION_ICONS = ['folder', 'briefcase', 'user', 'lightbulb', 'book', 'code', 'star', 'heart'];
+
+const collectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection',
+    default: null
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  color: {
+    type: String,
+    trim: true,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #667eea'],
+    default: '#667eea'
+  },
+  icon: {
+    type: String,
+    enum: COLLECTION_ICONS,
+    default: 'folder'
+  },
+  // Collections belong to a user's personal space or to a workspace
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    required: function() { return !this.workspace; }
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+collectionSchema.index({ user: 1, parent: 1, order: 1 }); // Tree listing
+collectionSchema.index({ workspace: 1, parent: 1, order: 1 }); // Workspace tree listing
+
+// IDs of a collection and all collections nested below it. spaceFilter is
+// req.space.filter.
+collectionSchema.statics.descendantIds = async function(spaceFilter, collectionId) {
+  const collections = await this.find(spaceFilter).select('_id parent');
+  const ids = [String(collectionId)];
+
+  for (let i = 0; i < ids.length; i++) {
+    collections
+      .filter(collection => collection.parent && String(collection.parent) === ids[i])
+      .forEach(collection => ids.push(String(collection._id)));
+  }
+
+  return ids;
+};
+
+// Turn a space's free-text categories into top-level collections and
+// attach posts that are not in a collection yet. Safe to run repeatedly.
+collectionSchema.statics.migrateCategories = async function(spaceFilter) {
+  const Post = mongoose.model('Post');
+  const categories = await Post.distinct('category', { ...spaceFilter, collectionId: null, deletedAt: null });
+  let created = 0;
+  let moved = 0;
+
+  for (const category of categories) {
+    const name = (category || 'General').trim() || 'General';
+
+    let collection = await this.findOne({ ...spaceFilter, parent: null, name });
+    if (!collection) {
+      const count = await this.countDocuments({ ...spaceFilter, parent: null });
+      collection = await this.create({ ...spaceFilter, name, order: count });
+      created++;
+    }
+
+    const result = await Post.updateMany(
+      { ...spaceFilter, category, collectionId: null },
+      { collectionId: collection._id }
+    );
+    moved += result.modifiedCount;
+  }
+
+  return { created, moved };
+};
+
+const Collection = mongoose.model('Collection', collectionSchema);
+Collection.ICONS = COLLECTION_ICONS;
+
+module.exports = Collection;
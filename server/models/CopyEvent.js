@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Copy history is kept for 90 days
+const COPY_HISTORY_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+const copyEventSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['markdown', 'text', 'html'],
+    default: 'markdown'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+copyEventSchema.index({ user: 1, createdAt: -1 }); // Per-user copy history
+copyEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: COPY_HISTORY_TTL_SECONDS });
+
+module.exports = mongoose.model('CopyEvent', copyEventSchema);
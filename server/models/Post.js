@@ -1,4 +1,15 @@
 const mongoose = require('mongoose');
+const { LANGUAGES, detectLanguage } = require('../utils/language');
+
+// Days a deleted post stays in the trash before it is purged; 0 keeps it forever
+const parsedRetention = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+const TRASH_RETENTION_DAYS = isNaN(parsedRetention) ? 30 : Math.max(parsedRetention, 0);
+
+// Tags are matched case-insensitively, so they are stored trimmed and
+// lower-cased with single spaces, and each post has a tag at most once
+const normalizeTag = (tag) => String(tag).trim().replace(/\s+/g, ' ').toLowerCase();
+
+const normalizeTags = (tags) => [...new Set((tags || []).map(normalizeTag).filter(Boolean))];
 
 const postSchema = new mongoose.Schema({
   title: {
@@ -19,15 +30,54 @@ const postSchema = new mongoose.Schema({
     maxlength: [50, 'Category cannot exceed 50 characters'],
     default: 'General'
   },
-  tags: [{
+  tags: {
+    type: [{
+      type: String,
+      maxlength: [30, 'Tag cannot exceed 30 characters']
+    }],
+    set: normalizeTags
+  },
+  // highlight.js language for code snippets, or null for Markdown text
+  language: {
     type: String,
-    trim: true,
-    maxlength: [30, 'Tag cannot exceed 30 characters']
-  }],
+    enum: [...LANGUAGES, null],
+    default: null
+  },
+  // 'auto' while the language is detected from the content on each save,
+  // 'manual' once the user has picked one
+  languageSource: {
+    type: String,
+    enum: ['auto', 'manual'],
+    default: 'auto'
+  },
+  collectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection',
+    default: null
+  },
+  copyCount: {
+    type: Number,
+    default: 0
+  },
+  lastCopiedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the post is moved to the trash
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  // The author. Posts without a workspace are in the author's personal space.
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
   }
 }, {
   timestamps: true
@@ -37,9 +87,104 @@ const postSchema = new mongoose.Schema({
 postSchema.index({ user: 1, createdAt: -1 }); // Main user posts query
 postSchema.index({ user: 1, category: 1 }); // Category filtering
 postSchema.index({ user: 1, tags: 1 }); // Tag filtering
+postSchema.index({ user: 1, collectionId: 1 }); // Collection filtering
+postSchema.index({ user: 1, language: 1 }); // Language filtering
+postSchema.index({ user: 1, copyCount: -1 }); // Most copied sorting
+postSchema.index({ user: 1, lastCopiedAt: -1 }); // Recently copied sorting
+postSchema.index({ user: 1, deletedAt: -1 }); // Trash listing
+postSchema.index({ workspace: 1, deletedAt: 1, createdAt: -1 }); // Workspace posts query
+postSchema.index({ deletedAt: 1 }); // Trash purge
 postSchema.index({ title: 'text', content: 'text' }); // Text search
 postSchema.index({ category: 1 }); // Category aggregation
 postSchema.index({ tags: 1 }); // Tag aggregation
 postSchema.index({ createdAt: -1 }); // Global sorting
 
-module.exports = mongoose.model('Post', postSchema); 
\ No newline at end of file
+// When a trashed post will be purged, or null if it is kept forever
+postSchema.methods.purgeAt = function() {
+  if (!this.deletedAt || TRASH_RETENTION_DAYS === 0) return null;
+  return new Date(this.deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Permanently delete posts matching a filter along with their revisions,
+// share links and copy history. Resolves to the number of posts removed.
+postSchema.statics.purge = async function(filter) {
+  const ids = await this.find(filter).distinct('_id');
+  if (ids.length === 0) return 0;
+
+  await Promise.all([
+    mongoose.model('Revision').deleteMany({ post: { $in: ids } }),
+    mongoose.model('ShareLink').deleteMany({ post: { $in: ids } }),
+    mongoose.model('CopyEvent').deleteMany({ post: { $in: ids } })
+  ]);
+
+  const result = await this.deleteMany({ _id: { $in: ids } });
+  return result.deletedCount;
+};
+
+// Purge posts that have been in the trash longer than the retention period
+postSchema.statics.purgeExpiredTrash = function() {
+  if (TRASH_RETENTION_DAYS === 0) return Promise.resolve(0);
+
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  return this.purge({ deletedAt: { $lte: cutoff } });
+};
+
+// Usage counts for each tag in a space as [{ name, count }], most used first.
+// spaceFilter is req.space.filter. Trashed posts are not counted.
+postSchema.statics.tagCounts = function(spaceFilter) {
+  return this.aggregate([
+    { $match: { ...spaceFilter, deletedAt: null } },
+    { $unwind: '$tags' },
+    // Tags saved before they were normalised may still differ in case
+    { $group: { _id: { $toLower: '$tags' }, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $project: { _id: 0, name: '$_id', count: 1 } }
+  ]);
+};
+
+// Replace tags across all of a space's posts, trashed ones included, with
+// another tag, or remove them when replacement is null. Posts that end up with
+// the replacement twice keep one. Resolves to the number of posts changed.
+postSchema.statics.replaceTags = async function(spaceFilter, tags, replacement) {
+  const from = normalizeTags(tags);
+  const posts = await this.find({ ...spaceFilter, tags: { $in: from } })
+    .collation({ locale: 'en', strength: 2 }) // Also match tags saved before normalising
+    .select('tags');
+
+  const operations = posts.map(post => ({
+    updateOne: {
+      filter: { _id: post._id },
+      update: {
+        tags: normalizeTags(post.tags
+          .map(tag => (from.includes(normalizeTag(tag)) ? replacement : tag))
+          .filter(tag => tag !== null))
+      }
+    }
+  }));
+
+  if (operations.length > 0) {
+    await this.bulkWrite(operations);
+  }
+  return operations.length;
+};
+
+// The language fields to save with some content. language is 'auto' to detect
+// it, null for Markdown text or a language name; leaving it undefined keeps a
+// language the user picked and detects it again otherwise.
+postSchema.statics.languageFields = function(language, content, current = null) {
+  if (language === undefined && current && current.languageSource === 'manual') {
+    return { language: current.language, languageSource: 'manual' };
+  }
+  if (language === undefined || language === 'auto') {
+    return { language: detectLanguage(content), languageSource: 'auto' };
+  }
+  return { language: language || null, languageSource: 'manual' };
+};
+
+const Post = mongoose.model('Post', postSchema);
+Post.TRASH_RETENTION_DAYS = TRASH_RETENTION_DAYS;
+Post.normalizeTag = normalizeTag;
+Post.normalizeTags = normalizeTags;
+Post.LANGUAGES = LANGUAGES;
+
+module.exports = Post; 
\ No newline at end of file
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Maximum number of revisions kept per post; older ones are pruned
+const MAX_REVISIONS_PER_POST = parseInt(process.env.MAX_REVISIONS_PER_POST, 10) || 50;
+
+const revisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  category: {
+    type: String,
+    default: 'General'
+  },
+  tags: [{
+    type: String
+  }]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+revisionSchema.index({ post: 1, createdAt: -1 }); // Revision history per post
+
+// Snapshot the current state of a post and prune revisions beyond the cap
+revisionSchema.statics.record = async function(post) {
+  const [revision] = await this.recordMany([post]);
+  return revision;
+};
+
+// Snapshot several posts at once and prune each one's revisions beyond the cap
+revisionSchema.statics.recordMany = async function(posts) {
+  if (posts.length === 0) return [];
+
+  const revisions = await this.insertMany(posts.map(post => ({
+    post: post._id,
+    user: post.user,
+    title: post.title,
+    content: post.content,
+    category: post.category,
+    tags: post.tags
+  })));
+
+  const groups = await this.aggregate([
+    { $match: { post: { $in: posts.map(post => post._id) } } },
+    { $sort: { createdAt: -1, _id: -1 } },
+    { $group: { _id: '$post', revisions: { $push: '$_id' } } },
+    {
+      $project: {
+        stale: { $slice: ['$revisions', MAX_REVISIONS_PER_POST, { $max: [{ $size: '$revisions' }, 1] }] }
+      }
+    }
+  ]);
+
+  const stale = groups.flatMap(group => group.stale);
+  if (stale.length > 0) {
+    await this.deleteMany({ _id: { $in: stale } });
+  }
+
+  return revisions;
+};
+
+module.exports = mongoose.model('Revision', revisionSchema);
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { describeDevice } = require('../utils/device');
+
+// Days a refresh token stays valid without being used
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Where a request came from, for the session list
+const requestDetails = (req) => {
+  const userAgent = (req.get('User-Agent') || '').slice(0, 500);
+  return {
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip || '',
+    lastSeenAt: new Date()
+  };
+};
+
+// One signed-in device. Its refresh token is "<session id>.<secret>"; only a
+// hash of the current secret is stored, and the secret changes on every refresh.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  secretHash: {
+    type: String,
+    required: true
+  },
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // 'logout', 'revoked', 'reuse' or 'password-reset'
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, lastSeenAt: -1 }); // Session list
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Drop expired sessions
+
+// Query conditions matching sessions that can still be used
+sessionSchema.statics.activeConditions = function() {
+  return {
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  };
+};
+
+// Split a refresh token into its session ID and secret, or null if malformed
+sessionSchema.statics.parseToken = function(token) {
+  const [id, secret] = String(token || '').split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(id)) return null;
+  return { id, secret };
+};
+
+// Start a session for a user. Resolves to { session, refreshToken }.
+sessionSchema.statics.start = async function(user, req) {
+  const secret = newSecret();
+  const session = await this.create({
+    user: user._id,
+    secretHash: hashSecret(secret),
+    expiresAt: refreshExpiry(),
+    ...requestDetails(req)
+  });
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+// Exchange a refresh token for a new one. Resolves to { session, refreshToken },
+// to { reused: true } when a secret that was already rotated away is presented
+// (the session is revoked, since the old token has probably leaked), or to
+// null when the session does not exist or has ended.
+sessionSchema.statics.refresh = async function(token, req) {
+  const parsed = this.parseToken(token);
+  if (!parsed) return null;
+
+  const session = await this.findOne({ _id: parsed.id, ...this.activeConditions() }).select('_id');
+  if (!session) return null;
+
+  // Matching on the old hash makes the rotation atomic, so a secret only works once
+  const secret = newSecret();
+  const rotated = await this.findOneAndUpdate(
+    { _id: session._id, secretHash: hashSecret(parsed.secret), ...this.activeConditions() },
+    { secretHash: hashSecret(secret), expiresAt: refreshExpiry(), ...requestDetails(req) },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await this.revoke({ _id: session._id }, 'reuse');
+    return { reused: true };
+  }
+
+  return { session: rotated, refreshToken: `${rotated._id}.${secret}` };
+};
+
+// Revoke the session a refresh token belongs to, if the token is current
+sessionSchema.statics.end = async function(token) {
+  const parsed = this.parseToken(token);
+  if (!parsed) return;
+
+  await this.revoke({ _id: parsed.id, secretHash: hashSecret(parsed.secret) }, 'logout');
+};
+
+// Revoke sessions matching a filter
+sessionSchema.statics.revoke = function(filter, reason) {
+  return this.updateMany(
+    { ...filter, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const shareLinkSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => crypto.randomBytes(16).toString('hex')
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  maxViews: {
+    type: Number,
+    min: [1, 'View limit must be at least 1'],
+    default: null
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+shareLinkSchema.index({ user: 1, createdAt: -1 }); // Owner's link list
+shareLinkSchema.index({ post: 1 }); // Cleanup when a post is deleted
+
+// A link is usable until it is revoked, expires or runs out of views
+shareLinkSchema.methods.isActive = function() {
+  if (this.revokedAt) return false;
+  if (this.expiresAt && this.expiresAt <= new Date()) return false;
+  if (this.maxViews !== null && this.views >= this.maxViews) return false;
+  return true;
+};
+
+// Query conditions matching links that can still be viewed
+shareLinkSchema.statics.activeConditions = function() {
+  return {
+    revokedAt: null,
+    $and: [
+      { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+      { $or: [{ maxViews: null }, { $expr: { $lt: ['$views', '$maxViews'] } }] }
+    ]
+  };
+};
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
@@ -1,5 +1,15 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { verifyCode } = require('../utils/totp');
+const { decrypt } = require('../utils/secretBox');
+
+const RECOVERY_CODE_COUNT = 10;
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -22,6 +32,48 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long']
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // TOTP two-factor authentication. Secrets are encrypted and recovery codes
+  // hashed; none of them are loaded unless selected explicitly.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    },
+    secret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // Secret being enrolled, until the first code confirms it
+    pendingSecret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      default: [],
+      select: false
+    },
+    // Time step of the last accepted code, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      default: null,
+      select: false
+    }
   }
 }, {
   timestamps: true
@@ -45,4 +97,76 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
+// Mark the email address as confirmed; proving access to the inbox is enough
+userSchema.methods.markEmailVerified = function() {
+  if (!this.emailVerified) {
+    this.emailVerified = true;
+    this.emailVerifiedAt = new Date();
+  }
+};
+
+// Replace the recovery codes with a new set. Returns the plain codes,
+// which are shown to the user once and never stored.
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  this.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// Check a second-factor code: a 6-digit TOTP code or a recovery code.
+// Accepted codes are used up. Resolves to 'totp', 'recovery' or null.
+// Needs the user loaded with +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep.
+userSchema.methods.verifyTwoFactor = async function(code) {
+  if (!this.twoFactor.enabled || typeof code !== 'string') return null;
+
+  // A secret encrypted under a previous key cannot be read; recovery codes still work
+  let step = null;
+  try {
+    step = verifyCode(decrypt(this.twoFactor.secret), code);
+  } catch (error) {
+    console.error('Two-factor secret decryption error:', error.message);
+  }
+
+  // Codes are used up with conditional updates, so two requests racing with
+  // the same code cannot both succeed. The loaded document is then brought in
+  // line without marking it modified, so a later save does not write it back.
+  if (step !== null) {
+    const { modifiedCount } = await this.constructor.updateOne(
+      {
+        _id: this._id,
+        'twoFactor.enabled': true,
+        $or: [
+          { 'twoFactor.lastUsedStep': null },
+          { 'twoFactor.lastUsedStep': { $lt: step } }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    if (modifiedCount === 0) return null;
+
+    this.twoFactor.lastUsedStep = step;
+    this.unmarkModified('twoFactor.lastUsedStep');
+    return 'totp';
+  }
+
+  const hashed = hashRecoveryCode(code);
+  const { modifiedCount } = await this.constructor.updateOne(
+    { _id: this._id, 'twoFactor.enabled': true, 'twoFactor.recoveryCodes': hashed },
+    { $pull: { 'twoFactor.recoveryCodes': hashed } }
+  );
+  if (modifiedCount === 0) return null;
+
+  this.twoFactor.recoveryCodes = this.twoFactor.recoveryCodes.filter(item => item !== hashed);
+  this.unmarkModified('twoFactor.recoveryCodes');
+  return 'recovery';
+};
+
+const User = mongoose.model('User', userSchema);
+
+// Select string that loads the hidden two-factor fields
+User.TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+module.exports = User; 
\ No newline at end of file
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const PURPOSES = ['password-reset', 'email-verification'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Single-use tokens sent to a user by email. Only a hash of each token is
+// stored, and expired tokens are removed by MongoDB.
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: PURPOSES,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+userTokenSchema.index({ user: 1, purpose: 1 }); // Replacing a user's earlier tokens
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Drop expired tokens
+
+// Create a token for a user, replacing any earlier unused ones for the same
+// purpose. Resolves to the raw token, which is only ever sent to the user.
+userTokenSchema.statics.issue = async function(userId, purpose, ttlMs) {
+  await this.deleteMany({ user: userId, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await this.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+  return token;
+};
+
+// Mark a token as used and resolve to it, or to null if it is unknown,
+// expired or already used. Marking it atomically means it only works once.
+userTokenSchema.statics.consume = function(token, purpose) {
+  if (typeof token !== 'string' || !token) return Promise.resolve(null);
+
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+const UserToken = mongoose.model('UserToken', userTokenSchema);
+UserToken.PURPOSES = PURPOSES;
+
+module.exports = UserToken;
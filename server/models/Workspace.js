@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Roles from least to most access. Viewers can read and copy posts, editors
+// can also change them, and owners can also manage the workspace and its members.
+const ROLES = ['viewer', 'editor', 'owner'];
+
+// A library shared by a team. Posts, collections and categories belong either
+// to a user's personal space or to a workspace.
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  members: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ROLES,
+      default: 'viewer'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+workspaceSchema.index({ 'members.user': 1 }); // A user's workspaces
+
+// Whether role grants at least the access of required
+workspaceSchema.statics.roleAllows = function(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+};
+
+// The user's role in this workspace, or null if they are not a member
+workspaceSchema.methods.roleOf = function(userId) {
+  const member = this.members.find(item => String(item.user) === String(userId));
+  return member ? member.role : null;
+};
+
+workspaceSchema.methods.ownerCount = function() {
+  return this.members.filter(member => member.role === 'owner').length;
+};
+
+const Workspace = mongoose.model('Workspace', workspaceSchema);
+Workspace.ROLES = ROLES;
+
+module.exports = Workspace;
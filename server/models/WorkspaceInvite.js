@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const Workspace = require('./Workspace');
+
+// How long an invite can be accepted for
+const INVITE_TTL_DAYS = 14;
+
+// An invitation to join a workspace, sent to an email address or to a user
+// found by username. Invites to addresses without an account wait until
+// someone signs up with, and verifies, that address.
+const workspaceInviteSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  // Set when the invite was sent to an existing account
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  role: {
+    type: String,
+    enum: Workspace.ROLES,
+    default: 'viewer'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+workspaceInviteSchema.index({ workspace: 1, email: 1 }, { unique: true }); // One invite per address
+workspaceInviteSchema.index({ email: 1 }); // Invites for a user
+workspaceInviteSchema.index({ user: 1 }); // Invites for a user
+workspaceInviteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Drop expired invites
+
+// Query conditions for the unexpired invites addressed to a user. Invites
+// sent only to an email address need that address to be verified.
+workspaceInviteSchema.statics.forUser = function(user) {
+  const recipients = [{ user: user._id }];
+  if (user.emailVerified) {
+    recipients.push({ email: user.email });
+  }
+  return { $or: recipients, expiresAt: { $gt: new Date() } };
+};
+
+const WorkspaceInvite = mongoose.model('WorkspaceInvite', workspaceInviteSchema);
+WorkspaceInvite.TTL_DAYS = INVITE_TTL_DAYS;
+
+module.exports = WorkspaceInvite;
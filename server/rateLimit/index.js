@@ -0,0 +1,43 @@
+const createMemoryStore = require('./stores/memory');
+
+// A store is an object with a name and these async methods:
+//   increment(key, windowMs) -> { count, resetAt }  count hits in a fixed window
+//                                                    that starts with the first hit
+//   get(key) -> value or null
+//   set(key, value, ttlMs)
+//   delete(key)
+// resetAt is a timestamp in milliseconds. Pick a store with RATE_LIMIT_STORE;
+// register shared ones (Redis, Memcached, ...) with registerStore() so every
+// server instance sees the same counters.
+const factories = {
+  memory: () => createMemoryStore()
+};
+
+let store = null;
+
+const registerStore = (name, factory) => {
+  factories[name] = factory;
+};
+
+// Replace the active store, e.g. with a fresh one in tests
+const setStore = (nextStore) => {
+  store = nextStore;
+};
+
+const getStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    const factory = factories[name];
+    if (!factory) {
+      throw new Error(`Unknown rate limit store "${name}". Use one of: ${Object.keys(factories).join(', ')}`);
+    }
+    store = factory();
+  }
+  return store;
+};
+
+module.exports = {
+  registerStore,
+  setStore,
+  getStore
+};
@@ -0,0 +1,51 @@
+// Keeps counters in this process. Fine for a single server; run several
+// instances behind a load balancer and each one counts separately.
+const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  const entries = new Map();
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  // Drop expired entries so keys that are never read again do not pile up
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    }
+  }, sweepIntervalMs);
+  sweeper.unref();
+
+  return {
+    name: 'memory',
+    increment: async (key, windowMs) => {
+      let entry = live(key);
+      if (!entry) {
+        entry = { value: 0, expiresAt: Date.now() + windowMs };
+        entries.set(key, entry);
+      }
+      entry.value += 1;
+      return { count: entry.value, resetAt: entry.expiresAt };
+    },
+    get: async (key) => {
+      const entry = live(key);
+      return entry ? entry.value : null;
+    },
+    set: async (key, value, ttlMs) => {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    delete: async (key) => {
+      entries.delete(key);
+    }
+  };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,124 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const Collection = require('../models/Collection');
+const auth = require('../middleware/auth');
+const { resolveSpace } = require('../middleware/space');
+
+const router = express.Router();
+
+// Most keys one account may have at a time
+const MAX_API_KEYS = 25;
+
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  access: apiKey.access,
+  workspace: apiKey.workspace,
+  collections: apiKey.collections,
+  expiresAt: apiKey.expiresAt,
+  expired: Boolean(apiKey.expiresAt && apiKey.expiresAt <= new Date()),
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  createdAt: apiKey.createdAt
+});
+
+// List the authenticated user's API keys, newest first. Keys can only be
+// managed from a signed-in session, never with another API key.
+router.get('/', auth, async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user._id }).sort({ createdAt: -1 });
+    res.json(apiKeys.map(formatApiKey));
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create an API key for the space picked with X-Workspace. The response
+// holds the key itself, which cannot be retrieved again.
+router.post('/', [
+  auth,
+  resolveSpace(),
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  body('access')
+    .optional()
+    .isIn(ApiKey.ACCESS_LEVELS)
+    .withMessage(`Access must be one of: ${ApiKey.ACCESS_LEVELS.join(', ')}`),
+  body('collections')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Collections must be an array'),
+  body('collections.*')
+    .isMongoId()
+    .withMessage('Collections must be valid collection IDs'),
+  body('expiresInDays')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Expiry must be between 1 and 365 days')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const { name, access = 'read', expiresInDays } = req.body;
+    const collections = [...new Set(req.body.collections || [])];
+
+    const keyCount = await ApiKey.countDocuments({ user: req.user._id });
+    if (keyCount >= MAX_API_KEYS) {
+      return res.status(400).json({ message: `You can have up to ${MAX_API_KEYS} API keys. Delete one to add another.` });
+    }
+
+    const ownedCount = await Collection.countDocuments({ _id: { $in: collections }, ...req.space.filter });
+    if (ownedCount !== collections.length) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    const { apiKey, key } = await ApiKey.issue(req.user._id, {
+      name,
+      access,
+      workspace: req.space.workspace,
+      collections,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+    });
+
+    res.status(201).json({
+      ...formatApiKey(apiKey),
+      key
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete an API key; it stops working immediately
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    res.json({ message: 'API key deleted' });
+  } catch (error) {
+    console.error('Delete API key error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid API key ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -2,12 +2,94 @@ const express = require('express');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
+const Category = require('../models/Category');
 const auth = require('../middleware/auth');
+const {
+  limitLoginByIp,
+  limitLoginByAccount,
+  limitRegistrationByIp,
+  limitPasswordResetByIp,
+  limitPasswordResetByAccount,
+  getLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+  accountLocked
+} = require('../middleware/rateLimit');
+const { sendMail } = require('../mail');
+const { passwordResetEmail, verificationEmail } = require('../mail/templates');
 
 const router = express.Router();
 
+// Access tokens are short-lived; clients renew them with their refresh token
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+const signAccessToken = (user, session) => jwt.sign(
+  { userId: user._id, sessionId: session._id },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Proves the password was right while the second factor is still owed
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
+const signChallengeToken = (user) => jwt.sign(
+  { userId: user._id, purpose: 'two-factor' },
+  process.env.JWT_SECRET,
+  { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+);
+
+// Start a new device session and issue its first pair of tokens
+const issueTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.start(user, req);
+  return {
+    token: signAccessToken(user, session),
+    refreshToken
+  };
+};
+
+// How long a password reset link stays valid
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+
+// How long an email verification link stays valid
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48;
+
+const formatUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactor.enabled
+});
+
+// Email a fresh verification link, replacing any earlier one
+const sendVerificationEmail = async (user) => {
+  const token = await UserToken.issue(
+    user._id,
+    'email-verification',
+    EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+  );
+  await sendMail(verificationEmail({
+    user,
+    token,
+    expiresInHours: EMAIL_VERIFICATION_TTL_HOURS
+  }));
+};
+
+const formatSession = (session, currentId) => ({
+  id: session._id,
+  device: session.device,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  lastSeenAt: session.lastSeenAt,
+  createdAt: session.createdAt,
+  current: String(session._id) === String(currentId)
+});
+
 // Register user
 router.post('/register', [
+  limitRegistrationByIp,
   body('username')
     .isLength({ min: 3, max: 30 })
     .withMessage('Username must be between 3 and 30 characters')
@@ -51,22 +133,23 @@ router.post('/register', [
     });
 
     await user.save();
+    await Category.seedDefaults({ user: user._id, workspace: null });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // A failed email should not fail the signup; the user can ask for another
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Verification email error:', error);
+    }
+
+    // Start a session with an access token and a refresh token
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email
-      }
+      refreshToken,
+      user: formatUser(user)
     });
 
   } catch (error) {
@@ -77,6 +160,8 @@ router.post('/register', [
 
 // Login user
 router.post('/login', [
+  limitLoginByIp,
+  limitLoginByAccount,
   body('email').isEmail().withMessage('Please enter a valid email'),
   body('password').notEmpty().withMessage('Password is required')
 ], async (req, res) => {
@@ -92,33 +177,52 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    const lockedFor = await getLockout(email);
+    if (lockedFor) {
+      return accountLocked(res, lockedFor);
+    }
+
+    // Unknown emails count as failures too, so lockouts do not reveal accounts
+    const rejectLogin = async () => {
+      const lockout = await recordLoginFailure(email);
+      if (lockout) {
+        return accountLocked(res, lockout);
+      }
+      res.status(400).json({ message: 'Invalid credentials' });
+    };
+
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
-      return res.status(400).json({ message: 'Invalid credentials' });
+      return rejectLogin();
     }
 
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
-      return res.status(400).json({ message: 'Invalid credentials' });
+      return rejectLogin();
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // With two-factor authentication on, the password only earns a challenge
+    // that is completed at /login/2fa
+    if (user.twoFactor.enabled) {
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user)
+      });
+    }
+
+    await clearLoginFailures(email);
+
+    // Start a session with an access token and a refresh token
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.json({
       message: 'Login successful',
       token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email
-      }
+      refreshToken,
+      user: formatUser(user)
     });
 
   } catch (error) {
@@ -127,15 +231,317 @@ router.post('/login', [
   }
 });
 
+// Second login step: exchange a challenge token and an authenticator or
+// recovery code for a session
+router.post('/login/2fa', [
+  limitLoginByIp,
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  body('code').isString().trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(req.body.challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== 'two-factor') {
+      return res.status(401).json({ message: 'Your sign-in attempt has expired. Please sign in again.' });
+    }
+
+    const user = await User.findById(decoded.userId).select(User.TWO_FACTOR_FIELDS);
+    if (!user) {
+      return res.status(401).json({ message: 'Your sign-in attempt has expired. Please sign in again.' });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const lockedFor = await getLockout(user.email);
+    if (lockedFor) {
+      return accountLocked(res, lockedFor);
+    }
+
+    const method = await user.verifyTwoFactor(req.body.code);
+    if (!method) {
+      const lockout = await recordLoginFailure(user.email);
+      if (lockout) {
+        return accountLocked(res, lockout);
+      }
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    await clearLoginFailures(user.email);
+
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: formatUser(user),
+      // Let the client warn when recovery codes are running out
+      ...(method === 'recovery' && { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length })
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get current user
 router.get('/me', auth, async (req, res) => {
   res.json({
-    user: {
-      id: req.user._id,
-      username: req.user.username,
-      email: req.user.email
-    }
+    user: formatUser(req.user)
   });
 });
 
+// Email a password reset link. The response is the same whether or not
+// the address has an account, so it cannot be used to discover users.
+router.post('/forgot-password', [
+  limitPasswordResetByIp,
+  limitPasswordResetByAccount,
+  body('email').isEmail().withMessage('Please enter a valid email')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user) {
+      const token = await UserToken.issue(
+        user._id,
+        'password-reset',
+        PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+      );
+
+      try {
+        await sendMail(passwordResetEmail({
+          user,
+          token,
+          expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+        }));
+      } catch (error) {
+        console.error('Password reset email error:', error);
+      }
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link is on its way.' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set a new password with a reset token. Signs the user out everywhere.
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const resetToken = await UserToken.consume(req.body.token, 'password-reset');
+    if (!resetToken) {
+      return res.status(400).json({ message: 'This reset link is invalid or has expired' });
+    }
+
+    const user = await User.findById(resetToken.user);
+    if (!user) {
+      return res.status(400).json({ message: 'This reset link is invalid or has expired' });
+    }
+
+    user.password = req.body.password;
+    // The reset link was opened from the inbox, which also proves the address
+    user.markEmailVerified();
+    await user.save();
+
+    // Whoever knew the old password should not stay signed in
+    await Session.revoke({ user: user._id }, 'password-reset');
+
+    res.json({ message: 'Password updated. Please sign in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Confirm an email address with the token from the verification email.
+// Works without signing in, so the link can be opened on any device.
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const verification = await UserToken.consume(req.body.token, 'email-verification');
+    if (!verification) {
+      return res.status(400).json({ message: 'This verification link is invalid or has expired' });
+    }
+
+    const user = await User.findById(verification.user);
+    if (!user) {
+      return res.status(400).json({ message: 'This verification link is invalid or has expired' });
+    }
+
+    user.markEmailVerified();
+    await user.save();
+
+    res.json({
+      message: 'Email address verified',
+      user: formatUser(user)
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Send the signed-in user another verification email
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Your email address is already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({ message: `Verification email sent to ${req.user.email}` });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Exchange a refresh token for a new access token and refresh token.
+// Each refresh token works once; presenting an old one ends the session.
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const result = await Session.refresh(req.body.refreshToken, req);
+
+    if (!result) {
+      return res.status(401).json({ message: 'Session expired. Please sign in again.' });
+    }
+
+    if (result.reused) {
+      console.warn('Refresh token reuse detected, session revoked');
+      return res.status(401).json({ message: 'Session revoked. Please sign in again.' });
+    }
+
+    const user = await User.findById(result.session.user).select('_id');
+    if (!user) {
+      return res.status(401).json({ message: 'Session expired. Please sign in again.' });
+    }
+
+    res.json({
+      token: signAccessToken(user, result.session),
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sign out: revoke the session the refresh token belongs to
+router.post('/logout', async (req, res) => {
+  try {
+    await Session.end(req.body.refreshToken);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List the user's signed-in devices, most recently active first
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      ...Session.activeConditions()
+    }).sort({ lastSeenAt: -1 });
+
+    res.json(sessions.map(session => formatSession(session, req.sessionId)));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sign out everywhere, including this device
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const result = await Session.revoke({ user: req.user._id }, 'revoked');
+    res.json({
+      message: 'Signed out of all sessions',
+      revoked: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sign out a single session
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const result = await Session.revoke({ _id: req.params.id, user: req.user._id }, 'revoked');
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Session signed out' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid session ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,224 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Category = require('../models/Category');
+const Collection = require('../models/Collection');
+const Post = require('../models/Post');
+const { spaceAccess } = require('../middleware/space');
+const { cache } = require('../middleware/cache');
+const { publish } = require('../utils/events');
+
+const router = express.Router();
+
+const readAccess = spaceAccess('read');
+const writeAccess = spaceAccess('write');
+
+const categoryValidators = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  body('order')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Order must be a non-negative integer'),
+  body('color')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex value like #667eea'),
+  body('icon')
+    .optional()
+    .isIn(Collection.ICONS)
+    .withMessage(`Icon must be one of: ${Collection.ICONS.join(', ')}`)
+];
+
+const nameTaken = (spaceFilter, name, exceptId = null) => Category.exists({
+  ...spaceFilter,
+  name,
+  ...(exceptId && { _id: { $ne: exceptId } })
+});
+
+// Move every post, trashed ones included, from one category name to another
+const movePosts = async (req, from, to) => {
+  const result = await Post.updateMany({ ...req.space.filter, category: from }, { category: to });
+
+  // Clear cache for this space
+  cache.clearCache(req.space.key);
+  if (result.modifiedCount > 0) {
+    publish(req, 'posts.changed');
+  }
+  return result.modifiedCount;
+};
+
+// Get the current space's categories in order, with post counts
+router.get('/', readAccess, async (req, res) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find(req.space.filter)
+        .sort({ order: 1, name: 1 })
+        .select('-__v'),
+      Post.aggregate([
+        { $match: { ...req.space.filter, deletedAt: null } },
+        { $group: { _id: '$category', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countByName = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+    res.json(categories.map(category => ({
+      ...category.toObject(),
+      postCount: countByName.get(category.name) || 0
+    })));
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a category
+router.post('/', [
+  writeAccess,
+  body('name')
+    .exists()
+    .withMessage('Name is required'),
+  ...categoryValidators
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const { name, order, color, icon } = req.body;
+
+    if (await nameTaken(req.space.filter, name)) {
+      return res.status(400).json({ message: 'A category with that name already exists' });
+    }
+
+    // New categories go to the end unless an order is given
+    const count = await Category.countDocuments(req.space.filter);
+
+    const category = await Category.create({
+      name,
+      order: order !== undefined ? order : count,
+      color,
+      icon,
+      ...req.space.filter
+    });
+
+    res.status(201).json({ ...category.toObject(), postCount: 0 });
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a category (rename, reorder, restyle). Renaming also renames it on posts.
+router.put('/:id', [writeAccess, ...categoryValidators], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const category = await Category.findOne({ _id: req.params.id, ...req.space.filter });
+
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const { name, order, color, icon } = req.body;
+    const previousName = category.name;
+
+    if (name !== undefined && name !== previousName) {
+      if (await nameTaken(req.space.filter, name, category._id)) {
+        return res.status(400).json({ message: 'A category with that name already exists' });
+      }
+      category.name = name;
+    }
+    if (order !== undefined) category.order = order;
+    if (color !== undefined) category.color = color;
+    if (icon !== undefined) category.icon = icon;
+
+    await category.save();
+
+    if (category.name !== previousName) {
+      await movePosts(req, previousName, category.name);
+    }
+
+    res.json(category);
+  } catch (error) {
+    console.error('Update category error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid category ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a category. Its posts move to the category given as ?moveTo=<id>, or
+// to the first remaining category.
+router.delete('/:id', [
+  writeAccess,
+  query('moveTo')
+    .optional()
+    .isMongoId()
+    .withMessage('moveTo must be a valid category ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const category = await Category.findOne({ _id: req.params.id, ...req.space.filter });
+
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const { moveTo } = req.query;
+    if (moveTo === String(category._id)) {
+      return res.status(400).json({ message: 'Posts cannot be moved to the category being deleted' });
+    }
+
+    const target = moveTo
+      ? await Category.findOne({ _id: moveTo, ...req.space.filter })
+      : await Category.findOne({ ...req.space.filter, _id: { $ne: category._id } }).sort({ order: 1, name: 1 });
+
+    if (!target) {
+      return moveTo
+        ? res.status(404).json({ message: 'Category to move posts to not found' })
+        : res.status(400).json({ message: 'You cannot delete the only category' });
+    }
+
+    await category.deleteOne();
+    const moved = await movePosts(req, category.name, target.name);
+
+    res.json({
+      message: `Category deleted${moved > 0 ? ` and ${moved} post${moved === 1 ? '' : 's'} moved to ${target.name}` : ''}`,
+      moved,
+      moveTo: target.name
+    });
+  } catch (error) {
+    console.error('Delete category error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid category ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,216 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Collection = require('../models/Collection');
+const Post = require('../models/Post');
+const { spaceAccess } = require('../middleware/space');
+const { cache } = require('../middleware/cache');
+const { publish } = require('../utils/events');
+
+const router = express.Router();
+
+const readAccess = spaceAccess('read');
+const writeAccess = spaceAccess('write');
+
+const collectionValidators = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  body('parent')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Parent must be a valid collection ID'),
+  body('order')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Order must be a non-negative integer'),
+  body('color')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex value like #667eea'),
+  body('icon')
+    .optional()
+    .isIn(Collection.ICONS)
+    .withMessage(`Icon must be one of: ${Collection.ICONS.join(', ')}`)
+];
+
+// Get all collections in the current space as a flat list with post counts.
+// Clients build the tree from each collection's parent.
+router.get('/', readAccess, async (req, res) => {
+  try {
+    const [collections, counts] = await Promise.all([
+      Collection.find(req.space.filter)
+        .sort({ order: 1, name: 1 })
+        .select('-__v'),
+      Post.aggregate([
+        { $match: { ...req.space.filter, collectionId: { $ne: null }, deletedAt: null } },
+        { $group: { _id: '$collectionId', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countById = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+
+    res.json(collections.map(collection => ({
+      ...collection.toObject(),
+      postCount: countById.get(String(collection._id)) || 0
+    })));
+  } catch (error) {
+    console.error('Get collections error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create collections from existing category strings
+router.post('/migrate', writeAccess, async (req, res) => {
+  try {
+    const result = await Collection.migrateCategories(req.space.filter);
+
+    // Clear cache for this space
+    cache.clearCache(req.space.key);
+
+    res.json({
+      message: `Created ${result.created} collections and moved ${result.moved} posts`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Migrate categories error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a collection
+router.post('/', [
+  writeAccess,
+  body('name')
+    .exists()
+    .withMessage('Name is required'),
+  ...collectionValidators
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const { name, parent, order, color, icon } = req.body;
+
+    if (parent) {
+      const parentCollection = await Collection.findOne({ _id: parent, ...req.space.filter });
+      if (!parentCollection) {
+        return res.status(404).json({ message: 'Parent collection not found' });
+      }
+    }
+
+    // New collections go to the end of their siblings unless an order is given
+    const siblingCount = await Collection.countDocuments({ ...req.space.filter, parent: parent || null });
+
+    const collection = await Collection.create({
+      name,
+      parent: parent || null,
+      order: order !== undefined ? order : siblingCount,
+      color,
+      icon,
+      ...req.space.filter
+    });
+
+    res.status(201).json({ ...collection.toObject(), postCount: 0 });
+  } catch (error) {
+    console.error('Create collection error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a collection (rename, move, reorder, restyle)
+router.put('/:id', [writeAccess, ...collectionValidators], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const collection = await Collection.findOne({ _id: req.params.id, ...req.space.filter });
+
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    const { name, parent, order, color, icon } = req.body;
+
+    if (parent !== undefined) {
+      if (parent) {
+        // A collection cannot be moved inside itself or one of its descendants
+        const descendants = await Collection.descendantIds(req.space.filter, collection._id);
+        if (descendants.includes(String(parent))) {
+          return res.status(400).json({ message: 'A collection cannot be moved inside itself' });
+        }
+
+        const parentCollection = await Collection.findOne({ _id: parent, ...req.space.filter });
+        if (!parentCollection) {
+          return res.status(404).json({ message: 'Parent collection not found' });
+        }
+      }
+      collection.parent = parent || null;
+    }
+
+    if (name !== undefined) collection.name = name;
+    if (order !== undefined) collection.order = order;
+    if (color !== undefined) collection.color = color;
+    if (icon !== undefined) collection.icon = icon;
+
+    await collection.save();
+
+    res.json(collection);
+  } catch (error) {
+    console.error('Update collection error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid collection ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a collection. Its sub-collections and posts move up to its parent.
+router.delete('/:id', writeAccess, async (req, res) => {
+  try {
+    const collection = await Collection.findOneAndDelete({ _id: req.params.id, ...req.space.filter });
+
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    await Promise.all([
+      Collection.updateMany(
+        { ...req.space.filter, parent: collection._id },
+        { parent: collection.parent }
+      ),
+      Post.updateMany(
+        { ...req.space.filter, collectionId: collection._id },
+        { collectionId: collection.parent }
+      )
+    ]);
+
+    // Clear cache for this space
+    cache.clearCache(req.space.key);
+    // Posts in the collection moved to its parent
+    publish(req, 'posts.changed');
+
+    res.json({ message: 'Collection deleted successfully' });
+  } catch (error) {
+    console.error('Delete collection error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid collection ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
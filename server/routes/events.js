@@ -0,0 +1,56 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const auth = require('../middleware/auth');
+const { resolveSpace } = require('../middleware/space');
+const { subscribe } = require('../utils/events');
+
+const router = express.Router();
+
+// Comment lines sent to keep proxies from closing idle streams
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// EventSource cannot set headers, so browsers send the access token as
+// ?token= and the workspace as ?workspace=
+const headersFromQuery = (req, res, next) => {
+  if (!req.header('Authorization') && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  if (!req.header('X-Workspace') && typeof req.query.workspace === 'string') {
+    req.headers['x-workspace'] = req.query.workspace;
+  }
+  next();
+};
+
+// Server-Sent Events stream of changes to the posts in the user's personal
+// space or a workspace. Each event is named after its type (post.created,
+// post.updated, post.deleted or posts.changed) and its data is the JSON event.
+router.get('/', headersFromQuery, auth, resolveSpace(), (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps the compression middleware from buffering events
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = subscribe(req.space.key, (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  // End the stream when the access token expires, so a revoked session stops
+  // receiving events. The client reconnects with a refreshed token.
+  const { exp } = jwt.decode(req.header('Authorization').replace('Bearer ', '')) || {};
+  const expiry = exp && setTimeout(() => res.end(), Math.max(exp * 1000 - Date.now(), 0));
+
+  res.on('close', () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,316 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const path = require('path');
+const archiver = require('archiver');
+const AdmZip = require('adm-zip');
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const { spaceAccess } = require('../middleware/space');
+const { requireVerifiedEmail } = require('../middleware/verifiedEmail');
+const { cache } = require('../middleware/cache');
+const { publish } = require('../utils/events');
+const { toCsvRow, parseCsv } = require('../utils/csv');
+const { toMarkdown, parseMarkdown } = require('../utils/frontMatter');
+
+const router = express.Router();
+
+const FORMATS = ['json', 'csv', 'markdown'];
+const CSV_COLUMNS = ['title', 'content', 'category', 'tags', 'language', 'createdAt', 'updatedAt'];
+const MAX_IMPORT_RECORDS = 5000;
+const MAX_EXPORT_IDS = 500;
+// Limits on unzipped Markdown, checked against the zip headers before inflating
+const MAX_MARKDOWN_FILE_BYTES = 1024 * 1024;
+const MAX_MARKDOWN_TOTAL_BYTES = 50 * 1024 * 1024;
+
+// Records that could not be read carry the reason here, to be reported
+// against their row instead of failing the whole import
+const READ_ERROR = Symbol('readError');
+
+const exportFields = (post) => ({
+  title: post.title,
+  content: post.content,
+  category: post.category,
+  tags: post.tags || [],
+  language: post.language || null,
+  createdAt: post.createdAt,
+  updatedAt: post.updatedAt
+});
+
+const exportFilename = (extension) => {
+  const date = new Date().toISOString().slice(0, 10);
+  return `letscopy-export-${date}.${extension}`;
+};
+
+// Turn a title into a safe, unique Markdown file name
+const markdownFilename = (title, used) => {
+  const base = title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'untitled';
+
+  let name = `${base}.md`;
+  for (let i = 2; used.has(name); i++) {
+    name = `${base}-${i}.md`;
+  }
+  used.add(name);
+  return name;
+};
+
+// Export the current space's posts as JSON, CSV or a zip of Markdown files. GET
+// exports every post; POST exports the posts whose IDs are sent as { ids }.
+const exportPosts = async (req, res) => {
+  const { format } = req.params;
+
+  if (!FORMATS.includes(format)) {
+    return res.status(400).json({ message: `Format must be one of: ${FORMATS.join(', ')}` });
+  }
+
+  const query = { ...req.space.filter, deletedAt: null };
+  if (req.method === 'POST') {
+    const { ids } = req.body;
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_EXPORT_IDS ||
+      !ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: `Send between 1 and ${MAX_EXPORT_IDS} valid post IDs` });
+    }
+    query._id = { $in: ids };
+  }
+
+  try {
+    // Stream posts from the database instead of loading them all at once
+    const cursor = Post.find(query)
+      .sort({ createdAt: -1 })
+      .lean()
+      .cursor();
+
+    if (format === 'json') {
+      res.attachment(exportFilename('json'));
+      res.type('application/json');
+      res.write('[');
+      let first = true;
+      for await (const post of cursor) {
+        res.write(`${first ? '' : ','}\n${JSON.stringify(exportFields(post))}`);
+        first = false;
+      }
+      res.end('\n]\n');
+    } else if (format === 'csv') {
+      res.attachment(exportFilename('csv'));
+      res.type('text/csv');
+      res.write(toCsvRow(CSV_COLUMNS));
+      for await (const post of cursor) {
+        const fields = exportFields(post);
+        res.write(toCsvRow([
+          fields.title,
+          fields.content,
+          fields.category,
+          fields.tags.join(', '),
+          fields.language || '',
+          fields.createdAt && fields.createdAt.toISOString(),
+          fields.updatedAt && fields.updatedAt.toISOString()
+        ]));
+      }
+      res.end();
+    } else {
+      res.attachment(exportFilename('zip'));
+      res.type('application/zip');
+
+      const archive = archiver('zip', { zlib: { level: 9 } });
+      archive.on('error', (error) => {
+        console.error('Export archive error:', error);
+        res.destroy(error);
+      });
+      archive.pipe(res);
+
+      const used = new Set();
+      for await (const post of cursor) {
+        archive.append(toMarkdown(post), { name: markdownFilename(post.title, used) });
+      }
+      await archive.finalize();
+    }
+  } catch (error) {
+    console.error('Export error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+router.get('/export/:format', spaceAccess('read'), exportPosts);
+router.post('/export/:format', spaceAccess('read'), exportPosts);
+
+// Read raw uploads into records of the same shape as the JSON export
+const parseImport = (format, buffer) => {
+  if (format === 'json') {
+    const data = JSON.parse(buffer.toString('utf8'));
+    if (!Array.isArray(data)) {
+      throw new Error('JSON import must be an array of posts');
+    }
+    return data;
+  }
+
+  if (format === 'csv') {
+    const [header, ...rows] = parseCsv(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+    if (!header) return [];
+
+    const columns = header.map(column => column.trim());
+    return rows.map(row => {
+      const record = {};
+      columns.forEach((column, index) => {
+        record[column] = row[index];
+      });
+      return record;
+    });
+  }
+
+  const zip = new AdmZip(buffer);
+  const entries = zip.getEntries()
+    .filter(entry => !entry.isDirectory && entry.entryName.toLowerCase().endsWith('.md'));
+
+  if (entries.length > MAX_IMPORT_RECORDS) {
+    throw new Error(`Imports are limited to ${MAX_IMPORT_RECORDS} posts at a time`);
+  }
+  const totalSize = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+  if (totalSize > MAX_MARKDOWN_TOTAL_BYTES) {
+    throw new Error(`Markdown files may add up to at most ${MAX_MARKDOWN_TOTAL_BYTES / 1024 / 1024} MB unzipped`);
+  }
+
+  return entries.map(entry => {
+    const title = path.basename(entry.entryName, path.extname(entry.entryName));
+
+    if (entry.header.size > MAX_MARKDOWN_FILE_BYTES) {
+      return { title, [READ_ERROR]: `File is larger than ${MAX_MARKDOWN_FILE_BYTES / 1024 / 1024} MB` };
+    }
+
+    try {
+      // A declared size of 0 would inflate without a bound, so it is read as empty
+      const text = entry.header.size === 0 ? '' : entry.getData().toString('utf8');
+      const { meta, content } = parseMarkdown(text);
+      return {
+        title: meta.title || title,
+        ...meta,
+        content
+      };
+    } catch (error) {
+      return { title, [READ_ERROR]: `Could not read ${entry.entryName}: ${error.message.split('\n')[0]}` };
+    }
+  });
+};
+
+const parseDate = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+// Normalise an imported record and validate it against the Post schema.
+// Imported posts are authored by the importing user in the current space.
+const buildPost = (record, userId, space) => {
+  if (!record || typeof record !== 'object') {
+    return { errors: ['Record must be an object'] };
+  }
+
+  const tags = Array.isArray(record.tags)
+    ? record.tags
+    : String(record.tags || '').split(',');
+
+  // Keep a known language, including null for Markdown text; detect it otherwise
+  const language = record.language === null || Post.LANGUAGES.includes(record.language)
+    ? record.language
+    : undefined;
+  const content = typeof record.content === 'string' ? record.content : undefined;
+
+  const now = new Date();
+  const post = new Post({
+    title: typeof record.title === 'string' ? record.title : undefined,
+    content,
+    category: record.category ? String(record.category) : 'General',
+    tags: tags.map(tag => String(tag).trim()).filter(Boolean),
+    ...Post.languageFields(language, content),
+    user: userId,
+    workspace: space.workspace,
+    createdAt: parseDate(record.createdAt) || now,
+    updatedAt: parseDate(record.updatedAt) || now
+  });
+
+  const validation = post.validateSync();
+  if (validation) {
+    return { errors: Object.values(validation.errors).map(error => error.message) };
+  }
+
+  return { post };
+};
+
+// Import posts. Invalid records are skipped and reported per row;
+// pass ?dryRun=true to validate without saving anything.
+router.post('/import/:format', [
+  spaceAccess('write'),
+  requireVerifiedEmail('import'),
+  express.raw({ type: () => true, limit: '20mb' })
+], async (req, res) => {
+  const { format } = req.params;
+  const dryRun = req.query.dryRun === 'true';
+
+  if (!FORMATS.includes(format)) {
+    return res.status(400).json({ message: `Format must be one of: ${FORMATS.join(', ')}` });
+  }
+
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ message: 'No file uploaded' });
+  }
+
+  let records;
+  try {
+    records = parseImport(format, req.body);
+  } catch (error) {
+    return res.status(400).json({ message: `Could not read ${format} file: ${error.message}` });
+  }
+
+  if (records.length > MAX_IMPORT_RECORDS) {
+    return res.status(400).json({
+      message: `Imports are limited to ${MAX_IMPORT_RECORDS} posts at a time`
+    });
+  }
+
+  try {
+    const valid = [];
+    const errors = [];
+
+    records.forEach((record, index) => {
+      const result = record && record[READ_ERROR]
+        ? { errors: [record[READ_ERROR]] }
+        : buildPost(record, req.user._id, req.space);
+      if (result.errors) {
+        errors.push({
+          row: index + 1,
+          title: record && record.title,
+          errors: result.errors
+        });
+      } else {
+        valid.push(result.post);
+      }
+    });
+
+    if (!dryRun && valid.length > 0) {
+      // Imported dates are kept; timestamps are only filled in where missing
+      await Post.insertMany(valid);
+      await Category.define(req.space.filter, valid.map(post => post.category));
+      cache.clearCache(req.space.key);
+      publish(req, 'posts.changed');
+    }
+
+    res.json({
+      dryRun,
+      total: records.length,
+      imported: dryRun ? 0 : valid.length,
+      valid: valid.length,
+      failed: errors.length,
+      errors
+    });
+  } catch (error) {
+    console.error('Import error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
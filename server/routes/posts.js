@@ -1,118 +1,197 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
 const Post = require('../models/Post');
-const auth = require('../middleware/auth');
+const Revision = require('../models/Revision');
+const Collection = require('../models/Collection');
+const CopyEvent = require('../models/CopyEvent');
+const Category = require('../models/Category');
+const { spaceAccess } = require('../middleware/space');
+const { limitUnverifiedPosts } = require('../middleware/verifiedEmail');
+const { cache, cacheMiddleware } = require('../middleware/cache');
+const { publish } = require('../utils/events');
+const { extractVariables, renderTemplate } = require('../utils/template');
+const { detectLanguage } = require('../utils/language');
+const { parseLimit, encodeCursor, decodeCursor, afterCursor } = require('../utils/pagination');
+const { escapeRegex, parseSearchQuery, buildSearchFilter, buildHighlights } = require('../utils/searchQuery');
 
 const router = express.Router();
 
-// Simple in-memory cache for categories and tags
-const cache = {
-  categories: new Map(),
-  tags: new Map(),
-  posts: new Map(),
-  clearCache: function(userId = null) {
-    if (userId) {
-      // Clear only this user's cache
-      for (const [key, _] of this.posts) {
-        if (key.startsWith(`${userId}:`)) {
-          this.posts.delete(key);
-        }
-      }
-      for (const [key, _] of this.categories) {
-        if (key === `categories:${userId}`) {
-          this.categories.delete(key);
-        }
-      }
-      for (const [key, _] of this.tags) {
-        if (key === `tags:${userId}`) {
-          this.tags.delete(key);
-        }
-      }
-    } else {
-      // Clear all cache
-      this.categories.clear();
-      this.tags.clear();
-      this.posts.clear();
-    }
-  }
+// Check that a collection referenced by a post is in the request's space
+const collectionInSpace = async (req, collectionId) => {
+  if (!collectionId) return true;
+  return Boolean(await Collection.exists({ _id: collectionId, ...req.space.filter }));
 };
 
-// Cache middleware
-const cacheMiddleware = (duration = 300000) => { // 5 minutes default
-  return (req, res, next) => {
-    const key = `${req.user._id}:${req.originalUrl}`;
-    const cached = cache.posts.get(key);
-    
-    if (cached && Date.now() - cached.timestamp < duration) {
-      return res.json(cached.data);
-    }
-    
-    res.sendResponse = res.json;
-    res.json = (data) => {
-      cache.posts.set(key, {
-        data,
-        timestamp: Date.now()
-      });
-      res.sendResponse(data);
-    };
-    
-    next();
-  };
+// Query condition for posts in a collection and its nested collections,
+// or for posts in no collection at all when given "none"
+const collectionCondition = async (req, collection) => {
+  if (collection === 'none') return null;
+  return { $in: await Collection.descendantIds(req.space.filter, collection) };
 };
 
-// Get all posts for the authenticated user
-router.get('/', auth, cacheMiddleware(60000), async (req, res) => { // Reduced cache time to 1 minute
+// Workspace viewers and API keys with "read" access can list and use posts;
+// changing them needs an editor, or "write" access for API keys
+const readAccess = spaceAccess('read', { apiKeys: true });
+const writeAccess = spaceAccess('write', { apiKeys: true });
+
+// Narrow a post query for API keys limited to some collections
+const scopeQuery = async (req, query) => {
+  const allowed = req.apiKey && await req.apiKey.allowedCollectionIds();
+  if (!allowed) return query;
+  return { ...query, $and: [...(query.$and || []), { collectionId: { $in: allowed } }] };
+};
+
+// Whether the request may put a post in a collection. Keys limited to
+// collections can only use theirs, and cannot leave posts outside them.
+const canUseCollection = async (req, collectionId) => {
+  const allowed = req.apiKey && await req.apiKey.allowedCollectionIds();
+  return !allowed || (Boolean(collectionId) && allowed.includes(String(collectionId)));
+};
+
+// Clients that edit while offline send the updatedAt of the version they
+// started from as If-Match, so changes made elsewhere in the meantime are
+// not overwritten. Resolves to a Date, null without the header, or false
+// when the header is not a timestamp.
+const expectedVersion = (req) => {
+  const header = req.get('If-Match');
+  if (!header) return null;
+  const version = new Date(header.replace(/"/g, ''));
+  return isNaN(version.getTime()) ? false : version;
+};
+
+const versionConflict = (res, post) => res.status(412).json({
+  message: 'This post was changed since you last saw it',
+  code: 'VERSION_CONFLICT',
+  post
+});
+
+const outOfScope = (res) => res.status(403).json({
+  message: 'This API key cannot use that collection',
+  code: 'INSUFFICIENT_SCOPE'
+});
+
+// Sort orders for the post list, keyed by the ?sort= value
+const SORT_FIELDS = {
+  newest: 'createdAt',
+  'most-copied': 'copyCount',
+  'recently-copied': 'lastCopiedAt'
+};
+
+const isValidCollectionParam = (collection) => {
+  return collection === 'none' || mongoose.Types.ObjectId.isValid(collection);
+};
+
+// Get posts in the current space one page at a time, sorted by ?sort=
+// (newest, most-copied or recently-copied). Pass the X-Next-Cursor header
+// of a response as ?cursor= to get the next page.
+router.get('/', readAccess, cacheMiddleware(60000), async (req, res) => { // Reduced cache time to 1 minute
   try {
-    const { category, tag, search } = req.query;
-    let query = { user: req.user._id };
+    const { category, tag, language, search, collection, cursor, sort = 'newest' } = req.query;
+    const limit = parseLimit(req.query.limit);
+    const sortField = SORT_FIELDS[sort];
+
+    if (!sortField) {
+      return res.status(400).json({
+        message: `Sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`
+      });
+    }
+
+    let query = { ...req.space.filter, deletedAt: null };
+
+    // Filter by collection, including its nested collections
+    if (collection) {
+      if (!isValidCollectionParam(collection)) {
+        return res.status(400).json({ message: 'Invalid collection ID' });
+      }
+      query.collectionId = await collectionCondition(req, collection);
+    }
 
     // Filter by category
     if (category && category !== 'All') {
       query.category = category;
     }
 
-    // Filter by tag
+    // Filter by tag; repeat ?tag= to require several
     if (tag) {
-      query.tags = { $in: [tag] };
+      query.tags = { $all: Post.normalizeTags([].concat(tag)) };
+    }
+
+    // Filter by language; 'none' lists Markdown text
+    if (language) {
+      if (language !== 'none' && !Post.LANGUAGES.includes(language)) {
+        return res.status(400).json({
+          message: `Language must be none or one of: ${Post.LANGUAGES.join(', ')}`
+        });
+      }
+      query.language = language === 'none' ? null : language;
     }
 
     // Search functionality
     if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
       query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { content: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
+        { title: pattern },
+        { content: pattern },
+        { tags: pattern }
       ];
     }
 
-    const posts = await Post.find(query)
-      .sort({ createdAt: -1 })
-      .select('-__v');
+    query = await scopeQuery(req, query);
 
-    res.json(posts);
+    let pageQuery = query;
+    if (cursor) {
+      const position = decodeCursor(cursor);
+      if (!position) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      pageQuery = { $and: [query, afterCursor(position, sortField)] };
+    }
+
+    // Fetch one extra post to find out whether there is another page
+    const [posts, total] = await Promise.all([
+      Post.find(pageQuery)
+        .sort({ [sortField]: -1, _id: -1 })
+        .limit(limit + 1)
+        .select('-__v'),
+      Post.countDocuments(query)
+    ]);
+
+    const hasMore = posts.length > limit;
+    const page = hasMore ? posts.slice(0, limit) : posts;
+
+    res.set('X-Total-Count', String(total));
+    if (hasMore) {
+      res.set('X-Next-Cursor', encodeCursor(page[page.length - 1], sortField));
+    }
+
+    res.json(page);
   } catch (error) {
     console.error('Get posts error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get categories for the authenticated user
-router.get('/categories', auth, async (req, res) => {
+// Get the categories used in the current space
+router.get('/categories', readAccess, async (req, res) => {
   try {
-    const cacheKey = `categories:${req.user._id}`;
-    const cached = cache.categories.get(cacheKey);
+    const cacheKey = `categories:${req.space.key}`;
+    const cached = !req.apiKey && cache.categories.get(cacheKey);
     
     if (cached && Date.now() - cached.timestamp < 600000) { // 10 minutes cache
       return res.json(cached.data);
     }
     
-    const categories = await Post.distinct('category', { user: req.user._id });
+    const categories = await Post.distinct('category', await scopeQuery(req, { ...req.space.filter, deletedAt: null }));
     const result = categories || [];
     
-    cache.categories.set(cacheKey, {
-      data: result,
-      timestamp: Date.now()
-    });
+    // API keys may be limited to some collections, so only cache full results
+    if (!req.apiKey) {
+      cache.categories.set(cacheKey, {
+        data: result,
+        timestamp: Date.now()
+      });
+    }
     
     res.json(result);
   } catch (error) {
@@ -121,23 +200,26 @@ router.get('/categories', auth, async (req, res) => {
   }
 });
 
-// Get tags for the authenticated user
-router.get('/tags', auth, async (req, res) => {
+// Get the tags used in the current space
+router.get('/tags', readAccess, async (req, res) => {
   try {
-    const cacheKey = `tags:${req.user._id}`;
-    const cached = cache.tags.get(cacheKey);
+    const cacheKey = `tags:${req.space.key}`;
+    const cached = !req.apiKey && cache.tags.get(cacheKey);
     
     if (cached && Date.now() - cached.timestamp < 600000) { // 10 minutes cache
       return res.json(cached.data);
     }
     
-    const tags = await Post.distinct('tags', { user: req.user._id });
+    const tags = await Post.distinct('tags', await scopeQuery(req, { ...req.space.filter, deletedAt: null }));
     const result = tags || [];
     
-    cache.tags.set(cacheKey, {
-      data: result,
-      timestamp: Date.now()
-    });
+    // API keys may be limited to some collections, so only cache full results
+    if (!req.apiKey) {
+      cache.tags.set(cacheKey, {
+        data: result,
+        timestamp: Date.now()
+      });
+    }
     
     res.json(result);
   } catch (error) {
@@ -146,13 +228,124 @@ router.get('/tags', auth, async (req, res) => {
   }
 });
 
+// Ranked full-text search with highlighted snippets.
+// Supports: words, "exact phrase", -excluded, tag:foo, category:Work, lang:sql (quote values with spaces).
+// Results are ordered by relevance; the X-Next-Cursor header holds the offset of the next page.
+router.get('/search', [
+  readAccess,
+  query('q')
+    .optional()
+    .isString()
+    .withMessage('Search query must be a single string'),
+  query('collection')
+    .optional()
+    .isString()
+    .withMessage('Collection must be a single ID'),
+  cacheMiddleware(60000)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const { q = '', collection, cursor } = req.query;
+    const limit = parseLimit(req.query.limit);
+    const offset = Math.max(parseInt(cursor, 10) || 0, 0);
+
+    const parsed = parseSearchQuery(q);
+    let query = {
+      ...buildSearchFilter(parsed),
+      ...req.space.filter,
+      deletedAt: null
+    };
+
+    if (collection) {
+      if (!isValidCollectionParam(collection)) {
+        return res.status(400).json({ message: 'Invalid collection ID' });
+      }
+      query.collectionId = await collectionCondition(req, collection);
+    }
+
+    query = await scopeQuery(req, query);
+
+    const ranked = Boolean(query.$text);
+    const finder = Post.find(query, ranked ? { score: { $meta: 'textScore' } } : {})
+      .sort(ranked ? { score: { $meta: 'textScore' }, createdAt: -1 } : { createdAt: -1, _id: -1 })
+      .skip(offset)
+      .limit(limit + 1)
+      .select('-__v');
+
+    const [posts, total] = await Promise.all([
+      finder,
+      Post.countDocuments(query)
+    ]);
+
+    const hasMore = posts.length > limit;
+    const page = hasMore ? posts.slice(0, limit) : posts;
+
+    res.set('X-Total-Count', String(total));
+    if (hasMore) {
+      res.set('X-Next-Cursor', String(offset + limit));
+    }
+
+    res.json(page.map(post => ({
+      ...post.toObject(),
+      highlights: buildHighlights(post, parsed)
+    })));
+  } catch (error) {
+    console.error('Search posts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the authenticated user's copy history in the current space, most recent first
+router.get('/copy-history', readAccess, async (req, res) => {
+  try {
+    // Aggregation filters are not cast by mongoose, so cast the post filter up front
+    const postFilter = Post.find().cast(Post, await scopeQuery(req, { ...req.space.filter, deletedAt: null }));
+
+    // Posts deleted, trashed or out of scope since they were copied drop out
+    // of the history. They are left out before the limit so pages stay full.
+    const events = await CopyEvent.aggregate([
+      { $match: { user: req.user._id } },
+      { $sort: { createdAt: -1 } },
+      {
+        $lookup: {
+          from: Post.collection.name,
+          let: { postId: '$post' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$_id', '$$postId'] } } },
+            { $match: postFilter },
+            { $project: { title: 1 } }
+          ],
+          as: 'post'
+        }
+      },
+      { $unwind: '$post' },
+      { $limit: parseLimit(req.query.limit) },
+      { $project: { user: 0, __v: 0 } }
+    ]);
+
+    res.json(events);
+  } catch (error) {
+    console.error('Get copy history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get a single post by ID
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', readAccess, async (req, res) => {
   try {
-    const post = await Post.findOne({
+    const post = await Post.findOne(await scopeQuery(req, {
       _id: req.params.id,
-      user: req.user._id
-    }).select('-__v');
+      ...req.space.filter,
+      deletedAt: null
+    })).select('-__v');
 
     if (!post) {
       return res.status(404).json({ message: 'Post not found' });
@@ -168,9 +361,145 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// Render a post's template variables with the supplied values
+router.post('/:id/render', [
+  readAccess,
+  body('values')
+    .optional()
+    .isObject()
+    .withMessage('Values must be an object')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const post = await Post.findOne(await scopeQuery(req, {
+      _id: req.params.id,
+      ...req.space.filter,
+      deletedAt: null
+    })).select('content');
+
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    const { content, missing } = renderTemplate(post.content, req.body.values || {});
+
+    if (missing.length > 0) {
+      return res.status(400).json({
+        message: 'Missing values for template variables',
+        missing
+      });
+    }
+
+    res.json({
+      content,
+      variables: extractVariables(post.content)
+    });
+  } catch (error) {
+    console.error('Render post error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid post ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Record that a post was copied. Only usage stats change, so read access is enough.
+router.post('/:id/copy', [
+  readAccess,
+  body('format')
+    .optional()
+    .isIn(['markdown', 'text', 'html'])
+    .withMessage('Format must be markdown, text or html')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const post = await Post.findOneAndUpdate(
+      await scopeQuery(req, {
+        _id: req.params.id,
+        ...req.space.filter,
+        deletedAt: null
+      }),
+      {
+        $inc: { copyCount: 1 },
+        lastCopiedAt: new Date()
+      },
+      // Don't bump updatedAt: copying is not an edit
+      { new: true, timestamps: false }
+    ).select('copyCount lastCopiedAt');
+
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    await CopyEvent.create({
+      post: post._id,
+      user: req.user._id,
+      format: req.body.format
+    });
+
+    // Clear cache for this space so copy-based sorting stays current
+    cache.clearCache(req.space.key);
+
+    res.json({
+      copyCount: post.copyCount,
+      lastCopiedAt: post.lastCopiedAt
+    });
+  } catch (error) {
+    console.error('Record copy error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid post ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Detect the language of some content the way saving a post does, so the
+// editor can show it before the post is saved
+router.post('/detect-language', [
+  readAccess,
+  body('content')
+    .isString()
+    .withMessage('Content must be a string')
+    .isLength({ max: 10000 })
+    .withMessage('Content cannot exceed 10000 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    res.json({ language: detectLanguage(req.body.content) });
+  } catch (error) {
+    console.error('Detect language error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Create a new post
 router.post('/', [
-  auth,
+  writeAccess,
+  limitUnverifiedPosts,
   body('title')
     .trim()
     .isLength({ min: 1, max: 100 })
@@ -187,7 +516,15 @@ router.post('/', [
   body('tags')
     .optional()
     .isArray()
-    .withMessage('Tags must be an array')
+    .withMessage('Tags must be an array'),
+  body('collectionId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Collection must be a valid collection ID'),
+  body('language')
+    .optional({ nullable: true })
+    .isIn(['auto', '', ...Post.LANGUAGES])
+    .withMessage('Language must be auto or a supported language')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -199,20 +536,33 @@ router.post('/', [
       });
     }
 
-    const { title, content, category, tags } = req.body;
+    const { title, content, category, tags, collectionId, language } = req.body;
+
+    if (!(await collectionInSpace(req, collectionId))) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    if (!(await canUseCollection(req, collectionId))) {
+      return outOfScope(res);
+    }
 
     const post = new Post({
       title,
       content,
       category: category || 'General',
       tags: tags || [],
-      user: req.user._id
+      collectionId: collectionId || null,
+      ...Post.languageFields(language, content),
+      user: req.user._id,
+      workspace: req.space.workspace
     });
 
     await post.save();
+    await Category.define(req.space.filter, [post.category]);
 
-    // Clear cache for this user
-    cache.clearCache(req.user._id);
+    // Clear cache for this space
+    cache.clearCache(req.space.key);
+    publish(req, 'post.created', { post });
 
     res.status(201).json(post);
   } catch (error) {
@@ -223,7 +573,7 @@ router.post('/', [
 
 // Update a post
 router.put('/:id', [
-  auth,
+  writeAccess,
   body('title')
     .trim()
     .isLength({ min: 1, max: 100 })
@@ -240,7 +590,15 @@ router.put('/:id', [
   body('tags')
     .optional()
     .isArray()
-    .withMessage('Tags must be an array')
+    .withMessage('Tags must be an array'),
+  body('collectionId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Collection must be a valid collection ID'),
+  body('language')
+    .optional({ nullable: true })
+    .isIn(['auto', '', ...Post.LANGUAGES])
+    .withMessage('Language must be auto or a supported language')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -252,28 +610,77 @@ router.put('/:id', [
       });
     }
 
-    const { title, content, category, tags } = req.body;
+    const { title, content, category, tags, collectionId, language } = req.body;
+
+    const expected = expectedVersion(req);
+    if (expected === false) {
+      return res.status(400).json({ message: 'If-Match must be the post\'s updatedAt timestamp' });
+    }
+
+    if (!(await collectionInSpace(req, collectionId))) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    if (collectionId !== undefined && !(await canUseCollection(req, collectionId))) {
+      return outOfScope(res);
+    }
+
+    const filter = await scopeQuery(req, {
+      _id: req.params.id,
+      ...req.space.filter,
+      deletedAt: null
+    });
+
+    const existing = await Post.findOne(filter);
+
+    if (!existing) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
 
+    if (expected && existing.updatedAt.getTime() !== expected.getTime()) {
+      return versionConflict(res, existing);
+    }
+
+    // Save the previous version before overwriting it
+    const nextTags = Post.normalizeTags(tags);
+    const hasChanges = existing.title !== title ||
+      existing.content !== content ||
+      existing.category !== (category || 'General') ||
+      existing.tags.join('\n') !== nextTags.join('\n');
+
+    if (hasChanges) {
+      await Revision.record(existing);
+    }
+
+    // The version and scope are checked again as part of the write, in case
+    // the post changed since it was read
     const post = await Post.findOneAndUpdate(
-      {
-        _id: req.params.id,
-        user: req.user._id
-      },
+      expected ? { ...filter, updatedAt: expected } : filter,
       {
         title,
         content,
         category: category || 'General',
-        tags: tags || []
+        tags: nextTags,
+        ...Post.languageFields(language, content, existing),
+        // Leave the collection alone when the client does not send one
+        ...(collectionId !== undefined && { collectionId: collectionId || null })
       },
       { new: true, runValidators: true }
     ).select('-__v');
 
     if (!post) {
+      const current = expected && await Post.findOne(filter).select('-__v');
+      if (current) {
+        return versionConflict(res, current);
+      }
       return res.status(404).json({ message: 'Post not found' });
     }
 
-    // Clear cache for this user
-    cache.clearCache(req.user._id);
+    await Category.define(req.space.filter, [post.category]);
+
+    // Clear cache for this space
+    cache.clearCache(req.space.key);
+    publish(req, 'post.updated', { post });
 
     res.json(post);
   } catch (error) {
@@ -285,22 +692,45 @@ router.put('/:id', [
   }
 });
 
-// Delete a post
-router.delete('/:id', auth, async (req, res) => {
+// Move a post to the trash. It can be restored from /api/trash until it is purged.
+router.delete('/:id', writeAccess, async (req, res) => {
   try {
-    const post = await Post.findOneAndDelete({
+    const expected = expectedVersion(req);
+    if (expected === false) {
+      return res.status(400).json({ message: 'If-Match must be the post\'s updatedAt timestamp' });
+    }
+
+    const filter = await scopeQuery(req, {
       _id: req.params.id,
-      user: req.user._id
+      ...req.space.filter,
+      deletedAt: null
     });
 
+    const post = await Post.findOneAndUpdate(
+      expected ? { ...filter, updatedAt: expected } : filter,
+      { deletedAt: new Date() },
+      { new: true, timestamps: false }
+    ).select('-__v');
+
     if (!post) {
+      const current = expected && await Post.findOne(filter).select('-__v');
+      if (current) {
+        return versionConflict(res, current);
+      }
       return res.status(404).json({ message: 'Post not found' });
     }
 
-    // Clear cache for this user
-    cache.clearCache(req.user._id);
+    // Clear cache for this space
+    cache.clearCache(req.space.key);
+    publish(req, 'post.deleted', { postId: post._id });
 
-    res.json({ message: 'Post deleted successfully' });
+    res.json({
+      message: 'Post moved to trash',
+      post: {
+        ...post.toObject(),
+        purgeAt: post.purgeAt()
+      }
+    });
   } catch (error) {
     console.error('Delete post error:', error);
     if (error.kind === 'ObjectId') {
@@ -310,4 +740,161 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+const BULK_ACTIONS = ['delete', 'set-category', 'add-tags', 'remove-tags'];
+const MAX_BULK_POSTS = 500;
+
+// The fields a bulk action changes on one post, or null if it is already up to date
+const bulkUpdate = (post, action, { category, tags }) => {
+  if (action === 'set-category') {
+    return post.category === category ? null : { category };
+  }
+
+  const nextTags = action === 'add-tags'
+    ? [...post.tags, ...tags.filter(tag => !post.tags.includes(tag))]
+    : post.tags.filter(tag => !tags.includes(tag));
+
+  return nextTags.length === post.tags.length ? null : { tags: nextTags };
+};
+
+// Apply one action to many posts: move them to the trash, set their category,
+// or add or remove tags. Responds with a result per requested ID, so posts
+// that are missing or belong to another space do not fail the whole request.
+router.post('/bulk', [
+  writeAccess,
+  body('ids')
+    .isArray({ min: 1, max: MAX_BULK_POSTS })
+    .withMessage(`Send between 1 and ${MAX_BULK_POSTS} post IDs`),
+  body('action')
+    .isIn(BULK_ACTIONS)
+    .withMessage(`Action must be one of: ${BULK_ACTIONS.join(', ')}`),
+  body('category')
+    .if(body('action').equals('set-category'))
+    .isString()
+    .withMessage('Category must be between 1 and 50 characters')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Category must be between 1 and 50 characters'),
+  body('tags')
+    .if(body('action').isIn(['add-tags', 'remove-tags']))
+    .isArray({ min: 1 })
+    .withMessage('Send at least one tag'),
+  body('tags.*')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Tags cannot be empty')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const { action, category } = req.body;
+    const tags = Post.normalizeTags(req.body.tags);
+    const ids = [...new Set(req.body.ids.map(String))];
+
+    const posts = await Post.find(await scopeQuery(req, {
+      _id: { $in: ids.filter(id => mongoose.Types.ObjectId.isValid(id)) },
+      ...req.space.filter,
+      deletedAt: null
+    }));
+    const postsById = new Map(posts.map(post => [String(post._id), post]));
+
+    const results = [];
+    const changed = []; // Posts to move to the trash
+    const updates = []; // Posts to update, with their update
+
+    for (const id of ids) {
+      const post = postsById.get(id);
+      if (!post) {
+        results.push({
+          id,
+          ok: false,
+          message: mongoose.Types.ObjectId.isValid(id) ? 'Post not found' : 'Invalid post ID'
+        });
+        continue;
+      }
+
+      if (action === 'delete') {
+        changed.push(post._id);
+        results.push({ id, ok: true, changed: true });
+        continue;
+      }
+
+      const update = bulkUpdate(post, action, { category, tags });
+      if (update) {
+        updates.push({ post, update });
+      }
+      results.push({ id, ok: true, changed: Boolean(update) });
+    }
+
+    // Posts actually written, which falls short if a write fails part of the way through
+    let updated = 0;
+    let writeError = null;
+
+    if (action === 'delete' && changed.length > 0) {
+      const result = await Post.updateMany(
+        { _id: { $in: changed }, deletedAt: null },
+        { deletedAt: new Date() },
+        { timestamps: false }
+      );
+      updated = result.modifiedCount;
+    } else if (updates.length > 0) {
+      // Save the previous versions before overwriting them, as single edits do
+      await Revision.recordMany(updates.map(({ post }) => post));
+      try {
+        const result = await Post.bulkWrite(updates.map(({ post, update }) => ({
+          updateOne: { filter: { _id: post._id }, update }
+        })), { ordered: false });
+        updated = result.modifiedCount;
+      } catch (error) {
+        // Some updates may have been written; report which ones failed
+        if (!error.result) throw error;
+        writeError = error;
+        updated = error.result.modifiedCount;
+
+        const failedIds = new Set([].concat(error.writeErrors || [])
+          .map(writeErr => String(updates[writeErr.index].post._id)));
+        results.forEach(result => {
+          if (failedIds.has(result.id)) {
+            Object.assign(result, { ok: false, changed: false, message: 'Could not be saved' });
+          }
+        });
+      }
+    }
+
+    if (updated > 0) {
+      if (action === 'set-category') {
+        await Category.define(req.space.filter, [category]);
+      }
+      // Clear cache for this space
+      cache.clearCache(req.space.key);
+      publish(req, 'posts.changed');
+    }
+
+    if (writeError) {
+      console.error('Bulk update write error:', writeError);
+    }
+
+    // A failed write still reports every post, in the same shape
+    const succeeded = results.filter(result => result.ok).length;
+    res.status(writeError ? 500 : 200).json({
+      ...(writeError && { message: `Only ${updated} of ${updates.length} posts could be updated` }),
+      action,
+      succeeded,
+      failed: results.length - succeeded,
+      changed: updated,
+      results
+    });
+  } catch (error) {
+    console.error('Bulk update error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
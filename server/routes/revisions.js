@@ -0,0 +1,186 @@
+const express = require('express');
+const Post = require('../models/Post');
+const Revision = require('../models/Revision');
+const Category = require('../models/Category');
+const { spaceAccess } = require('../middleware/space');
+const { cache } = require('../middleware/cache');
+const { publish } = require('../utils/events');
+const { diffLines } = require('../utils/diff');
+
+// Mounted under /api/posts/:id/revisions
+const router = express.Router({ mergeParams: true });
+
+const readAccess = spaceAccess('read');
+const writeAccess = spaceAccess('write');
+
+const findPostInSpace = (req) => Post.findOne({
+  _id: req.params.id,
+  ...req.space.filter,
+  deletedAt: null
+});
+
+// Resolve a diff side: either a revision ID or "current" for the live post
+const resolveVersion = async (post, version) => {
+  if (!version || version === 'current') {
+    return post;
+  }
+  return Revision.findOne({ _id: version, post: post._id });
+};
+
+const describeVersion = (version, isCurrent) => ({
+  id: isCurrent ? 'current' : version._id,
+  createdAt: isCurrent ? version.updatedAt : version.createdAt
+});
+
+// List revisions for a post, newest first
+router.get('/', readAccess, async (req, res) => {
+  try {
+    const post = await findPostInSpace(req).select('_id');
+
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    const revisions = await Revision.find({ post: post._id })
+      .sort({ createdAt: -1 })
+      .select('title category tags createdAt');
+
+    res.json(revisions);
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid post ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Diff two versions of a post (?from=<revisionId|current>&to=<revisionId|current>)
+router.get('/diff', readAccess, async (req, res) => {
+  try {
+    const post = await findPostInSpace(req);
+
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    const { from, to = 'current' } = req.query;
+
+    if (!from) {
+      return res.status(400).json({ message: 'A "from" revision is required' });
+    }
+
+    const [fromVersion, toVersion] = await Promise.all([
+      resolveVersion(post, from),
+      resolveVersion(post, to)
+    ]);
+
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    const fromTags = fromVersion.tags || [];
+    const toTags = toVersion.tags || [];
+
+    res.json({
+      from: describeVersion(fromVersion, from === 'current'),
+      to: describeVersion(toVersion, to === 'current'),
+      title: {
+        from: fromVersion.title,
+        to: toVersion.title,
+        changed: fromVersion.title !== toVersion.title
+      },
+      category: {
+        from: fromVersion.category,
+        to: toVersion.category,
+        changed: fromVersion.category !== toVersion.category
+      },
+      tags: {
+        added: toTags.filter(tag => !fromTags.includes(tag)),
+        removed: fromTags.filter(tag => !toTags.includes(tag))
+      },
+      content: diffLines(fromVersion.content, toVersion.content)
+    });
+  } catch (error) {
+    console.error('Diff revisions error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid post or revision ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a single revision
+router.get('/:revisionId', readAccess, async (req, res) => {
+  try {
+    const post = await findPostInSpace(req).select('_id');
+
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    const revision = await Revision.findOne({
+      _id: req.params.revisionId,
+      post: post._id
+    }).select('-__v');
+
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    res.json(revision);
+  } catch (error) {
+    console.error('Get revision error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid post or revision ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Restore a post to a previous revision
+router.post('/:revisionId/restore', writeAccess, async (req, res) => {
+  try {
+    const post = await findPostInSpace(req);
+
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    const revision = await Revision.findOne({
+      _id: req.params.revisionId,
+      post: post._id
+    });
+
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    // Keep the current state so the restore itself can be undone
+    await Revision.record(post);
+
+    post.title = revision.title;
+    post.content = revision.content;
+    post.category = revision.category;
+    post.tags = revision.tags;
+    post.set(Post.languageFields(undefined, revision.content, post));
+    await post.save();
+    await Category.define(req.space.filter, [post.category]);
+
+    // Clear cache for this space
+    cache.clearCache(req.space.key);
+
+    const restored = post.toObject();
+    delete restored.__v;
+    publish(req, 'post.updated', { post: restored });
+    res.json(restored);
+  } catch (error) {
+    console.error('Restore revision error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid post or revision ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Post = require('../models/Post');
+const ShareLink = require('../models/ShareLink');
+const auth = require('../middleware/auth');
+const { spaceAccess } = require('../middleware/space');
+const { requireVerifiedEmail } = require('../middleware/verifiedEmail');
+
+const router = express.Router();
+
+const formatShareLink = (link) => ({
+  id: link._id,
+  token: link.token,
+  post: link.post,
+  expiresAt: link.expiresAt,
+  maxViews: link.maxViews,
+  views: link.views,
+  createdAt: link.createdAt
+});
+
+// Resolve a public share token (no authentication required)
+router.get('/public/:token', async (req, res) => {
+  try {
+    const conditions = {
+      token: req.params.token,
+      ...ShareLink.activeConditions()
+    };
+
+    const link = await ShareLink.findOne(conditions).select('post');
+    if (!link) {
+      return res.status(404).json({ message: 'This link is invalid or has expired' });
+    }
+
+    // Links to trashed posts stop working until the post is restored, and
+    // do not use up views in the meantime
+    const post = await Post.findOne({ _id: link.post, deletedAt: null })
+      .select('title content category tags language updatedAt');
+
+    if (!post) {
+      return res.status(404).json({ message: 'This link is invalid or has expired' });
+    }
+
+    // Count the view atomically so view limits cannot be exceeded
+    const counted = await ShareLink.updateOne(conditions, { $inc: { views: 1 } });
+    if (counted.modifiedCount === 0) {
+      return res.status(404).json({ message: 'This link is invalid or has expired' });
+    }
+
+    res.json({
+      title: post.title,
+      content: post.content,
+      category: post.category,
+      tags: post.tags,
+      language: post.language,
+      updatedAt: post.updatedAt
+    });
+  } catch (error) {
+    console.error('Resolve share link error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List the authenticated user's active share links for posts in the current space
+router.get('/', spaceAccess('read'), async (req, res) => {
+  try {
+    const links = await ShareLink.find({
+      user: req.user._id,
+      ...ShareLink.activeConditions()
+    })
+      .sort({ createdAt: -1 })
+      .populate({ path: 'post', select: 'title', match: { ...req.space.filter, deletedAt: null } });
+
+    // Links whose post no longer exists, is in the trash or is in another space are not worth showing
+    res.json(links.filter(link => link.post).map(formatShareLink));
+  } catch (error) {
+    console.error('Get share links error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a share link for a post. Sharing needs edit access to the post's space.
+router.post('/', [
+  spaceAccess('write'),
+  requireVerifiedEmail('share'),
+  body('postId')
+    .isMongoId()
+    .withMessage('A valid post ID is required'),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future'),
+  body('maxViews')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 100000 })
+    .withMessage('View limit must be between 1 and 100000')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const { postId, expiresAt, maxViews } = req.body;
+
+    const post = await Post.findOne({
+      _id: postId,
+      ...req.space.filter,
+      deletedAt: null
+    }).select('title');
+
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    const link = await ShareLink.create({
+      post: post._id,
+      user: req.user._id,
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+      maxViews: maxViews ? parseInt(maxViews, 10) : null
+    });
+
+    link.post = post;
+    res.status(201).json(formatShareLink(link));
+  } catch (error) {
+    console.error('Create share link error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke a share link
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const link = await ShareLink.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        user: req.user._id,
+        revokedAt: null
+      },
+      { revokedAt: new Date() }
+    );
+
+    if (!link) {
+      return res.status(404).json({ message: 'Share link not found' });
+    }
+
+    res.json({ message: 'Share link revoked' });
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid share link ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
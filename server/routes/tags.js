@@ -0,0 +1,125 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Post = require('../models/Post');
+const { spaceAccess } = require('../middleware/space');
+const { cache } = require('../middleware/cache');
+const { publish } = require('../utils/events');
+
+const router = express.Router();
+
+const readAccess = spaceAccess('read');
+const writeAccess = spaceAccess('write');
+
+const tagName = (check, label = 'Tag') => check
+  .isString()
+  .withMessage(`${label} must be between 1 and 30 characters`)
+  .customSanitizer(Post.normalizeTag)
+  .isLength({ min: 1, max: 30 })
+  .withMessage(`${label} must be between 1 and 30 characters`);
+
+// Clear caches and tell other tabs after tags change on many posts
+const tagsChanged = (req) => {
+  // Clear cache for this space
+  cache.clearCache(req.space.key);
+  publish(req, 'posts.changed');
+};
+
+// List the current space's tags with how many posts use each, most used first
+router.get('/', readAccess, async (req, res) => {
+  try {
+    res.json(await Post.tagCounts(req.space.filter));
+  } catch (error) {
+    console.error('Get tag counts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Rename a tag on every post. Renaming to a tag that already exists merges the two.
+router.put('/:name', [
+  writeAccess,
+  tagName(param('name')),
+  tagName(body('name'), 'New name')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const modified = await Post.replaceTags(req.space.filter, [req.params.name], req.body.name);
+    if (modified === 0) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+
+    tagsChanged(req);
+    res.json({ message: `Renamed tag on ${modified} post${modified === 1 ? '' : 's'}`, name: req.body.name, modified });
+  } catch (error) {
+    console.error('Rename tag error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Merge several tags into one, which may be one of them or a new tag
+router.post('/merge', [
+  writeAccess,
+  body('tags')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Send between 1 and 100 tags to merge'),
+  tagName(body('tags.*')),
+  tagName(body('into'), 'Target tag')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const modified = await Post.replaceTags(req.space.filter, req.body.tags, req.body.into);
+    if (modified > 0) {
+      tagsChanged(req);
+    }
+
+    res.json({ message: `Merged tags on ${modified} post${modified === 1 ? '' : 's'}`, name: req.body.into, modified });
+  } catch (error) {
+    console.error('Merge tags error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a tag from every post
+router.delete('/:name', [
+  writeAccess,
+  tagName(param('name'))
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const modified = await Post.replaceTags(req.space.filter, [req.params.name], null);
+    if (modified === 0) {
+      return res.status(404).json({ message: 'Tag not found' });
+    }
+
+    tagsChanged(req);
+    res.json({ message: `Removed tag from ${modified} post${modified === 1 ? '' : 's'}`, modified });
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
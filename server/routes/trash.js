@@ -0,0 +1,136 @@
+const express = require('express');
+const Post = require('../models/Post');
+const Collection = require('../models/Collection');
+const { spaceAccess } = require('../middleware/space');
+const { cache } = require('../middleware/cache');
+const { publish } = require('../utils/events');
+const { parseLimit, encodeCursor, decodeCursor, afterCursor } = require('../utils/pagination');
+
+const router = express.Router();
+
+const readAccess = spaceAccess('read');
+const writeAccess = spaceAccess('write');
+
+const withPurgeDate = (post) => ({
+  ...post.toObject(),
+  purgeAt: post.purgeAt()
+});
+
+// List the trashed posts in the current space, most recently deleted first.
+// Paginated like GET /api/posts with the X-Total-Count and X-Next-Cursor headers.
+router.get('/', readAccess, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const query = { ...req.space.filter, deletedAt: { $ne: null } };
+
+    let pageQuery = query;
+    if (req.query.cursor) {
+      const position = decodeCursor(req.query.cursor);
+      if (!position) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+      pageQuery = { $and: [query, afterCursor(position, 'deletedAt')] };
+    }
+
+    const [posts, total] = await Promise.all([
+      Post.find(pageQuery)
+        .sort({ deletedAt: -1, _id: -1 })
+        .limit(limit + 1)
+        .select('-__v'),
+      Post.countDocuments(query)
+    ]);
+
+    const hasMore = posts.length > limit;
+    const page = hasMore ? posts.slice(0, limit) : posts;
+
+    res.set('X-Total-Count', String(total));
+    if (hasMore) {
+      res.set('X-Next-Cursor', encodeCursor(page[page.length - 1], 'deletedAt'));
+    }
+
+    res.json(page.map(withPurgeDate));
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Restore a trashed post
+router.post('/:id/restore', writeAccess, async (req, res) => {
+  try {
+    const post = await Post.findOne({
+      _id: req.params.id,
+      ...req.space.filter,
+      deletedAt: { $ne: null }
+    });
+
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found in trash' });
+    }
+
+    // The post's collection may have been deleted while it was in the trash
+    if (post.collectionId && !(await Collection.exists({ _id: post.collectionId, ...req.space.filter }))) {
+      post.collectionId = null;
+    }
+
+    post.deletedAt = null;
+    await post.save({ timestamps: false });
+
+    // Clear cache for this space
+    cache.clearCache(req.space.key);
+
+    const restored = post.toObject();
+    delete restored.__v;
+    publish(req, 'post.created', { post: restored });
+    res.json(restored);
+  } catch (error) {
+    console.error('Restore post error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid post ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Permanently delete a trashed post
+router.delete('/:id', writeAccess, async (req, res) => {
+  try {
+    const deleted = await Post.purge({
+      _id: req.params.id,
+      ...req.space.filter,
+      deletedAt: { $ne: null }
+    });
+
+    if (deleted === 0) {
+      return res.status(404).json({ message: 'Post not found in trash' });
+    }
+
+    res.json({ message: 'Post deleted permanently' });
+  } catch (error) {
+    console.error('Purge post error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid post ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Empty the trash
+router.delete('/', writeAccess, async (req, res) => {
+  try {
+    const deleted = await Post.purge({
+      ...req.space.filter,
+      deletedAt: { $ne: null }
+    });
+
+    res.json({
+      message: `Deleted ${deleted} post${deleted === 1 ? '' : 's'} permanently`,
+      deleted
+    });
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,223 @@
+const express = require('express');
+const QRCode = require('qrcode');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const {
+  getLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+  accountLocked
+} = require('../middleware/rateLimit');
+const { generateSecret, verifyCode, otpauthUrl } = require('../utils/totp');
+const { encrypt, decrypt } = require('../utils/secretBox');
+
+// Mounted under /api/auth/2fa
+const router = express.Router();
+
+const ISSUER = 'Lets Copy';
+
+const codeValidator = body('code')
+  .isString()
+  .trim()
+  .notEmpty()
+  .withMessage('Authentication code is required');
+
+const findUser = (req) => User.findById(req.user._id).select(User.TWO_FACTOR_FIELDS);
+
+// Wrong passwords and codes count towards the same lockout as failed sign-ins,
+// so a stolen session cannot guess its way to turning two-factor off
+const rejectAttempt = async (res, user, message) => {
+  const lockout = await recordLoginFailure(user.email);
+  if (lockout) {
+    return accountLocked(res, lockout);
+  }
+  res.status(400).json({ message });
+};
+
+// Two-factor status for the signed-in user
+router.get('/', auth, async (req, res) => {
+  try {
+    const user = await findUser(req);
+
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Start enrolment: create a secret and return it with a QR code for
+// authenticator apps. Two-factor is not on until /enable confirms a code.
+router.post('/setup', auth, async (req, res) => {
+  try {
+    const user = await findUser(req);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encrypt(secret);
+    await user.save();
+
+    const url = otpauthUrl({ secret, account: user.email, issuer: ISSUER });
+
+    res.json({
+      secret,
+      otpauthUrl: url,
+      qrCode: await QRCode.toDataURL(url)
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Finish enrolment with a first code from the authenticator app.
+// Returns recovery codes, which are only ever shown this once.
+router.post('/enable', [auth, codeValidator], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const user = await findUser(req);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyCode(decrypt(user.twoFactor.pendingSecret), req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.lastUsedStep = step;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Turn two-factor off. Needs the password and a current or recovery code.
+router.post('/disable', [
+  auth,
+  body('password').notEmpty().withMessage('Password is required'),
+  codeValidator
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const user = await findUser(req);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const lockedFor = await getLockout(user.email);
+    if (lockedFor) {
+      return accountLocked(res, lockedFor);
+    }
+
+    if (!(await user.comparePassword(req.body.password))) {
+      return rejectAttempt(res, user, 'Incorrect password');
+    }
+
+    if (!(await user.verifyTwoFactor(req.body.code))) {
+      return rejectAttempt(res, user, 'Invalid authentication code');
+    }
+
+    await clearLoginFailures(user.email);
+
+    user.twoFactor = {
+      enabled: false,
+      enabledAt: null,
+      secret: null,
+      pendingSecret: null,
+      recoveryCodes: [],
+      lastUsedStep: null
+    };
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace the recovery codes; the old ones stop working
+router.post('/recovery-codes', [auth, codeValidator], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const user = await findUser(req);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const lockedFor = await getLockout(user.email);
+    if (lockedFor) {
+      return accountLocked(res, lockedFor);
+    }
+
+    if (!(await user.verifyTwoFactor(req.body.code))) {
+      return rejectAttempt(res, user, 'Invalid authentication code');
+    }
+
+    await clearLoginFailures(user.email);
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      message: 'New recovery codes generated',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
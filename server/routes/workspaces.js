@@ -0,0 +1,436 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Workspace = require('../models/Workspace');
+const WorkspaceInvite = require('../models/WorkspaceInvite');
+const Post = require('../models/Post');
+const Collection = require('../models/Collection');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const auth = require('../middleware/auth');
+const { workspaceAccess } = require('../middleware/space');
+const { cache } = require('../middleware/cache');
+const { sendMail } = require('../mail');
+const { workspaceInviteEmail } = require('../mail/templates');
+
+const router = express.Router();
+
+// Most workspaces one account may belong to at a time
+const MAX_WORKSPACES = 20;
+
+const workspaceName = body('name')
+  .trim()
+  .isLength({ min: 1, max: 50 })
+  .withMessage('Name must be between 1 and 50 characters');
+
+const workspaceRole = (field) => body(field)
+  .isIn(Workspace.ROLES)
+  .withMessage(`Role must be one of: ${Workspace.ROLES.join(', ')}`);
+
+const formatWorkspace = (workspace, userId) => ({
+  _id: workspace._id,
+  name: workspace.name,
+  role: workspace.roleOf(userId),
+  memberCount: workspace.members.length,
+  createdAt: workspace.createdAt,
+  updatedAt: workspace.updatedAt
+});
+
+const formatInvite = (invite) => ({
+  _id: invite._id,
+  workspace: invite.workspace,
+  email: invite.email,
+  role: invite.role,
+  invitedBy: invite.invitedBy,
+  expiresAt: invite.expiresAt,
+  createdAt: invite.createdAt
+});
+
+const workspaceLimitReached = (res) => res.status(400).json({
+  message: `You can belong to up to ${MAX_WORKSPACES} workspaces. Leave one to add another.`
+});
+
+// Whether the user belongs to more workspaces than allowed. Checked after
+// joining or creating one, so concurrent requests cannot each pass a check
+// made beforehand and together go over the cap.
+const overWorkspaceLimit = async (userId) => (
+  await Workspace.countDocuments({ 'members.user': userId })
+) > MAX_WORKSPACES;
+
+const inviteExpiry = () => new Date(Date.now() + WorkspaceInvite.TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// List the workspaces the authenticated user belongs to, with their role in each
+router.get('/', auth, async (req, res) => {
+  try {
+    const workspaces = await Workspace.find({ 'members.user': req.user._id }).sort({ name: 1 });
+    res.json(workspaces.map(workspace => formatWorkspace(workspace, req.user._id)));
+  } catch (error) {
+    console.error('Get workspaces error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a workspace owned by the authenticated user
+router.post('/', [auth, workspaceName], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const workspace = await Workspace.create({
+      name: req.body.name,
+      members: [{ user: req.user._id, role: 'owner' }]
+    });
+
+    if (await overWorkspaceLimit(req.user._id)) {
+      await workspace.deleteOne();
+      return workspaceLimitReached(res);
+    }
+
+    await Category.seedDefaults({ workspace: workspace._id });
+
+    res.status(201).json(formatWorkspace(workspace, req.user._id));
+  } catch (error) {
+    console.error('Create workspace error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List unexpired invites for the authenticated user
+router.get('/invites', auth, async (req, res) => {
+  try {
+    const invites = await WorkspaceInvite.find(WorkspaceInvite.forUser(req.user))
+      .sort({ createdAt: -1 })
+      .populate('workspace', 'name members')
+      .populate('invitedBy', 'username');
+
+    // Skip invites to deleted workspaces and ones the user has already joined
+    res.json(invites
+      .filter(invite => invite.workspace && !invite.workspace.roleOf(req.user._id))
+      .map(invite => formatInvite({
+        ...invite.toObject(),
+        workspace: { _id: invite.workspace._id, name: invite.workspace.name }
+      })));
+  } catch (error) {
+    console.error('Get workspace invites error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Accept an invite and join its workspace with the invited role
+router.post('/invites/:inviteId/accept', auth, async (req, res) => {
+  try {
+    const invite = await WorkspaceInvite.findOne({
+      _id: req.params.inviteId,
+      ...WorkspaceInvite.forUser(req.user)
+    });
+
+    if (!invite) {
+      return res.status(404).json({ message: 'Invite not found or expired' });
+    }
+
+    // Only add the user if they are not a member yet
+    const { matchedCount } = await Workspace.updateOne(
+      { _id: invite.workspace, 'members.user': { $ne: req.user._id } },
+      { $push: { members: { user: req.user._id, role: invite.role } } }
+    );
+
+    // Joining counts towards the same cap as creating; undo it if over
+    if (matchedCount > 0 && await overWorkspaceLimit(req.user._id)) {
+      await Workspace.updateOne(
+        { _id: invite.workspace },
+        { $pull: { members: { user: req.user._id } } }
+      );
+      return workspaceLimitReached(res);
+    }
+
+    // Nothing matched if the workspace was deleted or the user already joined it
+    const workspace = await Workspace.findOne({ _id: invite.workspace, 'members.user': req.user._id });
+    if (!workspace) {
+      return res.status(404).json({ message: 'Workspace not found' });
+    }
+
+    await invite.deleteOne();
+
+    res.json(formatWorkspace(workspace, req.user._id));
+  } catch (error) {
+    console.error('Accept workspace invite error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid invite ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Decline an invite
+router.delete('/invites/:inviteId', auth, async (req, res) => {
+  try {
+    const invite = await WorkspaceInvite.findOneAndDelete({
+      _id: req.params.inviteId,
+      ...WorkspaceInvite.forUser(req.user)
+    });
+
+    if (!invite) {
+      return res.status(404).json({ message: 'Invite not found or expired' });
+    }
+
+    res.json({ message: 'Invite declined' });
+  } catch (error) {
+    console.error('Decline workspace invite error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid invite ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a workspace with its members. Owners also see member emails and pending invites.
+router.get('/:id', workspaceAccess('viewer'), async (req, res) => {
+  try {
+    const isOwner = req.space.role === 'owner';
+    const workspace = await req.workspace.populate('members.user', isOwner ? 'username email' : 'username');
+
+    const invites = isOwner
+      ? await WorkspaceInvite.find({ workspace: workspace._id, expiresAt: { $gt: new Date() } })
+        .sort({ createdAt: -1 })
+        .populate('invitedBy', 'username')
+      : [];
+
+    res.json({
+      ...formatWorkspace(workspace, req.user._id),
+      role: req.space.role,
+      members: workspace.members
+        .filter(member => member.user)
+        .map(({ user, role, joinedAt }) => ({ user, role, joinedAt })),
+      invites: invites.map(formatInvite)
+    });
+  } catch (error) {
+    console.error('Get workspace error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Rename a workspace
+router.put('/:id', [...workspaceAccess('owner'), workspaceName], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    req.workspace.name = req.body.name;
+    await req.workspace.save();
+
+    res.json(formatWorkspace(req.workspace, req.user._id));
+  } catch (error) {
+    console.error('Update workspace error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a workspace with all of its posts, collections, categories, invites and API keys
+router.delete('/:id', workspaceAccess('owner'), async (req, res) => {
+  try {
+    const filter = { workspace: req.workspace._id };
+
+    await Promise.all([
+      Post.purge(filter),
+      Collection.deleteMany(filter),
+      Category.deleteMany(filter),
+      WorkspaceInvite.deleteMany(filter),
+      ApiKey.deleteMany(filter)
+    ]);
+    await req.workspace.deleteOne();
+
+    // Clear cache for this space
+    cache.clearCache(req.space.key);
+
+    res.json({ message: 'Workspace deleted successfully' });
+  } catch (error) {
+    console.error('Delete workspace error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Invite someone by email address or username. Inviting the same address
+// again replaces the earlier invite and restarts its expiry.
+router.post('/:id/invites', [
+  ...workspaceAccess('owner'),
+  body('email')
+    .optional()
+    .isEmail()
+    .withMessage('Please enter a valid email'),
+  body('username')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Please enter a username'),
+  body()
+    .custom(value => Boolean(value.email) !== Boolean(value.username))
+    .withMessage('Send either an email or a username'),
+  workspaceRole('role')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const { username, role } = req.body;
+    const email = req.body.email && req.body.email.trim().toLowerCase();
+
+    let user;
+    if (username) {
+      user = await User.findOne({ username });
+      if (!user) {
+        return res.status(404).json({ message: 'No user with that username' });
+      }
+    } else {
+      // Only link accounts that have proven they own the address
+      user = await User.findOne({ email, emailVerified: true });
+    }
+
+    if (user && req.workspace.roleOf(user._id)) {
+      return res.status(400).json({ message: `${user.username} is already a member of this workspace` });
+    }
+
+    const invite = await WorkspaceInvite.findOneAndUpdate(
+      { workspace: req.workspace._id, email: user ? user.email : email },
+      {
+        user: user ? user._id : null,
+        role,
+        invitedBy: req.user._id,
+        expiresAt: inviteExpiry()
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    try {
+      await sendMail(workspaceInviteEmail({
+        email: invite.email,
+        user,
+        workspace: req.workspace,
+        invitedBy: req.user,
+        role,
+        expiresInDays: WorkspaceInvite.TTL_DAYS
+      }));
+    } catch (error) {
+      console.error('Workspace invite email error:', error);
+    }
+
+    res.status(201).json(formatInvite({
+      ...invite.toObject(),
+      invitedBy: { _id: req.user._id, username: req.user.username }
+    }));
+  } catch (error) {
+    console.error('Create workspace invite error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel a pending invite
+router.delete('/:id/invites/:inviteId', workspaceAccess('owner'), async (req, res) => {
+  try {
+    const invite = await WorkspaceInvite.findOneAndDelete({
+      _id: req.params.inviteId,
+      workspace: req.workspace._id
+    });
+
+    if (!invite) {
+      return res.status(404).json({ message: 'Invite not found' });
+    }
+
+    res.json({ message: 'Invite cancelled' });
+  } catch (error) {
+    console.error('Cancel workspace invite error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({ message: 'Invalid invite ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Change a member's role. A workspace always keeps at least one owner.
+router.put('/:id/members/:userId', [...workspaceAccess('owner'), workspaceRole('role')], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed',
+        errors: errors.array() 
+      });
+    }
+
+    const { workspace } = req;
+    const member = workspace.members.find(item => String(item.user) === req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (member.role === 'owner' && req.body.role !== 'owner' && workspace.ownerCount() === 1) {
+      return res.status(400).json({ message: 'A workspace needs at least one owner' });
+    }
+
+    member.role = req.body.role;
+    await workspace.save();
+
+    res.json({ user: member.user, role: member.role, joinedAt: member.joinedAt });
+  } catch (error) {
+    console.error('Update workspace member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a member. Owners can remove anyone; other members can only leave.
+router.delete('/:id/members/:userId', workspaceAccess('viewer'), async (req, res) => {
+  try {
+    const { workspace } = req;
+    const leaving = req.params.userId === String(req.user._id);
+
+    if (!leaving && req.space.role !== 'owner') {
+      return res.status(403).json({
+        message: 'Only workspace owners can do this',
+        code: 'INSUFFICIENT_ROLE'
+      });
+    }
+
+    const member = workspace.members.find(item => String(item.user) === req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (member.role === 'owner' && workspace.ownerCount() === 1) {
+      return res.status(400).json({
+        message: 'A workspace needs at least one owner. Make someone else an owner or delete the workspace.'
+      });
+    }
+
+    workspace.members = workspace.members.filter(item => item !== member);
+    await workspace.save();
+    // Their API keys for this workspace would only fail from now on
+    await ApiKey.deleteMany({ user: member.user, workspace: workspace._id });
+
+    res.json({ message: leaving ? 'You left the workspace' : 'Member removed' });
+  } catch (error) {
+    console.error('Remove workspace member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,35 @@
+// One-off migration: define categories for spaces created before categories
+// were added when posts and spaces are written. Spaces without any get the
+// defaults, and every category their posts use is defined.
+// Usage: npm run migrate:categories
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+const Workspace = require('../models/Workspace');
+require('../models/Post');
+const Category = require('../models/Category');
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/personal-posts-app');
+
+  const users = await User.find().select('_id username');
+  for (const user of users) {
+    await Category.backfill({ user: user._id, workspace: null });
+    console.log(`${user.username}: categories defined`);
+  }
+
+  const workspaces = await Workspace.find().select('_id name');
+  for (const workspace of workspaces) {
+    await Category.backfill({ workspace: workspace._id });
+    console.log(`Workspace ${workspace.name}: categories defined`);
+  }
+
+  await mongoose.disconnect();
+};
+
+migrate().catch(err => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,28 @@
+// One-off migration: detect the language of posts saved before posts had
+// one, so existing snippets are highlighted and can be filtered by language.
+// Usage: npm run migrate:languages
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Post = require('../models/Post');
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/personal-posts-app');
+
+  let updated = 0;
+  const cursor = Post.find({ languageSource: { $ne: 'manual' } }).select('content').lean().cursor();
+  for await (const post of cursor) {
+    const fields = Post.languageFields('auto', post.content);
+    await Post.updateOne({ _id: post._id }, fields, { timestamps: false });
+    if (fields.language) updated++;
+  }
+
+  console.log(`Detected a language for ${updated} post${updated === 1 ? '' : 's'}`);
+  await mongoose.disconnect();
+};
+
+migrate().catch(err => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,26 @@
+// One-off migration: turn every user's category strings into collections.
+// Usage: npm run migrate:collections
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+require('../models/Post');
+const Collection = require('../models/Collection');
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/personal-posts-app');
+
+  const users = await User.find().select('_id username');
+  for (const user of users) {
+    const { created, moved } = await Collection.migrateCategories({ user: user._id, workspace: null });
+    console.log(`${user.username}: created ${created} collections, moved ${moved} posts`);
+  }
+
+  await mongoose.disconnect();
+};
+
+migrate().catch(err => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
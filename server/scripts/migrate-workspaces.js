@@ -0,0 +1,24 @@
+// One-off migration: replace the per-user category name index with one per
+// space, so workspaces can each have their own categories with the same names.
+// Usage: npm run migrate:workspaces
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Category = require('../models/Category');
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/personal-posts-app');
+
+  const dropped = await Category.syncIndexes();
+  console.log(dropped.length > 0
+    ? `Dropped old category indexes: ${dropped.join(', ')}`
+    : 'Category indexes are already up to date');
+
+  await mongoose.disconnect();
+};
+
+migrate().catch(err => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
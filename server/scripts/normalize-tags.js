@@ -0,0 +1,30 @@
+// One-off migration: lower-case every post's tags and drop duplicates, so
+// tags saved before they were normalised match the ones saved since.
+// Usage: npm run migrate:tags
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Post = require('../models/Post');
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/personal-posts-app');
+
+  let updated = 0;
+  const cursor = Post.find({ 'tags.0': { $exists: true } }).select('tags').lean().cursor();
+  for await (const post of cursor) {
+    const tags = Post.normalizeTags(post.tags);
+    if (tags.join('\n') !== post.tags.join('\n')) {
+      await Post.updateOne({ _id: post._id }, { tags }, { timestamps: false });
+      updated++;
+    }
+  }
+
+  console.log(`Normalised tags on ${updated} post${updated === 1 ? '' : 's'}`);
+  await mongoose.disconnect();
+};
+
+migrate().catch(err => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
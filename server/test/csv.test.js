@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toCsvRow, parseCsv } = require('../utils/csv');
+
+test('toCsvRow quotes only fields that need it', () => {
+  assert.equal(toCsvRow(['plain', 'two words', 42]), 'plain,two words,42\r\n');
+  assert.equal(toCsvRow(['a,b', 'say "hi"', 'line\nbreak', 'cr\rhere']),
+    '"a,b","say ""hi""","line\nbreak","cr\rhere"\r\n');
+  assert.equal(toCsvRow([null, undefined, '']), ',,\r\n');
+});
+
+test('parseCsv reads back what toCsvRow writes', () => {
+  const rows = [
+    ['title', 'content', 'tags'],
+    ['Quotes', 'She said "yes", then left', 'a,b'],
+    ['Multi-line', 'first\r\nsecond\nthird', ''],
+    ['Empty', '', '']
+  ];
+  assert.deepEqual(parseCsv(rows.map(toCsvRow).join('')), rows);
+});
+
+test('parseCsv handles line endings, a missing final newline and blank lines', () => {
+  assert.deepEqual(parseCsv('a,b\n1,2\r\n\r\n3,4'), [['a', 'b'], ['1', '2'], ['3', '4']]);
+  assert.deepEqual(parseCsv(''), []);
+});
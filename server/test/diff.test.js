@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffLines } = require('../utils/diff');
+
+const render = (ops) => ops.map(({ type, value }) => `${{ equal: ' ', insert: '+', delete: '-' }[type]}${value}`);
+
+test('diffLines reports equal, inserted and deleted lines', () => {
+  assert.deepEqual(render(diffLines('a\nb\nc\nd', 'a\nc\nx\nd')), [' a', '-b', ' c', '+x', ' d']);
+  assert.deepEqual(render(diffLines('same', 'same')), [' same']);
+  assert.deepEqual(render(diffLines(undefined, 'new')), ['-', '+new']);
+});
+
+test('diffLines replaces the changed middle outright when it is too large to compare', () => {
+  // 2,001 x 2,001 differing lines is over the 4,000,000 cell cap
+  const lines = (prefix) => Array.from({ length: 2000 }, (_, i) => `${prefix}${i}`);
+  const before = ['head', ...lines('old'), 'tail'].join('\n');
+  const after = ['head', ...lines('new'), 'tail'].join('\n');
+
+  const ops = diffLines(before, after);
+  assert.equal(ops.length, 4002);
+  assert.deepEqual(ops[0], { type: 'equal', value: 'head' });
+  assert.ok(ops.slice(1, 2001).every(op => op.type === 'delete'));
+  assert.ok(ops.slice(2001, 4001).every(op => op.type === 'insert'));
+  assert.deepEqual(ops[4001], { type: 'equal', value: 'tail' });
+});
+
+test('diffLines compares a large changed middle that fits under the cap', () => {
+  const before = Array.from({ length: 1000 }, (_, i) => `line ${i}`);
+  const after = before.filter((_, i) => i % 100 !== 1).concat('end');
+  before.push('start');
+
+  const ops = diffLines(before.join('\n'), after.join('\n'));
+  assert.equal(ops.filter(op => op.type === 'equal').length, 990);
+  assert.equal(ops.filter(op => op.type === 'delete').length, 11);
+  assert.equal(ops.filter(op => op.type === 'insert').length, 1);
+});
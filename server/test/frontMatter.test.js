@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toMarkdown, parseMarkdown } = require('../utils/frontMatter');
+
+test('parseMarkdown reads back what toMarkdown writes', () => {
+  const post = {
+    title: 'Deploy: "prod"',
+    category: 'Work',
+    tags: ['ops', 'release'],
+    language: 'bash',
+    createdAt: new Date('2024-05-01T12:00:00.000Z'),
+    content: '---\nnot front-matter\n---\nnpm run deploy'
+  };
+
+  const { meta, content } = parseMarkdown(toMarkdown(post));
+  assert.equal(meta.title, post.title);
+  assert.equal(meta.category, 'Work');
+  assert.deepEqual(meta.tags, ['ops', 'release']);
+  assert.equal(meta.language, 'bash');
+  assert.equal(meta.createdAt, '2024-05-01T12:00:00.000Z');
+  assert.equal(content, `${post.content}\n`);
+});
+
+test('parseMarkdown treats documents without front-matter as content only', () => {
+  assert.deepEqual(parseMarkdown('# Just a note'), { meta: {}, content: '# Just a note' });
+  assert.deepEqual(parseMarkdown('---\r\ntitle: Windows\r\n---\r\n\r\nBody'), {
+    meta: { title: 'Windows' },
+    content: 'Body'
+  });
+});
+
+test('parseMarkdown does not create dates or other types beyond JSON', () => {
+  const { meta } = parseMarkdown('---\ncreatedAt: 2024-05-01\n---\nBody');
+  assert.equal(meta.createdAt, '2024-05-01');
+});
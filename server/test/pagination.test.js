@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { parseLimit, encodeCursor, decodeCursor } = require('../utils/pagination');
+
+const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64');
+
+test('parseLimit defaults and clamps the page size', () => {
+  assert.equal(parseLimit(undefined), 20);
+  assert.equal(parseLimit('abc'), 20);
+  assert.equal(parseLimit('0'), 20);
+  assert.equal(parseLimit('-5'), 20);
+  assert.equal(parseLimit('50'), 50);
+  assert.equal(parseLimit('1000'), 100);
+});
+
+test('cursors round-trip dates, numbers, strings and missing values', () => {
+  const _id = new mongoose.Types.ObjectId();
+  const createdAt = new Date('2024-05-01T12:00:00.000Z');
+
+  const byDate = decodeCursor(encodeCursor({ _id, createdAt }));
+  assert.ok(byDate.value instanceof Date);
+  assert.equal(byDate.value.toISOString(), createdAt.toISOString());
+  assert.equal(String(byDate.id), String(_id));
+
+  assert.equal(decodeCursor(encodeCursor({ _id, copyCount: 7 }, 'copyCount')).value, 7);
+  assert.equal(decodeCursor(encodeCursor({ _id, title: 'Deploy' }, 'title')).value, 'Deploy');
+  assert.equal(decodeCursor(encodeCursor({ _id }, 'lastCopiedAt')).value, null);
+});
+
+test('decodeCursor rejects malformed cursors', () => {
+  assert.equal(decodeCursor('not a cursor'), null);
+  assert.equal(decodeCursor(Buffer.from('{"v":').toString('base64')), null);
+  assert.equal(decodeCursor(encode({ v: 1, d: false })), null);
+  assert.equal(decodeCursor(encode({ v: 1, d: false, id: 'nope' })), null);
+  assert.equal(decodeCursor(encode({ v: 1, d: false, id: { $ne: null } })), null);
+});
+
+test('decodeCursor rejects values that are not plain sort values', () => {
+  const id = String(new mongoose.Types.ObjectId());
+
+  assert.equal(decodeCursor(encode({ v: { $gt: '' }, d: false, id })), null);
+  assert.equal(decodeCursor(encode({ v: [1], d: false, id })), null);
+  assert.equal(decodeCursor(encode({ v: true, d: false, id })), null);
+  assert.equal(decodeCursor(encode({ v: 123, d: true, id })), null);
+  assert.equal(decodeCursor(encode({ v: 'not a date', d: true, id })), null);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const createMemoryStore = require('../rateLimit/stores/memory');
+const { setStore } = require('../rateLimit');
+const { rateLimit } = require('../middleware/rateLimit');
+
+test('the memory store counts hits in a fixed window', async (t) => {
+  let now = 0;
+  t.mock.method(Date, 'now', () => now);
+  const store = createMemoryStore();
+
+  assert.deepEqual(await store.increment('k', 1000), { count: 1, resetAt: 1000 });
+  now = 500;
+  assert.deepEqual(await store.increment('k', 1000), { count: 2, resetAt: 1000 });
+  now = 1000;
+  assert.deepEqual(await store.increment('k', 1000), { count: 1, resetAt: 2000 });
+});
+
+test('the memory store expires and deletes values', async (t) => {
+  let now = 0;
+  t.mock.method(Date, 'now', () => now);
+  const store = createMemoryStore();
+
+  await store.set('lock', 42, 1000);
+  assert.equal(await store.get('lock'), 42);
+  now = 1000;
+  assert.equal(await store.get('lock'), null);
+
+  await store.set('lock', 42, 1000);
+  await store.delete('lock');
+  assert.equal(await store.get('lock'), null);
+});
+
+const run = (middleware, req) => new Promise((resolve) => {
+  const res = {
+    headers: {},
+    set(name, value) {
+      Object.assign(this.headers, typeof name === 'string' ? { [name]: value } : name);
+      return this;
+    },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { resolve({ limited: true, status: this.statusCode, body, headers: this.headers }); }
+  };
+  middleware(req, res, () => resolve({ limited: false, headers: res.headers }));
+});
+
+test('rateLimit answers 429 once a key goes over the limit', async () => {
+  setStore(createMemoryStore());
+  const limit = rateLimit({ name: 'test', windowMs: 60000, max: 2, key: req => req.ip, message: 'Slow down.' });
+
+  assert.equal((await run(limit, { ip: '1.1.1.1' })).headers['RateLimit-Remaining'], '1');
+  assert.equal((await run(limit, { ip: '1.1.1.1' })).limited, false);
+
+  const blocked = await run(limit, { ip: '1.1.1.1' });
+  assert.equal(blocked.status, 429);
+  assert.equal(blocked.body.code, 'RATE_LIMITED');
+  assert.match(blocked.body.message, /^Slow down\. Try again in 1 minute\.$/);
+  assert.equal(blocked.headers['Retry-After'], '60');
+
+  assert.equal((await run(limit, { ip: '2.2.2.2' })).limited, false);
+});
+
+test('rateLimit skips requests without a key and limits of 0', async () => {
+  setStore(createMemoryStore());
+  const noKey = rateLimit({ name: 'no-key', windowMs: 60000, max: 1, key: () => '', message: '' });
+  const off = rateLimit({ name: 'off', windowMs: 60000, max: 0, key: () => 'k', message: '' });
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await run(noKey, {})).limited, false);
+    assert.equal((await run(off, {})).limited, false);
+  }
+});
+
+test('rateLimit lets requests through when the store fails', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  setStore({ increment: async () => { throw new Error('store down'); } });
+  const limit = rateLimit({ name: 'broken', windowMs: 60000, max: 1, key: () => 'k', message: '' });
+
+  assert.equal((await run(limit, {})).limited, false);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSearchQuery, buildSearchFilter } = require('../utils/searchQuery');
+
+test('parseSearchQuery splits words, phrases, exclusions and fields', () => {
+  const parsed = parseSearchQuery('deploy "exact phrase" -draft -"old notes" tag:Ops -tag:Temp category:"Side Projects" -category:Work lang:SQL -lang:none');
+
+  assert.deepEqual(parsed.terms, ['deploy']);
+  assert.deepEqual(parsed.phrases, ['exact phrase']);
+  assert.deepEqual(parsed.excludedTerms, ['draft']);
+  assert.deepEqual(parsed.excludedPhrases, ['old notes']);
+  assert.deepEqual(parsed.tags, ['ops']);
+  assert.deepEqual(parsed.excludedTags, ['temp']);
+  assert.deepEqual(parsed.categories, ['Side Projects']);
+  assert.deepEqual(parsed.excludedCategories, ['Work']);
+  assert.deepEqual(parsed.languages, ['sql']);
+  assert.deepEqual(parsed.excludedLanguages, [null]);
+});
+
+test('parseSearchQuery searches unknown fields as text and skips empty values', () => {
+  const parsed = parseSearchQuery('https://example.com "" tag:""');
+  assert.deepEqual(parsed.terms, ['https://example.com']);
+  assert.deepEqual(parsed.phrases, []);
+  assert.deepEqual(parsed.tags, []);
+  assert.deepEqual(parseSearchQuery().terms, []);
+});
+
+test('buildSearchFilter uses the text index only when there is something to find', () => {
+  assert.deepEqual(buildSearchFilter(parseSearchQuery('deploy -"old notes"')), {
+    $text: { $search: 'deploy -"old notes"' }
+  });
+
+  const filter = buildSearchFilter(parseSearchQuery('-draft tag:ops'));
+  assert.equal(filter.$text, undefined);
+  assert.deepEqual(filter.tags, { $all: ['ops'] });
+  assert.equal(filter.$and.length, 1);
+  assert.ok(filter.$and[0].$nor[0].title.test('A Draft'));
+});
+
+test('buildSearchFilter escapes excluded text used as a regular expression', () => {
+  const filter = buildSearchFilter(parseSearchQuery('-"a.b"'));
+  const regex = filter.$and[0].$nor[0].title;
+  assert.ok(regex.test('a.b'));
+  assert.ok(!regex.test('axb'));
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSecret, generateCode, verifyCode, base32Encode, base32Decode } = require('../utils/totp');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+const User = require('../models/User');
+const { encrypt } = require('../utils/secretBox');
+
+const STEP_MS = 30 * 1000;
+const NOW = 1700000000000;
+const step = Math.floor(NOW / STEP_MS);
+
+test('base32 round-trips bytes', () => {
+  const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255, 42]);
+  assert.deepEqual(base32Decode(base32Encode(bytes)), bytes);
+  assert.throws(() => base32Decode('not base32!'), /Invalid base32 character/);
+});
+
+test('generateCode matches the RFC 6238 SHA-1 test vector', () => {
+  // Secret "12345678901234567890" at 59 seconds, truncated to 6 digits
+  const secret = base32Encode(Buffer.from('12345678901234567890'));
+  assert.equal(generateCode(secret, 1), '287082');
+});
+
+test('verifyCode accepts codes from the current step and its neighbours', () => {
+  const secret = generateSecret();
+
+  assert.equal(verifyCode(secret, generateCode(secret, step), { time: NOW }), step);
+  assert.equal(verifyCode(secret, generateCode(secret, step - 1), { time: NOW }), step - 1);
+  assert.equal(verifyCode(secret, generateCode(secret, step + 1), { time: NOW }), step + 1);
+  assert.equal(verifyCode(secret, generateCode(secret, step - 2), { time: NOW }), null);
+  assert.equal(verifyCode(secret, generateCode(secret, step + 2), { time: NOW }), null);
+  assert.equal(verifyCode(secret, generateCode(secret, step - 2), { time: NOW, window: 2 }), step - 2);
+});
+
+test('verifyCode ignores spaces and rejects malformed codes', () => {
+  const secret = generateSecret();
+  const code = generateCode(secret, step);
+
+  assert.equal(verifyCode(secret, `${code.slice(0, 3)} ${code.slice(3)}`, { time: NOW }), step);
+  assert.equal(verifyCode(secret, code.slice(1), { time: NOW }), null);
+  assert.equal(verifyCode(secret, 'abcdef', { time: NOW }), null);
+  assert.equal(verifyCode(secret, undefined, { time: NOW }), null);
+});
+
+// A user whose conditional updates run against an in-memory lastUsedStep,
+// as MongoDB would apply them
+const userWithTwoFactor = (t, secret) => {
+  const user = new User({ username: 'tester', email: 'tester@example.com', password: 'password123' });
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = encrypt(secret);
+  user.twoFactor.lastUsedStep = null;
+
+  let stored = null;
+  t.mock.method(User, 'updateOne', async (filter, update) => {
+    const next = update.$set && update.$set['twoFactor.lastUsedStep'];
+    if (next === undefined || (stored !== null && stored >= next)) {
+      return { modifiedCount: 0 };
+    }
+    stored = next;
+    return { modifiedCount: 1 };
+  });
+  return user;
+};
+
+test('verifyTwoFactor uses each code only once', async (t) => {
+  t.mock.method(Date, 'now', () => NOW);
+  const secret = generateSecret();
+  const user = userWithTwoFactor(t, secret);
+  const code = generateCode(secret, step);
+
+  assert.equal(await user.verifyTwoFactor(code), 'totp');
+  assert.equal(user.twoFactor.lastUsedStep, step);
+  assert.equal(await user.verifyTwoFactor(code), null);
+});
+
+test('verifyTwoFactor rejects codes older than the last one used', async (t) => {
+  t.mock.method(Date, 'now', () => NOW);
+  const secret = generateSecret();
+  const user = userWithTwoFactor(t, secret);
+
+  assert.equal(await user.verifyTwoFactor(generateCode(secret, step)), 'totp');
+  assert.equal(await user.verifyTwoFactor(generateCode(secret, step - 1)), null);
+  assert.equal(await user.verifyTwoFactor(generateCode(secret, step + 1)), 'totp');
+});
@@ -0,0 +1,41 @@
+// Rough browser and OS detection, good enough to tell sessions apart.
+// Order matters: Edge and Opera also claim to be Chrome, and Chrome claims to be Safari.
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//]
+];
+
+const SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+const match = (list, userAgent) => {
+  const found = list.find(([, pattern]) => pattern.test(userAgent));
+  return found ? found[0] : null;
+};
+
+// Describe a User-Agent header as e.g. "Chrome on Windows"
+const describeDevice = (userAgent = '') => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = match(BROWSERS, userAgent);
+  const system = match(SYSTEMS, userAgent);
+
+  if (browser && system) return `${browser} on ${system}`;
+  if (browser || system) return browser || system;
+
+  // Non-browser clients such as curl/8.0 or scripts
+  return userAgent.split(/[\s/]/)[0].slice(0, 50) || 'Unknown device';
+};
+
+module.exports = {
+  describeDevice
+};
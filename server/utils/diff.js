@@ -0,0 +1,74 @@
+// Largest LCS table we are willing to build before falling back to a full replace
+const MAX_DIFF_CELLS = 4000000;
+
+// Line-based diff of two strings.
+// Returns a list of operations: { type: 'equal' | 'insert' | 'delete', value }
+const diffLines = (oldText = '', newText = '') => {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+
+  // Trim the common prefix and suffix so the LCS table stays small
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const prefix = a.slice(0, start).map(value => ({ type: 'equal', value }));
+  const suffix = a.slice(endA).map(value => ({ type: 'equal', value }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  const n = midA.length;
+  const m = midB.length;
+
+  if ((n + 1) * (m + 1) > MAX_DIFF_CELLS) {
+    return [
+      ...prefix,
+      ...midA.map(value => ({ type: 'delete', value })),
+      ...midB.map(value => ({ type: 'insert', value })),
+      ...suffix
+    ];
+  }
+
+  // lengths[i * (m + 1) + j] = LCS length of midA[i..] and midB[j..]
+  const lengths = new Uint32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i * (m + 1) + j] = midA[i] === midB[j]
+        ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+        : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (midA[i] === midB[j]) {
+      middle.push({ type: 'equal', value: midA[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1]) {
+      middle.push({ type: 'delete', value: midA[i] });
+      i++;
+    } else {
+      middle.push({ type: 'insert', value: midB[j] });
+      j++;
+    }
+  }
+  while (i < n) middle.push({ type: 'delete', value: midA[i++] });
+  while (j < m) middle.push({ type: 'insert', value: midB[j++] });
+
+  return [...prefix, ...middle, ...suffix];
+};
+
+module.exports = {
+  diffLines
+};
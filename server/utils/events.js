@@ -0,0 +1,34 @@
+const { EventEmitter } = require('events');
+
+// Per-space change notifications for the live update stream (/api/events):
+// a user's personal space, or a workspace shared by its members. Events only
+// reach clients connected to the same server process.
+const emitter = new EventEmitter();
+
+// One listener per open stream, so there is no useful limit
+emitter.setMaxListeners(0);
+
+// Tell everyone looking at the request's space (the user's other tabs and
+// devices, and other workspace members) about a change. The X-Client-Id
+// header names the tab that made it, so that tab can ignore its own events.
+const publish = (req, type, data = {}) => {
+  emitter.emit(req.space.key, {
+    type,
+    ...data,
+    source: req.get('X-Client-Id') || null,
+    at: new Date().toISOString()
+  });
+};
+
+// Call listener with each event for a space, named by req.space.key.
+// Returns a function that stops listening.
+const subscribe = (spaceKey, listener) => {
+  const channel = String(spaceKey);
+  emitter.on(channel, listener);
+  return () => emitter.off(channel, listener);
+};
+
+module.exports = {
+  publish,
+  subscribe
+};
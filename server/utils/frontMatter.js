@@ -0,0 +1,33 @@
+const yaml = require('js-yaml');
+
+const FRONT_MATTER_REGEX = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/;
+
+// Serialise a post as Markdown with YAML front-matter
+const toMarkdown = (post) => {
+  const meta = yaml.dump({
+    title: post.title,
+    category: post.category,
+    tags: post.tags || [],
+    language: post.language || undefined,
+    createdAt: post.createdAt ? new Date(post.createdAt).toISOString() : undefined,
+    updatedAt: post.updatedAt ? new Date(post.updatedAt).toISOString() : undefined
+  }, { skipInvalid: true });
+
+  return `---\n${meta}---\n\n${post.content}\n`;
+};
+
+// Split a Markdown document into its front-matter and body
+const parseMarkdown = (text) => {
+  const match = text.match(FRONT_MATTER_REGEX);
+  if (!match) {
+    return { meta: {}, content: text };
+  }
+
+  const meta = yaml.load(match[1], { schema: yaml.JSON_SCHEMA }) || {};
+  return { meta, content: match[2].replace(/^\r?\n/, '') };
+};
+
+module.exports = {
+  toMarkdown,
+  parseMarkdown
+};
@@ -0,0 +1,86 @@
+const hljs = require('highlight.js/lib/core');
+
+// Languages a post can be marked as, by highlight.js name. Posts without a
+// language are Markdown text; plaintext is code that is not highlighted.
+const LANGUAGES = [
+  'bash', 'powershell', 'sql', 'javascript', 'typescript', 'python', 'json', 'yaml',
+  'xml', 'css', 'go', 'java', 'ruby', 'php', 'rust', 'csharp', 'cpp', 'ini',
+  'dockerfile', 'nginx', 'diff', 'plaintext'
+];
+
+// Languages highlight.js is allowed to guess between
+const DETECTABLE = LANGUAGES.filter(language => language !== 'plaintext');
+DETECTABLE.forEach((language) => {
+  hljs.registerLanguage(language, require(`highlight.js/lib/languages/${language}`));
+});
+
+// highlight.js relevance below this is too weak to call something code
+const MIN_RELEVANCE = 4;
+
+const SHELL_COMMANDS = [
+  'apt', 'apt-get', 'awk', 'brew', 'cat', 'cd', 'chmod', 'chown', 'cp', 'curl', 'docker',
+  'docker-compose', 'echo', 'export', 'find', 'git', 'grep', 'head', 'helm', 'kill', 'kubectl',
+  'ln', 'ls', 'make', 'mkdir', 'mv', 'node', 'npm', 'npx', 'pip', 'psql', 'python', 'python3',
+  'rm', 'rsync', 'scp', 'sed', 'ssh', 'sudo', 'systemctl', 'tail', 'tar', 'terraform', 'touch',
+  'wget', 'yarn'
+];
+
+// A command, optionally after a $ prompt
+const SHELL_LINE = new RegExp(`^(\\$\\s+)?(${SHELL_COMMANDS.join('|')})(\\s|$)`);
+
+const SQL_STATEMENT = /^\s*(SELECT|INSERT\s+INTO|UPDATE|DELETE\s+FROM|CREATE\s+(TABLE|INDEX|VIEW)|ALTER\s+TABLE|DROP\s+(TABLE|INDEX)|WITH)\b/i;
+
+// Keys, nested keys and list items, but no sentences
+const YAML_LINE = /^(-\s+\S|[\w.-]+:(\s+\S|$))(?!.*[.!?]$)/;
+
+// Markdown and ordinary writing: headings, list items, links, emphasis and
+// lines that read like sentences
+const PROSE_LINE = /^(#{1,6}\s|[-*+]\s+\w|\d+\.\s+\w|>\s)|\[[^\]]+\]\([^)]+\)|\*\*[^*]+\*\*|[A-Za-z]{2,}[.!?]$/;
+
+// Characters that are much more common in code than in writing
+const CODE_CHARACTERS = /[{}();=<>|&[\]$\\]/g;
+
+const lines = (content) => content.split('\n').map(line => line.trim()).filter(Boolean);
+
+const isJson = (content) => {
+  if (!/^[[{]/.test(content)) return false;
+  try {
+    JSON.parse(content);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const looksLikeProse = (content) => {
+  const contentLines = lines(content);
+  const proseLines = contentLines.filter(line => PROSE_LINE.test(line)).length;
+  const codeCharacters = (content.match(CODE_CHARACTERS) || []).length;
+
+  return proseLines / contentLines.length >= 0.5 || codeCharacters / content.length < 0.02;
+};
+
+// Guess the language of a post's content, or null for Markdown text.
+// Obvious cases are matched directly; highlight.js decides the rest.
+const detectLanguage = (content = '') => {
+  const text = content.trim();
+  if (!text) return null;
+
+  // Fenced code blocks already render as code inside Markdown
+  if (text.startsWith('```')) return null;
+
+  if (isJson(text)) return 'json';
+
+  const contentLines = lines(text).filter(line => !line.startsWith('#'));
+  if (contentLines.length > 0 && contentLines.every(line => SHELL_LINE.test(line))) return 'bash';
+  if (contentLines.length > 1 && contentLines.every(line => YAML_LINE.test(line))) return 'yaml';
+
+  if (looksLikeProse(text)) return null;
+
+  if (SQL_STATEMENT.test(text) && /\b(FROM|INTO|SET|TABLE|INDEX|VIEW|AS)\b/i.test(text)) return 'sql';
+
+  const result = hljs.highlightAuto(text, DETECTABLE);
+  return result.relevance >= MIN_RELEVANCE ? result.language : null;
+};
+
+module.exports = { LANGUAGES, detectLanguage };
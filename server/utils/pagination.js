@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Clamp the requested page size to a sensible range
+const parseLimit = (limit) => {
+  const parsed = parseInt(limit, 10);
+  if (!parsed || parsed < 1) return DEFAULT_PAGE_SIZE;
+  return Math.min(parsed, MAX_PAGE_SIZE);
+};
+
+// Cursors encode the sort field value and _id of the last item on a page.
+// The _id breaks ties between items with the same sort value.
+const encodeCursor = (doc, field = 'createdAt') => {
+  const value = doc[field];
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : (value ?? null),
+    d: value instanceof Date,
+    id: String(doc._id)
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64');
+};
+
+// Cursors come from the client, so anything but a plain sort value is
+// rejected; an object would otherwise end up in the query as operators.
+const isSortValue = (value) => value === null || typeof value === 'string' ||
+  (typeof value === 'number' && Number.isFinite(value));
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, d, id } = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+
+    if (typeof id !== 'string' || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    if (d ? typeof v !== 'string' : !isSortValue(v)) {
+      return null;
+    }
+
+    const value = d ? new Date(v) : v;
+    if (d && isNaN(value.getTime())) {
+      return null;
+    }
+
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Query condition for items that come after the cursor when sorting by
+// { [field]: -1, _id: -1 }. Missing values sort last in descending order.
+const afterCursor = ({ value, id }, field = 'createdAt') => {
+  if (value === null) {
+    return { [field]: null, _id: { $lt: id } };
+  }
+
+  return {
+    $or: [
+      { [field]: { $lt: value } },
+      { [field]: value, _id: { $lt: id } },
+      { [field]: null }
+    ]
+  };
+};
+
+module.exports = {
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  afterCursor
+};
@@ -0,0 +1,158 @@
+const SNIPPET_LENGTH = 160;
+const SNIPPET_CONTEXT = 60;
+
+// Matches: optional "-", optional "field:", then a "quoted phrase" or a bare word
+const TOKEN_REGEX = /(-?)(?:([a-zA-Z]+):)?(?:"([^"]*)"|(\S+))/g;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Parse a search string such as: tag:foo category:Work lang:sql "exact phrase" -excluded
+// lang:none matches Markdown text, which has no language.
+const parseSearchQuery = (input = '') => {
+  const parsed = {
+    terms: [],
+    phrases: [],
+    excludedTerms: [],
+    excludedPhrases: [],
+    tags: [],
+    excludedTags: [],
+    categories: [],
+    excludedCategories: [],
+    languages: [],
+    excludedLanguages: []
+  };
+
+  for (const match of input.matchAll(TOKEN_REGEX)) {
+    const [raw, negation, field, quoted, bare] = match;
+    const negated = negation === '-';
+    const value = quoted !== undefined ? quoted.trim() : bare;
+
+    if (!value) continue;
+
+    const fieldName = field && field.toLowerCase();
+
+    if (fieldName === 'tag') {
+      // Tags are stored lower-cased
+      parsed[negated ? 'excludedTags' : 'tags'].push(value.toLowerCase());
+    } else if (fieldName === 'category') {
+      parsed[negated ? 'excludedCategories' : 'categories'].push(value);
+    } else if (fieldName === 'lang') {
+      const language = value.toLowerCase();
+      parsed[negated ? 'excludedLanguages' : 'languages'].push(language === 'none' ? null : language);
+    } else if (field) {
+      // Unknown fields (e.g. "http://...") are searched as plain text
+      parsed[negated ? 'excludedTerms' : 'terms'].push(raw.replace(/^-/, ''));
+    } else if (quoted !== undefined) {
+      parsed[negated ? 'excludedPhrases' : 'phrases'].push(value);
+    } else {
+      parsed[negated ? 'excludedTerms' : 'terms'].push(value);
+    }
+  }
+
+  return parsed;
+};
+
+// Build a Mongo filter from a parsed query. Uses the text index when there is
+// something positive to search for; $text cannot run on exclusions alone.
+const buildSearchFilter = (parsed) => {
+  const filter = {};
+  const conditions = [];
+
+  if (parsed.terms.length > 0 || parsed.phrases.length > 0) {
+    const search = [
+      ...parsed.phrases.map(phrase => `"${phrase.replace(/"/g, '')}"`),
+      ...parsed.terms,
+      ...parsed.excludedPhrases.map(phrase => `-"${phrase.replace(/"/g, '')}"`),
+      ...parsed.excludedTerms.map(term => `-${term}`)
+    ].join(' ');
+    filter.$text = { $search: search };
+  } else {
+    [...parsed.excludedTerms, ...parsed.excludedPhrases].forEach(text => {
+      const regex = new RegExp(escapeRegex(text), 'i');
+      conditions.push({ $nor: [{ title: regex }, { content: regex }] });
+    });
+  }
+
+  if (parsed.tags.length > 0 || parsed.excludedTags.length > 0) {
+    filter.tags = {};
+    if (parsed.tags.length > 0) filter.tags.$all = parsed.tags;
+    if (parsed.excludedTags.length > 0) filter.tags.$nin = parsed.excludedTags;
+  }
+
+  if (parsed.categories.length > 0) {
+    conditions.push({ category: { $in: parsed.categories } });
+  }
+  if (parsed.excludedCategories.length > 0) {
+    conditions.push({ category: { $nin: parsed.excludedCategories } });
+  }
+
+  if (parsed.languages.length > 0) {
+    conditions.push({ language: { $in: parsed.languages } });
+  }
+  if (parsed.excludedLanguages.length > 0) {
+    conditions.push({ language: { $nin: parsed.excludedLanguages } });
+  }
+
+  if (conditions.length > 0) {
+    filter.$and = conditions;
+  }
+
+  return filter;
+};
+
+// Split text into segments, flagging the parts that match the search
+const highlight = (text, regex) => {
+  if (!regex) return [{ text, match: false }];
+
+  const segments = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(regex)) {
+    if (match.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, match.index), match: false });
+    }
+    segments.push({ text: match[0], match: true });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), match: false });
+  }
+
+  return segments;
+};
+
+// Highlighted title and a content snippet around the first match
+const buildHighlights = (post, parsed) => {
+  const needles = [...parsed.phrases, ...parsed.terms]
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegex);
+  const regex = needles.length > 0 ? new RegExp(needles.join('|'), 'gi') : null;
+
+  const content = post.content;
+  let start = 0;
+
+  if (regex) {
+    const first = content.search(new RegExp(needles.join('|'), 'i'));
+    if (first > SNIPPET_CONTEXT) {
+      start = first - SNIPPET_CONTEXT;
+    }
+  }
+
+  const end = Math.min(content.length, start + SNIPPET_LENGTH);
+
+  return {
+    title: highlight(post.title, regex),
+    snippet: highlight(content.slice(start, end), regex),
+    snippetStart: start > 0,
+    snippetEnd: end < content.length
+  };
+};
+
+module.exports = {
+  escapeRegex,
+  parseSearchQuery,
+  buildSearchFilter,
+  buildHighlights
+};
@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+// Encrypts secrets that must be read back later (unlike passwords, which are
+// hashed), such as TOTP secrets. The key comes from SECRET_ENCRYPTION_KEY,
+// falling back to JWT_SECRET.
+const getKey = () => {
+  const source = process.env.SECRET_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!source) {
+    throw new Error('SECRET_ENCRYPTION_KEY or JWT_SECRET must be set to encrypt secrets');
+  }
+  return crypto.createHash('sha256').update(source).digest();
+};
+
+// AES-256-GCM; the result is "iv.tag.ciphertext" in base64
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decrypt = (payload) => {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt
+};
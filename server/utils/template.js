@@ -0,0 +1,47 @@
+// Template placeholders look like {{name}} or {{name|default value}}
+const PLACEHOLDER_REGEX = /\{\{\s*([A-Za-z_][\w-]*)\s*(?:\|([^}]*))?\}\}/g;
+
+// List the distinct variables used in a piece of content, in order of first use
+const extractVariables = (content = '') => {
+  const variables = [];
+  const seen = new Set();
+
+  for (const match of content.matchAll(PLACEHOLDER_REGEX)) {
+    const name = match[1];
+    if (seen.has(name)) continue;
+    seen.add(name);
+    variables.push({
+      name,
+      defaultValue: match[2] !== undefined ? match[2].trim() : null
+    });
+  }
+
+  return variables;
+};
+
+// Replace placeholders with the given values, falling back to their defaults.
+// Placeholders without a value or default are left untouched and reported as missing.
+const renderTemplate = (content = '', values = {}) => {
+  const missing = new Set();
+
+  const rendered = content.replace(PLACEHOLDER_REGEX, (placeholder, name, defaultValue) => {
+    // Only the caller's own keys count, so names like "constructor" are not
+    // looked up on Object.prototype
+    const value = Object.hasOwn(values, name) ? values[name] : undefined;
+    if (value !== undefined && value !== null && String(value) !== '') {
+      return String(value);
+    }
+    if (defaultValue !== undefined) {
+      return defaultValue.trim();
+    }
+    missing.add(name);
+    return placeholder;
+  });
+
+  return { content: rendered, missing: [...missing] };
+};
+
+module.exports = {
+  extractVariables,
+  renderTemplate
+};